@@ -0,0 +1,65 @@
+//Migration: convert the old free-text student "course" values into references to the Course collection
+//Run it once with "npm run migrate:student-courses" after updating to the new studentSchema
+//It works on the raw collections, because the Student model now expects an ObjectId in the "course" field
+const mongoose = require("mongoose");
+require("dotenv").config();
+
+async function migrate() {
+  await mongoose.connect(
+    process.env.MONGODB_URI || "mongodb://localhost:27017/students-management"
+  );
+  console.log("Connected to MongoDB");
+
+  const students = mongoose.connection.collection("students");
+  const courses = await mongoose.connection
+    .collection("courses")
+    .find({}, { projection: { name: 1 } })
+    .toArray();
+
+  //The old values could either be the course id (the dropdown sends the id) or the course name
+  const coursesById = new Map(
+    courses.map((course) => [String(course._id), course])
+  );
+  const coursesByName = new Map(
+    courses.map((course) => [course.name.trim().toLowerCase(), course])
+  );
+
+  let converted = 0;
+  const unmatched = [];
+
+  //Only the documents that still hold a string need to be converted
+  const cursor = students.find({ course: { $type: "string" } });
+  for await (const student of cursor) {
+    const value = student.course.trim();
+    const course =
+      coursesById.get(value) || coursesByName.get(value.toLowerCase());
+
+    if (!course) {
+      unmatched.push({ _id: student._id, name: student.name, course: value });
+      continue;
+    }
+
+    await students.updateOne(
+      { _id: student._id },
+      { $set: { course: course._id } }
+    );
+    converted++;
+  }
+
+  console.log(`Converted ${converted} student(s) to course references`);
+  if (unmatched.length > 0) {
+    //We don't guess here, these students have to be fixed by hand (or the course created first)
+    console.warn(`${unmatched.length} student(s) reference an unknown course:`);
+    unmatched.forEach((student) =>
+      console.warn(`  ${student._id} ${student.name} -> "${student.course}"`)
+    );
+    process.exitCode = 1;
+  }
+}
+
+migrate()
+  .catch((err) => {
+    console.error("Migration failed:", err);
+    process.exitCode = 1;
+  })
+  .finally(() => mongoose.disconnect());
@@ -0,0 +1,48 @@
+//Migration: move students from the old "active"/"inactive" status to the new lifecycle statuses
+//Run it once with "npm run migrate:student-lifecycle"
+//"active" becomes "enrolled" and "inactive" becomes "withdrawn", because we can't tell which inactive students really graduated
+//Each converted student gets a first statusHistory entry explaining where the status came from
+const mongoose = require("mongoose");
+require("dotenv").config();
+
+const STATUS_MAP = {
+  active: "enrolled",
+  inactive: "withdrawn",
+};
+
+async function migrate() {
+  await mongoose.connect(
+    process.env.MONGODB_URI || "mongodb://localhost:27017/students-management"
+  );
+  console.log("Connected to MongoDB");
+
+  const students = mongoose.connection.collection("students");
+
+  for (const [oldStatus, newStatus] of Object.entries(STATUS_MAP)) {
+    const result = await students.updateMany({ status: oldStatus }, [
+      {
+        $set: {
+          status: newStatus,
+          statusHistory: [
+            {
+              from: null,
+              to: newStatus,
+              reason: `Migrated from the old "${oldStatus}" status`,
+              changedAt: "$$NOW",
+            },
+          ],
+        },
+      },
+    ]);
+    console.log(
+      `Converted ${result.modifiedCount} "${oldStatus}" student(s) to "${newStatus}"`
+    );
+  }
+}
+
+migrate()
+  .catch((err) => {
+    console.error("Migration failed:", err);
+    process.exitCode = 1;
+  })
+  .finally(() => mongoose.disconnect());
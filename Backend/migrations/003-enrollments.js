@@ -0,0 +1,88 @@
+//Migration: move the single course of every student into the new Enrollment collection
+//Run it once with "npm run migrate:enrollments" after updating to the studentSchema without course/enrollmentDate
+//Every student that still has a "course" gets one enrollment starting on their enrollmentDate, then both fields are removed
+//Students that already graduated or withdrew get an ended enrollment, the others an active one
+const mongoose = require("mongoose");
+require("dotenv").config();
+
+const ENROLLMENT_STATUS_MAP = {
+  graduated: "completed",
+  withdrawn: "withdrawn",
+};
+
+async function migrate() {
+  await mongoose.connect(
+    process.env.MONGODB_URI || "mongodb://localhost:27017/students-management"
+  );
+  console.log("Connected to MongoDB");
+
+  const students = mongoose.connection.collection("students");
+  const enrollments = mongoose.connection.collection("enrollments");
+
+  let created = 0;
+  const skipped = [];
+
+  //Only the students that still hold the old fields, so running it twice does nothing the second time
+  const cursor = students.find({ course: { $exists: true } });
+  for await (const student of cursor) {
+    //A course that was never converted by migration 001 can't be turned into an enrollment
+    if (typeof student.course === "string") {
+      skipped.push(student);
+      continue;
+    }
+
+    const startDate = student.enrollmentDate || student.createdAt || new Date();
+    const status = ENROLLMENT_STATUS_MAP[student.status] || "active";
+    //The date the student left is the last status change, if it was recorded
+    const lastChange = (student.statusHistory || []).slice(-1)[0];
+    const endDate =
+      status === "active"
+        ? null
+        : (lastChange && lastChange.changedAt) ||
+          student.updatedAt ||
+          startDate;
+
+    await enrollments.insertOne({
+      student: student._id,
+      course: student.course,
+      startDate,
+      endDate,
+      status,
+      transferredFrom: null,
+      createdAt: new Date(),
+      updatedAt: new Date(),
+      __v: 0,
+    });
+    await students.updateOne(
+      { _id: student._id },
+      { $unset: { course: "", enrollmentDate: "" } }
+    );
+    created++;
+  }
+
+  //The indexes on the old fields are not used any more
+  for (const index of [
+    "enrollmentDate_-1",
+    "course_1_createdAt_-1",
+    "course_1_enrollmentDate_-1",
+  ]) {
+    await students.dropIndex(index).catch(() => {}); //Already gone
+  }
+
+  console.log(`Created ${created} enrollment(s)`);
+  if (skipped.length > 0) {
+    //These still hold a free-text course, run migrate:student-courses first
+    console.warn(`${skipped.length} student(s) still have a text course:`);
+    skipped.forEach((student) =>
+      console.warn(`  ${student._id} ${student.name} -> "${student.course}"`)
+    );
+    process.exitCode = 1;
+  }
+}
+
+migrate()
+  .catch((err) => {
+    console.error("Migration failed:", err);
+    process.exitCode = 1;
+  })
+  .finally(() => mongoose.disconnect());
@@ -0,0 +1,52 @@
+//Migration: store every student email in lowercase without surrounding spaces
+//Run it once with "npm run migrate:student-emails" after updating to the studentSchema with lowercase emails
+//The unique index on email is case-sensitive, so "Jane@x.com" and "jane@x.com" could both exist before
+//Those students are left alone and listed at the end, one of them has to be merged or renamed by hand
+const mongoose = require("mongoose");
+require("dotenv").config();
+
+async function migrate() {
+  await mongoose.connect(
+    process.env.MONGODB_URI || "mongodb://localhost:27017/students-management"
+  );
+  console.log("Connected to MongoDB");
+
+  const students = mongoose.connection.collection("students");
+
+  let updated = 0;
+  const conflicts = [];
+
+  //Running it twice does nothing the second time, the emails are already normalized
+  const cursor = students.find({}, { projection: { name: 1, email: 1 } });
+  for await (const student of cursor) {
+    const email = String(student.email).trim().toLowerCase();
+    if (email === student.email) continue;
+
+    try {
+      await students.updateOne({ _id: student._id }, { $set: { email } });
+      updated++;
+    } catch (error) {
+      //Another student already has the normalized email
+      if (error.code !== 11000) throw error;
+      conflicts.push(student);
+    }
+  }
+
+  console.log(`Normalized ${updated} email(s)`);
+  if (conflicts.length > 0) {
+    console.warn(
+      `${conflicts.length} student(s) share their email with another student:`
+    );
+    conflicts.forEach((student) =>
+      console.warn(`  ${student._id} ${student.name} -> "${student.email}"`)
+    );
+    process.exitCode = 1;
+  }
+}
+
+migrate()
+  .catch((err) => {
+    console.error("Migration failed:", err);
+    process.exitCode = 1;
+  })
+  .finally(() => mongoose.disconnect());
@@ -0,0 +1,51 @@
+//Migration: take the portal invite tokens out of the emails stored in the outbox
+//Run it once with "npm run migrate:outbox-secrets" after updating to the outbox with OutboxMessage.secret
+//Before, the whole invite link was stored in the text and html of the email, so every admin could read it
+//An email that is still to be sent keeps its token in the secret field, a sent one doesn't need it any more
+const mongoose = require("mongoose");
+require("dotenv").config();
+
+const OUTBOX_SECRET = "__secret__"; //The same as in server.js
+const INVITE_TOKEN = /invite=([0-9a-f]{64})/;
+
+async function migrate() {
+  await mongoose.connect(
+    process.env.MONGODB_URI || "mongodb://localhost:27017/students-management"
+  );
+  console.log("Connected to MongoDB");
+
+  const outbox = mongoose.connection.collection("outbox");
+
+  let updated = 0;
+
+  //Running it twice does nothing the second time, the tokens are already gone
+  const cursor = outbox.find(
+    { template: "portalInvite", text: INVITE_TOKEN },
+    { projection: { text: 1, html: 1, status: 1 } }
+  );
+  for await (const message of cursor) {
+    const [, token] = message.text.match(INVITE_TOKEN);
+    const hide = (content) => content.replaceAll(token, OUTBOX_SECRET);
+
+    await outbox.updateOne(
+      { _id: message._id },
+      {
+        $set: {
+          text: hide(message.text),
+          html: hide(message.html),
+          secret: message.status === "sent" ? null : token,
+        },
+      }
+    );
+    updated++;
+  }
+
+  console.log(`Removed the invite token from ${updated} email(s)`);
+}
+
+migrate()
+  .catch((err) => {
+    console.error("Migration failed:", err);
+    process.exitCode = 1;
+  })
+  .finally(() => mongoose.disconnect());
@@ -5,13 +5,28 @@ require("dotenv").config();
 const morgan = require("morgan");
 const winston  = require("winston");
 const { addColors } = require("winston/lib/winston/config");
+const bcrypt = require("bcryptjs");
+const jwt = require("jsonwebtoken");
+const crypto = require("crypto");
+const multer = require("multer");
+const { parse: parseCsv } = require("csv-parse/sync");
+const ExcelJS = require("exceljs");
+const { stringify: stringifyCsv } = require("csv-stringify");
+const PDFDocument = require("pdfkit");
+const { once } = require("events");
+const Joi = require("joi");
+const nodemailer = require("nodemailer");
+const fs = require("fs");
+const path = require("path");
+const swaggerUi = require("swagger-ui-dist");
 
 //Define our core application
 const app = express(); //Basically calling the express object. This allows all the methods and fuctions from this package to be defined
 
 //Define our middleware
-app.use(cors());
-app.use(express.json());
+app.use(cors({ exposedHeaders: ["Content-Disposition"] })); //Lets the frontend read the file name of the exports
+//The limit is bigger than the default so a whole student import can be sent back in one request
+app.use(express.json({ limit: "2mb" }));
 app.use(express.static("public")); //Tells express to serve static files like images, css and javascript from a directory name "public"
 
 //To establish the mongoDB connection------------------------------------------ 
@@ -20,7 +35,10 @@ mongoose
     process.env.MONGODB_URI || "mongodb://localhost:27017/students-management",   
     { useNewUrlParser: true, useUnifiedTopology: true }
   )
-  .then(() => console.log("Connected to MongoDB"))
+  .then(() => {
+    console.log("Connected to MongoDB");
+    return seedAdminUser();
+  })
   .catch((err) => console.error("MongoDB connection error:", err));
   //END OF MONGODB CONNECTION--------------------------------------------------
 
@@ -44,8 +62,12 @@ const logger = winston.createLogger({
 });
 
 //Define login middleware for our complete login for our backend
+//The live updates ticket is left out of the logged URL (see "Live Updates" below)
+morgan.token("safe-url", (req) =>
+  req.originalUrl.replace(/([?&]ticket=)[^&]*/, "$1[hidden]")
+);
 app.use(
-  morgan(":method :url :status :response-time ms - :res[content-length]")
+  morgan(":method :safe-url :status :response-time ms - :res[content-length]")
 );
 
 //Define our custom API logger for our middleware
@@ -60,7 +82,7 @@ const apiLogger = (req, res, next) => {
       status: res.statusCode,
       duration: `${durations}ms`,
       params: req.params,
-      query: req.query,
+      query: { ...req.query, ...(req.query.ticket && { ticket: "[hidden]" }) },
       body: req.method !== "GET" ? req.body : undefined,
     });
   });
@@ -83,6 +105,109 @@ app.use((err, req, res, next) => {
   res.status(500).json({ message: "Internal server error" });
 });
 
+//The lifecycle of a student
+//A student starts as an applicant (or straight away as enrolled) and can only move along the transitions below
+const STUDENT_STATUSES = [
+  "applicant",
+  "enrolled",
+  "suspended",
+  "withdrawn",
+  "graduated",
+];
+const INITIAL_STUDENT_STATUSES = ["applicant", "enrolled"];
+const STUDENT_STATUS_TRANSITIONS = {
+  applicant: ["enrolled", "withdrawn"],
+  enrolled: ["suspended", "withdrawn", "graduated"],
+  suspended: ["enrolled", "withdrawn"],
+  withdrawn: ["applicant"], //A withdrawn student can apply again
+  graduated: [],
+};
+//The students that still take up a place in their course
+const CURRENT_STUDENT_STATUSES = ["applicant", "enrolled", "suspended"];
+
+//A student takes a course through an enrollment, which is active until it is completed, the student
+//withdraws from the course or the student is transferred to another course
+//When the course is full the enrollment waits on the waitlist until a seat frees up
+const ENROLLMENT_STATUSES = [
+  "active",
+  "waitlisted",
+  "completed",
+  "withdrawn",
+  "transferred",
+];
+//The enrollments that hold a student in a course, or in the queue for it
+const OPEN_ENROLLMENT_STATUSES = ["active", "waitlisted"];
+
+//Every status change is recorded on the student with the reason, who made it and when
+const statusChangeSchema = new mongoose.Schema(
+  {
+    from: {
+      type: String,
+      enum: [...STUDENT_STATUSES, null],
+      default: null, //null for the status the student was created with
+    },
+    to: {
+      type: String,
+      enum: STUDENT_STATUSES,
+      required: true,
+    },
+    reason: {
+      type: String,
+      required: true,
+    },
+    changedBy: {
+      type: mongoose.Schema.Types.ObjectId,
+      ref: "User",
+    },
+    changedAt: {
+      type: Date,
+      default: Date.now,
+    },
+  },
+  { _id: false }
+);
+
+//Soft delete for students and courses
+//Deleting only sets deletedAt, the record goes to the Trash and can be restored until the purge job removes it for good
+//Every query hides the deleted records, unless its filter asks for deletedAt itself or it sets the withDeleted option
+function softDelete(schema) {
+  schema.add({
+    deletedAt: {
+      type: Date,
+      default: null,
+    },
+  });
+  schema.index({ deletedAt: 1 });
+
+  schema.pre(
+    [
+      "find",
+      "findOne",
+      "countDocuments",
+      "findOneAndUpdate",
+      "updateOne",
+      "updateMany",
+    ],
+    function () {
+      if (this.getOptions().withDeleted) return;
+      if ("deletedAt" in this.getFilter()) return;
+      this.where({ deletedAt: null });
+    }
+  );
+
+  //The same for aggregations, a pipeline that starts with its own deletedAt $match is left alone
+  //A first $match gets the condition added instead of a new stage in front, because a $text search has to stay the first stage
+  schema.pre("aggregate", function () {
+    const pipeline = this.pipeline();
+    const [firstStage] = pipeline;
+    if (!firstStage || !firstStage.$match) {
+      pipeline.unshift({ $match: { deletedAt: null } });
+    } else if (!("deletedAt" in firstStage.$match)) {
+      pipeline[0] = { $match: { ...firstStage.$match, deletedAt: null } };
+    }
+  });
+}
+
 //To Define the Schemas for our Students Data
 //NOTE: A Schema is a like a blue-print that define the structure and rule for documents in the collection
 //This is going to create a new Schema in our mongodb database
@@ -96,19 +221,41 @@ const studentSchema = new mongoose.Schema(
       type: String,
       required: true,
       unique: true, // Because 2 students cannot have the same email
+      //Stored in lowercase so Jane@x.com and jane@x.com are the same student (see migrate:student-emails)
+      lowercase: true,
+      trim: true,
     },
-    course: {
+    status: {
       type: String,
-      required: true,
+      enum: STUDENT_STATUSES, //enum is basically a property that specifies a list of allowed values for fields
+      default: "enrolled",
     },
-    enrollmentDate: {
-      type: Date,
-      required: true,
+    statusHistory: {
+      type: [statusChangeSchema],
+      default: [],
     },
-    status: {
+    //Contact details, shown and edited on the student's profile
+    phone: {
       type: String,
-      enum: ["active", "inactive"], //enum is basically a property that specifies a list of allowed values for fields
-      default: "active",
+      trim: true,
+      default: "",
+    },
+    address: {
+      type: String,
+      trim: true,
+      default: "",
+    },
+    guardian: {
+      name: { type: String, trim: true, default: "" },
+      relationship: { type: String, trim: true, default: "" }, //e.g. "Mother"
+      phone: { type: String, trim: true, default: "" },
+      email: { type: String, trim: true, default: "" },
+    },
+    //The profile photo is one of the student's attachments (see "Student Profile")
+    photo: {
+      type: mongoose.Schema.Types.ObjectId,
+      ref: "Attachment",
+      default: null,
     },
   },
   {
@@ -116,6 +263,18 @@ const studentSchema = new mongoose.Schema(
   }
 );
 
+//Indexes for the filters and sorting used by GET /api/v1/students
+//The compound indexes start with the filter field so MongoDB can filter and sort in one go
+studentSchema.index({ createdAt: -1 });
+studentSchema.index({ name: 1 });
+studentSchema.index({ status: 1, createdAt: -1 });
+//The text index behind the student search, a match in the name counts more than one in the email
+studentSchema.index(
+  { name: "text", email: "text" },
+  { weights: { name: 3, email: 1 }, name: "student_search" }
+);
+softDelete(studentSchema);
+
 //For creating a Model from your schema in Mongoose
 //And the object we're going to create here is going to be use to ACCESS all the functions we're going to use to update the functions we're going to use for "update", "delete", "add" etc
 const Student = mongoose.model("Student", studentSchema);
@@ -142,241 +301,9214 @@ const courseSchema = new mongoose.Schema(
       enum: ["active", "inactive"],
       default: "active",
     },
+    //The most students that can be enrolled at once, null means there is no limit
+    capacity: {
+      type: Number,
+      min: 1,
+      default: null,
+    },
+    //The tuition for the whole course, every student who gets a seat is invoiced for it (see "Fees")
+    //null means the course is free
+    fee: {
+      type: Number,
+      min: 0,
+      default: null,
+    },
   },
   {
     timestamps: true,
   }
 );
 
-const Course = mongoose.model("Course", courseSchema);
+softDelete(courseSchema);
 
-//Our API Routes
-//Course Routes//Allow us to interact with Backend directly with the Frontend
+const Course = mongoose.model("Course", courseSchema);
 
-//Course Routes
+//The weekday and hours a course meets, e.g. { day: 1, startTime: "09:00", endTime: "11:00" } for Mondays 9 to 11
+//day is 0 for Sunday to 6 for Saturday, like Date.getDay(), the times are "HH:MM" on the 24 hour clock
+const meetingSchema = new mongoose.Schema(
+  {
+    day: {
+      type: Number,
+      min: 0,
+      max: 6,
+      required: true,
+    },
+    startTime: {
+      type: String,
+      required: true,
+    },
+    endTime: {
+      type: String,
+      required: true,
+    },
+    location: {
+      type: String,
+      trim: true,
+      default: "",
+    },
+  },
+  { _id: false }
+);
 
-//This API endpoint is for retrieving courses from the database
-app.get("/api/courses", async (req, res) => {
-  try {
-    const courses = await Course.find().sort({ name: 1 }); //This retrieves the first course from the database and sort them in alphabetical order
-    logger.info(`Retrieved ${courses.length} courses successfully`);
-    res.json(courses);
-  } catch (error) {
-    logger.error("Failed to retrieve courses", error);
-    res.status(500).json({ message: error.message });
+//The Schema for one run (cohort) of a course, e.g. the September 2025 intake
+//The course only says how many months it takes, an offering says when it runs and when the classes meet
+const offeringSchema = new mongoose.Schema(
+  {
+    course: {
+      type: mongoose.Schema.Types.ObjectId,
+      ref: "Course",
+      required: true,
+    },
+    name: {
+      type: String,
+      required: true,
+      trim: true,
+    },
+    startDate: {
+      type: Date,
+      required: true,
+    },
+    //Always worked out from the start date and Course.duration, never sent by the client
+    endDate: {
+      type: Date,
+      required: true,
+    },
+    meetings: {
+      type: [meetingSchema],
+      default: [],
+    },
+  },
+  {
+    timestamps: true,
   }
-});
+);
 
-//This API endpoint is for creating new courses
-app.post("/api/courses", async (req, res) => {
-  try {
-    const courses = new Course(req.body);
-    const savedCourse = await courses.save();
-    logger.info("New Course created:", {
-      couresId: savedCourse._id,
-      name: savedCourse.name,
-    });
-    res.status(201).json(savedCourse);
-  } catch (error) {
-    logger.error("Error creating Course", error);
-    res.status(400).json({ message: error.message });
-  }
-});
+offeringSchema.index({ course: 1, name: 1 }, { unique: true }); //An offering name is used once per course
+offeringSchema.index({ course: 1, startDate: 1 });
+offeringSchema.index({ startDate: 1, endDate: 1 });
 
-//THis API endpoint is for Updating or Editing a Course
-app.put("/api/course/:id", async (req, res) => {
-  try {
-    const course = await Course.findByIdAndUpdate(req.params.id, req.body, {
-      new: true,
-    });
-    if (!course) {
-      logger.warn("Course not found for update:", { courseId: req.params.id });
-      return res.status(404).json({ message: "Course not found" });
-    }
-    logger.info("Course updated successfully:", {
-      courseId: course._id,
-      name: course.name,
-    });
-    res.json(course);
-  } catch (error) {
-    logger.error("Error updating course:", error);
-    res.status(400).json({ message: error.message });
-  }
-});
+const Offering = mongoose.model("Offering", offeringSchema);
 
-//This API endpoint is for Deleting a Course, but also check if the a Student is attached to the course
-app.delete("/api/courses/:id", async (req, res) => {
-  try {
-    const enrolledStudents = await Student.countDocuments({
-      courseId: req.params.id,
-    });
-    if (enrolledStudents > 0) {
-      logger.warn("Attempting to delete course with enrolled students:", {
-        courseId: req.params.id,
-        enrolledStudents,
-      });
-      return res.status(400).json({
-        message: "Course deleted successfully with enrollment students",
-      });
-    }
-    const course = await Course.findByIdAndDelete(req.params.id);
-    if (!course) {
-      logger.warn("Course not found for deletion:", {
-        courseId: req.params.id,
-      });
-      return res.status(404).json({ message: "Course not found" });
-    }
-    logger.info("Course deleted successfully:", {
-      courseId: course._id,
-      name: course.name,
-    });
-    res.json({ message: "Course deleted successfully" });
-  } catch (error) {
-    logger.error("Error deleting course:", error);
-    res.status(500).json({ message: error.message });
+//The Schema for the calendar feeds, a secret link to the .ics file of a course or a student
+//A calendar app subscribes to the link without logging in, so a feed is for a course or for a student, and
+//there is at most one of each, making a new link replaces the old one and deleting the feed revokes it
+const calendarFeedSchema = new mongoose.Schema(
+  {
+    course: {
+      type: mongoose.Schema.Types.ObjectId,
+      ref: "Course",
+      default: null,
+    },
+    student: {
+      type: mongoose.Schema.Types.ObjectId,
+      ref: "Student",
+      default: null,
+    },
+    //Only a hash of the token is stored, like the portal invites
+    tokenHash: {
+      type: String,
+      required: true,
+      unique: true,
+      select: false,
+    },
+    createdBy: {
+      type: mongoose.Schema.Types.ObjectId,
+      ref: "User",
+    },
+  },
+  {
+    timestamps: true,
   }
-});
+);
 
-//Student Routes
+calendarFeedSchema.index({ course: 1, student: 1 }, { unique: true });
 
-//This GET API endpoint get or retrieve the students from the Datatables from the date they were created and sort them, and '-1" means the newest students first
-app.get("/api/students", async (req, res) => {
-  try {
-    const students = await Student.find().sort({ createdAt: -1 }); //We're getting the students from when they where created, sort them in acending order. The "-1" Means the NEWEST first    logger.info(`Retrieved ${students.length} students successfully`);
-    res.json(students);
-  } catch (error) {
-    logger.error("Error while fetching students:", error);
-    res.status(500).json({ message: error.message });
+const CalendarFeed = mongoose.model("CalendarFeed", calendarFeedSchema);
+
+//The Schema for the teachers and teaching assistants, they are not users and don't log in
+const instructorSchema = new mongoose.Schema(
+  {
+    name: {
+      type: String,
+      required: true,
+      trim: true,
+    },
+    email: {
+      type: String,
+      required: true,
+      trim: true,
+      unique: true,
+    },
+    phone: {
+      type: String,
+      trim: true,
+      default: "",
+    },
+    title: {
+      type: String,
+      trim: true,
+      default: "", //e.g. "Senior Lecturer"
+    },
+    status: {
+      type: String,
+      enum: ["active", "inactive"],
+      default: "active",
+    },
+  },
+  {
+    timestamps: true,
   }
-});
+);
 
-//This POST API endpoint will creates a new students in the database using the data sent in the request body...
-//Basically the data sent from the frontend it's going to be used in the backend from this request body inorder to pass...
-//onto our object and then use this data to create a new students
+instructorSchema.index({ name: 1 });
 
-app.post("/api/students", async (req, res) => {
-  try {
-    const student = new Student(req.body);
-    const savedStudent = await student.save();
-    logger.info("Student created successfully:", {
-      studentId: savedStudent._id,
-      name: savedStudent.name,
-      course: savedStudent.course,
-    });
-    res.status(201).json(savedStudent);
-  } catch (error) {
-    logger.error("Error creating student:", error);
-    res.status(400).json({ message: error.message });
-  }
-});
+const Instructor = mongoose.model("Instructor", instructorSchema);
 
-//THis API endpoint is for Updating or Editing a Student
-app.put("/api/students/:id", async (req, res) => {
-  try {
-    const student = await Student.findByIdAndUpdate(req.params.id, req.body, {
-      new: true,
-    });
-    if (!student) {
-      logger.warn("Student not found for update:", {
-        studentId: req.params.id,
-      });
-      return res.status(404).json({ message: "Student not found" });
-    }
-    logger.info("Student updated successfully:", {
-      studentId: student._id,
-      name: student.name,
-      course: student.course,
-    });
-    res.json(student);
-  } catch (error) {
-    logger.error("Error updating student:", error);
-    res.status(400).json({ message: error.message });
+//Who teaches a course: an instructor can teach many courses and a course can have many instructors
+//A course has at most one lead instructor, everyone else assists
+const INSTRUCTOR_ROLES = ["lead", "assistant"];
+const courseInstructorSchema = new mongoose.Schema(
+  {
+    course: {
+      type: mongoose.Schema.Types.ObjectId,
+      ref: "Course",
+      required: true,
+    },
+    instructor: {
+      type: mongoose.Schema.Types.ObjectId,
+      ref: "Instructor",
+      required: true,
+    },
+    role: {
+      type: String,
+      enum: INSTRUCTOR_ROLES,
+      default: "assistant",
+    },
+  },
+  {
+    timestamps: true,
   }
-});
+);
 
-//This API endpoint is for Deleting a Student
-app.delete("/api/students/:id", async (req, res) => {
-  try {
-    const student = await Student.findByIdAndDelete(req.params.id);
-    if (!student) {
-      logger.warn("Student not found for deletion:", {
-        studentId: req.params.id,
-      });
-      return res.status(404).json({ message: "Student not found" });
-    }
-    logger.info("Student deleted successfully:", {
-      courseId: student._id,
-      name: student.name,
-    });
-    res.json({ message: "Student deleted successfully" });
-  } catch (error) {
-    logger.error("Error deleting student:", error);
-    res.status(500).json({ message: error.message });
+courseInstructorSchema.index({ course: 1, instructor: 1 }, { unique: true });
+courseInstructorSchema.index({ instructor: 1 });
+courseInstructorSchema.index(
+  { course: 1 },
+  {
+    unique: true,
+    partialFilterExpression: { role: "lead" },
+    name: "one_lead_per_course",
   }
-});
+);
 
-//This API endpoint is for Searching students
-app.get("/api/student/search", async (req, res) => {
-  try {
-    const searchTerm = req.query.term;
-    logger.info("Searching students initiated:", { searchTerm });
-
-    const students = await Student.find({
-      $or: [
-        { name: { $regex: searchTerm, $options: "i" } },
-        { email: { $regex: searchTerm, $options: "i" } },
-        { course: { $regex: searchTerm, $options: "i" } },
-      ],
-    });
-    logger.info("Student search completed:", {
-      searchTerm,
-      resultsCount: students.length,
-    });
-    res.json(students);
-  } catch (error) {
-    logger.error("Error searching student:", error);
-    res.status(500).json({ message: error.message });
-  }
+const CourseInstructor = mongoose.model(
+  "CourseInstructor",
+  courseInstructorSchema
+);
+
+//A running number per kind of document, e.g. { _id: "invoice", seq: 42 } for the invoice numbers
+const counterSchema = new mongoose.Schema({
+  _id: String,
+  seq: {
+    type: Number,
+    default: 0,
+  },
 });
 
-//Final endpoint for our students dashboard.
-//This endpoint will help agregate all the data we've stored
+const Counter = mongoose.model("Counter", counterSchema);
 
-//Dashboard Stats
-app.get("/api/dashboard/stats", async (req, res) => {
-  try {
-    const stats = await getDashboardStats();
-    logger.info("Dashboard statistics retrieved successfully", stats);
-    res.status(500).json({ message: error.message });
-  } catch (error) {
-    logger.error("Error fetching dashboard stats:", error);
-    res.status(500).json({ message: error.message });
+//The Schema for the invoices, one for every enrollment in a course with a fee once the student has a seat
+//The amount is the fee at that moment, changing the fee of the course later doesn't change the invoices already made
+const invoiceSchema = new mongoose.Schema(
+  {
+    number: {
+      type: String,
+      required: true,
+      unique: true, //e.g. "INV-000042"
+    },
+    student: {
+      type: mongoose.Schema.Types.ObjectId,
+      ref: "Student",
+      required: true,
+    },
+    course: {
+      type: mongoose.Schema.Types.ObjectId,
+      ref: "Course",
+      required: true,
+    },
+    enrollment: {
+      type: mongoose.Schema.Types.ObjectId,
+      ref: "Enrollment",
+      required: true,
+      unique: true,
+    },
+    amount: {
+      type: Number,
+      min: 0,
+      required: true,
+    },
+    issuedAt: {
+      type: Date,
+      default: Date.now,
+    },
+    dueDate: {
+      type: Date,
+      required: true,
+    },
+  },
+  {
+    timestamps: true,
   }
-});
+);
 
-//Helper function for dashboard stats
-async function getDashboardStats() {
-  const totalStudents = await Student.countDocuments();
-  const activeStudents = await Student.countDocuments({ status: "active" });
-  const totalCourses = await Course.countDocuments();
+invoiceSchema.index({ student: 1, issuedAt: -1 });
+invoiceSchema.index({ course: 1 });
+
+const Invoice = mongoose.model("Invoice", invoiceSchema);
+
+//The Schema for the payment ledger, every payment, refund and discount on an invoice is one entry
+//Entries are never changed or deleted, a mistake is put right with another entry (e.g. a refund for a payment booked twice)
+//What is still owed is the invoice amount - payments - discounts + refunds
+const LEDGER_ENTRY_TYPES = ["payment", "refund", "discount"];
+const PAYMENT_METHODS = ["cash", "card", "bankTransfer", "cheque", "other"];
+const ledgerEntrySchema = new mongoose.Schema(
+  {
+    invoice: {
+      type: mongoose.Schema.Types.ObjectId,
+      ref: "Invoice",
+      required: true,
+    },
+    //Copied from the invoice so the reports don't have to join it
+    student: {
+      type: mongoose.Schema.Types.ObjectId,
+      ref: "Student",
+      required: true,
+    },
+    course: {
+      type: mongoose.Schema.Types.ObjectId,
+      ref: "Course",
+      required: true,
+    },
+    type: {
+      type: String,
+      enum: LEDGER_ENTRY_TYPES,
+      required: true,
+    },
+    amount: {
+      type: Number,
+      min: 0.01,
+      required: true,
+    },
+    //How the money came in or went out, a discount has none
+    method: {
+      type: String,
+      enum: [...PAYMENT_METHODS, null],
+      default: null,
+    },
+    reference: {
+      type: String,
+      trim: true,
+      default: "", //e.g. the bank transfer reference
+    },
+    note: {
+      type: String,
+      trim: true,
+      default: "",
+    },
+    date: {
+      type: Date,
+      default: Date.now,
+    },
+    //Payments and refunds get a receipt, e.g. "RCT-000007"
+    receiptNumber: {
+      type: String,
+      default: null,
+    },
+    recordedBy: {
+      type: mongoose.Schema.Types.ObjectId,
+      ref: "User",
+    },
+    recordedByName: String, //Kept on the entry like AuditEvent.actorName
+  },
+  {
+    timestamps: true,
+  }
+);
+
+ledgerEntrySchema.index({ invoice: 1, date: 1 });
+ledgerEntrySchema.index({ student: 1 });
+ledgerEntrySchema.index(
+  { receiptNumber: 1 },
+  {
+    unique: true,
+    partialFilterExpression: { receiptNumber: { $type: "string" } },
+  }
+);
+
+const LedgerEntry = mongoose.model("LedgerEntry", ledgerEntrySchema);
+
+//The Schema for a student taking a course, a student can have many of these (one per course)
+//Ended enrollments are kept, they are the student's course history
+const enrollmentSchema = new mongoose.Schema(
+  {
+    student: {
+      type: mongoose.Schema.Types.ObjectId,
+      ref: "Student",
+      required: true,
+    },
+    course: {
+      type: mongoose.Schema.Types.ObjectId,
+      ref: "Course",
+      required: true,
+    },
+    startDate: {
+      type: Date,
+      required: true,
+    },
+    endDate: {
+      type: Date,
+      default: null, //Set when the enrollment stops being active
+    },
+    status: {
+      type: String,
+      enum: ENROLLMENT_STATUSES,
+      default: "active",
+    },
+    //The enrollment this one replaced when the student was transferred from another course
+    transferredFrom: {
+      type: mongoose.Schema.Types.ObjectId,
+      ref: "Enrollment",
+      default: null,
+    },
+    //The place in the course's waitlist, the lowest one is promoted first (null when not waitlisted)
+    waitlistPosition: {
+      type: Number,
+      default: null,
+    },
+    //The offering (cohort) of the course the student takes, null when the student was not put in one
+    offering: {
+      type: mongoose.Schema.Types.ObjectId,
+      ref: "Offering",
+      default: null,
+    },
+  },
+  {
+    timestamps: true,
+  }
+);
+
+enrollmentSchema.index({ student: 1, status: 1, startDate: 1 });
+enrollmentSchema.index({ course: 1, status: 1, waitlistPosition: 1 });
+enrollmentSchema.index({ startDate: -1 });
+enrollmentSchema.index({ offering: 1, status: 1 });
+
+const Enrollment = mongoose.model("Enrollment", enrollmentSchema);
+
+//The Schema for the users that can log in to the dashboard
+//The role decides which API routes the user is allowed to call
+const userSchema = new mongoose.Schema(
+  {
+    name: {
+      type: String,
+      required: true,
+    },
+    email: {
+      type: String,
+      required: true,
+      unique: true,
+      lowercase: true,
+      trim: true,
+    },
+    password: {
+      type: String,
+      required: true,
+      select: false, //The password hash is never sent back unless we ask for it explicitly
+    },
+    role: {
+      type: String,
+      enum: ["admin", "registrar", "viewer"],
+      default: "viewer",
+    },
+  },
+  {
+    timestamps: true,
+  }
+);
+
+//Hash the password every time it is set or changed, so we never store it in plain text
+userSchema.pre("save", async function (next) {
+  if (!this.isModified("password")) return next();
+  this.password = await bcrypt.hash(this.password, 10);
+  next();
+});
+
+userSchema.methods.comparePassword = function (candidatePassword) {
+  return bcrypt.compare(candidatePassword, this.password);
+};
+
+//Remove the password from every JSON response, even when it was selected
+userSchema.set("toJSON", {
+  transform: (doc, ret) => {
+    delete ret.password;
+    return ret;
+  },
+});
+
+const User = mongoose.model("User", userSchema);
+
+//When a user logs out we store the token id here until the token would have expired anyway
+//The TTL index lets MongoDB remove the expired entries by itself
+const revokedTokenSchema = new mongoose.Schema({
+  jti: {
+    type: String,
+    required: true,
+    unique: true,
+  },
+  expiresAt: {
+    type: Date,
+    required: true,
+    index: { expires: 0 },
+  },
+});
+
+const RevokedToken = mongoose.model("RevokedToken", revokedTokenSchema);
+
+//The Schema for the audit trail
+//One event is stored for every create, update and delete of a Student, Course or Enrollment, with the fields that changed
+const AUDIT_ENTITIES = ["Student", "Course", "Enrollment"];
+const auditEventSchema = new mongoose.Schema({
+  entity: {
+    type: String,
+    enum: AUDIT_ENTITIES,
+    required: true,
+  },
+  entityId: {
+    type: mongoose.Schema.Types.ObjectId,
+    required: true,
+  },
+  action: {
+    type: String,
+    enum: ["create", "update", "delete", "restore"],
+    required: true,
+  },
+  //For every changed field the value before and after, e.g. { field: "name", before: "Ann", after: "Anne" }
+  changes: [
+    {
+      _id: false,
+      field: String,
+      before: mongoose.Schema.Types.Mixed,
+      after: mongoose.Schema.Types.Mixed,
+    },
+  ],
+  actor: {
+    type: mongoose.Schema.Types.ObjectId,
+    ref: "User",
+  },
+  actorName: String, //Kept on the event so the log still reads well if the user is deleted later
+  route: String, //e.g. "PUT /api/v1/students/66f..."
+  createdAt: {
+    type: Date,
+    default: Date.now,
+  },
+});
+
+auditEventSchema.index({ entity: 1, entityId: 1, createdAt: -1 });
+auditEventSchema.index({ createdAt: -1 });
+auditEventSchema.index({ actor: 1, createdAt: -1 });
+
+const AuditEvent = mongoose.model("AuditEvent", auditEventSchema);
+
+//The Schema for a class session of a course, e.g. the lecture on 12 March
+const sessionSchema = new mongoose.Schema(
+  {
+    course: {
+      type: mongoose.Schema.Types.ObjectId,
+      ref: "Course",
+      required: true,
+    },
+    date: {
+      type: Date,
+      required: true,
+    },
+    topic: {
+      type: String,
+      trim: true,
+      default: "",
+    },
+  },
+  {
+    timestamps: true,
+  }
+);
+
+sessionSchema.index({ course: 1, date: -1 });
+
+const Session = mongoose.model("Session", sessionSchema);
+
+//The attendance of one student at one session
+//present and late count as attended, excused is left out of the attendance rate
+const ATTENDANCE_STATUSES = ["present", "absent", "late", "excused"];
+
+const attendanceSchema = new mongoose.Schema(
+  {
+    session: {
+      type: mongoose.Schema.Types.ObjectId,
+      ref: "Session",
+      required: true,
+    },
+    student: {
+      type: mongoose.Schema.Types.ObjectId,
+      ref: "Student",
+      required: true,
+    },
+    //Copied from the session so the rates per course don't need a join
+    course: {
+      type: mongoose.Schema.Types.ObjectId,
+      ref: "Course",
+      required: true,
+    },
+    status: {
+      type: String,
+      enum: ATTENDANCE_STATUSES,
+      required: true,
+    },
+    markedBy: {
+      type: mongoose.Schema.Types.ObjectId,
+      ref: "User",
+    },
+  },
+  {
+    timestamps: true,
+  }
+);
+
+attendanceSchema.index({ session: 1, student: 1 }, { unique: true }); //A student is marked once per session
+attendanceSchema.index({ student: 1, course: 1 });
+attendanceSchema.index({ course: 1, student: 1 });
+
+const Attendance = mongoose.model("Attendance", attendanceSchema);
+
+//The Schema for an assessment of a course, e.g. { name: "Midterm exam", weight: 30, maxScore: 50 }
+//The weights don't have to add up to 100, the final score divides by the weights that were graded
+const assessmentSchema = new mongoose.Schema(
+  {
+    course: {
+      type: mongoose.Schema.Types.ObjectId,
+      ref: "Course",
+      required: true,
+    },
+    name: {
+      type: String,
+      required: true,
+      trim: true,
+    },
+    weight: {
+      type: Number,
+      required: true,
+      min: 0,
+    },
+    maxScore: {
+      type: Number,
+      required: true,
+      min: 1,
+    },
+  },
+  {
+    timestamps: true,
+  }
+);
+
+assessmentSchema.index({ course: 1, createdAt: 1 });
+
+const Assessment = mongoose.model("Assessment", assessmentSchema);
+
+//The score of one student for one assessment
+const gradeSchema = new mongoose.Schema(
+  {
+    assessment: {
+      type: mongoose.Schema.Types.ObjectId,
+      ref: "Assessment",
+      required: true,
+    },
+    student: {
+      type: mongoose.Schema.Types.ObjectId,
+      ref: "Student",
+      required: true,
+    },
+    //Copied from the assessment, so a student's grades can be grouped by course
+    course: {
+      type: mongoose.Schema.Types.ObjectId,
+      ref: "Course",
+      required: true,
+    },
+    score: {
+      type: Number,
+      required: true,
+      min: 0,
+    },
+    gradedBy: {
+      type: mongoose.Schema.Types.ObjectId,
+      ref: "User",
+    },
+  },
+  {
+    timestamps: true,
+  }
+);
+
+gradeSchema.index({ assessment: 1, student: 1 }, { unique: true });
+gradeSchema.index({ student: 1, course: 1 });
+gradeSchema.index({ course: 1 });
+
+const Grade = mongoose.model("Grade", gradeSchema);
+
+//The letter grade bands, kept in a single document so admins can change them
+//Each band is the lowest final score (in %) for its letter, e.g. { letter: "A", min: 90 }
+const gradingScaleSchema = new mongoose.Schema(
+  {
+    bands: [
+      {
+        _id: false,
+        letter: { type: String, required: true, trim: true },
+        min: { type: Number, required: true, min: 0, max: 100 },
+      },
+    ],
+  },
+  {
+    timestamps: true,
+  }
+);
+
+const GradingScale = mongoose.model("GradingScale", gradingScaleSchema);
+
+//The Schema for the settings an admin can change in the Settings section, one document per setting
+//The value is checked against SETTING_FIELDS before it is saved, a setting that was never saved has its default
+const settingSchema = new mongoose.Schema(
+  {
+    key: {
+      type: String,
+      required: true,
+      unique: true,
+    },
+    value: mongoose.Schema.Types.Mixed,
+    updatedBy: {
+      type: mongoose.Schema.Types.ObjectId,
+      ref: "User",
+    },
+  },
+  {
+    timestamps: true,
+  }
+);
+
+const Setting = mongoose.model("Setting", settingSchema);
+
+//The Schema for the files uploaded for a student, e.g. a copy of their ID or a certificate
+//The file itself is kept by the file storage (see "Student Profile"), this is what we know about it
+const ATTACHMENT_CATEGORIES = ["photo", "id", "certificate", "other"];
+
+const attachmentSchema = new mongoose.Schema(
+  {
+    student: {
+      type: mongoose.Schema.Types.ObjectId,
+      ref: "Student",
+      required: true,
+    },
+    category: {
+      type: String,
+      enum: ATTACHMENT_CATEGORIES,
+      default: "other",
+    },
+    fileName: {
+      type: String,
+      required: true,
+    }, //The name of the file that was uploaded
+    contentType: {
+      type: String,
+      required: true,
+    },
+    size: {
+      type: Number,
+      required: true,
+    }, //In bytes
+    //Where the file storage keeps the file, it is never sent to the frontend
+    storageKey: {
+      type: String,
+      required: true,
+      select: false,
+    },
+    uploadedBy: {
+      type: mongoose.Schema.Types.ObjectId,
+      ref: "User",
+    },
+  },
+  {
+    timestamps: true,
+  }
+);
+
+attachmentSchema.index({ student: 1, createdAt: -1 });
+
+const Attachment = mongoose.model("Attachment", attachmentSchema);
+
+//The Schema for the notes staff keep about a student, e.g. what was agreed in a meeting
+const studentNoteSchema = new mongoose.Schema(
+  {
+    student: {
+      type: mongoose.Schema.Types.ObjectId,
+      ref: "Student",
+      required: true,
+    },
+    text: {
+      type: String,
+      required: true,
+      trim: true,
+    },
+    author: {
+      type: mongoose.Schema.Types.ObjectId,
+      ref: "User",
+    },
+    authorName: String, //Kept on the note so it still reads well if the user is deleted later
+  },
+  {
+    timestamps: true,
+  }
+);
+
+studentNoteSchema.index({ student: 1, createdAt: -1 });
+
+const StudentNote = mongoose.model("StudentNote", studentNoteSchema);
+
+//The Schema for the Student Portal logins, a student gets one when the staff invite them
+//The invite link sets the first password, inviting again sends a new link (e.g. for a forgotten password)
+const portalAccountSchema = new mongoose.Schema(
+  {
+    student: {
+      type: mongoose.Schema.Types.ObjectId,
+      ref: "Student",
+      required: true,
+      unique: true,
+    },
+    password: {
+      type: String,
+      select: false, //Like the users, the hash is never sent back
+    },
+    //Only a hash of the invite token is stored, the token itself is only in the email (see OutboxMessage.secret)
+    inviteTokenHash: {
+      type: String,
+      select: false,
+    },
+    invitedAt: Date,
+    inviteExpiresAt: Date,
+    activatedAt: Date, //When the student set their password
+    //The portal tokens from before are not accepted any more, so a new password logs out the other devices
+    passwordChangedAt: Date,
+    lastLoginAt: Date,
+  },
+  {
+    timestamps: true,
+  }
+);
+
+portalAccountSchema.pre("save", async function (next) {
+  if (!this.isModified("password") || !this.password) return next();
+  this.password = await bcrypt.hash(this.password, 10);
+  this.passwordChangedAt = new Date();
+  next();
+});
+
+portalAccountSchema.methods.comparePassword = function (candidatePassword) {
+  return bcrypt.compare(candidatePassword, this.password);
+};
+
+const PortalAccount = mongoose.model("PortalAccount", portalAccountSchema);
+
+//The Schema for the requests students send from the portal, the registrars approve or reject them
+//courseChange moves an enrollment to another course, withdrawal leaves one course (or all studies without an enrollment)
+const STUDENT_REQUEST_TYPES = ["courseChange", "withdrawal"];
+const STUDENT_REQUEST_STATUSES = [
+  "pending",
+  "approved",
+  "rejected",
+  "cancelled",
+];
+
+const studentRequestSchema = new mongoose.Schema(
+  {
+    student: {
+      type: mongoose.Schema.Types.ObjectId,
+      ref: "Student",
+      required: true,
+    },
+    type: {
+      type: String,
+      enum: STUDENT_REQUEST_TYPES,
+      required: true,
+    },
+    enrollment: {
+      type: mongoose.Schema.Types.ObjectId,
+      ref: "Enrollment",
+      default: null,
+    },
+    course: {
+      type: mongoose.Schema.Types.ObjectId,
+      ref: "Course",
+      default: null,
+    }, //The course to change to
+    reason: {
+      type: String,
+      required: true,
+      trim: true,
+    },
+    status: {
+      type: String,
+      enum: STUDENT_REQUEST_STATUSES,
+      default: "pending",
+    },
+    decidedBy: {
+      type: mongoose.Schema.Types.ObjectId,
+      ref: "User",
+      default: null,
+    },
+    decidedAt: {
+      type: Date,
+      default: null,
+    },
+    decisionNote: {
+      type: String,
+      default: "",
+    }, //Sent to the student, e.g. why a request was rejected
+  },
+  {
+    timestamps: true,
+  }
+);
+
+studentRequestSchema.index({ status: 1, createdAt: 1 });
+studentRequestSchema.index({ student: 1, createdAt: -1 });
+
+const StudentRequest = mongoose.model("StudentRequest", studentRequestSchema);
+
+//The Schema for the email outbox
+//Every email is saved here first and then sent by the outbox worker, so a mail server that is down only delays it
+const OUTBOX_STATUSES = ["pending", "sending", "sent", "failed"];
+
+//One entry of the delivery log, there is one for every attempt to send the email
+const deliveryAttemptSchema = new mongoose.Schema(
+  {
+    at: {
+      type: Date,
+      default: Date.now,
+    },
+    ok: {
+      type: Boolean,
+      required: true,
+    },
+    detail: {
+      type: String,
+      default: "", //The server's answer, or the error
+    },
+  },
+  { _id: false }
+);
+
+const outboxMessageSchema = new mongoose.Schema(
+  {
+    template: {
+      type: String,
+      required: true,
+    },
+    to: {
+      type: String,
+      required: true,
+    },
+    //The student the email is about, so their emails can be looked up
+    student: {
+      type: mongoose.Schema.Types.ObjectId,
+      ref: "Student",
+      default: null,
+    },
+    subject: {
+      type: String,
+      required: true,
+    },
+    text: {
+      type: String,
+      required: true,
+    },
+    html: {
+      type: String,
+      required: true,
+    },
+    //A secret of the email (e.g. the portal invite token), text and html have OUTBOX_SECRET in its place
+    //It is only put in when the email is sent and cleared once it is, so the outbox never shows it
+    secret: {
+      type: String,
+      default: null,
+      select: false,
+    },
+    status: {
+      type: String,
+      enum: OUTBOX_STATUSES,
+      default: "pending",
+    },
+    attempts: {
+      type: Number,
+      default: 0,
+    },
+    nextAttemptAt: {
+      type: Date,
+      default: Date.now,
+    },
+    sentAt: {
+      type: Date,
+      default: null,
+    },
+    lastError: {
+      type: String,
+      default: "",
+    },
+    log: {
+      type: [deliveryAttemptSchema],
+      default: [],
+    },
+  },
+  {
+    timestamps: true,
+  }
+);
+
+outboxMessageSchema.index({ status: 1, nextAttemptAt: 1 }); //The worker's query
+outboxMessageSchema.index({ student: 1, createdAt: -1 });
+
+const OutboxMessage = mongoose.model(
+  "OutboxMessage",
+  outboxMessageSchema,
+  "outbox"
+);
+
+//The Schema for the webhook subscriptions of other systems (e.g. the SIS or the LMS)
+//Every change made through the API is sent as an event to the subscriptions that listen for it
+const WEBHOOK_EVENTS = [
+  "student.created",
+  "student.updated",
+  "student.deleted",
+  "student.restored",
+  "course.created",
+  "course.updated",
+  "course.deleted",
+  "course.restored",
+  "enrollment.created",
+  "enrollment.updated",
+  "waitlist.reordered",
+  "offering.created",
+  "offering.updated",
+  "offering.deleted",
+  "portal_access.granted",
+  "portal_access.revoked",
+  "request.created",
+  "request.cancelled",
+  "request.approved",
+  "request.rejected",
+  "calendar_feed.created",
+  "calendar_feed.revoked",
+  "instructor.created",
+  "instructor.updated",
+  "instructor.deleted",
+  "instructor.assigned",
+  "instructor.unassigned",
+  "invoice.created",
+  "payment.recorded",
+  "refund.recorded",
+  "discount.recorded",
+  "attachment.created",
+  "attachment.deleted",
+  "note.created",
+  "note.deleted",
+  "session.created",
+  "session.deleted",
+  "attendance.recorded",
+  "assessment.created",
+  "assessment.updated",
+  "assessment.deleted",
+  "grades.recorded",
+  "grading_scale.updated",
+  "settings.updated",
+  "user.created",
+  "user.updated",
+  "user.deleted",
+];
+
+const webhookSubscriptionSchema = new mongoose.Schema(
+  {
+    url: {
+      type: String,
+      required: true,
+      trim: true,
+    },
+    //The events to send, "*" sends all of them
+    events: {
+      type: [{ type: String, enum: ["*", ...WEBHOOK_EVENTS] }],
+      required: true,
+    },
+    //Used to sign the deliveries, so the receiver can check they really come from us
+    secret: {
+      type: String,
+      required: true,
+      select: false, //Only sent back when it is created or changed
+    },
+    description: {
+      type: String,
+      trim: true,
+      default: "",
+    },
+    active: {
+      type: Boolean,
+      default: true,
+    },
+    createdBy: {
+      type: mongoose.Schema.Types.ObjectId,
+      ref: "User",
+      default: null,
+    },
+  },
+  {
+    timestamps: true,
+  }
+);
+
+const WebhookSubscription = mongoose.model(
+  "WebhookSubscription",
+  webhookSubscriptionSchema
+);
+
+//The Schema for one event sent to one subscription, it is retried until it is delivered or runs out of attempts
+//The log holds every attempt, so this is also the delivery log of the subscription
+const WEBHOOK_DELIVERY_STATUSES = ["pending", "sending", "delivered", "failed"];
+
+const webhookAttemptSchema = deliveryAttemptSchema.clone();
+webhookAttemptSchema.add({
+  statusCode: {
+    type: Number,
+    default: null, //No answer, e.g. a timeout
+  },
+  durationMs: {
+    type: Number,
+    default: 0,
+  },
+});
+
+const webhookDeliverySchema = new mongoose.Schema(
+  {
+    subscription: {
+      type: mongoose.Schema.Types.ObjectId,
+      ref: "WebhookSubscription",
+      required: true,
+    },
+    event: {
+      type: String,
+      required: true,
+    },
+    //The JSON body that is sent: { id, event, createdAt, data }
+    payload: {
+      type: mongoose.Schema.Types.Mixed,
+      required: true,
+    },
+    status: {
+      type: String,
+      enum: WEBHOOK_DELIVERY_STATUSES,
+      default: "pending",
+    },
+    attempts: {
+      type: Number,
+      default: 0,
+    },
+    nextAttemptAt: {
+      type: Date,
+      default: Date.now,
+    },
+    deliveredAt: {
+      type: Date,
+      default: null,
+    },
+    lastError: {
+      type: String,
+      default: "",
+    },
+    log: {
+      type: [webhookAttemptSchema],
+      default: [],
+    },
+  },
+  {
+    timestamps: true,
+  }
+);
+
+webhookDeliverySchema.index({ status: 1, nextAttemptAt: 1 }); //The worker's query
+webhookDeliverySchema.index({ subscription: 1, createdAt: -1 });
+
+const WebhookDelivery = mongoose.model(
+  "WebhookDelivery",
+  webhookDeliverySchema
+);
+
+//Authentication settings
+//Without JWT_SECRET the server only starts with NODE_ENV=development, it then makes up a secret of its own
+//That secret is gone on a restart, so everybody has to log in again
+if (!process.env.JWT_SECRET && process.env.NODE_ENV !== "development") {
+  logger.error("JWT_SECRET is not set, the server can't sign its tokens");
+  process.exit(1);
+}
+const JWT_SECRET =
+  process.env.JWT_SECRET || crypto.randomBytes(32).toString("hex");
+const JWT_EXPIRES_IN = process.env.JWT_EXPIRES_IN || "8h";
+if (!process.env.JWT_SECRET) {
+  logger.warn("JWT_SECRET is not set, using a random secret until the restart");
+}
+
+//Authentication middleware
+//Checks the "Authorization: Bearer <token>" header and attaches the logged in user to req.user
+const authenticate = async (req, res, next) => {
+  try {
+    const header = req.headers.authorization || "";
+    const [scheme, token] = header.split(" ");
+    if (scheme !== "Bearer" || !token) {
+      return res.status(401).json({ message: "Authentication required" });
+    }
+
+    let payload;
+    try {
+      payload = jwt.verify(token, JWT_SECRET);
+    } catch (error) {
+      return res.status(401).json({ message: "Invalid or expired token" });
+    }
+    //A live updates ticket only opens the event stream, it is not a login
+    if (payload.purpose) {
+      return res.status(401).json({ message: "Invalid or expired token" });
+    }
+
+    if (await RevokedToken.exists({ jti: payload.jti })) {
+      return res.status(401).json({ message: "Token has been revoked" });
+    }
+
+    //Load the user again so a deleted user or a changed role takes effect straight away
+    const user = await User.findById(payload.sub);
+    if (!user) {
+      return res.status(401).json({ message: "User no longer exists" });
+    }
+
+    req.user = user;
+    req.token = payload;
+    next();
+  } catch (error) {
+    logger.error("Error authenticating request:", error);
+    res.status(500).json({ message: error.message });
+  }
+};
+
+//Role-based access middleware, e.g. authorize("admin") only lets admins through
+//It has to run after authenticate
+function authorize(...roles) {
+  return (req, res, next) => {
+    if (!req.user || !roles.includes(req.user.role)) {
+      logger.warn("Access denied:", {
+        userId: req.user && req.user._id,
+        role: req.user && req.user.role,
+        method: req.method,
+        path: req.originalUrl,
+      });
+      return res
+        .status(403)
+        .json({ message: "You do not have permission to perform this action" });
+    }
+    next();
+  };
+}
+
+//The role checks we use on the routes
+//Admins can do everything, registrars can manage students and courses, viewers can only read
+const adminOnly = authorize("admin");
+const canEdit = authorize("admin", "registrar");
+
+//Helper function to sign a new token for a user
+function signToken(user) {
+  return jwt.sign({ sub: String(user._id), role: user.role }, JWT_SECRET, {
+    expiresIn: JWT_EXPIRES_IN,
+    jwtid: crypto.randomUUID(), //The token id lets us revoke this single token on logout
+  });
+}
+
+//Helper function to create the first admin user from the .env file when there are no users yet
+async function seedAdminUser() {
+  if ((await User.estimatedDocumentCount()) > 0) return;
+
+  const { ADMIN_EMAIL, ADMIN_PASSWORD } = process.env;
+  if (!ADMIN_EMAIL || !ADMIN_PASSWORD) {
+    logger.warn(
+      "No users exist yet. Set ADMIN_EMAIL and ADMIN_PASSWORD in .env to create the first admin"
+    );
+    return;
+  }
+
+  const admin = await new User({
+    name: process.env.ADMIN_NAME || "Admin",
+    email: ADMIN_EMAIL,
+    password: ADMIN_PASSWORD,
+    role: "admin",
+  }).save();
+  logger.info("Initial admin user created:", {
+    userId: admin._id,
+    email: admin.email,
+  });
+}
+
+//Export Helpers
+//The exports read the data with a cursor and write each row straight to the response,
+//so even a big export never has the whole collection in memory
+
+const EXPORT_FORMATS = {
+  csv: { contentType: "text/csv; charset=utf-8" },
+  xlsx: {
+    contentType:
+      "application/vnd.openxmlformats-officedocument.spreadsheetml.sheet",
+  },
+  pdf: { contentType: "application/pdf" },
+};
+
+//Helper function to read and check the ?format= query parameter
+function exportFormat(query) {
+  const format = String(query.format || "csv").toLowerCase();
+  if (!EXPORT_FORMATS[format]) {
+    throw httpError(400, "format must be one of csv, xlsx or pdf");
+  }
+  return format;
+}
+
+//Helper function to stream the rows in the requested format
+//columns: [{ header, width, value: (row) => cellValue }]
+//groupBy (PDF only): a function returning the group heading of a row, the rows must already be sorted by it
+async function streamExport(
+  res,
+  { format, name, title, columns, rows, groupBy }
+) {
+  const date = new Date().toISOString().split("T")[0];
+  res.setHeader("Content-Type", EXPORT_FORMATS[format].contentType);
+  res.setHeader(
+    "Content-Disposition",
+    `attachment; filename="${name}-${date}.${format}"`
+  );
+
+  if (format === "csv") return streamCsv(res, columns, rows);
+  if (format === "xlsx") return streamXlsx(res, title, columns, rows);
+  return streamPdf(res, title, columns, rows, groupBy);
+}
+
+//Helper function to wait until a stream that is full (write returned false) takes more again
+//A client that goes away stops the waiting too, the stream never drains then
+async function drained(stream, res) {
+  if (res.destroyed) return;
+  const controller = new AbortController();
+  const { signal } = controller;
+  try {
+    await Promise.race([
+      once(stream, "drain", { signal }),
+      once(res, "close", { signal }),
+    ]);
+  } finally {
+    controller.abort();
+  }
+}
+
+async function streamCsv(res, columns, rows) {
+  const csv = stringifyCsv({
+    header: true,
+    columns: columns.map((column) => column.header),
+  });
+  csv.pipe(res);
+
+  for await (const row of rows) {
+    if (res.destroyed) break; //The client went away, stop reading
+    //Respect backpressure so we don't buffer the whole file when the client is slow
+    if (
+      !csv.write(columns.map((column) => formatExportValue(column.value(row))))
+    ) {
+      await drained(csv, res);
+    }
+  }
+  csv.end();
+}
+
+async function streamXlsx(res, title, columns, rows) {
+  const workbook = new ExcelJS.stream.xlsx.WorkbookWriter({ stream: res });
+  const sheet = workbook.addWorksheet(title);
+  sheet.columns = columns.map((column) => ({
+    header: column.header,
+    width: column.width,
+  }));
+
+  for await (const row of rows) {
+    if (res.destroyed) break;
+    //Committing each row writes it out and frees it straight away
+    sheet.addRow(columns.map((column) => column.value(row))).commit();
+    if (res.writableNeedDrain) await drained(res, res);
+  }
+  sheet.commit();
+  await workbook.commit();
+}
+
+async function streamPdf(res, title, columns, rows, groupBy) {
+  const doc = new PDFDocument({ size: "A4", layout: "landscape", margin: 40 });
+  doc.pipe(res);
+
+  const left = doc.page.margins.left;
+  const tableWidth = doc.page.width - left - doc.page.margins.right;
+  const totalWidth = columns.reduce((sum, column) => sum + column.width, 0);
+  const widths = columns.map(
+    (column) => (column.width / totalWidth) * tableWidth
+  );
+
+  //Draw one table row, starting a new page (with the column headers again) when it doesn't fit
+  const drawRow = (values, { header = false } = {}) => {
+    doc.font(header ? "Helvetica-Bold" : "Helvetica").fontSize(9);
+    const height =
+      Math.max(
+        ...values.map((value, i) =>
+          doc.heightOfString(value, { width: widths[i] - 6 })
+        )
+      ) + 6;
+
+    if (doc.y + height > doc.page.height - doc.page.margins.bottom) {
+      doc.addPage();
+      if (!header)
+        drawRow(
+          columns.map((column) => column.header),
+          { header: true }
+        );
+      doc.font("Helvetica").fontSize(9);
+    }
+
+    const y = doc.y;
+    if (header)
+      doc.rect(left, y, tableWidth, height).fill("#f1f5f9").fillColor("black");
+    let x = left;
+    values.forEach((value, i) => {
+      doc.text(value, x + 3, y + 3, { width: widths[i] - 6 });
+      x += widths[i];
+    });
+    doc
+      .moveTo(left, y + height)
+      .lineTo(left + tableWidth, y + height)
+      .strokeColor("#e2e8f0")
+      .stroke();
+    doc.x = left;
+    doc.y = y + height;
+  };
+
+  doc.font("Helvetica-Bold").fontSize(18).text(title);
+  doc
+    .font("Helvetica")
+    .fontSize(9)
+    .fillColor("#64748b")
+    .text(`Generated on ${new Date().toLocaleString()}`)
+    .fillColor("black")
+    .moveDown();
+
+  let currentGroup;
+  let count = 0;
+  for await (const row of rows) {
+    if (res.destroyed) break;
+    const group = groupBy ? groupBy(row) : undefined;
+    if (count === 0 || group !== currentGroup) {
+      if (groupBy) {
+        doc.moveDown().font("Helvetica-Bold").fontSize(13).text(group, left);
+        doc.moveDown(0.3);
+      }
+      drawRow(
+        columns.map((column) => column.header),
+        { header: true }
+      );
+      currentGroup = group;
+    }
+    drawRow(columns.map((column) => formatExportValue(column.value(row))));
+    count++;
+    //The document keeps what the slow client can't take yet, so wait for it like the CSV does
+    if (res.writableNeedDrain) await drained(res, res);
+  }
+
+  //Nobody reads the rest of a document the client went away from, so it would never end
+  if (res.destroyed) return doc.destroy();
+  if (count === 0)
+    doc.fontSize(11).text("No records match the selected filters.");
+  doc.end();
+  await once(doc, "end");
+}
+
+//Helper function for the text version of a value, dates are written as YYYY-MM-DD
+function formatExportValue(value) {
+  if (value === undefined || value === null) return "";
+  if (value instanceof Date) return value.toISOString().split("T")[0];
+  return String(value);
+}
+
+//Helper function for errors during an export
+//Once the file has started streaming we can't send a JSON error any more, so we cut the download off instead
+function handleExportError(res, error, what) {
+  logger.error(`Error exporting ${what}:`, error);
+  if (res.headersSent) return res.destroy(error);
+  res.status(error.status || 500).json({ message: error.message });
+}
+
+//The current enrollments of an exported student
+//The PDF roster unwinds them, so there every row holds a single enrollment instead of a list
+const exportedEnrollments = (student) => [].concat(student.enrollments || []);
+
+//The columns of the student export
+const STUDENT_EXPORT_COLUMNS = [
+  { header: "ID", width: 26, value: (student) => String(student._id) },
+  { header: "Name", width: 25, value: (student) => student.name },
+  { header: "Email", width: 30, value: (student) => student.email },
+  {
+    header: "Courses",
+    width: 25,
+    value: (student) =>
+      exportedEnrollments(student)
+        .map((enrollment) => enrollment.course.name)
+        .join(", "),
+  },
+  {
+    header: "Enrollment Date",
+    width: 15,
+    value: (student) => exportedEnrollments(student)[0]?.startDate,
+  },
+  { header: "Status", width: 10, value: (student) => student.status },
+];
+
+//The columns of the course export
+const COURSE_EXPORT_COLUMNS = [
+  { header: "ID", width: 26, value: (course) => String(course._id) },
+  { header: "Name", width: 25, value: (course) => course.name },
+  { header: "Description", width: 45, value: (course) => course.description },
+  {
+    header: "Duration (months)",
+    width: 15,
+    value: (course) => course.duration,
+  },
+  { header: "Fee", width: 10, value: (course) => course.fee },
+  { header: "Students", width: 10, value: (course) => course.studentCount },
+  { header: "Status", width: 10, value: (course) => course.status },
+];
+
+//Audit Helpers
+
+//Fields that change on every save or are recorded somewhere else, so they are left out of the diffs
+const AUDIT_IGNORED_FIELDS = [
+  "_id",
+  "__v",
+  "createdAt",
+  "updatedAt",
+  "statusHistory",
+  "deletedAt",
+];
+
+//Helper function to turn a document into plain values we can compare and store (ids and dates become strings)
+function auditSnapshot(doc) {
+  if (!doc) return {};
+  const plain = typeof doc.toObject === "function" ? doc.toObject() : doc;
+  return JSON.parse(JSON.stringify(plain));
+}
+
+//Helper function to list the fields that differ between two snapshots
+function diffSnapshots(before, after) {
+  const fields = new Set([...Object.keys(before), ...Object.keys(after)]);
+  return [...fields]
+    .filter((field) => !AUDIT_IGNORED_FIELDS.includes(field))
+    .filter(
+      (field) => JSON.stringify(before[field]) !== JSON.stringify(after[field])
+    )
+    .map((field) => ({
+      field,
+      before: before[field] === undefined ? null : before[field],
+      after: after[field] === undefined ? null : after[field],
+    }));
+}
+
+//Helper function for the name shown with a change, a student changing their own details in the portal is no user
+function actorNameOf(req) {
+  if (req.user) return req.user.name;
+  return req.student ? `${req.student.name} (student)` : null;
+}
+
+//Helper function to record an audit event for a create, update or delete
+//before/after are the document before and after the change (leave one out for create and delete)
+//A failure here is logged but never fails the request, the change itself already happened
+async function recordAudit(req, { entity, action, before, after }) {
+  try {
+    const beforeSnapshot = auditSnapshot(before);
+    const afterSnapshot = auditSnapshot(after);
+    const changes = diffSnapshots(beforeSnapshot, afterSnapshot);
+    if (action === "update" && changes.length === 0) return; //Nothing really changed
+
+    await AuditEvent.create({
+      entity,
+      entityId: (after || before)._id,
+      action,
+      changes,
+      actor: req.user && req.user._id,
+      actorName: actorNameOf(req),
+      route: `${req.method} ${req.originalUrl}`,
+    });
+  } catch (error) {
+    logger.error("Error recording audit event:", error);
+  }
+  //Every audited change is also a change the open dashboards and the webhooks want to see
+  publishChange(req, entity, action, { id: (after || before)._id });
+  await emitWebhook(
+    `${entity.toLowerCase()}.${WEBHOOK_ACTIONS[action]}`,
+    after || before
+  );
+}
+
+//Request Validation
+//Every route declares the params, query and body it accepts, anything else (including unknown fields) is rejected
+//A failed check answers with 422 and a message per field, e.g. { message, errors: { email: "Email must be a valid email" } }
+
+const VALIDATION_OPTIONS = {
+  abortEarly: false, //Report every field at once, not only the first one
+  errors: { wrap: { label: false } },
+};
+
+const objectId = () =>
+  Joi.string().hex().length(24).messages({
+    "string.hex": "{#label} must be a valid id",
+    "string.length": "{#label} must be a valid id",
+  });
+
+//The :id of the routes that work on a single record
+const idParams = { id: objectId().required() };
+
+//page and limit of the paginated list endpoints
+const pagingQuery = {
+  page: Joi.number().integer().min(1),
+  limit: Joi.number().integer().min(1).max(100),
+};
+
+//Two date query parameters where the second one can't be before the first one
+function dateRange(fromKey, toKey) {
+  return {
+    [fromKey]: Joi.date(),
+    [toKey]: Joi.date()
+      .when(fromKey, {
+        is: Joi.exist(),
+        then: Joi.date().min(Joi.ref(fromKey)),
+      })
+      .messages({ "date.min": `${toKey} must not be before ${fromKey}` }),
+  };
+}
+
+const STUDENT_FIELDS = {
+  name: Joi.string().trim().label("Name"),
+  email: Joi.string().trim().email().label("Email"),
+  phone: Joi.string().trim().allow("").max(30).label("Phone"),
+  address: Joi.string().trim().allow("").max(300).label("Address"),
+  guardian: Joi.object({
+    name: Joi.string().trim().allow("").max(100).label("Guardian name"),
+    relationship: Joi.string().trim().allow("").max(50).label("Relationship"),
+    phone: Joi.string().trim().allow("").max(30).label("Guardian phone"),
+    email: Joi.string().trim().email().allow("").label("Guardian email"),
+  }).label("Guardian"),
+};
+
+//The contact details students can change themselves in the Student Portal
+const PORTAL_CONTACT_FIELDS = {
+  phone: STUDENT_FIELDS.phone,
+  address: STUDENT_FIELDS.address,
+  guardian: STUDENT_FIELDS.guardian,
+};
+
+//A new enrollment, e.g. when a student is created or enrolled in another course
+//waitlist says what to do when the course is full: join the waitlist (true) or refuse the enrollment
+//allowClash enrolls the student in an offering even when its meetings clash with another course of theirs
+const ENROLLMENT_FIELDS = {
+  course: objectId().label("Course"),
+  enrollmentDate: Joi.date().label("Enrollment date"),
+  waitlist: Joi.boolean().label("Waitlist"),
+  offering: objectId().label("Offering"),
+  allowClash: Joi.boolean().label("Allow clash"),
+};
+
+const COURSE_FIELDS = {
+  name: Joi.string().trim().label("Course name"),
+  description: Joi.string().trim().label("Description"),
+  duration: Joi.number().integer().min(1).label("Duration"),
+  status: Joi.string().valid("active", "inactive").label("Status"),
+  capacity: Joi.number().integer().min(1).allow(null).label("Capacity"),
+  fee: Joi.number().min(0).precision(2).allow(null).label("Fee"),
+};
+
+//A time of day on the 24 hour clock, e.g. "09:30"
+const TIME_PATTERN = /^([01]\d|2[0-3]):[0-5]\d$/;
+
+const meetingTime = (label) =>
+  Joi.string()
+    .pattern(TIME_PATTERN)
+    .label(label)
+    .messages({ "string.pattern.base": "{#label} must be a time like 09:30" });
+
+const MEETING_FIELDS = Joi.object({
+  day: Joi.number().integer().min(0).max(6).required().label("Day"),
+  startTime: meetingTime("Start time").required(),
+  //"HH:MM" strings sort like the times they stand for, so they can be compared directly
+  endTime: meetingTime("End time")
+    .required()
+    .custom((value, helpers) =>
+      value > helpers.state.ancestors[0].startTime
+        ? value
+        : helpers.error("any.invalid")
+    )
+    .messages({ "any.invalid": "End time must be after the start time" }),
+  location: Joi.string().trim().allow("").label("Location"),
+});
+
+const INSTRUCTOR_FIELDS = {
+  name: Joi.string().trim().max(100).label("Name"),
+  email: Joi.string().trim().email().label("Email"),
+  phone: Joi.string().trim().allow("").max(30).label("Phone"),
+  title: Joi.string().trim().allow("").max(100).label("Title"),
+  status: Joi.string().valid("active", "inactive").label("Status"),
+};
+
+const OFFERING_FIELDS = {
+  name: Joi.string().trim().label("Name"),
+  startDate: Joi.date().label("Start date"),
+  meetings: Joi.array().items(MEETING_FIELDS).label("Meetings"),
+};
+
+const USER_FIELDS = {
+  name: Joi.string().trim().label("Name"),
+  email: Joi.string().trim().email().label("Email"),
+  password: Joi.string().min(8).label("Password"),
+  role: Joi.string().valid("admin", "registrar", "viewer").label("Role"),
+};
+
+//The letter grade bands, e.g. [{ "letter": "A", "min": 85 }, ...]
+//There has to be a band starting at 0, so every score gets a letter
+const GRADE_BANDS_FIELD = Joi.array()
+  .items(
+    Joi.object({
+      letter: Joi.string().trim().max(5).required(),
+      min: Joi.number().min(0).max(100).required(),
+    })
+  )
+  .unique("letter")
+  .unique("min")
+  .has(Joi.object({ min: Joi.valid(0) }).unknown())
+  .min(1)
+  .label("Grade bands")
+  .messages({
+    "array.hasUnknown": "There has to be a band with min 0",
+    "array.unique": "Each letter and min can only be used once",
+  });
+
+//The settings of the Settings section
+//The student statuses themselves are fixed by the lifecycle, statusLabels are the names they are shown with
+//The grade bands are kept in the GradingScale document, the other settings in the Setting collection
+const DATE_FORMATS = ["locale", "YYYY-MM-DD", "DD/MM/YYYY", "MM/DD/YYYY"];
+const PAGE_SIZES = [10, 20, 50, 100]; //The options of the page size dropdowns
+
+const SETTING_FIELDS = {
+  institutionName: Joi.string().trim().max(100).label("Institution name"),
+  institutionEmail: Joi.string()
+    .trim()
+    .email()
+    .allow("")
+    .label("Institution email"),
+  institutionPhone: Joi.string()
+    .trim()
+    .max(30)
+    .allow("")
+    .label("Institution phone"),
+  institutionAddress: Joi.string()
+    .trim()
+    .max(300)
+    .allow("")
+    .label("Institution address"),
+  locale: Joi.string()
+    .trim()
+    .pattern(/^[a-z]{2,3}(-[A-Z]{2})?$/)
+    .label("Locale")
+    .messages({ "string.pattern.base": "{#label} must look like en-US" }),
+  dateFormat: Joi.string()
+    .valid(...DATE_FORMATS)
+    .label("Date format"),
+  currency: Joi.string()
+    .trim()
+    .uppercase()
+    .pattern(/^[A-Z]{3}$/)
+    .label("Currency")
+    .messages({ "string.pattern.base": "{#label} must be a code like USD" }),
+  invoiceDueDays: Joi.number()
+    .integer()
+    .min(0)
+    .max(365)
+    .label("Days to pay an invoice"),
+  defaultStudentStatus: Joi.string()
+    .valid(...INITIAL_STUDENT_STATUSES)
+    .label("Default student status"),
+  statusLabels: Joi.object(
+    Object.fromEntries(
+      STUDENT_STATUSES.map((status) => [
+        status,
+        Joi.string().trim().max(30).label(`The label of ${status}`),
+      ])
+    )
+  ).label("Status labels"),
+  pageSize: Joi.number()
+    .valid(...PAGE_SIZES)
+    .label("Page size"),
+  recentStudentsLimit: Joi.number()
+    .integer()
+    .min(1)
+    .max(20)
+    .label("Recent students"),
+  gradeBands: GRADE_BANDS_FIELD,
+};
+
+//Used until an admin saves their own value
+const DEFAULT_SETTINGS = {
+  institutionName: "EduManager",
+  institutionEmail: "",
+  institutionPhone: "",
+  institutionAddress: "",
+  locale: "en-US",
+  dateFormat: "locale", //The short date of the locale, e.g. "Mar 12, 2024" for en-US
+  currency: "USD", //The ISO code the fees are in
+  invoiceDueDays: 30,
+  defaultStudentStatus: "enrolled",
+  statusLabels: Object.fromEntries(
+    STUDENT_STATUSES.map((status) => [
+      status,
+      status.charAt(0).toUpperCase() + status.slice(1),
+    ])
+  ),
+  pageSize: 10,
+  recentStudentsLimit: 5,
+};
+
+//The filters of the students list, also used by the export
+const STUDENT_LIST_QUERY = {
+  ...pagingQuery,
+  sort: Joi.string(),
+  status: Joi.string().valid(...STUDENT_STATUSES),
+  course: objectId(),
+  instructor: objectId(),
+  ...dateRange("enrolledFrom", "enrolledTo"),
+};
+
+const EXPORT_FORMAT_QUERY = Joi.string()
+  .lowercase()
+  .valid("csv", "xlsx", "pdf");
+
+//Helper function to make some fields of a schema required, e.g. for creating a record
+function requireFields(fields, required) {
+  return Joi.object(fields).fork(required, (field) => field.required());
+}
+
+//Middleware that checks req.params, req.query and req.body against the given schemas
+//A schema can be a Joi object or a plain object of fields, a part without a schema must be empty
+//On success the checked (and converted, e.g. trimmed strings and real dates) values replace the originals
+function validate({ params = {}, query = {}, body = {} } = {}) {
+  const schemas = { params, query, body };
+  Object.keys(schemas).forEach((part) => {
+    if (!Joi.isSchema(schemas[part])) schemas[part] = Joi.object(schemas[part]);
+  });
+
+  const middleware = (req, res, next) => {
+    const errors = {};
+    Object.entries(schemas).forEach(([part, schema]) => {
+      const { value, error } = schema.validate(
+        req[part] || {},
+        VALIDATION_OPTIONS
+      );
+      if (!error) {
+        req[part] = value;
+        return;
+      }
+      error.details.forEach((detail) => {
+        const field = detail.path.join(".") || part;
+        if (!errors[field]) errors[field] = detail.message;
+      });
+    });
+
+    if (Object.keys(errors).length > 0) {
+      logger.warn("Request validation failed:", {
+        method: req.method,
+        path: req.originalUrl,
+        errors,
+      });
+      return res.status(422).json({
+        message: Object.values(errors).join(". "),
+        errors,
+      });
+    }
+    next();
+  };
+  middleware.schemas = schemas; //The OpenAPI document is generated from these
+  return middleware;
+}
+
+//Helper function for the catch blocks of the save routes
+//Mongoose validation errors and duplicate keys come back in the same 422 format as the request validation
+function sendSaveError(res, error, fallbackStatus = 400) {
+  const errors = {};
+  if (error instanceof mongoose.Error.ValidationError) {
+    Object.values(error.errors).forEach((fieldError) => {
+      errors[fieldError.path] = fieldError.message;
+    });
+  } else if (error.code === 11000) {
+    Object.keys(error.keyValue || {}).forEach((field) => {
+      errors[field] = `This ${field} is already in use`;
+    });
+  }
+
+  if (Object.keys(errors).length > 0) {
+    return res.status(422).json({
+      message: Object.values(errors).join(". "),
+      errors,
+    });
+  }
+  res
+    .status(error.status || fallbackStatus)
+    .json({ message: error.message, ...error.details });
+}
+
+//Our API Routes
+//They are all defined on the v1 router, which is served under /api/v1 (see "API Versions" at the end)
+const v1 = express.Router();
+
+//Auth Routes
+
+//This API endpoint logs a user in and returns the token the frontend sends with every request
+v1.post(
+  "/auth/login",
+  validate({
+    body: {
+      email: Joi.string().trim().email().required().label("Email"),
+      password: Joi.string().required().label("Password"),
+    },
+  }),
+  async (req, res) => {
+    try {
+      const { email, password } = req.body;
+
+      const user = await User.findOne({
+        email: String(email).toLowerCase(),
+      }).select("+password");
+      //Same message for an unknown email and a wrong password, so we don't reveal which emails exist
+      if (!user || !(await user.comparePassword(String(password)))) {
+        logger.warn("Failed login attempt:", { email });
+        return res.status(401).json({ message: "Invalid email or password" });
+      }
+
+      logger.info("User logged in:", { userId: user._id, role: user.role });
+      res.json({ token: signToken(user), user });
+    } catch (error) {
+      logger.error("Error logging in:", error);
+      res.status(500).json({ message: error.message });
+    }
+  }
+);
+
+//This API endpoint logs the user out by revoking the token that was used for the request
+v1.post("/auth/logout", authenticate, validate(), async (req, res) => {
+  try {
+    await RevokedToken.create({
+      jti: req.token.jti,
+      expiresAt: new Date(req.token.exp * 1000),
+    });
+    closeEventStreams(req.token.jti);
+    logger.info("User logged out:", { userId: req.user._id });
+    res.json({ message: "Logged out successfully" });
+  } catch (error) {
+    logger.error("Error logging out:", error);
+    res.status(500).json({ message: error.message });
+  }
+});
+
+//Live Updates
+//Open dashboards keep a Server-Sent Events stream on /api/v1/events and get every change to a student, course
+//or enrollment pushed to them, followed by the new dashboard stats, so they never go stale
+//EventSource can't send the Authorization header, so a stream is opened with a short-lived ticket in the query
+//string instead; the ticket is only good for opening the stream and is hidden in the logs
+
+const EVENT_TICKET_EXPIRES_IN = "1m";
+const EVENT_HEARTBEAT_SECONDS = 25; //Keeps proxies from closing a quiet stream
+const EVENT_STATS_DELAY_MS = 1000; //A burst of changes (e.g. a transfer) sends the stats once
+
+//The open streams: { res, userId, sessionId }, sessionId is the jti of the login the ticket was made for
+const eventClients = new Set();
+let eventStatsTimer = null;
+
+function sendEvent(res, event, data) {
+  res.write(`event: ${event}\ndata: ${JSON.stringify(data)}\n\n`);
+}
+
+function broadcastEvent(event, data) {
+  eventClients.forEach((client) => sendEvent(client.res, event, data));
+}
+
+//Helper function to tell the open dashboards about a change, e.g. publishChange(req, "Student", "create", { id })
+function publishChange(req, entity, action, details = {}) {
+  if (eventClients.size === 0) return;
+  broadcastEvent("change", {
+    entity,
+    action,
+    ...details,
+    actorName: actorNameOf(req),
+  });
+
+  if (eventStatsTimer) return;
+  eventStatsTimer = setTimeout(async () => {
+    eventStatsTimer = null;
+    try {
+      broadcastEvent("stats", await getDashboardStats());
+    } catch (error) {
+      logger.error("Error sending dashboard stats:", error);
+    }
+  }, EVENT_STATS_DELAY_MS);
+}
+
+//Helper function to close the streams of a login, e.g. when the user logs out
+function closeEventStreams(sessionId) {
+  eventClients.forEach((client) => {
+    if (client.sessionId === sessionId) client.res.end();
+  });
+}
+
+setInterval(() => {
+  eventClients.forEach((client) => client.res.write(": heartbeat\n\n"));
+}, EVENT_HEARTBEAT_SECONDS * 1000).unref();
+
+//This API endpoint opens the event stream, e.g. /api/v1/events?ticket=<ticket from POST /api/v1/events/ticket>
+//It sends "change" events ({ entity, action, id, actorName }) and "stats" events (the dashboard stats)
+v1.get(
+  "/events",
+  validate({ query: { ticket: Joi.string().required().label("Ticket") } }),
+  async (req, res) => {
+    try {
+      let payload;
+      try {
+        payload = jwt.verify(req.query.ticket, JWT_SECRET);
+      } catch (error) {
+        return res.status(401).json({ message: "Invalid or expired ticket" });
+      }
+      if (payload.purpose !== "events") {
+        return res.status(401).json({ message: "Invalid or expired ticket" });
+      }
+      if (await RevokedToken.exists({ jti: payload.sid })) {
+        return res.status(401).json({ message: "Token has been revoked" });
+      }
+      const user = await User.findById(payload.sub);
+      if (!user) {
+        return res.status(401).json({ message: "User no longer exists" });
+      }
+
+      res.writeHead(200, {
+        "Content-Type": "text/event-stream",
+        "Cache-Control": "no-cache",
+        Connection: "keep-alive",
+        "X-Accel-Buffering": "no", //Stops nginx from buffering the events
+      });
+      const client = { res, userId: user._id, sessionId: payload.sid };
+      eventClients.add(client);
+      req.on("close", () => {
+        eventClients.delete(client);
+        logger.info("Event stream closed:", { userId: user._id });
+      });
+
+      logger.info("Event stream opened:", {
+        userId: user._id,
+        streams: eventClients.size,
+      });
+      //The stats right away, so a dashboard that reconnects is up to date again
+      sendEvent(res, "stats", await getDashboardStats());
+    } catch (error) {
+      logger.error("Error opening event stream:", error);
+      if (!res.headersSent) res.status(500).json({ message: error.message });
+      else res.end();
+    }
+  }
+);
+
+//This API endpoint returns a ticket for opening the event stream, it is valid for a minute
+v1.post("/events/ticket", authenticate, validate(), (req, res) => {
+  const ticket = jwt.sign(
+    { sub: String(req.user._id), sid: req.token.jti, purpose: "events" },
+    JWT_SECRET,
+    { expiresIn: EVENT_TICKET_EXPIRES_IN }
+  );
+  res.json({ ticket });
+});
+
+//Settings
+//Admins change these in the Settings section, the frontend reads them at startup instead of using constants
+
+//Helper function to get every setting, with the default for the ones that were never saved
+async function getSettings() {
+  const saved = await Setting.find().lean();
+  const settings = { ...DEFAULT_SETTINGS };
+  saved.forEach(({ key, value }) => {
+    if (key in DEFAULT_SETTINGS) settings[key] = value;
+  });
+  //A status added to the lifecycle later still gets its default label
+  settings.statusLabels = {
+    ...DEFAULT_SETTINGS.statusLabels,
+    ...settings.statusLabels,
+  };
+  return settings;
+}
+
+//This API endpoint returns the settings together with the grade bands
+//It is public so the login screen can already show the institution name
+v1.get("/settings", validate(), async (req, res) => {
+  try {
+    const [settings, gradeBands] = await Promise.all([
+      getSettings(),
+      getGradeBands(),
+    ]);
+    res.json({ ...settings, gradeBands });
+  } catch (error) {
+    logger.error("Error fetching settings:", error);
+    res.status(500).json({ message: error.message });
+  }
+});
+
+//Student Portal
+//Students log in to their own part of the API under /portal, with a token that only works there
+//(the staff routes refuse it, see authenticate), to see their courses and send requests to the registrars
+//Settings (.env):
+//  PORTAL_URL - the page of the portal, the invite emails link to it (default "http://localhost:5500/Frontend/portal.html")
+//  PORTAL_INVITE_DAYS - how long an invite link works (default 7)
+
+const PORTAL_URL =
+  process.env.PORTAL_URL || "http://localhost:5500/Frontend/portal.html";
+const PORTAL_INVITE_DAYS = Number(process.env.PORTAL_INVITE_DAYS || 7);
+const PORTAL_PASSWORD = Joi.string().min(8).label("Password");
+
+//The token says which password it was made with (pwd), so changing the password logs out the tokens from before
+function signPortalToken(student, account) {
+  return jwt.sign(
+    {
+      sub: String(student._id),
+      purpose: "portal",
+      pwd: passwordVersion(account),
+    },
+    JWT_SECRET,
+    { expiresIn: JWT_EXPIRES_IN, jwtid: crypto.randomUUID() }
+  );
+}
+
+//An account whose password never changed since passwordChangedAt was added has version 0
+function passwordVersion(account) {
+  return account.passwordChangedAt ? account.passwordChangedAt.getTime() : 0;
+}
+
+//Helper function to hash an invite token, only the hash is kept so a leaked database can't be used to log in
+function hashInviteToken(token) {
+  return crypto.createHash("sha256").update(token).digest("hex");
+}
+
+//Like authenticate, but for the students: it sets req.student and never req.user
+const authenticateStudent = async (req, res, next) => {
+  try {
+    const header = req.headers.authorization || "";
+    const [scheme, token] = header.split(" ");
+    if (scheme !== "Bearer" || !token) {
+      return res.status(401).json({ message: "Authentication required" });
+    }
+
+    let payload;
+    try {
+      payload = jwt.verify(token, JWT_SECRET);
+    } catch (error) {
+      return res.status(401).json({ message: "Invalid or expired token" });
+    }
+    if (payload.purpose !== "portal") {
+      return res.status(401).json({ message: "Invalid or expired token" });
+    }
+    if (await RevokedToken.exists({ jti: payload.jti })) {
+      return res.status(401).json({ message: "Token has been revoked" });
+    }
+
+    //A student in the Trash, or whose access was taken away, is logged out straight away
+    const [student, account] = await Promise.all([
+      Student.findById(payload.sub),
+      PortalAccount.findOne({
+        student: payload.sub,
+        activatedAt: { $ne: null },
+      }).select("passwordChangedAt"),
+    ]);
+    if (!student || !account) {
+      return res
+        .status(401)
+        .json({ message: "You no longer have access to the portal" });
+    }
+    if ((payload.pwd || 0) !== passwordVersion(account)) {
+      return res.status(401).json({
+        message: "Your password was changed, please log in again",
+      });
+    }
+
+    req.student = student;
+    req.token = payload;
+    next();
+  } catch (error) {
+    logger.error("Error authenticating student:", error);
+    res.status(500).json({ message: error.message });
+  }
+};
+
+//Helper function to build what a student sees of themselves: their details and every enrollment with the course
+async function buildPortalProfile(student) {
+  const enrollments = await Enrollment.find({ student: student._id })
+    .sort({ startDate: -1 })
+    .populate({
+      path: "course",
+      select: "name description duration status",
+      options: { withDeleted: true },
+    })
+    .populate("offering", OFFERING_SUMMARY);
+  const profile = student.toJSON();
+  //Which staff member made a change stays internal
+  profile.statusHistory = profile.statusHistory.map(
+    ({ changedBy, ...change }) => change
+  );
+  return { ...profile, enrollments };
+}
+
+//Helper function to log a student in, by password or by the invite link
+async function portalLogin(res, student, account) {
+  account.lastLoginAt = new Date();
+  await account.save();
+  logger.info("Student logged in to the portal:", { studentId: student._id });
+  res.json({
+    token: signPortalToken(student, account),
+    student: await buildPortalProfile(student),
+  });
+}
+
+//This API endpoint sets the first password of a student with the token from the invite email
+v1.post(
+  "/portal/auth/activate",
+  validate({
+    body: {
+      token: Joi.string().required().label("Invite"),
+      password: PORTAL_PASSWORD.required(),
+    },
+  }),
+  async (req, res) => {
+    try {
+      const account = await PortalAccount.findOne({
+        inviteTokenHash: hashInviteToken(req.body.token),
+        inviteExpiresAt: { $gt: new Date() },
+      });
+      const student = account && (await Student.findById(account.student));
+      if (!student) {
+        return res.status(400).json({
+          message:
+            "The invite link is not valid anymore, please ask for a new one",
+        });
+      }
+
+      account.password = req.body.password;
+      account.inviteTokenHash = undefined;
+      account.inviteExpiresAt = undefined;
+      account.activatedAt = account.activatedAt || new Date();
+      logger.info("Portal account activated:", { studentId: student._id });
+      await portalLogin(res, student, account);
+    } catch (error) {
+      logger.error("Error activating portal account:", error);
+      res.status(500).json({ message: error.message });
+    }
+  }
+);
+
+//This API endpoint logs a student in to the portal with their email and password
+v1.post(
+  "/portal/auth/login",
+  validate({
+    body: {
+      email: Joi.string().trim().email().required().label("Email"),
+      password: Joi.string().required().label("Password"),
+    },
+  }),
+  async (req, res) => {
+    try {
+      //The emails of the students are stored in lowercase, the schema lowercases this one too
+      const student = await Student.findOne({ email: req.body.email });
+      const account =
+        student &&
+        (await PortalAccount.findOne({
+          student: student._id,
+          activatedAt: { $ne: null },
+        }).select("+password"));
+      //Same message for every failure, so we don't reveal which students have an account
+      if (!account || !(await account.comparePassword(req.body.password))) {
+        logger.warn("Failed portal login attempt:", { email: req.body.email });
+        return res.status(401).json({ message: "Invalid email or password" });
+      }
+      await portalLogin(res, student, account);
+    } catch (error) {
+      logger.error("Error logging in to the portal:", error);
+      res.status(500).json({ message: error.message });
+    }
+  }
+);
+
+//This API endpoint logs the student out by revoking their token
+v1.post(
+  "/portal/auth/logout",
+  authenticateStudent,
+  validate(),
+  async (req, res) => {
+    try {
+      await RevokedToken.create({
+        jti: req.token.jti,
+        expiresAt: new Date(req.token.exp * 1000),
+      });
+      res.json({ message: "Logged out successfully" });
+    } catch (error) {
+      logger.error("Error logging out of the portal:", error);
+      res.status(500).json({ message: error.message });
+    }
+  }
+);
+
+//This API endpoint returns the logged in student with their courses, current and past, and their status history
+v1.get("/portal/me", authenticateStudent, validate(), async (req, res) => {
+  try {
+    res.json(await buildPortalProfile(req.student));
+  } catch (error) {
+    logger.error("Error fetching portal profile:", error);
+    res.status(500).json({ message: error.message });
+  }
+});
+
+//This API endpoint lets a student change their own contact details, name and email stay with the registrars
+v1.put(
+  "/portal/me",
+  authenticateStudent,
+  validate({ body: Joi.object(PORTAL_CONTACT_FIELDS).min(1) }),
+  async (req, res) => {
+    try {
+      const student = await updateStudent(req, req.student._id, req.body);
+      res.json(await buildPortalProfile(student));
+    } catch (error) {
+      logger.error("Error updating portal profile:", error);
+      sendSaveError(res, error);
+    }
+  }
+);
+
+//This API endpoint changes the password of the logged in student
+v1.put(
+  "/portal/me/password",
+  authenticateStudent,
+  validate({
+    body: {
+      currentPassword: Joi.string().required().label("Current password"),
+      password: PORTAL_PASSWORD.required(),
+    },
+  }),
+  async (req, res) => {
+    try {
+      const account = await PortalAccount.findOne({
+        student: req.student._id,
+      }).select("+password");
+      if (!(await account.comparePassword(req.body.currentPassword))) {
+        return res.status(422).json({
+          message: "The current password is wrong",
+          errors: { currentPassword: "The current password is wrong" },
+        });
+      }
+      account.password = req.body.password;
+      await account.save();
+      logger.info("Portal password changed:", { studentId: req.student._id });
+      //Every token from before is logged out, so this device gets a new one
+      res.json({
+        message: "Password changed",
+        token: signPortalToken(req.student, account),
+      });
+    } catch (error) {
+      logger.error("Error changing portal password:", error);
+      res.status(500).json({ message: error.message });
+    }
+  }
+);
+
+//This API endpoint lists the courses a student can ask to change to
+v1.get("/portal/courses", authenticateStudent, validate(), async (req, res) => {
+  try {
+    const courses = await Course.find({ status: "active" })
+      .select("name description duration")
+      .sort({ name: 1 });
+    res.json(courses);
+  } catch (error) {
+    logger.error("Error fetching portal courses:", error);
+    res.status(500).json({ message: error.message });
+  }
+});
+
+//The requests are sent back with the names of their course and enrollment, for the portal and the approval queue
+const STUDENT_REQUEST_POPULATE = [
+  { path: "course", select: "name", options: { withDeleted: true } },
+  {
+    path: "enrollment",
+    select: "course status startDate",
+    populate: {
+      path: "course",
+      select: "name",
+      options: { withDeleted: true },
+    },
+  },
+];
+
+//This API endpoint lists the requests of the logged in student, the newest first
+v1.get(
+  "/portal/requests",
+  authenticateStudent,
+  validate(),
+  async (req, res) => {
+    try {
+      const requests = await StudentRequest.find({ student: req.student._id })
+        .sort({ createdAt: -1 })
+        .populate(STUDENT_REQUEST_POPULATE);
+      res.json(requests);
+    } catch (error) {
+      logger.error("Error fetching portal requests:", error);
+      res.status(500).json({ message: error.message });
+    }
+  }
+);
+
+//This API endpoint sends a request to the registrars, e.g.
+//{ "type": "courseChange", "enrollment": "<id>", "course": "<id>", "reason": "..." }
+//{ "type": "withdrawal", "enrollment": "<id>", "reason": "..." } to leave one course, without enrollment to leave
+v1.post(
+  "/portal/requests",
+  authenticateStudent,
+  validate({
+    body: {
+      type: Joi.string()
+        .valid(...STUDENT_REQUEST_TYPES)
+        .required()
+        .label("Type"),
+      enrollment: objectId()
+        .label("Course")
+        .when("type", { is: "courseChange", then: Joi.required() }),
+      course: objectId().label("New course").when("type", {
+        is: "courseChange",
+        then: Joi.required(),
+        otherwise: Joi.forbidden(),
+      }),
+      reason: Joi.string().trim().max(1000).required().label("Reason"),
+    },
+  }),
+  async (req, res) => {
+    try {
+      const { type, enrollment: enrollmentId, course, reason } = req.body;
+      if (enrollmentId) {
+        const enrollment = await Enrollment.findOne({
+          _id: enrollmentId,
+          student: req.student._id,
+        });
+        if (!enrollment) {
+          return res.status(404).json({ message: "Enrollment not found" });
+        }
+        const statuses =
+          type === "courseChange" ? ["active"] : OPEN_ENROLLMENT_STATUSES;
+        if (!statuses.includes(enrollment.status)) {
+          return res
+            .status(409)
+            .json({ message: `The enrollment is ${enrollment.status}` });
+        }
+      }
+      if (course) await findEnrollableCourse(course);
+      //One open request at a time for the same thing, so the queue doesn't fill up with repeats
+      if (
+        await StudentRequest.exists({
+          student: req.student._id,
+          type,
+          enrollment: enrollmentId || null,
+          status: "pending",
+        })
+      ) {
+        return res.status(409).json({
+          message: "You already sent this request, it is waiting for approval",
+        });
+      }
+
+      const request = await StudentRequest.create({
+        student: req.student._id,
+        type,
+        enrollment: enrollmentId || null,
+        course: course || null,
+        reason,
+      });
+      logger.info("Student request sent:", {
+        studentId: req.student._id,
+        requestId: request._id,
+        type,
+      });
+      await request.populate(STUDENT_REQUEST_POPULATE);
+      await emitWebhook("request.created", request);
+      publishChange(req, "StudentRequest", "create", { id: request._id });
+      res.status(201).json(request);
+    } catch (error) {
+      logger.error("Error sending student request:", error);
+      sendSaveError(res, error);
+    }
+  }
+);
+
+//This API endpoint lets a student take back a request that was not decided yet
+v1.post(
+  "/portal/requests/:id/cancel",
+  authenticateStudent,
+  validate({ params: idParams }),
+  async (req, res) => {
+    try {
+      const request = await StudentRequest.findOneAndUpdate(
+        { _id: req.params.id, student: req.student._id, status: "pending" },
+        { status: "cancelled" },
+        { new: true }
+      );
+      if (!request) {
+        return res
+          .status(404)
+          .json({ message: "There is no pending request to cancel" });
+      }
+      await request.populate(STUDENT_REQUEST_POPULATE);
+      await emitWebhook("request.cancelled", request);
+      publishChange(req, "StudentRequest", "update", { id: request._id });
+      res.json(request);
+    } catch (error) {
+      logger.error("Error cancelling student request:", error);
+      res.status(500).json({ message: error.message });
+    }
+  }
+);
+
+//This API endpoint sends the .ics file of a calendar feed, e.g. /api/v1/calendar/feed.ics?token=<token>
+//Calendar apps can't log in, so like the event stream it is opened with the token in the link instead
+//The link comes from POST /courses/:id/calendar-feed or POST /students/:id/calendar-feed
+v1.get(
+  "/calendar/feed.ics",
+  validate({ query: { token: Joi.string().required().label("Token") } }),
+  async (req, res) => {
+    try {
+      const feed = await CalendarFeed.findOne({
+        tokenHash: hashFeedToken(req.query.token),
+      });
+      if (!feed) {
+        return res
+          .status(401)
+          .json({ message: "The calendar link is not valid anymore" });
+      }
+
+      if (feed.course) {
+        const course = await Course.findById(feed.course);
+        if (!course) {
+          return res.status(404).json({ message: "Course not found" });
+        }
+        return sendCalendar(
+          res,
+          course.name,
+          course.name,
+          await findCourseCalendar(course)
+        );
+      }
+      const student = await Student.findById(feed.student);
+      if (!student) {
+        return res.status(404).json({ message: "Student not found" });
+      }
+      sendCalendar(
+        res,
+        `timetable-${student.name}`,
+        student.name,
+        await findStudentCalendar(student)
+      );
+    } catch (error) {
+      logger.error("Error sending calendar feed:", error);
+      res.status(500).json({ message: error.message });
+    }
+  }
+);
+
+//Every other route below this line needs a logged in user
+v1.use(authenticate);
+
+//This API endpoint returns the user that is currently logged in
+v1.get("/auth/me", validate(), (req, res) => {
+  res.json(req.user);
+});
+
+//User Routes (admins only)
+
+//This API endpoint is for retrieving all the users
+v1.get("/users", adminOnly, validate(), async (req, res) => {
+  try {
+    const users = await User.find().sort({ name: 1 });
+    res.json(users);
+  } catch (error) {
+    logger.error("Error fetching users:", error);
+    res.status(500).json({ message: error.message });
+  }
+});
+
+//This API endpoint is for creating a new user
+v1.post(
+  "/users",
+  adminOnly,
+  validate({
+    body: requireFields(USER_FIELDS, ["name", "email", "password"]),
+  }),
+  async (req, res) => {
+    try {
+      const { name, email, password, role } = req.body;
+      const savedUser = await new User({ name, email, password, role }).save();
+      await emitWebhook("user.created", savedUser);
+      logger.info("User created successfully:", {
+        userId: savedUser._id,
+        role: savedUser.role,
+      });
+      res.status(201).json(savedUser);
+    } catch (error) {
+      logger.error("Error creating user:", error);
+      sendSaveError(res, error);
+    }
+  }
+);
+
+//This API endpoint is for updating a user, e.g. changing the role or resetting the password
+v1.put(
+  "/users/:id",
+  adminOnly,
+  validate({ params: idParams, body: Joi.object(USER_FIELDS).min(1) }),
+  async (req, res) => {
+    try {
+      const user = await User.findById(req.params.id);
+      if (!user) {
+        return res.status(404).json({ message: "User not found" });
+      }
+
+      //We use save() instead of findByIdAndUpdate so the password gets hashed by the pre save hook
+      ["name", "email", "password", "role"].forEach((field) => {
+        if (req.body[field] !== undefined) user[field] = req.body[field];
+      });
+      const savedUser = await user.save();
+      await emitWebhook("user.updated", savedUser);
+      logger.info("User updated successfully:", { userId: savedUser._id });
+      res.json(savedUser);
+    } catch (error) {
+      logger.error("Error updating user:", error);
+      sendSaveError(res, error);
+    }
+  }
+);
+
+//This API endpoint is for deleting a user
+v1.delete(
+  "/users/:id",
+  adminOnly,
+  validate({ params: idParams }),
+  async (req, res) => {
+    try {
+      if (String(req.user._id) === req.params.id) {
+        return res
+          .status(400)
+          .json({ message: "You cannot delete your own account" });
+      }
+      const user = await User.findByIdAndDelete(req.params.id);
+      if (!user) {
+        return res.status(404).json({ message: "User not found" });
+      }
+      await emitWebhook("user.deleted", user);
+      logger.info("User deleted successfully:", { userId: user._id });
+      res.json({ message: "User deleted successfully" });
+    } catch (error) {
+      logger.error("Error deleting user:", error);
+      res.status(500).json({ message: error.message });
+    }
+  }
+);
+//Course Routes//Allow us to interact with Backend directly with the Frontend
+
+//Course Routes
+
+//This API endpoint is for retrieving courses from the database
+//Every course comes with its seatsUsed, the number of students on its waitlist and its instructors
+v1.get("/courses", validate(), async (req, res) => {
+  try {
+    const courses = await Course.find().sort({ name: 1 }); //This retrieves the first course from the database and sort them in alphabetical order
+    const courseIds = courses.map((course) => course._id);
+    const [seats, instructors] = await Promise.all([
+      countSeats(courseIds),
+      findCourseInstructors(courseIds),
+    ]);
+    logger.info(`Retrieved ${courses.length} courses successfully`);
+    res.json(
+      courses.map((course) => ({
+        ...course.toJSON(),
+        ...seats.get(String(course._id)),
+        instructors: instructors.get(String(course._id)),
+      }))
+    );
+  } catch (error) {
+    logger.error("Failed to retrieve courses", error);
+    res.status(500).json({ message: error.message });
+  }
+});
+
+//This API endpoint exports the courses as CSV, XLSX or PDF, e.g. /api/v1/courses/export?format=pdf&status=active
+v1.get(
+  "/courses/export",
+  validate({
+    query: { format: EXPORT_FORMAT_QUERY, status: COURSE_FIELDS.status },
+  }),
+  async (req, res) => {
+    try {
+      const format = exportFormat(req.query);
+      const filter = {};
+      if (req.query.status) filter.status = String(req.query.status);
+
+      //Count the students of every course as part of the same query
+      const cursor = Course.aggregate([
+        { $match: filter },
+        { $sort: { name: 1 } },
+        {
+          $lookup: {
+            from: "enrollments",
+            localField: "_id",
+            foreignField: "course",
+            pipeline: [
+              { $match: { status: "active" } },
+              ...ENROLLMENT_STUDENT_LOOKUP,
+              { $count: "count" },
+            ],
+            as: "students",
+          },
+        },
+        {
+          $addFields: {
+            studentCount: {
+              $ifNull: [{ $arrayElemAt: ["$students.count", 0] }, 0],
+            },
+          },
+        },
+        { $project: { students: 0 } },
+      ]).cursor();
+
+      logger.info("Exporting courses:", { format, filter });
+      await streamExport(res, {
+        format,
+        name: "courses",
+        title: "Courses",
+        columns: COURSE_EXPORT_COLUMNS,
+        rows: cursor,
+      });
+    } catch (error) {
+      handleExportError(res, error, "courses");
+    }
+  }
+);
+
+//This API endpoint is for retrieving a single course, used when editing a course
+v1.get(
+  "/courses/:id",
+  validate({ params: idParams }),
+  async (req, res) => {
+    try {
+      const course = await Course.findById(req.params.id);
+      if (!course) {
+        return res.status(404).json({ message: "Course not found" });
+      }
+      res.json(course);
+    } catch (error) {
+      logger.error("Error fetching course:", error);
+      res.status(500).json({ message: error.message });
+    }
+  }
+);
+
+//This API endpoint returns the change history of a course, newest first
+v1.get(
+  "/courses/:id/history",
+  validate({ params: idParams }),
+  async (req, res) => {
+    await sendRecordHistory(req, res, "Course");
+  }
+);
+
+//This API endpoint is for creating new courses
+v1.post(
+  "/courses",
+  canEdit,
+  validate({
+    body: requireFields(COURSE_FIELDS, ["name", "description", "duration"]),
+  }),
+  async (req, res) => {
+    try {
+      const courses = new Course(req.body);
+      const savedCourse = await courses.save();
+      await recordAudit(req, {
+        entity: "Course",
+        action: "create",
+        after: savedCourse,
+      });
+      logger.info("New Course created:", {
+        couresId: savedCourse._id,
+        name: savedCourse.name,
+      });
+      res.status(201).json(savedCourse);
+    } catch (error) {
+      logger.error("Error creating Course", error);
+      sendSaveError(res, error);
+    }
+  }
+);
+
+//THis API endpoint is for Updating or Editing a Course
+v1.put(
+  "/courses/:id",
+  canEdit,
+  validate({ params: idParams, body: Joi.object(COURSE_FIELDS).min(1) }),
+  async (req, res) => {
+    try {
+      //A course cannot be deactivated while students are still in it
+      if (req.body.status === "inactive") {
+        const enrolledStudents = await findEnrolledStudents(req.params.id, {
+          status: { $in: CURRENT_STUDENT_STATUSES },
+        });
+        if (enrolledStudents.length > 0) {
+          logger.warn(
+            "Attempting to deactivate course with enrolled students:",
+            {
+              courseId: req.params.id,
+              enrolledStudents: enrolledStudents.length,
+            }
+          );
+          return res.status(409).json({
+            message: enrolledStudentsMessage("deactivate", enrolledStudents),
+            students: enrolledStudents,
+          });
+        }
+      }
+
+      const before = await Course.findById(req.params.id);
+      if (!before) {
+        logger.warn("Course not found for update:", {
+          courseId: req.params.id,
+        });
+        return res.status(404).json({ message: "Course not found" });
+      }
+      const course = await Course.findByIdAndUpdate(req.params.id, req.body, {
+        new: true,
+        runValidators: true,
+      });
+      await recordAudit(req, {
+        entity: "Course",
+        action: "update",
+        before,
+        after: course,
+      });
+      //The offerings end Course.duration months after they start
+      if (course.duration !== before.duration) {
+        await updateOfferingEndDates(course);
+      }
+      if (before.status === "active" && course.status === "inactive") {
+        await cancelCourseEnrollments(req, course);
+      }
+      //A bigger (or removed) capacity or a reactivated course can take students from the waitlist
+      await fillFreeSeats(req, [course._id]);
+      logger.info("Course updated successfully:", {
+        courseId: course._id,
+        name: course.name,
+      });
+      res.json(course);
+    } catch (error) {
+      logger.error("Error updating course:", error);
+      sendSaveError(res, error);
+    }
+  }
+);
+
+//This API endpoint is for Deleting a Course, but also check if the a Student is attached to the course
+v1.delete(
+  "/courses/:id",
+  adminOnly,
+  validate({ params: idParams }),
+  async (req, res) => {
+    try {
+      const enrolledStudents = await findEnrolledStudents(req.params.id);
+      if (enrolledStudents.length > 0) {
+        logger.warn("Attempting to delete course with enrolled students:", {
+          courseId: req.params.id,
+          enrolledStudents: enrolledStudents.length,
+        });
+        return res.status(409).json({
+          message: enrolledStudentsMessage("delete", enrolledStudents),
+          students: enrolledStudents,
+        });
+      }
+      const course = await Course.findByIdAndUpdate(
+        req.params.id,
+        { deletedAt: new Date() },
+        { new: true }
+      );
+      if (!course) {
+        logger.warn("Course not found for deletion:", {
+          courseId: req.params.id,
+        });
+        return res.status(404).json({ message: "Course not found" });
+      }
+      await recordAudit(req, {
+        entity: "Course",
+        action: "delete",
+        before: course,
+      });
+      await cancelCourseEnrollments(req, course);
+      logger.info("Course deleted successfully:", {
+        courseId: course._id,
+        name: course.name,
+      });
+      res.json({ message: "Course moved to the trash" });
+    } catch (error) {
+      logger.error("Error deleting course:", error);
+      res.status(500).json({ message: error.message });
+    }
+  }
+);
+
+//Helper function to find the students with an active enrollment in a course
+//The extra filter lets us narrow it down, e.g. only the students that are still in the course
+async function findEnrolledStudents(courseId, filter = {}) {
+  const studentIds = await Enrollment.distinct("student", {
+    course: courseId,
+    status: "active",
+  });
+  return Student.find({ _id: { $in: studentIds }, ...filter })
+    .select("name email status")
+    .sort({ name: 1 });
+}
+
+//Helper function to check that a course id points to a real course before we reference it
+async function courseExists(courseId) {
+  if (!mongoose.isValidObjectId(courseId)) return false;
+  return (await Course.exists({ _id: courseId })) !== null;
+}
+
+//Helper function to build the conflict message that lists the affected students
+function enrolledStudentsMessage(action, enrolledStudents) {
+  const names = enrolledStudents.map((student) => student.name).join(", ");
+  return `Cannot ${action} course: ${enrolledStudents.length} student(s) still enrolled (${names})`;
+}
+
+//Instructor Routes
+//The instructors teach the courses, a course has at most one lead instructor and any number of assistants
+//The workload of an instructor is the courses they teach and the students enrolled in them
+
+//The fields of an instructor that come with a course
+const INSTRUCTOR_SUMMARY = "name email title status";
+
+//Helper function to find the instructors of some courses, the lead comes first and then the assistants by name
+//Returns a Map of course id -> [{ _id, name, email, title, status, role }]
+async function findCourseInstructors(courseIds) {
+  const assignments = await CourseInstructor.find({
+    course: { $in: courseIds },
+  }).populate("instructor", INSTRUCTOR_SUMMARY);
+  const instructors = new Map(courseIds.map((id) => [String(id), []]));
+  assignments.forEach((assignment) => {
+    const list = instructors.get(String(assignment.course));
+    if (!list || !assignment.instructor) return;
+    list.push({ ...assignment.instructor.toJSON(), role: assignment.role });
+  });
+  instructors.forEach((list) =>
+    list.sort((a, b) =>
+      a.role === b.role
+        ? a.name.localeCompare(b.name)
+        : INSTRUCTOR_ROLES.indexOf(a.role) - INSTRUCTOR_ROLES.indexOf(b.role)
+    )
+  );
+  return instructors;
+}
+
+//Helper function to work out the workload of some instructors
+//Returns a Map of instructor id -> { courses, leadCourses, students }, a student in two of their courses counts once
+//The courses and the students in the Trash are not counted
+async function countWorkloads(instructorIds) {
+  const assignments = await CourseInstructor.find({
+    instructor: { $in: instructorIds },
+  });
+  const courseIds = await Course.find({
+    _id: { $in: assignments.map((assignment) => assignment.course) },
+    deletedAt: null,
+  }).distinct("_id");
+  const enrolled = await Enrollment.aggregate([
+    { $match: { course: { $in: courseIds }, status: "active" } },
+    ...ENROLLMENT_STUDENT_LOOKUP,
+    { $group: { _id: "$course", students: { $addToSet: "$student._id" } } },
+  ]);
+  const studentsByCourse = new Map(
+    enrolled.map(({ _id, students }) => [String(_id), students.map(String)])
+  );
+  const liveCourses = new Set(courseIds.map(String));
+
+  const workloads = new Map(
+    instructorIds.map((id) => [
+      String(id),
+      { courses: 0, leadCourses: 0, students: new Set() },
+    ])
+  );
+  assignments.forEach((assignment) => {
+    if (!liveCourses.has(String(assignment.course))) return;
+    const workload = workloads.get(String(assignment.instructor));
+    workload.courses += 1;
+    if (assignment.role === "lead") workload.leadCourses += 1;
+    (studentsByCourse.get(String(assignment.course)) || []).forEach(
+      (studentId) => workload.students.add(studentId)
+    );
+  });
+  return new Map(
+    [...workloads].map(([id, workload]) => [
+      id,
+      { ...workload, students: workload.students.size },
+    ])
+  );
+}
+
+//This API endpoint lists the instructors by name with their workload, e.g. /api/v1/instructors?status=active
+v1.get(
+  "/instructors",
+  validate({ query: { status: INSTRUCTOR_FIELDS.status } }),
+  async (req, res) => {
+    try {
+      const filter = {};
+      if (req.query.status) filter.status = req.query.status;
+      const instructors = await Instructor.find(filter).sort({ name: 1 });
+      const workloads = await countWorkloads(
+        instructors.map((instructor) => instructor._id)
+      );
+      logger.info(`Retrieved ${instructors.length} instructors successfully`);
+      res.json(
+        instructors.map((instructor) => ({
+          ...instructor.toJSON(),
+          ...workloads.get(String(instructor._id)),
+        }))
+      );
+    } catch (error) {
+      logger.error("Error fetching instructors:", error);
+      res.status(500).json({ message: error.message });
+    }
+  }
+);
+
+//This API endpoint returns an instructor with their workload and the courses they teach
+v1.get("/instructors/:id", validate({ params: idParams }), async (req, res) => {
+  try {
+    const instructor = await Instructor.findById(req.params.id);
+    if (!instructor) {
+      return res.status(404).json({ message: "Instructor not found" });
+    }
+    const assignments = (
+      await CourseInstructor.find({ instructor: instructor._id }).populate(
+        "course",
+        "name status"
+      )
+    ).filter((assignment) => assignment.course); //Leaves out the courses in the Trash
+    const [workloads, seats] = await Promise.all([
+      countWorkloads([instructor._id]),
+      countSeats(assignments.map((assignment) => assignment.course._id)),
+    ]);
+
+    res.json({
+      ...instructor.toJSON(),
+      ...workloads.get(String(instructor._id)),
+      teaching: assignments
+        .map(({ course, role }) => ({
+          _id: course._id,
+          name: course.name,
+          status: course.status,
+          role,
+          students: seats.get(String(course._id)).seatsUsed,
+        }))
+        .sort((a, b) => a.name.localeCompare(b.name)),
+    });
+  } catch (error) {
+    logger.error("Error fetching instructor:", error);
+    res.status(500).json({ message: error.message });
+  }
+});
+
+//This API endpoint adds an instructor, e.g. { "name": "Ada Byron", "email": "ada@example.com", "title": "Lecturer" }
+v1.post(
+  "/instructors",
+  canEdit,
+  validate({ body: requireFields(INSTRUCTOR_FIELDS, ["name", "email"]) }),
+  async (req, res) => {
+    try {
+      const instructor = await Instructor.create(req.body);
+      await emitWebhook("instructor.created", instructor);
+      publishChange(req, "Instructor", "create", { id: instructor._id });
+      logger.info("Instructor created:", {
+        instructorId: instructor._id,
+        name: instructor.name,
+        userId: req.user._id,
+      });
+      res.status(201).json(instructor);
+    } catch (error) {
+      logger.error("Error creating instructor:", error);
+      sendSaveError(res, error);
+    }
+  }
+);
+
+//This API endpoint updates an instructor
+//An inactive instructor keeps their courses, they just can't be given new ones
+v1.put(
+  "/instructors/:id",
+  canEdit,
+  validate({ params: idParams, body: Joi.object(INSTRUCTOR_FIELDS).min(1) }),
+  async (req, res) => {
+    try {
+      const instructor = await Instructor.findByIdAndUpdate(
+        req.params.id,
+        req.body,
+        { new: true, runValidators: true }
+      );
+      if (!instructor) {
+        return res.status(404).json({ message: "Instructor not found" });
+      }
+      await emitWebhook("instructor.updated", instructor);
+      publishChange(req, "Instructor", "update", { id: instructor._id });
+      logger.info("Instructor updated:", {
+        instructorId: instructor._id,
+        userId: req.user._id,
+      });
+      res.json(instructor);
+    } catch (error) {
+      logger.error("Error updating instructor:", error);
+      sendSaveError(res, error);
+    }
+  }
+);
+
+//This API endpoint deletes an instructor and takes them off all their courses
+v1.delete(
+  "/instructors/:id",
+  adminOnly,
+  validate({ params: idParams }),
+  async (req, res) => {
+    try {
+      const instructor = await Instructor.findByIdAndDelete(req.params.id);
+      if (!instructor) {
+        return res.status(404).json({ message: "Instructor not found" });
+      }
+      await CourseInstructor.deleteMany({ instructor: instructor._id });
+      await emitWebhook("instructor.deleted", instructor);
+      publishChange(req, "Instructor", "delete", { id: instructor._id });
+      logger.info("Instructor deleted:", {
+        instructorId: instructor._id,
+        userId: req.user._id,
+      });
+      res.json({ message: "Instructor deleted" });
+    } catch (error) {
+      logger.error("Error deleting instructor:", error);
+      res.status(500).json({ message: error.message });
+    }
+  }
+);
+
+//This API endpoint lists the instructors of a course, the lead first
+v1.get(
+  "/courses/:id/instructors",
+  validate({ params: idParams }),
+  async (req, res) => {
+    try {
+      const course = await Course.findById(req.params.id);
+      if (!course) {
+        return res.status(404).json({ message: "Course not found" });
+      }
+      const instructors = await findCourseInstructors([course._id]);
+      res.json(instructors.get(String(course._id)));
+    } catch (error) {
+      logger.error("Error fetching course instructors:", error);
+      res.status(500).json({ message: error.message });
+    }
+  }
+);
+
+const COURSE_INSTRUCTOR_PARAMS = {
+  id: objectId().required(),
+  instructorId: objectId().required(),
+};
+
+//This API endpoint assigns an instructor to a course or changes their role in it, e.g. { "role": "lead" }
+//The course's instructors are sent back
+v1.put(
+  "/courses/:id/instructors/:instructorId",
+  canEdit,
+  validate({
+    params: COURSE_INSTRUCTOR_PARAMS,
+    body: {
+      role: Joi.string()
+        .valid(...INSTRUCTOR_ROLES)
+        .required()
+        .label("Role"),
+    },
+  }),
+  async (req, res) => {
+    try {
+      const [course, instructor] = await Promise.all([
+        Course.findById(req.params.id),
+        Instructor.findById(req.params.instructorId),
+      ]);
+      if (!course) {
+        return res.status(404).json({ message: "Course not found" });
+      }
+      if (!instructor) {
+        return res.status(404).json({ message: "Instructor not found" });
+      }
+
+      let assignment = await CourseInstructor.findOne({
+        course: course._id,
+        instructor: instructor._id,
+      });
+      if (!assignment && instructor.status === "inactive") {
+        return res.status(409).json({
+          message: `${instructor.name} is inactive and can't be given new courses`,
+        });
+      }
+      if (req.body.role === "lead") {
+        const lead = await CourseInstructor.findOne({
+          course: course._id,
+          role: "lead",
+          instructor: { $ne: instructor._id },
+        }).populate("instructor", "name");
+        if (lead) {
+          return res.status(409).json({
+            message: `${
+              lead.instructor ? lead.instructor.name : "Another instructor"
+            } is already the lead instructor of ${course.name}`,
+          });
+        }
+      }
+
+      if (!assignment) {
+        assignment = new CourseInstructor({
+          course: course._id,
+          instructor: instructor._id,
+        });
+      }
+      assignment.role = req.body.role;
+      await assignment.save();
+      await emitWebhook("instructor.assigned", assignment);
+      publishChange(req, "Instructor", "update", {
+        id: instructor._id,
+        course: course._id,
+      });
+
+      logger.info("Instructor assigned to course:", {
+        instructorId: instructor._id,
+        courseId: course._id,
+        role: assignment.role,
+        userId: req.user._id,
+      });
+      const instructors = await findCourseInstructors([course._id]);
+      res.json(instructors.get(String(course._id)));
+    } catch (error) {
+      logger.error("Error assigning instructor:", error);
+      sendSaveError(res, error);
+    }
+  }
+);
+
+//This API endpoint takes an instructor off a course, the course's remaining instructors are sent back
+v1.delete(
+  "/courses/:id/instructors/:instructorId",
+  canEdit,
+  validate({ params: COURSE_INSTRUCTOR_PARAMS }),
+  async (req, res) => {
+    try {
+      const assignment = await CourseInstructor.findOneAndDelete({
+        course: req.params.id,
+        instructor: req.params.instructorId,
+      });
+      if (!assignment) {
+        return res
+          .status(404)
+          .json({ message: "The instructor doesn't teach this course" });
+      }
+      await emitWebhook("instructor.unassigned", assignment);
+      publishChange(req, "Instructor", "update", {
+        id: assignment.instructor,
+        course: assignment.course,
+      });
+
+      logger.info("Instructor removed from course:", {
+        instructorId: assignment.instructor,
+        courseId: assignment.course,
+        userId: req.user._id,
+      });
+      const instructors = await findCourseInstructors([assignment.course]);
+      res.json(instructors.get(String(assignment.course)));
+    } catch (error) {
+      logger.error("Error removing instructor from course:", error);
+      res.status(500).json({ message: error.message });
+    }
+  }
+);
+
+//Student Routes
+
+//The fields the students list can be sorted by
+const STUDENT_SORT_FIELDS = [
+  "_id",
+  "name",
+  "email",
+  "course",
+  "enrollmentDate",
+  "status",
+  "createdAt",
+  "updatedAt",
+];
+
+//Helper function to create an error that carries the HTTP status the route should answer with
+//details are extra fields for the JSON response, e.g. { full: true }
+function httpError(status, message, details = {}) {
+  const error = new Error(message);
+  error.status = status;
+  error.details = details;
+  return error;
+}
+
+//Helper function to turn the list query parameters into a MongoDB filter
+//Supported: status, course (course id), instructor (instructor id), enrolledFrom and enrolledTo (dates)
+//The course and dates are about the student's active enrollments, so they are turned into a list of student ids
+async function buildStudentFilter(query) {
+  const filter = {};
+
+  if (query.status) filter.status = String(query.status);
+
+  const enrollmentFilter = buildEnrollmentFilter({
+    course: query.course,
+    from: query.enrolledFrom,
+    to: query.enrolledTo,
+  });
+  //The students of an instructor are the ones in the courses they teach, with a course as well only that course counts
+  if (query.instructor) {
+    enrollmentFilter.course = {
+      $in: await CourseInstructor.distinct("course", {
+        instructor: query.instructor,
+      }),
+      ...(enrollmentFilter.course && { $eq: enrollmentFilter.course }),
+    };
+  }
+  if (Object.keys(enrollmentFilter).length > 0) {
+    filter._id = {
+      $in: await Enrollment.distinct("student", {
+        ...enrollmentFilter,
+        status: "active",
+      }),
+    };
+  }
+
+  return filter;
+}
+
+//Helper function to build an enrollment filter for a course and a range of start dates, all of them optional
+function buildEnrollmentFilter({ course, from, to }) {
+  const filter = {};
+
+  if (course) {
+    if (!mongoose.isValidObjectId(course)) {
+      throw httpError(400, "Invalid course id");
+    }
+    filter.course = new mongoose.Types.ObjectId(String(course));
+  }
+
+  if (from || to) {
+    filter.startDate = {};
+    if (from) filter.startDate.$gte = parseDateParam(from, "enrolledFrom");
+    if (to) filter.startDate.$lte = parseDateParam(to, "enrolledTo");
+  }
+
+  return filter;
+}
+
+//Helper function to read a date query parameter and reject anything that is not a date
+function parseDateParam(value, name) {
+  const date = new Date(value);
+  if (Number.isNaN(date.getTime())) {
+    throw httpError(400, `Invalid date for ${name}`);
+  }
+  return date;
+}
+
+//Helper function to read the page, limit and sort query parameters
+//sort is a field name, with a "-" in front for descending order, e.g. "-enrollmentDate"
+function buildListOptions(query, sortFields, defaultSort) {
+  const page = Math.max(parseInt(query.page, 10) || 1, 1);
+  const limit = Math.min(Math.max(parseInt(query.limit, 10) || 20, 1), 100);
+
+  const sortParam = String(query.sort || defaultSort);
+  const direction = sortParam.startsWith("-") ? -1 : 1;
+  const field = sortParam.replace(/^[-+]/, "");
+  if (!sortFields.includes(field)) {
+    throw httpError(400, `Cannot sort by "${field}"`);
+  }
+
+  return { page, limit, field, direction };
+}
+
+//Join the active enrollments so every student comes back with their current courses, oldest enrollment first
+//e.g. enrollments: [{ _id, course: { _id, name, status }, startDate, status: "active" }]
+const STUDENT_ENROLLMENT_LOOKUP = [
+  {
+    $lookup: {
+      from: "enrollments",
+      localField: "_id",
+      foreignField: "student",
+      pipeline: [
+        { $match: { status: "active" } },
+        { $sort: { startDate: 1 } },
+        {
+          $lookup: {
+            from: "courses",
+            localField: "course",
+            foreignField: "_id",
+            pipeline: [{ $project: { name: 1, status: 1 } }],
+            as: "course",
+          },
+        },
+        { $unwind: "$course" },
+        { $project: { course: 1, startDate: 1, status: 1 } },
+      ],
+      as: "enrollments",
+    },
+  },
+];
+
+//The other way around: join the student of every enrollment, for the counts and reports built on enrollments
+//The $unwind drops the enrollments of students in the Trash
+const ENROLLMENT_STUDENT_LOOKUP = [
+  {
+    $lookup: {
+      from: "students",
+      localField: "student",
+      foreignField: "_id",
+      pipeline: [
+        { $match: { deletedAt: null } },
+        { $project: { name: 1, status: 1 } },
+      ],
+      as: "student",
+    },
+  },
+  { $unwind: "$student" },
+];
+
+//Helper function to add the enrollments (with their course) to students loaded with find
+//By default only the active ones, pass {} as the filter for the whole course history
+async function attachEnrollments(students, filter = { status: "active" }) {
+  const list = [].concat(students);
+  const enrollments = await Enrollment.find({
+    student: { $in: list.map((student) => student._id) },
+    ...filter,
+  })
+    .sort({ startDate: -1 })
+    .populate({
+      path: "course",
+      select: "name status",
+      options: { withDeleted: true }, //The course history may include courses in the Trash
+    })
+    .populate("offering", OFFERING_SUMMARY);
+
+  const results = list.map((student) => ({
+    ...student.toJSON(),
+    enrollments: enrollments.filter(
+      (enrollment) => String(enrollment.student) === String(student._id)
+    ),
+  }));
+  return Array.isArray(students) ? results : results[0];
+}
+
+//Counts a student's attendance records by status, to be used in a $group stage
+const ATTENDANCE_COUNTS = {
+  ...Object.fromEntries(
+    ATTENDANCE_STATUSES.map((status) => [
+      status,
+      { $sum: { $cond: [{ $eq: ["$status", status] }, 1, 0] } },
+    ])
+  ),
+  sessions: { $sum: 1 },
+};
+
+//Helper function to work out the attendance rate from the counts above
+//Returns null when there is nothing to count yet, so "no records" is not shown as 0%
+function attendanceRate({ present = 0, late = 0, absent = 0 }) {
+  const counted = present + late + absent;
+  return counted > 0 ? Math.round(((present + late) / counted) * 100) : null;
+}
+
+//Adds the attendance rate to every student of a list, only used after paging because it is a join per student
+const STUDENT_ATTENDANCE_LOOKUP = [
+  {
+    $lookup: {
+      from: "attendances",
+      localField: "_id",
+      foreignField: "student",
+      pipeline: [{ $group: { _id: null, ...ATTENDANCE_COUNTS } }],
+      as: "attendance",
+    },
+  },
+  {
+    $addFields: {
+      attendance: { $arrayElemAt: ["$attendance", 0] },
+    },
+  },
+  {
+    $addFields: {
+      attendanceRate: {
+        $let: {
+          vars: {
+            attended: { $add: ["$attendance.present", "$attendance.late"] },
+            counted: {
+              $add: [
+                "$attendance.present",
+                "$attendance.late",
+                "$attendance.absent",
+              ],
+            },
+          },
+          in: {
+            $cond: [
+              { $gt: ["$$counted", 0] },
+              {
+                $round: [
+                  {
+                    $multiply: [{ $divide: ["$$attended", "$$counted"] }, 100],
+                  },
+                  0,
+                ],
+              },
+              null,
+            ],
+          },
+        },
+      },
+    },
+  },
+  { $project: { attendance: 0 } },
+];
+
+//The sort fields that come from the enrollments: the course name and the start date
+//A student with several enrollments is sorted by the lowest value (the highest for descending order)
+const ENROLLMENT_SORT_KEYS = {
+  course: "enrollments.course.name",
+  enrollmentDate: "enrollments.startDate",
+};
+
+//Helper function to turn a sort field into a $sort stage
+//_id is added so the order is stable between pages
+function sortStage(field, direction) {
+  return { [ENROLLMENT_SORT_KEYS[field] || field]: direction, _id: direction };
+}
+
+//Helper function to build the aggregation used by the students list and the exports
+//When sorting by an enrollment field the join has to come first, otherwise we sort and cut the page first so the indexes can be used
+function buildStudentPipeline(filter, sort, paging) {
+  const pagingStages = paging
+    ? [{ $skip: paging.skip }, { $limit: paging.limit }]
+    : [];
+  const sortsByEnrollment = Object.keys(sort).some((key) =>
+    key.startsWith("enrollments.")
+  );
+
+  //The status history is only needed on the single student view, so lists leave it out
+  const matchStages = [{ $match: filter }, { $project: { statusHistory: 0 } }];
+
+  return sortsByEnrollment
+    ? [
+        ...matchStages,
+        ...STUDENT_ENROLLMENT_LOOKUP,
+        { $sort: sort },
+        ...pagingStages,
+      ]
+    : [
+        ...matchStages,
+        { $sort: sort },
+        ...pagingStages,
+        ...STUDENT_ENROLLMENT_LOOKUP,
+      ];
+}
+
+//This GET API endpoint get or retrieve the students a page at a time
+//e.g. /api/v1/students?page=2&limit=20&sort=-enrollmentDate&status=active&course=<id>&enrolledFrom=2024-01-01
+//By default the newest students come first
+v1.get(
+  "/students",
+  validate({ query: STUDENT_LIST_QUERY }),
+  async (req, res) => {
+    try {
+      const filter = await buildStudentFilter(req.query);
+      const { page, limit, field, direction } = buildListOptions(
+        req.query,
+        STUDENT_SORT_FIELDS,
+        "-createdAt"
+      );
+
+      const pipeline = [
+        ...buildStudentPipeline(filter, sortStage(field, direction), {
+          skip: (page - 1) * limit,
+          limit,
+        }),
+        ...STUDENT_ATTENDANCE_LOOKUP,
+      ];
+
+      const [students, total] = await Promise.all([
+        Student.aggregate(pipeline),
+        Student.countDocuments(filter),
+      ]);
+
+      logger.info(
+        `Retrieved ${students.length} of ${total} students successfully`
+      );
+      res.json({
+        data: students,
+        total,
+        page,
+        limit,
+        pages: Math.ceil(total / limit),
+      });
+    } catch (error) {
+      logger.error("Error while fetching students:", error);
+      res.status(error.status || 500).json({ message: error.message });
+    }
+  }
+);
+
+//This API endpoint exports the students as CSV, XLSX or PDF
+//It takes the same filters and sort as GET /api/v1/students, e.g. /api/v1/students/export?format=xlsx&status=active
+//The PDF is a roster grouped by course, a student with several courses is listed under each of them
+v1.get(
+  "/students/export",
+  validate({
+    query: { ...STUDENT_LIST_QUERY, format: EXPORT_FORMAT_QUERY },
+  }),
+  async (req, res) => {
+    try {
+      const format = exportFormat(req.query);
+      const filter = await buildStudentFilter(req.query);
+      const { field, direction } = buildListOptions(
+        req.query,
+        STUDENT_SORT_FIELDS,
+        "name"
+      );
+
+      //The roster needs one row per enrollment grouped by course, then sorted as requested inside each course
+      //When filtered by a course, the other courses of its students are left out of the roster
+      const pipeline =
+        format === "pdf"
+          ? [
+              { $match: filter },
+              { $project: { statusHistory: 0 } },
+              ...STUDENT_ENROLLMENT_LOOKUP,
+              {
+                $unwind: {
+                  path: "$enrollments",
+                  preserveNullAndEmptyArrays: true,
+                },
+              },
+              ...(req.query.course
+                ? [
+                    {
+                      $match: {
+                        "enrollments.course._id": new mongoose.Types.ObjectId(
+                          req.query.course
+                        ),
+                      },
+                    },
+                  ]
+                : []),
+              {
+                $sort: {
+                  "enrollments.course.name": 1,
+                  ...sortStage(field, direction),
+                },
+              },
+            ]
+          : buildStudentPipeline(filter, sortStage(field, direction));
+
+      const cursor = Student.aggregate(pipeline)
+        .allowDiskUse(true) //Sorting by the joined course name can't use an index
+        .cursor();
+
+      logger.info("Exporting students:", { format, filter });
+      await streamExport(res, {
+        format,
+        name: "students",
+        title: format === "pdf" ? "Student Roster" : "Students",
+        columns: STUDENT_EXPORT_COLUMNS,
+        rows: cursor,
+        groupBy: (student) =>
+          exportedEnrollments(student)[0]?.course.name || "No course",
+      });
+    } catch (error) {
+      handleExportError(res, error, "students");
+    }
+  }
+);
+
+//This POST API endpoint will creates a new students in the database using the data sent in the request body...
+//Basically the data sent from the frontend it's going to be used in the backend from this request body inorder to pass...
+//onto our object and then use this data to create a new students
+
+v1.post(
+  "/students",
+  canEdit,
+  validate({
+    body: requireFields(STUDENT_FIELDS, ["name", "email"])
+      .keys({
+        ...ENROLLMENT_FIELDS,
+        status: Joi.string()
+          .valid(...INITIAL_STUDENT_STATUSES)
+          .messages({
+            "any.only": `A new student must start as ${INITIAL_STUDENT_STATUSES.join(" or ")}`,
+          }),
+      })
+      .with("offering", "course"),
+  }),
+  async (req, res) => {
+    try {
+      //The first enrollment can be made together with the student, e.g. from the "Add Student" form
+      //A full course is refused before the student is saved, so no student is left behind without their course
+      const {
+        course: courseId,
+        enrollmentDate,
+        waitlist,
+        offering: offeringId,
+        allowClash,
+        ...fields
+      } = req.body;
+      const course = courseId && (await findEnrollableCourse(courseId));
+      const offering = offeringId && (await findOffering(course, offeringId));
+      if (course && !waitlist && !(await hasFreeSeat(course))) {
+        throw courseFullError(course);
+      }
+
+      const status =
+        fields.status || (await getSettings()).defaultStudentStatus;
+      const student = new Student({
+        ...fields,
+        status,
+        statusHistory: [initialStatusChange(status, req.user)],
+      });
+      const savedStudent = await student.save();
+      await recordAudit(req, {
+        entity: "Student",
+        action: "create",
+        after: savedStudent,
+      });
+      if (course) {
+        await enrollStudent(req, savedStudent._id, course, enrollmentDate, {
+          waitlist,
+          offering,
+        });
+      }
+
+      //The student's list includes the waitlisted enrollment, so the form can say the student is waiting
+      const result = await attachEnrollments(savedStudent, {
+        status: { $in: OPEN_ENROLLMENT_STATUSES },
+      });
+      logger.info("Student created successfully:", {
+        studentId: savedStudent._id,
+        name: savedStudent.name,
+        courses: result.enrollments.map((enrollment) => enrollment.course.name),
+      });
+      res.status(201).json(result);
+    } catch (error) {
+      logger.error("Error creating student:", error);
+      sendSaveError(res, error);
+    }
+  }
+);
+
+//Helper function to update the fields of a student, used by the staff and by the Student Portal
+//Returns null when the student doesn't exist (or is in the Trash)
+async function updateStudent(req, studentId, changes) {
+  const before = await Student.findById(studentId);
+  if (!before) return null;
+  const student = await Student.findByIdAndUpdate(studentId, changes, {
+    new: true,
+    runValidators: true,
+  });
+  await recordAudit(req, {
+    entity: "Student",
+    action: "update",
+    before,
+    after: student,
+  });
+  logger.info("Student updated successfully:", {
+    studentId: student._id,
+    name: student.name,
+  });
+  return student;
+}
+
+//THis API endpoint is for Updating or Editing a Student
+v1.put(
+  "/students/:id",
+  canEdit,
+  validate({
+    params: idParams,
+    body: Joi.object(STUDENT_FIELDS)
+      .keys({
+        //The status can only be changed through the transition endpoint, so the change gets recorded
+        status: Joi.forbidden(),
+        statusHistory: Joi.forbidden(),
+        //The same for the courses, they are changed by enrolling, transferring or withdrawing
+        ...Object.fromEntries(
+          Object.keys(ENROLLMENT_FIELDS).map((field) => [
+            field,
+            Joi.forbidden().messages({
+              "any.unknown":
+                "Use the enrollment endpoints to change the courses of a student",
+            }),
+          ])
+        ),
+      })
+      .min(1)
+      .messages({
+        "any.unknown": "Use POST /api/v1/students/:id/status to change the status",
+      }),
+  }),
+  async (req, res) => {
+    try {
+      const student = await updateStudent(req, req.params.id, req.body);
+      if (!student) {
+        logger.warn("Student not found for update:", {
+          studentId: req.params.id,
+        });
+        return res.status(404).json({ message: "Student not found" });
+      }
+      res.json(await attachEnrollments(student));
+    } catch (error) {
+      logger.error("Error updating student:", error);
+      sendSaveError(res, error);
+    }
+  }
+);
+
+//This API endpoint lists the student statuses and which status can follow which
+v1.get("/students/statuses", validate(), (req, res) => {
+  res.json({
+    statuses: STUDENT_STATUSES,
+    initial: INITIAL_STUDENT_STATUSES,
+    transitions: STUDENT_STATUS_TRANSITIONS,
+  });
+});
+
+//Helper function to move a student to another status, used by the staff and by the approved portal requests
+//Only the transitions in STUDENT_STATUS_TRANSITIONS are allowed (409 with the allowed ones otherwise)
+async function changeStudentStatus(req, student, status, reason) {
+  const allowed = STUDENT_STATUS_TRANSITIONS[student.status] || [];
+  if (!allowed.includes(status)) {
+    logger.warn("Rejected student status transition:", {
+      studentId: student._id,
+      from: student.status,
+      to: status,
+    });
+    throw httpError(
+      409,
+      `A student cannot go from ${student.status} to ${status}`,
+      { allowed }
+    );
+  }
+
+  const before = student.toObject();
+  student.statusHistory.push({
+    from: student.status,
+    to: status,
+    reason,
+    changedBy: req.user._id,
+    changedAt: new Date(),
+  });
+  student.status = status;
+  await student.save();
+  await recordAudit(req, {
+    entity: "Student",
+    action: "update",
+    before,
+    after: student,
+  });
+
+  await queueEmail("statusChange", student, {
+    from: before.status,
+    to: status,
+    reason,
+  });
+
+  //A student who graduates completes their courses, one who withdraws leaves all of them (and their waitlists)
+  const endedStatus = STUDENT_ENDED_ENROLLMENT_STATUS[status];
+  if (endedStatus) {
+    await endOpenEnrollments(req, { student: student._id }, endedStatus);
+  }
+
+  logger.info("Student status changed:", {
+    studentId: student._id,
+    status,
+    userId: req.user._id,
+  });
+  return student;
+}
+
+//This API endpoint moves a student to another status, e.g. { "status": "graduated", "reason": "Passed final exams" }
+//Only the transitions in STUDENT_STATUS_TRANSITIONS are allowed and every change is recorded in statusHistory
+v1.post(
+  "/students/:id/status",
+  canEdit,
+  validate({
+    params: idParams,
+    body: {
+      status: Joi.string()
+        .valid(...STUDENT_STATUSES)
+        .required()
+        .label("Status"),
+      reason: Joi.string().trim().required().label("Reason").messages({
+        "any.required": "A reason is required to change the status",
+        "string.empty": "A reason is required to change the status",
+      }),
+    },
+  }),
+  async (req, res) => {
+    try {
+      const { status, reason } = req.body;
+
+      const student = await Student.findById(req.params.id);
+      if (!student) {
+        return res.status(404).json({ message: "Student not found" });
+      }
+
+      await changeStudentStatus(req, student, status, reason);
+      await student.populate("statusHistory.changedBy", "name");
+      res.json(await attachEnrollments(student));
+    } catch (error) {
+      logger.error("Error changing student status:", error);
+      sendSaveError(res, error);
+    }
+  }
+);
+
+//Helper function for the first entry of a new student's status history
+function initialStatusChange(status, user) {
+  return {
+    from: null,
+    to: status,
+    reason: "Student created",
+    changedBy: user._id,
+    changedAt: new Date(),
+  };
+}
+
+//This API endpoint is for Deleting a Student
+v1.delete(
+  "/students/:id",
+  canEdit,
+  validate({ params: idParams }),
+  async (req, res) => {
+    try {
+      const student = await Student.findByIdAndUpdate(
+        req.params.id,
+        { deletedAt: new Date() },
+        { new: true }
+      );
+      if (!student) {
+        logger.warn("Student not found for deletion:", {
+          studentId: req.params.id,
+        });
+        return res.status(404).json({ message: "Student not found" });
+      }
+      await recordAudit(req, {
+        entity: "Student",
+        action: "delete",
+        before: student,
+      });
+      //A student in the Trash doesn't take up a seat, so the next students on the waitlists move up
+      await fillFreeSeats(
+        req,
+        await Enrollment.distinct("course", {
+          student: student._id,
+          status: "active",
+        })
+      );
+      logger.info("Student deleted successfully:", {
+        courseId: student._id,
+        name: student.name,
+      });
+      res.json({ message: "Student moved to the trash" });
+    } catch (error) {
+      logger.error("Error deleting student:", error);
+      res.status(500).json({ message: error.message });
+    }
+  }
+);
+
+//Enrollment Routes
+//A student can take several courses at once, each through its own enrollment
+//Enrollments are never deleted, transferring or withdrawing ends them so the course history stays complete
+
+//What happens to the open enrollments of a student who moves to one of these statuses
+const STUDENT_ENDED_ENROLLMENT_STATUS = {
+  graduated: "completed",
+  withdrawn: "withdrawn",
+};
+
+//Helper function to load a course a student can be enrolled in, an inactive course takes no new students
+async function findEnrollableCourse(courseId) {
+  const course = await Course.findById(courseId);
+  if (!course) throw httpError(404, "Course not found");
+  if (course.status !== "active") {
+    throw httpError(
+      409,
+      `${course.name} is inactive and takes no new students`
+    );
+  }
+  return course;
+}
+
+//Helper function to check that a student is not in a course yet, a student can only be in a course (or its waitlist) once at a time
+async function checkNotEnrolled(studentId, courseId) {
+  const existing = await Enrollment.findOne({
+    student: studentId,
+    course: courseId,
+    status: { $in: OPEN_ENROLLMENT_STATUSES },
+  });
+  if (existing) {
+    throw httpError(
+      409,
+      existing.status === "active"
+        ? "The student is already enrolled in this course"
+        : "The student is already on the waitlist of this course"
+    );
+  }
+}
+
+//Helper function to count the taken seats and the waitlist of some courses
+//Returns a Map of course id -> { seatsUsed, waitlisted }, the students in the Trash are not counted
+async function countSeats(courseIds) {
+  const results = await Enrollment.aggregate([
+    {
+      $match: {
+        course: { $in: courseIds.map((id) => new mongoose.Types.ObjectId(id)) },
+        status: { $in: OPEN_ENROLLMENT_STATUSES },
+      },
+    },
+    ...ENROLLMENT_STUDENT_LOOKUP,
+    {
+      $group: {
+        _id: "$course",
+        seatsUsed: { $sum: { $cond: [{ $eq: ["$status", "active"] }, 1, 0] } },
+        waitlisted: {
+          $sum: { $cond: [{ $eq: ["$status", "waitlisted"] }, 1, 0] },
+        },
+      },
+    },
+  ]);
+  const seats = new Map(
+    courseIds.map((id) => [String(id), { seatsUsed: 0, waitlisted: 0 }])
+  );
+  results.forEach(({ _id, seatsUsed, waitlisted }) =>
+    seats.set(String(_id), { seatsUsed, waitlisted })
+  );
+  return seats;
+}
+
+//Helper function to check if a course has a free seat, a course without a capacity always has one
+async function hasFreeSeat(course) {
+  if (course.capacity === null || course.capacity === undefined) return true;
+  const seats = await countSeats([course._id]);
+  return seats.get(String(course._id)).seatsUsed < course.capacity;
+}
+
+//The 409 for a full course, full lets the frontend offer the waitlist instead
+function courseFullError(course) {
+  return httpError(409, `${course.name} is full (${course.capacity} seats)`, {
+    full: true,
+  });
+}
+
+//Helper function to find the end of a course's waitlist
+async function nextWaitlistPosition(courseId) {
+  const last = await Enrollment.findOne({
+    course: courseId,
+    status: "waitlisted",
+  }).sort({ waitlistPosition: -1 });
+  return last ? last.waitlistPosition + 1 : 1;
+}
+
+//Helper function to enroll a student in a course
+//A full course refuses the enrollment with a 409, unless waitlist is set, then the student joins the end of the waitlist
+//With an offering the student joins that cohort: it starts on the offering's start date and its meetings can't
+//clash with the student's other courses, unless allowClash is set
+async function enrollStudent(req, studentId, course, startDate, options = {}) {
+  const {
+    waitlist = false,
+    offering = null,
+    allowClash = false,
+    ...extra
+  } = options;
+  await checkNotEnrolled(studentId, course._id);
+  if (offering && !allowClash) await checkNoClashes(studentId, offering);
+
+  const full = !(await hasFreeSeat(course));
+  if (full && !waitlist) throw courseFullError(course);
+
+  const enrollment = await Enrollment.create({
+    student: studentId,
+    course: course._id,
+    startDate: startDate || (offering && offering.startDate) || new Date(),
+    status: full ? "waitlisted" : "active",
+    waitlistPosition: full ? await nextWaitlistPosition(course._id) : null,
+    offering: offering ? offering._id : null,
+    ...extra,
+  });
+  await recordAudit(req, {
+    entity: "Enrollment",
+    action: "create",
+    after: enrollment,
+  });
+  await notifyEnrollment(enrollment);
+  await invoiceEnrollment(req, enrollment);
+  return enrollment;
+}
+
+//Helper function to load an enrollment that is still open, for transferring or withdrawing it
+//statuses are the statuses the action works on, e.g. only an active enrollment can be transferred
+async function findOpenEnrollment(id, statuses = OPEN_ENROLLMENT_STATUSES) {
+  const enrollment = await Enrollment.findById(id);
+  if (!enrollment) throw httpError(404, "Enrollment not found");
+  if (!statuses.includes(enrollment.status)) {
+    throw httpError(409, `The enrollment is ${enrollment.status}`);
+  }
+  return enrollment;
+}
+
+//Helper function to end an open enrollment, the end date can't be before the start date
+async function endEnrollment(req, enrollment, status, endDate = new Date()) {
+  if (endDate < enrollment.startDate) {
+    throw httpError(422, "The end date can't be before the start date");
+  }
+  const before = enrollment.toObject();
+  enrollment.status = status;
+  enrollment.endDate = endDate;
+  enrollment.waitlistPosition = null;
+  await enrollment.save();
+  await recordAudit(req, {
+    entity: "Enrollment",
+    action: "update",
+    before,
+    after: enrollment,
+  });
+  return enrollment;
+}
+
+//Helper function to end all the open enrollments that match a filter, e.g. of a student who graduated
+//An enrollment on a waitlist never started, so it is always withdrawn; the seats that free up are filled from the waitlists
+async function endOpenEnrollments(req, filter, status) {
+  const enrollments = await Enrollment.find({
+    ...filter,
+    status: { $in: OPEN_ENROLLMENT_STATUSES },
+  });
+  for (const enrollment of enrollments) {
+    //Today could be before a start date that was set in the future, the enrollment then ends the day it starts
+    const endDate = new Date(Math.max(Date.now(), enrollment.startDate));
+    await endEnrollment(
+      req,
+      enrollment,
+      enrollment.status === "waitlisted" ? "withdrawn" : status,
+      endDate
+    );
+  }
+  await fillFreeSeats(
+    req,
+    enrollments.map((enrollment) => enrollment.course)
+  );
+  return enrollments;
+}
+
+//Helper function to promote the students on the waitlists of some courses while there are free seats
+//First come, first served: the lowest waitlistPosition goes first, the students in the Trash are skipped
+//Called whenever a seat can free up: a withdrawal, a transfer, a status change, a deletion or a bigger capacity
+async function fillFreeSeats(req, courseIds) {
+  const promoted = [];
+  const uniqueIds = [...new Set(courseIds.map(String))];
+  for (const courseId of uniqueIds) {
+    const course = await Course.findById(courseId);
+    if (!course || course.status !== "active") continue; //An inactive course takes no new students
+
+    while (await hasFreeSeat(course)) {
+      const [next] = await Enrollment.aggregate([
+        { $match: { course: course._id, status: "waitlisted" } },
+        { $sort: { waitlistPosition: 1, createdAt: 1 } },
+        ...ENROLLMENT_STUDENT_LOOKUP,
+        { $limit: 1 },
+      ]);
+      if (!next) break;
+
+      const before = await Enrollment.findById(next._id);
+      //A student can't start before the date they asked for, or before today
+      const enrollment = await Enrollment.findOneAndUpdate(
+        { _id: next._id, status: "waitlisted" },
+        {
+          status: "active",
+          waitlistPosition: null,
+          startDate: new Date(Math.max(Date.now(), next.startDate)),
+        },
+        { new: true }
+      );
+      if (!enrollment) continue; //Someone else got to it first
+      await recordAudit(req, {
+        entity: "Enrollment",
+        action: "update",
+        before,
+        after: enrollment,
+      });
+      promoted.push(enrollment);
+      await notifyEnrollment(enrollment);
+      await invoiceEnrollment(req, enrollment);
+      logger.info("Student promoted from the waitlist:", {
+        studentId: enrollment.student,
+        courseId: course._id,
+      });
+    }
+  }
+  return promoted;
+}
+
+//This API endpoint returns every enrollment of a student, current and past, newest first
+v1.get(
+  "/students/:id/enrollments",
+  validate({ params: idParams }),
+  async (req, res) => {
+    try {
+      const student = await Student.findById(req.params.id);
+      if (!student) {
+        return res.status(404).json({ message: "Student not found" });
+      }
+      const { enrollments } = await attachEnrollments(student, {});
+      res.json(enrollments);
+    } catch (error) {
+      logger.error("Error fetching enrollments:", error);
+      res.status(500).json({ message: error.message });
+    }
+  }
+);
+
+//This API endpoint enrolls a student in another course, e.g. { "course": "<id>", "enrollmentDate": "2024-09-01" }
+//A full course answers with a 409, send "waitlist": true to put the student on the waitlist instead
+//An "offering" puts the student in a cohort, a clash with their timetable answers with a 409 unless "allowClash" is true
+v1.post(
+  "/students/:id/enrollments",
+  canEdit,
+  validate({
+    params: idParams,
+    body: requireFields(ENROLLMENT_FIELDS, ["course"]),
+  }),
+  async (req, res) => {
+    try {
+      const student = await Student.findById(req.params.id);
+      if (!student) {
+        return res.status(404).json({ message: "Student not found" });
+      }
+      const course = await findEnrollableCourse(req.body.course);
+      const offering =
+        req.body.offering && (await findOffering(course, req.body.offering));
+      const enrollment = await enrollStudent(
+        req,
+        student._id,
+        course,
+        req.body.enrollmentDate,
+        {
+          waitlist: req.body.waitlist,
+          offering,
+          allowClash: req.body.allowClash,
+        }
+      );
+      await enrollment.populate([
+        { path: "course", select: "name status" },
+        { path: "offering", select: OFFERING_SUMMARY },
+      ]);
+
+      logger.info("Student enrolled:", {
+        studentId: student._id,
+        courseId: course._id,
+        status: enrollment.status,
+        userId: req.user._id,
+      });
+      res.status(201).json(enrollment);
+    } catch (error) {
+      logger.error("Error enrolling student:", error);
+      sendSaveError(res, error);
+    }
+  }
+);
+
+//Helper function to move an active enrollment to another course, used by the staff and by the approved portal requests
+//Returns the new enrollment, the old one ends as transferred on the date
+async function transferEnrollment(
+  req,
+  enrollment,
+  { course: courseId, date = new Date(), offering: offeringId, allowClash }
+) {
+  const course = await findEnrollableCourse(courseId);
+  const offering = offeringId && (await findOffering(course, offeringId));
+  //Checked before the old enrollment is ended, so a refused transfer changes nothing
+  //The course the student leaves can't clash with the new one
+  await checkNotEnrolled(enrollment.student, course._id);
+  if (offering && !allowClash) {
+    await checkNoClashes(enrollment.student, offering, enrollment._id);
+  }
+  if (!(await hasFreeSeat(course))) throw courseFullError(course);
+
+  await endEnrollment(req, enrollment, "transferred", date);
+  const transferred = await enrollStudent(
+    req,
+    enrollment.student,
+    course,
+    date,
+    { transferredFrom: enrollment._id, offering, allowClash: true }
+  );
+  await fillFreeSeats(req, [enrollment.course]);
+
+  logger.info("Student transferred:", {
+    studentId: enrollment.student,
+    from: enrollment.course,
+    to: course._id,
+    userId: req.user._id,
+  });
+  return transferred;
+}
+
+//Helper function to withdraw a student from one course or its waitlist, the seat goes to the waitlist
+async function withdrawEnrollment(req, enrollment, date) {
+  const wasActive = enrollment.status === "active";
+  await endEnrollment(req, enrollment, "withdrawn", date);
+  if (wasActive) await fillFreeSeats(req, [enrollment.course]);
+
+  logger.info("Student withdrawn from course:", {
+    studentId: enrollment.student,
+    courseId: enrollment.course,
+    userId: req.user._id,
+  });
+  return enrollment;
+}
+
+//This API endpoint moves an enrollment to another course, e.g. { "course": "<id>", "date": "2024-10-01" }
+//The old enrollment ends as transferred on that date and the new one starts the same day
+//A transfer needs a free seat in the new course, there is no waitlist for it
+//The new course can be taken in one of its offerings, with the same clash check as enrolling
+v1.post(
+  "/enrollments/:id/transfer",
+  canEdit,
+  validate({
+    params: idParams,
+    body: {
+      course: objectId().required().label("Course"),
+      date: Joi.date().label("Date"),
+      offering: ENROLLMENT_FIELDS.offering,
+      allowClash: ENROLLMENT_FIELDS.allowClash,
+    },
+  }),
+  async (req, res) => {
+    try {
+      const enrollment = await findOpenEnrollment(req.params.id, ["active"]);
+      const transferred = await transferEnrollment(req, enrollment, req.body);
+      await Promise.all([
+        enrollment.populate("course", "name status"),
+        transferred.populate("course", "name status"),
+      ]);
+      res.json({ from: enrollment, to: transferred });
+    } catch (error) {
+      logger.error("Error transferring student:", error);
+      sendSaveError(res, error);
+    }
+  }
+);
+
+//This API endpoint withdraws a student from one course or its waitlist, e.g. { "date": "2024-10-01" }
+v1.post(
+  "/enrollments/:id/withdraw",
+  canEdit,
+  validate({ params: idParams, body: { date: Joi.date().label("Date") } }),
+  async (req, res) => {
+    try {
+      const enrollment = await findOpenEnrollment(req.params.id);
+      await withdrawEnrollment(req, enrollment, req.body.date);
+      await enrollment.populate("course", "name status");
+      res.json(enrollment);
+    } catch (error) {
+      logger.error("Error withdrawing student from course:", error);
+      sendSaveError(res, error);
+    }
+  }
+);
+
+//Helper function to build the waitlist of a course, in the order the students will be promoted
+async function buildWaitlist(course) {
+  const [waitlist, seats] = await Promise.all([
+    Enrollment.aggregate([
+      { $match: { course: course._id, status: "waitlisted" } },
+      { $sort: { waitlistPosition: 1, createdAt: 1 } },
+      ...ENROLLMENT_STUDENT_LOOKUP,
+      {
+        $project: {
+          student: 1,
+          startDate: 1,
+          waitlistPosition: 1,
+          createdAt: 1,
+        },
+      },
+    ]),
+    countSeats([course._id]),
+  ]);
+  return {
+    course: { _id: course._id, name: course.name, capacity: course.capacity },
+    ...seats.get(String(course._id)),
+    waitlist,
+  };
+}
+
+//This API endpoint returns the waitlist of a course with the seats used
+v1.get(
+  "/courses/:id/waitlist",
+  validate({ params: idParams }),
+  async (req, res) => {
+    try {
+      const course = await Course.findById(req.params.id);
+      if (!course) {
+        return res.status(404).json({ message: "Course not found" });
+      }
+      res.json(await buildWaitlist(course));
+    } catch (error) {
+      logger.error("Error fetching waitlist:", error);
+      res.status(500).json({ message: error.message });
+    }
+  }
+);
+
+//This API endpoint reorders the waitlist of a course, e.g. { "order": ["<enrollment id>", ...] }
+//The order has to list every enrollment on the waitlist, the first one is promoted first
+v1.put(
+  "/courses/:id/waitlist",
+  canEdit,
+  validate({
+    params: idParams,
+    body: {
+      order: Joi.array().items(objectId()).unique().required().label("Order"),
+    },
+  }),
+  async (req, res) => {
+    try {
+      const course = await Course.findById(req.params.id);
+      if (!course) {
+        return res.status(404).json({ message: "Course not found" });
+      }
+      const { waitlist } = await buildWaitlist(course);
+      const listed = new Set(req.body.order);
+      if (
+        listed.size !== waitlist.length ||
+        waitlist.some((entry) => !listed.has(String(entry._id)))
+      ) {
+        return res.status(422).json({
+          message: "The order has to list every student on the waitlist",
+        });
+      }
+
+      //The waitlisted students in the Trash are not shown, they keep their order behind everyone else
+      const hidden = await Enrollment.find({
+        course: course._id,
+        status: "waitlisted",
+        _id: { $nin: req.body.order },
+      }).sort({ waitlistPosition: 1, createdAt: 1 });
+      const order = [...req.body.order, ...hidden.map((entry) => entry._id)];
+      await Enrollment.bulkWrite(
+        order.map((id, index) => ({
+          updateOne: {
+            filter: { _id: id, status: "waitlisted" },
+            update: { $set: { waitlistPosition: index + 1 } },
+          },
+        }))
+      );
+      await emitWebhook("waitlist.reordered", { course: course._id, order });
+
+      logger.info("Waitlist reordered:", {
+        courseId: course._id,
+        students: order.length,
+        userId: req.user._id,
+      });
+      res.json(await buildWaitlist(course));
+    } catch (error) {
+      logger.error("Error reordering waitlist:", error);
+      res.status(500).json({ message: error.message });
+    }
+  }
+);
+
+//Bulk Import of Students
+//Importing is done in two steps: the preview checks every row of the uploaded file without saving anything,
+//then the commit saves the rows the user kept (and maybe fixed) all at once
+
+//Uploaded files are kept in memory, they are small and we never need them on disk
+const importUpload = multer({
+  storage: multer.memoryStorage(),
+  limits: { fileSize: 5 * 1024 * 1024 }, //5MB
+  fileFilter: (req, file, cb) => {
+    const extension = file.originalname.split(".").pop().toLowerCase();
+    if (!["csv", "xlsx"].includes(extension)) {
+      return cb(httpError(400, "Only .csv and .xlsx files can be imported"));
+    }
+    cb(null, true);
+  },
+});
+
+const MAX_IMPORT_ROWS = 5000;
+
+//The column names we recognise in the file, mapped to the studentSchema fields (course and enrollmentDate make the first enrollment)
+//Headers are compared in lowercase without spaces or punctuation, so "Full Name" matches "fullname"
+const IMPORT_COLUMN_MAP = {
+  name: "name",
+  fullname: "name",
+  studentname: "name",
+  email: "email",
+  emailaddress: "email",
+  course: "course",
+  coursename: "course",
+  courseid: "course",
+  enrollmentdate: "enrollmentDate",
+  enrolled: "enrollmentDate",
+  enrolledon: "enrollmentDate",
+  startdate: "enrollmentDate",
+  status: "status",
+};
+
+const IMPORT_FIELDS = ["name", "email", "course", "enrollmentDate", "status"];
+
+//Helper function to read the uploaded CSV or XLSX file into plain rows keyed by the schema field
+async function parseImportFile(file) {
+  const extension = file.originalname.split(".").pop().toLowerCase();
+  let records;
+
+  if (extension === "csv") {
+    records = parseCsv(file.buffer, {
+      columns: true,
+      bom: true,
+      trim: true,
+      skip_empty_lines: true,
+    });
+  } else {
+    const workbook = new ExcelJS.Workbook();
+    await workbook.xlsx.load(file.buffer);
+    const sheet = workbook.worksheets[0];
+    if (!sheet) throw httpError(400, "The spreadsheet has no worksheets");
+
+    const headers = [];
+    sheet.getRow(1).eachCell((cell, column) => {
+      headers[column] = String(cell.text).trim();
+    });
+
+    records = [];
+    sheet.eachRow((row, rowNumber) => {
+      if (rowNumber === 1) return;
+      const record = {};
+      headers.forEach((header, column) => {
+        const value = row.getCell(column).value;
+        //Dates stay Date objects, everything else (formulas, rich text) is read as the text shown in Excel
+        record[header] =
+          value instanceof Date ? value : row.getCell(column).text;
+      });
+      records.push(record);
+    });
+  }
+
+  if (records.length > MAX_IMPORT_ROWS) {
+    throw httpError(400, `A file can have at most ${MAX_IMPORT_ROWS} rows`);
+  }
+
+  //Map the file's headers to our fields, columns we don't know are ignored
+  return records.map((record, index) => {
+    const row = { row: index + 2 }; //+2 because of the header row and because spreadsheets count from 1
+    Object.entries(record).forEach(([header, value]) => {
+      const field =
+        IMPORT_COLUMN_MAP[header.toLowerCase().replace(/[^a-z]/g, "")];
+      if (field) row[field] = value;
+    });
+    return row;
+  });
+}
+
+//Helper function to check every import row against the studentSchema and enrollmentSchema
+//Returns the rows with their errors (by field), plus the student and enrollment ready to be saved for the valid rows
+async function validateImportRows(rows, user) {
+  const courses = await Course.find().select("name status capacity");
+  const coursesById = new Map(
+    courses.map((course) => [String(course._id), course])
+  );
+  const coursesByName = new Map(
+    courses.map((course) => [course.name.trim().toLowerCase(), course])
+  );
+
+  //Look up all the emails at once instead of one query per row
+  const emails = rows.map((row) =>
+    String(row.email || "")
+      .trim()
+      .toLowerCase()
+  );
+  const existingEmails = new Set(
+    //The students in the Trash still hold on to their email
+    (
+      await Student.find({ email: { $in: emails } })
+        .setOptions({ withDeleted: true })
+        .select("email")
+    ).map((student) => student.email)
+  );
+  const seenEmails = new Set();
+  const { defaultStudentStatus } = await getSettings();
+
+  const results = rows.map((row) => {
+    const errors = {};
+    const data = {};
+    IMPORT_FIELDS.forEach((field) => {
+      const value = row[field];
+      data[field] =
+        value instanceof Date
+          ? value.toISOString().split("T")[0]
+          : String(value ?? "").trim();
+    });
+    data.email = data.email.toLowerCase();
+    if (data.status === "") data.status = defaultStudentStatus;
+    data.status = data.status.toLowerCase();
+    if (!INITIAL_STUDENT_STATUSES.includes(data.status)) {
+      errors.status = `Status must be ${INITIAL_STUDENT_STATUSES.join(" or ")}`;
+    }
+
+    //The course can be given by name or by id
+    const course =
+      coursesById.get(data.course) ||
+      coursesByName.get(data.course.toLowerCase());
+    if (data.course && !course) {
+      errors.course = `Unknown course "${data.course}"`;
+    } else if (course && course.status !== "active") {
+      //The same rule as findEnrollableCourse, an inactive course takes no new students
+      errors.course = `${course.name} is inactive and takes no new students`;
+    }
+
+    const enrollmentDate = new Date(data.enrollmentDate);
+    if (data.enrollmentDate && Number.isNaN(enrollmentDate.getTime())) {
+      errors.enrollmentDate = `Invalid date "${data.enrollmentDate}"`;
+    }
+
+    if (data.email) {
+      if (existingEmails.has(data.email)) {
+        errors.email = "A student with this email already exists";
+      } else if (seenEmails.has(data.email)) {
+        errors.email = "This email appears more than once in the file";
+      }
+      seenEmails.add(data.email);
+    }
+
+    //Let Mongoose check the rest of the schema rules (required fields, allowed status values)
+    const student = new Student({
+      name: data.name,
+      email: data.email,
+      status: data.status,
+      statusHistory: [initialStatusChange(data.status, user)],
+    });
+    const enrollment = new Enrollment({
+      student: student._id,
+      course: course ? course._id : undefined,
+      startDate: errors.enrollmentDate
+        ? undefined
+        : data.enrollmentDate || undefined,
+    });
+    [student.validateSync(), enrollment.validateSync()].forEach(
+      (validationError) => {
+        if (!validationError) return;
+        Object.values(validationError.errors).forEach((error) => {
+          //The enrollment's startDate is the enrollmentDate column of the file
+          const field =
+            error.path === "startDate" ? "enrollmentDate" : error.path;
+          if (!errors[field]) {
+            errors[field] =
+              error.kind === "required"
+                ? `${field} is required`
+                : error.message;
+          }
+        });
+      }
+    );
+
+    return {
+      row: row.row,
+      data,
+      errors,
+      valid: Object.keys(errors).length === 0,
+      waitlisted: false,
+      student,
+      enrollment,
+    };
+  });
+  await assignImportSeats(results, coursesById);
+  return results;
+}
+
+//Helper function to give the valid import rows the free seats of their courses, in the order of the file
+//Like enrollStudent with waitlist set, a row that finds its course full joins the end of the waitlist
+async function assignImportSeats(results, coursesById) {
+  const enrolling = results.filter(
+    (result) => result.valid && result.enrollment.course
+  );
+  const courseIds = [
+    ...new Set(enrolling.map((result) => String(result.enrollment.course))),
+  ];
+  const seats = await countSeats(courseIds);
+  const nextPositions = new Map();
+
+  for (const result of enrolling) {
+    const courseId = String(result.enrollment.course);
+    const course = coursesById.get(courseId);
+    const seat = seats.get(courseId);
+    if (
+      course.capacity === null ||
+      course.capacity === undefined ||
+      seat.seatsUsed < course.capacity
+    ) {
+      seat.seatsUsed++;
+      continue;
+    }
+
+    if (!nextPositions.has(courseId)) {
+      nextPositions.set(courseId, await nextWaitlistPosition(course._id));
+    }
+    const position = nextPositions.get(courseId);
+    nextPositions.set(courseId, position + 1);
+    result.enrollment.status = "waitlisted";
+    result.enrollment.waitlistPosition = position;
+    result.waitlisted = true;
+  }
+}
+
+//Helper function for the response, so the Mongoose documents are not sent back
+function importSummary(results) {
+  const valid = results.filter((result) => result.valid).length;
+  return {
+    total: results.length,
+    valid,
+    invalid: results.length - valid,
+    waitlisted: results.filter((result) => result.waitlisted).length,
+    rows: results.map(({ row, data, errors, valid, waitlisted }) => ({
+      row,
+      data,
+      errors,
+      valid,
+      waitlisted,
+    })),
+  };
+}
+
+//This API endpoint reads the uploaded file and returns every row with its errors, nothing is saved yet
+v1.post(
+  "/students/import/preview",
+  canEdit,
+  (req, res, next) => {
+    //Multer errors (wrong type, file too big) should come back as a 400 and not a crash
+    importUpload.single("file")(req, res, (error) => {
+      if (error) {
+        return res.status(error.status || 400).json({ message: error.message });
+      }
+      next();
+    });
+  },
+  validate(), //Only the file is accepted, no other form fields
+  async (req, res) => {
+    try {
+      if (!req.file) {
+        return res
+          .status(400)
+          .json({ message: "Please upload a .csv or .xlsx file" });
+      }
+      const rows = await parseImportFile(req.file);
+      if (rows.length === 0) {
+        return res
+          .status(400)
+          .json({ message: "The file has no student rows" });
+      }
+
+      const summary = importSummary(await validateImportRows(rows, req.user));
+      logger.info("Student import previewed:", {
+        file: req.file.originalname,
+        total: summary.total,
+        invalid: summary.invalid,
+      });
+      res.json(summary);
+    } catch (error) {
+      logger.error("Error previewing student import:", error);
+      res.status(error.status || 400).json({ message: error.message });
+    }
+  }
+);
+
+//This API endpoint saves the import rows sent back from the preview
+//It is all-or-nothing: if a single row is invalid nothing is saved and the rows come back with their errors
+v1.post(
+  "/students/import/commit",
+  canEdit,
+  validate({
+    body: {
+      //The rows themselves are checked by validateImportRows, so they can come back with their errors
+      rows: Joi.array()
+        .items(
+          Joi.object({
+            row: Joi.number().integer(),
+            ...Object.fromEntries(
+              IMPORT_FIELDS.map((field) => [field, Joi.any()])
+            ),
+          })
+        )
+        .min(1)
+        .max(MAX_IMPORT_ROWS)
+        .required()
+        .messages({
+          "array.min": "There are no rows to import",
+          "any.required": "There are no rows to import",
+          "array.max": `At most ${MAX_IMPORT_ROWS} rows can be imported at once`,
+        }),
+    },
+  }),
+  async (req, res) => {
+    try {
+      const rows = req.body.rows;
+
+      //Check everything again, the rows could have been edited or the data changed since the preview
+      const results = await validateImportRows(rows, req.user);
+      const summary = importSummary(results);
+      if (summary.invalid > 0) {
+        return res.status(422).json({
+          message: `${summary.invalid} row(s) still have errors, nothing was imported`,
+          ...summary,
+        });
+      }
+
+      //insertMany stops at the first failure (e.g. an email that was added in the meantime)
+      //In that case we remove the students and enrollments that did get saved, so the import never half-succeeds
+      const students = results.map((result) => result.student);
+      const enrollments = results.map((result) => result.enrollment);
+      try {
+        await Student.insertMany(students, { ordered: true });
+        await Enrollment.insertMany(enrollments, { ordered: true });
+      } catch (error) {
+        await Student.deleteMany({
+          _id: { $in: students.map((student) => student._id) },
+        });
+        await Enrollment.deleteMany({
+          _id: { $in: enrollments.map((enrollment) => enrollment._id) },
+        });
+        throw httpError(
+          409,
+          `Import failed, nothing was imported: ${error.message}`
+        );
+      }
+
+      await AuditEvent.insertMany(
+        [
+          ...students.map((student) => ["Student", student]),
+          ...enrollments.map((enrollment) => ["Enrollment", enrollment]),
+        ].map(([entity, doc]) => ({
+          entity,
+          entityId: doc._id,
+          action: "create",
+          changes: diffSnapshots({}, auditSnapshot(doc)),
+          actor: req.user._id,
+          actorName: req.user.name,
+          route: `${req.method} ${req.originalUrl}`,
+        }))
+      );
+
+      publishChange(req, "Student", "import", { count: students.length });
+      await emitWebhooks("student.created", students);
+      await emitWebhooks("enrollment.created", enrollments);
+      //The confirmations are queued in the background, so a big import answers straight away
+      notifyEnrollments(enrollments);
+      await invoiceEnrollments(req, enrollments);
+      logger.info("Students imported successfully:", {
+        count: students.length,
+        userId: req.user._id,
+      });
+      res.status(201).json({
+        message: `${students.length} student(s) imported successfully${
+          summary.waitlisted > 0
+            ? `, ${summary.waitlisted} of them on a waitlist`
+            : ""
+        }`,
+        imported: students.length,
+        waitlisted: summary.waitlisted,
+      });
+    } catch (error) {
+      logger.error("Error importing students:", error);
+      res.status(error.status || 500).json({ message: error.message });
+    }
+  }
+);
+
+//Student Search
+//The text index finds whole words (and their stems, e.g. "develop" finds "developer") and ranks them,
+//on top of that we match the start of a word for the typeahead and allow one typo per word
+
+const SEARCH_RESULT_LIMIT = 20;
+
+//Helper function to escape a search word so it can be used inside a regex
+function escapeRegex(text) {
+  return text.replace(/[.*+?^${}()|[\]\\]/g, "\\$&");
+}
+
+//Helper function to build a regex that matches a word with at most one typo (a letter changed, missing, added or two letters swapped)
+//Short words are only matched exactly, otherwise almost everything would match
+function fuzzyWordPattern(word) {
+  if (word.length < 4) return escapeRegex(word);
+  const variants = [];
+  for (let i = 0; i <= word.length; i++) {
+    const before = escapeRegex(word.slice(0, i));
+    if (i < word.length) {
+      const after = escapeRegex(word.slice(i + 1));
+      variants.push(`${before}.${after}`); //changed letter
+      variants.push(`${before}${after}`); //missing letter
+    }
+    if (i < word.length - 1) {
+      const swapped = word[i + 1] + word[i];
+      variants.push(`${before}${escapeRegex(swapped + word.slice(i + 2))}`); //swapped letters
+    }
+    variants.push(`${before}.${escapeRegex(word.slice(i))}`); //added letter
+  }
+  return `(?:${variants.join("|")})`;
+}
+
+//Helper function to build the $match of a search
+//courseStudentIds are the students enrolled in a course whose name matches the search, they are found as well
+function buildSearchMatch(term, courseStudentIds) {
+  const words = term.toLowerCase().split(/\s+/).filter(Boolean);
+  //Every word has to be found at the start of a word in the name, with at most one typo
+  const nameMatch = new RegExp(
+    words.map((word) => `(?=.*(?:^|\\s)${fuzzyWordPattern(word)})`).join(""),
+    "i"
+  );
+
+  return {
+    $or: [
+      { $text: { $search: term } },
+      { name: nameMatch },
+      { email: new RegExp(`^${escapeRegex(words[0])}`, "i") },
+      { _id: { $in: courseStudentIds } },
+    ],
+  };
+}
+
+//Helper function to build the relevance of a search result
+//The text score comes first, then a bonus for a name that starts with the search and for a matching course
+function searchRelevance(term, courseStudentIds) {
+  return {
+    $add: [
+      { $ifNull: [{ $meta: "textScore" }, 0] },
+      {
+        $cond: [
+          {
+            $regexMatch: {
+              input: "$name",
+              regex: `^${escapeRegex(term)}`,
+              options: "i",
+            },
+          },
+          2,
+          0,
+        ],
+      },
+      { $cond: [{ $in: ["$_id", courseStudentIds] }, 0.5, 0] },
+    ],
+  };
+}
+
+//Helper function to count the search results by one field for the facets
+function facetStages(groupBy) {
+  return [
+    { $group: { _id: groupBy, count: { $sum: 1 } } },
+    { $sort: { count: -1, _id: 1 } },
+  ];
+}
+
+//This API endpoint searches the students and returns the best matches with facet counts
+//e.g. /api/v1/students/search?q=jane&course=<id>&status=enrolled&year=2024&limit=5
+//Each facet is counted with the other facet filters applied but not its own, so you can still switch between its values
+v1.get(
+  "/students/search",
+  validate({
+    query: {
+      q: Joi.string().trim().max(100).required(),
+      course: objectId(),
+      status: Joi.string().valid(...STUDENT_STATUSES),
+      year: Joi.number().integer().min(1900).max(3000),
+      limit: Joi.number().integer().min(1).max(50),
+    },
+  }),
+  async (req, res) => {
+    try {
+      const { q, course, status, year } = req.query;
+      const limit = req.query.limit || SEARCH_RESULT_LIMIT;
+      logger.info("Searching students initiated:", { q, course, status, year });
+
+      const courseIds = (
+        await Course.find({
+          name: new RegExp(fuzzyWordPattern(q.toLowerCase()), "i"),
+        }).select("_id")
+      ).map((match) => match._id);
+      const courseStudentIds = await Enrollment.distinct("student", {
+        course: { $in: courseIds },
+        status: "active",
+      });
+
+      //The course and year facets look at the student's active enrollments
+      const facetFilters = {
+        course: course
+          ? { "enrollments.course._id": new mongoose.Types.ObjectId(course) }
+          : {},
+        status: status ? { status } : {},
+        year: year
+          ? {
+              "enrollments.startDate": {
+                $gte: new Date(Date.UTC(year, 0, 1)),
+                $lt: new Date(Date.UTC(year + 1, 0, 1)),
+              },
+            }
+          : {},
+      };
+      //All the facet filters except the one that is being counted
+      const filtersExcept = (facet) => ({
+        $match: {
+          $and: Object.entries(facetFilters)
+            .filter(([name]) => name !== facet)
+            .map(([, filter]) => filter),
+        },
+      });
+
+      //The enrollments are joined before the $facet, because the course and year facets filter on them
+      const [result] = await Student.aggregate([
+        { $match: buildSearchMatch(q, courseStudentIds) },
+        { $addFields: { score: searchRelevance(q, courseStudentIds) } },
+        { $project: { statusHistory: 0 } },
+        ...STUDENT_ENROLLMENT_LOOKUP,
+        {
+          $facet: {
+            data: [
+              filtersExcept(null),
+              { $sort: { score: -1, name: 1 } },
+              { $limit: limit },
+              ...STUDENT_ATTENDANCE_LOOKUP,
+            ],
+            total: [filtersExcept(null), { $count: "count" }],
+            courses: [
+              filtersExcept("course"),
+              { $unwind: "$enrollments" },
+              {
+                $group: {
+                  _id: "$enrollments.course._id",
+                  name: { $first: "$enrollments.course.name" },
+                  count: { $sum: 1 },
+                },
+              },
+              { $sort: { count: -1, _id: 1 } },
+            ],
+            statuses: [filtersExcept("status"), ...facetStages("$status")],
+            //A student with two enrollments in the same year is only counted once
+            years: [
+              filtersExcept("year"),
+              { $unwind: "$enrollments" },
+              {
+                $group: {
+                  _id: {
+                    student: "$_id",
+                    year: { $year: "$enrollments.startDate" },
+                  },
+                },
+              },
+              ...facetStages("$_id.year"),
+            ],
+          },
+        },
+      ]);
+
+      const total = result.total.length > 0 ? result.total[0].count : 0;
+      logger.info("Student search completed:", { q, resultsCount: total });
+      res.json({
+        data: result.data,
+        total,
+        facets: {
+          courses: result.courses,
+          statuses: result.statuses,
+          years: result.years,
+        },
+      });
+    } catch (error) {
+      logger.error("Error searching student:", error);
+      res.status(500).json({ message: error.message });
+    }
+  }
+);
+
+//Final endpoint for our students dashboard.
+//This endpoint will help agregate all the data we've stored
+
+//Dashboard Stats
+v1.get("/dashboard/stats", validate(), async (req, res) => {
+  try {
+    const stats = await getDashboardStats();
+    logger.info("Dashboard statistics retrieved successfully", stats);
+    res.json(stats);
+  } catch (error) {
+    logger.error("Error fetching dashboard stats:", error);
+    res.status(500).json({ message: error.message });
+  }
+});
+
+//Helper function for dashboard stats
+async function getDashboardStats() {
+  const totalStudents = await Student.countDocuments();
+  const activeStudents = await Student.countDocuments({ status: "enrolled" });
+  const totalCourses = await Course.countDocuments();
   const activeCourses = await Course.countDocuments({ status: "active" });
-  const graduates = await Student.countDocuments({ status: "inactive" });
-  const courseCouts = await Student.aggregate([
+  const graduates = await Student.countDocuments({ status: "graduated" });
+  const withdrawn = await Student.countDocuments({ status: "withdrawn" });
+  const outstandingFees = await sumOutstandingFees();
+  //The number of students in every course, from the active enrollments
+  const courseCouts = await Enrollment.aggregate([
+    { $match: { status: "active" } },
+    ...ENROLLMENT_STUDENT_LOOKUP,
     { $group: { _id: "$course", count: { $sum: 1 } } },
+    //Join the course document so the counts come back with the course name
+    {
+      $lookup: {
+        from: "courses",
+        localField: "_id",
+        foreignField: "_id",
+        as: "course",
+      },
+    },
+    { $unwind: { path: "$course", preserveNullAndEmptyArrays: true } },
+    { $project: { _id: 1, count: 1, name: "$course.name" } },
+  ]);
+
+  return {
+    totalStudents,
+    activeStudents,
+    totalCourses,
+    activeCourses,
+    graduates,
+    courseCouts,
+    outstandingFees, //What the students still owe on their invoices, in the currency of the settings
+    //The success rate only looks at the students that have finished: how many of them graduated
+    successRate:
+      graduates + withdrawn > 0
+        ? Math.round((graduates / (graduates + withdrawn)) * 100)
+        : 0,
+  };
+}
+
+//Report Routes
+//Every report takes the same query parameters: from and to (enrollment start dates) and an optional course id
+//The reports count enrollments, so a student in two courses is counted in both
+
+const REPORT_QUERY = { ...dateRange("from", "to"), course: objectId() };
+
+//Helper function to build the enrollment filter for a report from its query parameters
+//Without a range the reports cover the last 12 months
+function buildReportFilter(query) {
+  const to = query.to ? parseDateParam(query.to, "to") : new Date();
+  const from = query.from
+    ? parseDateParam(query.from, "from")
+    : new Date(Date.UTC(to.getUTCFullYear() - 1, to.getUTCMonth() + 1, 1));
+  if (from > to) throw httpError(400, "from must be before to");
+
+  const filter = buildEnrollmentFilter({ course: query.course, from, to });
+  return { filter, from, to };
+}
+
+//Groups a date field by month, e.g. "2024-03"
+const monthOf = (field) => ({
+  $dateToString: { format: "%Y-%m", date: `$${field}` },
+});
+
+//Helper function to list every month between two dates, so months without enrollments show up as 0
+function monthsBetween(from, to) {
+  const months = [];
+  const current = new Date(
+    Date.UTC(from.getUTCFullYear(), from.getUTCMonth(), 1)
+  );
+  while (current <= to) {
+    months.push(current.toISOString().slice(0, 7));
+    current.setUTCMonth(current.getUTCMonth() + 1);
+  }
+  return months;
+}
+
+//This API endpoint counts the new enrollments in every month of the range
+v1.get(
+  "/reports/enrollments-per-month",
+  validate({ query: REPORT_QUERY }),
+  async (req, res) => {
+    try {
+      const { filter, from, to } = buildReportFilter(req.query);
+      const results = await Enrollment.aggregate([
+        { $match: filter },
+        ...ENROLLMENT_STUDENT_LOOKUP,
+        { $group: { _id: monthOf("startDate"), count: { $sum: 1 } } },
+      ]);
+
+      const counts = new Map(
+        results.map((result) => [result._id, result.count])
+      );
+      const data = monthsBetween(from, to).map((month) => ({
+        month,
+        count: counts.get(month) || 0,
+      }));
+      res.json({
+        from,
+        to,
+        total: data.reduce((sum, item) => sum + item.count, 0),
+        data,
+      });
+    } catch (error) {
+      logger.error("Error building enrollments per month report:", error);
+      res.status(error.status || 500).json({ message: error.message });
+    }
+  }
+);
+
+//This API endpoint counts the enrollments of every course per month
+//It is the course $group from getDashboardStats, split up by month
+v1.get(
+  "/reports/enrollments-per-course",
+  validate({ query: REPORT_QUERY }),
+  async (req, res) => {
+    try {
+      const { filter, from, to } = buildReportFilter(req.query);
+      const results = await Enrollment.aggregate([
+        { $match: filter },
+        ...ENROLLMENT_STUDENT_LOOKUP,
+        {
+          $group: {
+            _id: { course: "$course", month: monthOf("startDate") },
+            count: { $sum: 1 },
+          },
+        },
+        {
+          $group: {
+            _id: "$_id.course",
+            months: { $push: { month: "$_id.month", count: "$count" } },
+            total: { $sum: "$count" },
+          },
+        },
+        {
+          $lookup: {
+            from: "courses",
+            localField: "_id",
+            foreignField: "_id",
+            as: "course",
+          },
+        },
+        { $unwind: { path: "$course", preserveNullAndEmptyArrays: true } },
+        { $sort: { total: -1 } },
+      ]);
+
+      const months = monthsBetween(from, to);
+      const courses = results.map((result) => {
+        const counts = new Map(
+          result.months.map((item) => [item.month, item.count])
+        );
+        return {
+          courseId: result._id,
+          name: result.course ? result.course.name : "Unknown course",
+          total: result.total,
+          data: months.map((month) => ({
+            month,
+            count: counts.get(month) || 0,
+          })),
+        };
+      });
+      res.json({ from, to, months, courses });
+    } catch (error) {
+      logger.error("Error building enrollments per course report:", error);
+      res.status(error.status || 500).json({ message: error.message });
+    }
+  }
+);
+
+//This API endpoint shows the current status of the students enrolled in each month
+v1.get(
+  "/reports/status-trend",
+  validate({ query: REPORT_QUERY }),
+  async (req, res) => {
+    try {
+      const { filter, from, to } = buildReportFilter(req.query);
+      const results = await Enrollment.aggregate([
+        { $match: filter },
+        ...ENROLLMENT_STUDENT_LOOKUP,
+        {
+          $group: {
+            _id: { month: monthOf("startDate"), status: "$student.status" },
+            count: { $sum: 1 },
+          },
+        },
+      ]);
+
+      const data = monthsBetween(from, to).map((month) => ({
+        month,
+        ...Object.fromEntries(STUDENT_STATUSES.map((status) => [status, 0])),
+      }));
+      const byMonth = new Map(data.map((item) => [item.month, item]));
+      results.forEach(({ _id, count }) => {
+        const item = byMonth.get(_id.month);
+        if (item) item[_id.status] = count;
+      });
+      res.json({ from, to, data });
+    } catch (error) {
+      logger.error("Error building status trend report:", error);
+      res.status(error.status || 500).json({ message: error.message });
+    }
+  }
+);
+
+//This API endpoint works out how long it takes to complete each course
+//A student completes a course Course.duration months after the start of their enrollment
+//Enrollments that were withdrawn or transferred never get completed, so they are left out
+v1.get(
+  "/reports/completion-time",
+  validate({ query: REPORT_QUERY }),
+  async (req, res) => {
+    try {
+      const { filter, from, to } = buildReportFilter(req.query);
+      const now = new Date();
+      const results = await Enrollment.aggregate([
+        { $match: { ...filter, status: { $in: ["active", "completed"] } } },
+        ...ENROLLMENT_STUDENT_LOOKUP,
+        {
+          $lookup: {
+            from: "courses",
+            localField: "course",
+            foreignField: "_id",
+            pipeline: [{ $project: { name: 1, duration: 1 } }],
+            as: "course",
+          },
+        },
+        { $unwind: "$course" },
+        { $match: { "course.duration": { $gt: 0 } } },
+        {
+          $addFields: {
+            completionDate: {
+              $dateAdd: {
+                startDate: "$startDate",
+                unit: "month",
+                amount: "$course.duration",
+              },
+            },
+          },
+        },
+        {
+          $group: {
+            _id: "$course._id",
+            name: { $first: "$course.name" },
+            duration: { $first: "$course.duration" },
+            students: { $sum: 1 },
+            completed: {
+              $sum: { $cond: [{ $lte: ["$completionDate", now] }, 1, 0] },
+            },
+            //Days left for the students that are still in the course
+            daysRemaining: {
+              $sum: {
+                $cond: [
+                  { $gt: ["$completionDate", now] },
+                  {
+                    $dateDiff: {
+                      startDate: now,
+                      endDate: "$completionDate",
+                      unit: "day",
+                    },
+                  },
+                  0,
+                ],
+              },
+            },
+          },
+        },
+        { $sort: { name: 1 } },
+      ]);
+
+      const courses = results.map((result) => {
+        const inProgress = result.students - result.completed;
+        return {
+          courseId: result._id,
+          name: result.name,
+          duration: result.duration,
+          students: result.students,
+          completed: result.completed,
+          inProgress,
+          averageMonthsRemaining:
+            inProgress > 0
+              ? Math.round((result.daysRemaining / inProgress / 30.44) * 10) /
+                10
+              : 0,
+        };
+      });
+
+      //The overall average is weighted by the number of students in each course
+      const totalStudents = courses.reduce(
+        (sum, course) => sum + course.students,
+        0
+      );
+      const averageMonths =
+        totalStudents > 0
+          ? Math.round(
+              (courses.reduce(
+                (sum, course) => sum + course.duration * course.students,
+                0
+              ) /
+                totalStudents) *
+                10
+            ) / 10
+          : 0;
+
+      res.json({ from, to, averageMonths, courses });
+    } catch (error) {
+      logger.error("Error building completion time report:", error);
+      res.status(error.status || 500).json({ message: error.message });
+    }
+  }
+);
+
+//Attendance Routes
+
+//Helper function to load a session or answer with a 404
+async function findSession(id) {
+  const session = await Session.findById(id).populate("course", "name");
+  if (!session || !session.course) throw httpError(404, "Session not found");
+  return session;
+}
+
+//Helper function to build the class register of a session
+//It lists the students that are currently enrolled in the course, plus anyone who was already marked for this session
+async function buildRegister(session) {
+  const marks = await Attendance.find({ session: session._id });
+  const markedIds = marks.map((mark) => mark.student);
+  const enrolledIds = await Enrollment.distinct("student", {
+    course: session.course._id,
+    status: "active",
+  });
+  const students = await Student.find({
+    $or: [
+      { _id: { $in: enrolledIds }, status: "enrolled" },
+      { _id: { $in: markedIds } },
+    ],
+  })
+    .select("name email status")
+    .sort({ name: 1 });
+
+  const statusByStudent = new Map(
+    marks.map((mark) => [String(mark.student), mark.status])
+  );
+  return {
+    session,
+    students: students.map((student) => ({
+      student,
+      status: statusByStudent.get(String(student._id)) || null,
+    })),
+  };
+}
+
+//This API endpoint lists the sessions of a course, newest first, with how many students were marked present
+v1.get(
+  "/courses/:id/sessions",
+  validate({ params: idParams }),
+  async (req, res) => {
+    try {
+      if (!(await courseExists(req.params.id))) {
+        return res.status(404).json({ message: "Course not found" });
+      }
+      const sessions = await Session.aggregate([
+        { $match: { course: new mongoose.Types.ObjectId(req.params.id) } },
+        { $sort: { date: -1 } },
+        {
+          $lookup: {
+            from: "attendances",
+            localField: "_id",
+            foreignField: "session",
+            pipeline: [{ $group: { _id: null, ...ATTENDANCE_COUNTS } }],
+            as: "counts",
+          },
+        },
+        {
+          $addFields: {
+            counts: { $ifNull: [{ $arrayElemAt: ["$counts", 0] }, {}] },
+          },
+        },
+        { $project: { "counts._id": 0 } },
+      ]);
+      res.json(sessions);
+    } catch (error) {
+      logger.error("Error fetching sessions:", error);
+      res.status(500).json({ message: error.message });
+    }
+  }
+);
+
+//This API endpoint creates a session for a course, e.g. { "date": "2024-03-12", "topic": "Introduction" }
+v1.post(
+  "/courses/:id/sessions",
+  canEdit,
+  validate({
+    params: idParams,
+    body: {
+      date: Joi.date().required().label("Date"),
+      topic: Joi.string().trim().allow("").max(200).label("Topic"),
+    },
+  }),
+  async (req, res) => {
+    try {
+      if (!(await courseExists(req.params.id))) {
+        return res.status(404).json({ message: "Course not found" });
+      }
+      const session = await Session.create({
+        ...req.body,
+        course: req.params.id,
+      });
+      await emitWebhook("session.created", session);
+      logger.info("Session created:", {
+        sessionId: session._id,
+        courseId: req.params.id,
+      });
+      res.status(201).json(session);
+    } catch (error) {
+      logger.error("Error creating session:", error);
+      sendSaveError(res, error);
+    }
+  }
+);
+
+//This API endpoint deletes a session together with its attendance
+v1.delete(
+  "/sessions/:id",
+  canEdit,
+  validate({ params: idParams }),
+  async (req, res) => {
+    try {
+      const session = await Session.findByIdAndDelete(req.params.id);
+      if (!session) {
+        return res.status(404).json({ message: "Session not found" });
+      }
+      await Attendance.deleteMany({ session: session._id });
+      await emitWebhook("session.deleted", session);
+      logger.info("Session deleted:", { sessionId: session._id });
+      res.json({ message: "Session deleted successfully" });
+    } catch (error) {
+      logger.error("Error deleting session:", error);
+      res.status(500).json({ message: error.message });
+    }
+  }
+);
+
+//This API endpoint returns the class register of a session
+v1.get(
+  "/sessions/:id/register",
+  validate({ params: idParams }),
+  async (req, res) => {
+    try {
+      res.json(await buildRegister(await findSession(req.params.id)));
+    } catch (error) {
+      logger.error("Error fetching register:", error);
+      res.status(error.status || 500).json({ message: error.message });
+    }
+  }
+);
+
+//This API endpoint marks the whole register of a session in one request
+//e.g. { "records": [{ "student": "<id>", "status": "present" }, { "student": "<id>", "status": "late" }] }
+//Students that are left out keep their current mark
+v1.put(
+  "/sessions/:id/register",
+  canEdit,
+  validate({
+    params: idParams,
+    body: {
+      records: Joi.array()
+        .items(
+          Joi.object({
+            student: objectId().required(),
+            status: Joi.string()
+              .valid(...ATTENDANCE_STATUSES)
+              .required(),
+          })
+        )
+        .unique("student")
+        .min(1)
+        .required(),
+    },
+  }),
+  async (req, res) => {
+    try {
+      const session = await findSession(req.params.id);
+      const { records } = req.body;
+
+      //Only students who are (or have been) in the session's course can be marked, like the grades
+      //A student who left the course since is still on the register once marked, so it can be saved again
+      const studentIds = records.map((record) => record.student);
+      const [enrolledIds, markedIds] = await Promise.all([
+        Enrollment.distinct("student", {
+          student: { $in: studentIds },
+          course: session.course._id,
+          status: { $ne: "waitlisted" },
+        }),
+        Attendance.distinct("student", {
+          student: { $in: studentIds },
+          session: session._id,
+        }),
+      ]);
+      const courseStudentIds = await Student.find({
+        _id: { $in: [...enrolledIds, ...markedIds] },
+        deletedAt: null,
+      }).distinct("_id");
+      if (courseStudentIds.length !== studentIds.length) {
+        const found = new Set(courseStudentIds.map(String));
+        return res.status(422).json({
+          message: "Some students are not in this course",
+          students: studentIds.filter((id) => !found.has(id)),
+        });
+      }
+
+      await Attendance.bulkWrite(
+        records.map((record) => ({
+          updateOne: {
+            filter: { session: session._id, student: record.student },
+            update: {
+              $set: {
+                status: record.status,
+                course: session.course._id,
+                markedBy: req.user._id,
+              },
+            },
+            upsert: true,
+          },
+        }))
+      );
+      await emitWebhook("attendance.recorded", {
+        session: session._id,
+        course: session.course._id,
+        records,
+      });
+      logger.info("Register marked:", {
+        sessionId: session._id,
+        records: records.length,
+        userId: req.user._id,
+      });
+      res.json(await buildRegister(session));
+    } catch (error) {
+      logger.error("Error marking register:", error);
+      res.status(error.status || 500).json({ message: error.message });
+    }
+  }
+);
+
+//This API endpoint returns the attendance rate of a course, overall and per student
+v1.get(
+  "/courses/:id/attendance",
+  validate({ params: idParams }),
+  async (req, res) => {
+    try {
+      if (!(await courseExists(req.params.id))) {
+        return res.status(404).json({ message: "Course not found" });
+      }
+      const courseId = new mongoose.Types.ObjectId(req.params.id);
+      const [perStudent, sessions] = await Promise.all([
+        Attendance.aggregate([
+          { $match: { course: courseId } },
+          { $group: { _id: "$student", ...ATTENDANCE_COUNTS } },
+          {
+            $lookup: {
+              from: "students",
+              localField: "_id",
+              foreignField: "_id",
+              pipeline: [
+                { $match: { deletedAt: null } },
+                { $project: { name: 1, status: 1 } },
+              ],
+              as: "student",
+            },
+          },
+          { $unwind: "$student" }, //Leaves out the students in the Trash
+          { $sort: { "student.name": 1 } },
+        ]),
+        Session.countDocuments({ course: courseId }),
+      ]);
+
+      const overall = perStudent.reduce((totals, counts) => {
+        ATTENDANCE_STATUSES.forEach((status) => {
+          totals[status] = (totals[status] || 0) + counts[status];
+        });
+        return totals;
+      }, {});
+
+      res.json({
+        sessions,
+        rate: attendanceRate(overall),
+        counts: overall,
+        students: perStudent.map(({ _id, student, ...counts }) => ({
+          student,
+          rate: attendanceRate(counts),
+          ...counts,
+        })),
+      });
+    } catch (error) {
+      logger.error("Error fetching course attendance:", error);
+      res.status(500).json({ message: error.message });
+    }
+  }
+);
+
+//This API endpoint returns the attendance rate of a student, overall and per course
+v1.get(
+  "/students/:id/attendance",
+  validate({ params: idParams }),
+  async (req, res) => {
+    try {
+      const student = await Student.findById(req.params.id).select("name");
+      if (!student) {
+        return res.status(404).json({ message: "Student not found" });
+      }
+      const perCourse = await Attendance.aggregate([
+        { $match: { student: student._id } },
+        { $group: { _id: "$course", ...ATTENDANCE_COUNTS } },
+        {
+          $lookup: {
+            from: "courses",
+            localField: "_id",
+            foreignField: "_id",
+            pipeline: [{ $project: { name: 1 } }],
+            as: "course",
+          },
+        },
+        { $unwind: { path: "$course", preserveNullAndEmptyArrays: true } },
+        { $sort: { "course.name": 1 } },
+      ]);
+
+      const overall = perCourse.reduce((totals, counts) => {
+        ATTENDANCE_STATUSES.forEach((status) => {
+          totals[status] = (totals[status] || 0) + counts[status];
+        });
+        return totals;
+      }, {});
+
+      res.json({
+        student,
+        rate: attendanceRate(overall),
+        counts: overall,
+        courses: perCourse.map(({ _id, course, ...counts }) => ({
+          course,
+          rate: attendanceRate(counts),
+          ...counts,
+        })),
+      });
+    } catch (error) {
+      logger.error("Error fetching student attendance:", error);
+      res.status(500).json({ message: error.message });
+    }
+  }
+);
+
+//Grade Routes
+
+//Used until an admin saves their own bands
+const DEFAULT_GRADE_BANDS = [
+  { letter: "A", min: 90 },
+  { letter: "B", min: 80 },
+  { letter: "C", min: 70 },
+  { letter: "D", min: 60 },
+  { letter: "F", min: 0 },
+];
+
+//Helper function to get the letter grade bands, highest first
+async function getGradeBands() {
+  const scale = await GradingScale.findOne().lean();
+  const bands =
+    scale && scale.bands.length > 0 ? scale.bands : DEFAULT_GRADE_BANDS;
+  return [...bands].sort((a, b) => b.min - a.min);
+}
+
+//Helper function to work out the weighted final score (in %) from the graded assessments
+//scores is a Map of assessment id -> score, assessments without a grade are left out
+function weightedScore(assessments, scores) {
+  let weighted = 0;
+  let weights = 0;
+  assessments.forEach((assessment) => {
+    const score = scores.get(String(assessment._id));
+    if (score === undefined) return;
+    weighted += (score / assessment.maxScore) * assessment.weight;
+    weights += assessment.weight;
+  });
+  return weights > 0 ? Math.round((weighted / weights) * 1000) / 10 : null;
+}
+
+function letterGrade(score, bands) {
+  if (score === null) return null;
+  const band = bands.find((band) => score >= band.min);
+  return band ? band.letter : null;
+}
+
+//Helper function to build the gradebook of a course: every student with their scores, final score and letter
+async function buildGradebook(courseId) {
+  const [assessments, grades, bands] = await Promise.all([
+    Assessment.find({ course: courseId }).sort({ createdAt: 1 }),
+    Grade.find({ course: courseId }),
+    getGradeBands(),
+  ]);
+  //The students enrolled in the course, plus anyone who has grades here but left the course since
+  const enrolledIds = await Enrollment.distinct("student", {
+    course: courseId,
+    status: "active",
+  });
+  const students = await Student.find({
+    _id: { $in: [...enrolledIds, ...grades.map((grade) => grade.student)] },
+  })
+    .select("name email status")
+    .sort({ name: 1 });
+
+  return {
+    assessments,
+    bands,
+    students: students.map((student) => {
+      const scores = new Map(
+        grades
+          .filter((grade) => String(grade.student) === String(student._id))
+          .map((grade) => [String(grade.assessment), grade.score])
+      );
+      const finalScore = weightedScore(assessments, scores);
+      return {
+        student,
+        scores: Object.fromEntries(scores),
+        finalScore,
+        letter: letterGrade(finalScore, bands),
+        complete: scores.size === assessments.length && assessments.length > 0,
+      };
+    }),
+  };
+}
+
+const ASSESSMENT_FIELDS = {
+  name: Joi.string().trim().label("Name"),
+  weight: Joi.number().min(0).label("Weight"),
+  maxScore: Joi.number().min(1).label("Max score"),
+};
+
+//This API endpoint returns the gradebook of a course
+v1.get(
+  "/courses/:id/gradebook",
+  validate({ params: idParams }),
+  async (req, res) => {
+    try {
+      if (!(await courseExists(req.params.id))) {
+        return res.status(404).json({ message: "Course not found" });
+      }
+      res.json(await buildGradebook(req.params.id));
+    } catch (error) {
+      logger.error("Error fetching gradebook:", error);
+      res.status(500).json({ message: error.message });
+    }
+  }
+);
+
+//This API endpoint adds an assessment to a course
+v1.post(
+  "/courses/:id/assessments",
+  canEdit,
+  validate({
+    params: idParams,
+    body: requireFields(ASSESSMENT_FIELDS, ["name", "weight", "maxScore"]),
+  }),
+  async (req, res) => {
+    try {
+      if (!(await courseExists(req.params.id))) {
+        return res.status(404).json({ message: "Course not found" });
+      }
+      const assessment = await Assessment.create({
+        ...req.body,
+        course: req.params.id,
+      });
+      await emitWebhook("assessment.created", assessment);
+      logger.info("Assessment created:", {
+        assessmentId: assessment._id,
+        courseId: req.params.id,
+      });
+      res.status(201).json(assessment);
+    } catch (error) {
+      logger.error("Error creating assessment:", error);
+      sendSaveError(res, error);
+    }
+  }
+);
+
+//This API endpoint updates an assessment, e.g. to change its weight
+v1.put(
+  "/assessments/:id",
+  canEdit,
+  validate({ params: idParams, body: Joi.object(ASSESSMENT_FIELDS).min(1) }),
+  async (req, res) => {
+    try {
+      const assessment = await Assessment.findByIdAndUpdate(
+        req.params.id,
+        req.body,
+        { new: true, runValidators: true }
+      );
+      if (!assessment) {
+        return res.status(404).json({ message: "Assessment not found" });
+      }
+      await emitWebhook("assessment.updated", assessment);
+      logger.info("Assessment updated:", { assessmentId: assessment._id });
+      res.json(assessment);
+    } catch (error) {
+      logger.error("Error updating assessment:", error);
+      sendSaveError(res, error);
+    }
+  }
+);
+
+//This API endpoint deletes an assessment together with its grades
+v1.delete(
+  "/assessments/:id",
+  canEdit,
+  validate({ params: idParams }),
+  async (req, res) => {
+    try {
+      const assessment = await Assessment.findByIdAndDelete(req.params.id);
+      if (!assessment) {
+        return res.status(404).json({ message: "Assessment not found" });
+      }
+      await Grade.deleteMany({ assessment: assessment._id });
+      await emitWebhook("assessment.deleted", assessment);
+      logger.info("Assessment deleted:", { assessmentId: assessment._id });
+      res.json({ message: "Assessment deleted successfully" });
+    } catch (error) {
+      logger.error("Error deleting assessment:", error);
+      res.status(500).json({ message: error.message });
+    }
+  }
+);
+
+//This API endpoint saves many grades of a course at once, e.g. the whole gradebook
+//{ "grades": [{ "assessment": "<id>", "student": "<id>", "score": 42 }] }, a score of null removes the grade
+v1.put(
+  "/courses/:id/grades",
+  canEdit,
+  validate({
+    params: idParams,
+    body: {
+      grades: Joi.array()
+        .items(
+          Joi.object({
+            assessment: objectId().required(),
+            student: objectId().required(),
+            score: Joi.number().min(0).allow(null).required(),
+          })
+        )
+        .min(1)
+        .required(),
+    },
+  }),
+  async (req, res) => {
+    try {
+      if (!(await courseExists(req.params.id))) {
+        return res.status(404).json({ message: "Course not found" });
+      }
+      const { grades } = req.body;
+
+      //Every assessment has to belong to this course and no score can be above the maximum
+      const assessments = new Map(
+        (
+          await Assessment.find({
+            _id: { $in: grades.map((grade) => grade.assessment) },
+            course: req.params.id,
+          })
+        ).map((assessment) => [String(assessment._id), assessment])
+      );
+      //Every student has to be (or have been) in this course, like the gradebook shows them
+      //A student who is only on the waitlist never started, and a student in the Trash can't be graded
+      const enrolledIds = await Enrollment.distinct("student", {
+        student: { $in: grades.map((grade) => grade.student) },
+        course: req.params.id,
+        status: { $ne: "waitlisted" },
+      });
+      const courseStudentIds = new Set(
+        (await Student.find({ _id: { $in: enrolledIds } }).select("_id")).map(
+          (student) => String(student._id)
+        )
+      );
+      const errors = {};
+      grades.forEach((grade, index) => {
+        const assessment = assessments.get(grade.assessment);
+        if (!courseStudentIds.has(grade.student)) {
+          errors[`grades.${index}.student`] =
+            "The student is not in this course";
+        }
+        if (!assessment) {
+          errors[`grades.${index}.assessment`] =
+            "The assessment is not part of this course";
+        } else if (grade.score !== null && grade.score > assessment.maxScore) {
+          errors[`grades.${index}.score`] =
+            `The score can be at most ${assessment.maxScore}`;
+        }
+      });
+      if (Object.keys(errors).length > 0) {
+        return res.status(422).json({
+          message: Object.values(errors).join(". "),
+          errors,
+        });
+      }
+
+      await Grade.bulkWrite(
+        grades.map((grade) =>
+          grade.score === null
+            ? {
+                deleteOne: {
+                  filter: {
+                    assessment: grade.assessment,
+                    student: grade.student,
+                  },
+                },
+              }
+            : {
+                updateOne: {
+                  filter: {
+                    assessment: grade.assessment,
+                    student: grade.student,
+                  },
+                  update: {
+                    $set: {
+                      score: grade.score,
+                      course: req.params.id,
+                      gradedBy: req.user._id,
+                    },
+                  },
+                  upsert: true,
+                },
+              }
+        )
+      );
+      await emitWebhook("grades.recorded", { course: req.params.id, grades });
+      logger.info("Grades saved:", {
+        courseId: req.params.id,
+        grades: grades.length,
+        userId: req.user._id,
+      });
+      res.json(await buildGradebook(req.params.id));
+    } catch (error) {
+      logger.error("Error saving grades:", error);
+      res.status(500).json({ message: error.message });
+    }
+  }
+);
+
+//This API endpoint returns the letter grade bands
+v1.get("/grading-scale", validate(), async (req, res) => {
+  try {
+    res.json({ bands: await getGradeBands() });
+  } catch (error) {
+    logger.error("Error fetching grading scale:", error);
+    res.status(500).json({ message: error.message });
+  }
+});
+
+//Helper function to replace the letter grade bands, used by the grading scale and the settings
+async function saveGradeBands(bands) {
+  const scale = await GradingScale.findOneAndUpdate(
+    {},
+    { bands },
+    { new: true, upsert: true, runValidators: true }
+  );
+  await emitWebhook("grading_scale.updated", { bands: scale.bands });
+  logger.info("Grading scale updated:", { bands: scale.bands });
+}
+
+//This API endpoint replaces the letter grade bands, e.g. { "bands": [{ "letter": "A", "min": 85 }, ...] }
+//The Settings section changes them together with the other settings through PUT /api/v1/settings
+v1.put(
+  "/grading-scale",
+  adminOnly,
+  validate({ body: { bands: GRADE_BANDS_FIELD.required() } }),
+  async (req, res) => {
+    try {
+      await saveGradeBands(req.body.bands);
+      res.json({ bands: await getGradeBands() });
+    } catch (error) {
+      logger.error("Error updating grading scale:", error);
+      sendSaveError(res, error);
+    }
+  }
+);
+
+//This API endpoint changes some of the settings, e.g. { "institutionName": "Springfield College", "pageSize": 20 }
+//The settings that are left out keep their value, statusLabels can also change just some of the labels
+v1.put(
+  "/settings",
+  adminOnly,
+  validate({ body: Joi.object(SETTING_FIELDS).min(1) }),
+  async (req, res) => {
+    try {
+      const { gradeBands, ...values } = req.body;
+      if (values.statusLabels) {
+        values.statusLabels = {
+          ...(await getSettings()).statusLabels,
+          ...values.statusLabels,
+        };
+      }
+
+      const keys = Object.keys(values);
+      if (keys.length > 0) {
+        await Setting.bulkWrite(
+          keys.map((key) => ({
+            updateOne: {
+              filter: { key },
+              update: { $set: { value: values[key], updatedBy: req.user._id } },
+              upsert: true,
+            },
+          }))
+        );
+      }
+      if (gradeBands) await saveGradeBands(gradeBands);
+
+      const settings = {
+        ...(await getSettings()),
+        gradeBands: await getGradeBands(),
+      };
+      await emitWebhook("settings.updated", settings);
+      publishChange(req, "Settings", "update");
+      logger.info("Settings updated:", {
+        keys: Object.keys(req.body),
+        userId: req.user._id,
+      });
+      res.json(settings);
+    } catch (error) {
+      logger.error("Error updating settings:", error);
+      sendSaveError(res, error);
+    }
+  }
+);
+
+//Helper function to build the transcript of a student: every course they were ever enrolled in or have grades in
+async function buildTranscript(student) {
+  const [grades, enrollments] = await Promise.all([
+    Grade.find({ student: student._id }),
+    Enrollment.find({ student: student._id }).sort({ startDate: 1 }),
+  ]);
+  const courseIds = [
+    ...new Set(
+      [
+        ...enrollments.map((enrollment) => enrollment.course),
+        ...grades.map((grade) => grade.course),
+      ].map(String)
+    ),
+  ];
+  const [courses, assessments, bands] = await Promise.all([
+    //A course in the Trash still belongs on the transcript
+    Course.find({ _id: { $in: courseIds } })
+      .setOptions({ withDeleted: true })
+      .select("name duration"),
+    Assessment.find({ course: { $in: courseIds } }).sort({ createdAt: 1 }),
+    getGradeBands(),
+  ]);
+  const scores = new Map(
+    grades.map((grade) => [String(grade.assessment), grade.score])
+  );
+
+  return {
+    student: {
+      _id: student._id,
+      name: student.name,
+      email: student.email,
+      status: student.status,
+    },
+    generatedAt: new Date(),
+    bands,
+    courses: courses.map((course) => {
+      const courseAssessments = assessments.filter(
+        (assessment) => String(assessment.course) === String(course._id)
+      );
+      const finalScore = weightedScore(courseAssessments, scores);
+      //The latest enrollment in the course, a student may have taken it more than once
+      const enrollment = enrollments
+        .filter(
+          (enrollment) => String(enrollment.course) === String(course._id)
+        )
+        .pop();
+      return {
+        course,
+        enrollment: enrollment
+          ? {
+              startDate: enrollment.startDate,
+              endDate: enrollment.endDate,
+              status: enrollment.status,
+            }
+          : null,
+        current: enrollment ? enrollment.status === "active" : false,
+        assessments: courseAssessments.map((assessment) => {
+          const score = scores.get(String(assessment._id));
+          return {
+            name: assessment.name,
+            weight: assessment.weight,
+            maxScore: assessment.maxScore,
+            score: score === undefined ? null : score,
+            percent:
+              score === undefined
+                ? null
+                : Math.round((score / assessment.maxScore) * 1000) / 10,
+          };
+        }),
+        finalScore,
+        letter: letterGrade(finalScore, bands),
+      };
+    }),
+  };
+}
+
+//The columns of the transcript PDF, one row per assessment grouped by course
+const TRANSCRIPT_COLUMNS = [
+  { header: "Assessment", width: 40, value: (row) => row.name },
+  { header: "Weight", width: 12, value: (row) => row.weight },
+  {
+    header: "Score",
+    width: 15,
+    value: (row) =>
+      row.score === null ? "Not graded" : `${row.score} / ${row.maxScore}`,
+  },
+  {
+    header: "Percent",
+    width: 12,
+    value: (row) => (row.percent === null ? "" : `${row.percent}%`),
+  },
+];
+
+//This API endpoint returns the transcript of a student as JSON, or as a printable PDF with ?format=pdf
+v1.get(
+  "/students/:id/transcript",
+  validate({
+    params: idParams,
+    query: { format: Joi.string().lowercase().valid("json", "pdf") },
+  }),
+  async (req, res) => {
+    try {
+      const student = await Student.findById(req.params.id);
+      if (!student) {
+        return res.status(404).json({ message: "Student not found" });
+      }
+      const transcript = await buildTranscript(student);
+      if (req.query.format !== "pdf") return res.json(transcript);
+
+      //Each course becomes a group in the PDF, with the final score in its heading
+      const rows = transcript.courses.flatMap((entry) => {
+        const heading = `${entry.course.name}: ${
+          entry.finalScore === null
+            ? "no grades yet"
+            : `${entry.finalScore}% (${entry.letter})`
+        }`;
+        const assessments =
+          entry.assessments.length > 0
+            ? entry.assessments
+            : [{ name: "No assessments yet", score: null }];
+        return assessments.map((assessment) => ({ ...assessment, heading }));
+      });
+      await streamExport(res, {
+        format: "pdf",
+        name: `transcript-${student.name.toLowerCase().replace(/[^a-z0-9]+/g, "-")}`,
+        title: `Transcript: ${student.name} (${student.email})`,
+        columns: TRANSCRIPT_COLUMNS,
+        rows,
+        groupBy: (row) => row.heading,
+      });
+    } catch (error) {
+      handleExportError(res, error, "transcript");
+    }
+  }
+);
+
+//Schedule Routes
+//A course runs in offerings (cohorts), each with its own start date and weekly meetings
+//The calendar and the .ics feeds repeat those meetings every week from the start to the end of the offering
+//Dates are calendar days (midnight UTC, like the dates the date inputs send) and the meeting times are local "HH:MM"
+
+const DAY_NAMES = [
+  "Sunday",
+  "Monday",
+  "Tuesday",
+  "Wednesday",
+  "Thursday",
+  "Friday",
+  "Saturday",
+];
+
+//The offering fields that come with an enrollment
+const OFFERING_SUMMARY = "name startDate endDate meetings";
+
+//The calendar shows at most this many days at once, every day is worked out on the fly
+const CALENDAR_MAX_DAYS = 92;
+
+//Helper function to work out the last day of an offering, e.g. a 3 month course starting 1 September ends on 30 November
+function offeringEndDate(startDate, duration) {
+  const endDate = new Date(startDate);
+  endDate.setUTCMonth(endDate.getUTCMonth() + duration);
+  endDate.setUTCDate(endDate.getUTCDate() - 1);
+  return endDate;
+}
+
+//Helper function to move the end dates of a course's offerings after its duration changed
+async function updateOfferingEndDates(course) {
+  const offerings = await Offering.find({ course: course._id });
+  await Offering.bulkWrite(
+    offerings.map((offering) => ({
+      updateOne: {
+        filter: { _id: offering._id },
+        update: {
+          $set: {
+            endDate: offeringEndDate(offering.startDate, course.duration),
+          },
+        },
+      },
+    }))
+  );
+}
+
+//Helper function to load an offering a student can join: it has to belong to the course and not be over yet
+async function findOffering(course, offeringId) {
+  const offering = await Offering.findById(offeringId);
+  if (!offering) throw httpError(404, "Offering not found");
+  if (!offering.course.equals(course._id)) {
+    throw httpError(422, `The offering is not one of ${course.name}`);
+  }
+  if (offering.endDate < new Date()) {
+    throw httpError(409, `${offering.name} has already ended`);
+  }
+  return offering;
+}
+
+//e.g. "Monday 09:00-11:00"
+function formatMeeting(meeting) {
+  return `${DAY_NAMES[meeting.day]} ${meeting.startTime}-${meeting.endTime}`;
+}
+
+//Helper function to find the meetings of two offerings that overlap
+//They only clash when the offerings run at the same time and meet on the same weekday at overlapping hours
+function meetingClashes(offering, other) {
+  if (
+    offering.startDate > other.endDate ||
+    other.startDate > offering.endDate
+  ) {
+    return [];
+  }
+  return offering.meetings.flatMap((meeting) =>
+    other.meetings
+      .filter(
+        (otherMeeting) =>
+          otherMeeting.day === meeting.day &&
+          otherMeeting.startTime < meeting.endTime &&
+          meeting.startTime < otherMeeting.endTime
+      )
+      .map((otherMeeting) => ({
+        day: meeting.day,
+        startTime:
+          meeting.startTime > otherMeeting.startTime
+            ? meeting.startTime
+            : otherMeeting.startTime,
+        endTime:
+          meeting.endTime < otherMeeting.endTime
+            ? meeting.endTime
+            : otherMeeting.endTime,
+      }))
+  );
+}
+
+//Helper function to list where an offering clashes with the offerings a student is already in (or waiting for)
+//excludeEnrollmentId leaves out an enrollment that is about to end, e.g. the one being transferred
+async function findClashes(studentId, offering, excludeEnrollmentId = null) {
+  const enrollments = await Enrollment.find({
+    student: studentId,
+    status: { $in: OPEN_ENROLLMENT_STATUSES },
+    offering: { $ne: null },
+    _id: { $ne: excludeEnrollmentId },
+  })
+    .populate("course", "name")
+    .populate("offering");
+
+  return enrollments
+    .filter((enrollment) => enrollment.course && enrollment.offering)
+    .flatMap((enrollment) =>
+      meetingClashes(offering, enrollment.offering).map((clash) => ({
+        course: enrollment.course.name,
+        offering: enrollment.offering.name,
+        ...clash,
+      }))
+    );
+}
+
+//The 409 for a clash, clash lets the frontend offer to enroll the student anyway
+async function checkNoClashes(studentId, offering, excludeEnrollmentId) {
+  const clashes = await findClashes(studentId, offering, excludeEnrollmentId);
+  if (clashes.length === 0) return;
+
+  const [first] = clashes;
+  const more = clashes.length > 1 ? ` and ${clashes.length - 1} more` : "";
+  throw httpError(
+    409,
+    `The timetable clashes with ${first.course} (${first.offering}) on ${formatMeeting(first)}${more}`,
+    { clash: true, clashes }
+  );
+}
+
+//Helper function to list every class of some offerings between two dates, one event per meeting per week
+//The offerings need their course populated
+function offeringEvents(offerings, from, to) {
+  const events = [];
+  offerings.forEach((offering) => {
+    const day = new Date(Math.max(from, offering.startDate));
+    day.setUTCHours(0, 0, 0, 0);
+    const last = Math.min(to, offering.endDate);
+    for (; day <= last; day.setUTCDate(day.getUTCDate() + 1)) {
+      offering.meetings
+        .filter((meeting) => meeting.day === day.getUTCDay())
+        .forEach((meeting) =>
+          events.push({
+            date: day.toISOString().split("T")[0],
+            startTime: meeting.startTime,
+            endTime: meeting.endTime,
+            location: meeting.location,
+            course: { _id: offering.course._id, name: offering.course.name },
+            offering: { _id: offering._id, name: offering.name },
+            clash: false,
+          })
+        );
+    }
+  });
+  return events.sort((a, b) =>
+    `${a.date} ${a.startTime}`.localeCompare(`${b.date} ${b.startTime}`)
+  );
+}
+
+//Helper function to flag the events of one student's calendar that overlap another event on the same day
+function markClashes(events) {
+  events.forEach((event) => {
+    event.clash = events.some(
+      (other) =>
+        other !== event &&
+        other.date === event.date &&
+        other.startTime < event.endTime &&
+        event.startTime < other.endTime
+    );
+  });
+  return events;
+}
+
+//iCalendar Helpers
+//The .ics files hold one weekly repeating event per meeting of an offering, so calendar apps show every class
+//The times are "floating" (no time zone), so they show at the same wall clock time wherever the calendar is opened
+
+//Escape the characters that have a meaning in an iCalendar text value
+function icsText(value) {
+  return String(value)
+    .replace(/\\/g, "\\\\")
+    .replace(/;/g, "\\;")
+    .replace(/,/g, "\\,")
+    .replace(/\r?\n/g, "\\n");
+}
+
+//A date and "HH:MM" time as an iCalendar date-time, e.g. 20250901T093000
+function icsDateTime(date, time) {
+  return `${date.toISOString().split("T")[0].replace(/-/g, "")}T${time.replace(":", "")}00`;
+}
+
+//Lines can't be longer than 75 characters, longer ones continue on the next line after a space
+function foldIcsLine(line) {
+  const parts = [line.slice(0, 75)];
+  for (let i = 75; i < line.length; i += 74) {
+    parts.push(` ${line.slice(i, i + 74)}`);
+  }
+  return parts.join("\r\n");
+}
+
+//Helper function to build the .ics file of some offerings, the offerings need their course populated
+function buildCalendar(name, offerings) {
+  const stamp = `${new Date().toISOString().replace(/[-:]/g, "").split(".")[0]}Z`;
+  const lines = [
+    "BEGIN:VCALENDAR",
+    "VERSION:2.0",
+    "PRODID:-//Students Management//Schedule//EN",
+    "CALSCALE:GREGORIAN",
+    `X-WR-CALNAME:${icsText(name)}`,
+  ];
+
+  offerings.forEach((offering) => {
+    offering.meetings.forEach((meeting, index) => {
+      //The first class is the first day on or after the start date that falls on the meeting's weekday
+      const first = new Date(offering.startDate);
+      first.setUTCDate(
+        first.getUTCDate() + ((meeting.day - first.getUTCDay() + 7) % 7)
+      );
+      if (first > offering.endDate) return;
+
+      lines.push(
+        "BEGIN:VEVENT",
+        `UID:${offering._id}-${index}@students-management`,
+        `DTSTAMP:${stamp}`,
+        `DTSTART:${icsDateTime(first, meeting.startTime)}`,
+        `DTEND:${icsDateTime(first, meeting.endTime)}`,
+        `RRULE:FREQ=WEEKLY;UNTIL=${icsDateTime(offering.endDate, "23:59")}`,
+        `SUMMARY:${icsText(`${offering.course.name} (${offering.name})`)}`
+      );
+      if (meeting.location) {
+        lines.push(`LOCATION:${icsText(meeting.location)}`);
+      }
+      lines.push("END:VEVENT");
+    });
+  });
+
+  lines.push("END:VCALENDAR");
+  return `${lines.map(foldIcsLine).join("\r\n")}\r\n`;
+}
+
+//Helper function to load the offerings in the calendar of a course
+async function findCourseCalendar(course) {
+  return Offering.find({ course: course._id })
+    .sort({ startDate: 1 })
+    .populate("course", "name");
+}
+
+//Helper function to load the offerings in the timetable of a student, the ones of their active enrollments
+async function findStudentCalendar(student) {
+  const offeringIds = await Enrollment.distinct("offering", {
+    student: student._id,
+    status: "active",
+  });
+  return (
+    await Offering.find({ _id: { $in: offeringIds } })
+      .sort({ startDate: 1 })
+      .populate("course", "name")
+  ).filter((offering) => offering.course);
+}
+
+//Helper function to hash the token of a calendar feed link
+function hashFeedToken(token) {
+  return crypto.createHash("sha256").update(token).digest("hex");
+}
+
+//Helper function to send an .ics file as a download
+function sendCalendar(res, fileName, name, offerings) {
+  res.setHeader("Content-Type", "text/calendar; charset=utf-8");
+  res.setHeader(
+    "Content-Disposition",
+    `attachment; filename="${fileName.toLowerCase().replace(/[^a-z0-9]+/g, "-")}.ics"`
+  );
+  res.send(buildCalendar(name, offerings));
+}
+
+//This API endpoint lists the offerings of a course, the earliest first, with the number of students in each
+v1.get(
+  "/courses/:id/offerings",
+  validate({ params: idParams }),
+  async (req, res) => {
+    try {
+      const course = await Course.findById(req.params.id);
+      if (!course) {
+        return res.status(404).json({ message: "Course not found" });
+      }
+      const offerings = await Offering.find({ course: course._id }).sort({
+        startDate: 1,
+      });
+      const counts = await Enrollment.aggregate([
+        {
+          $match: {
+            offering: { $in: offerings.map((offering) => offering._id) },
+            status: "active",
+          },
+        },
+        ...ENROLLMENT_STUDENT_LOOKUP,
+        { $group: { _id: "$offering", students: { $sum: 1 } } },
+      ]);
+      const students = new Map(
+        counts.map((count) => [String(count._id), count.students])
+      );
+
+      res.json(
+        offerings.map((offering) => ({
+          ...offering.toJSON(),
+          students: students.get(String(offering._id)) || 0,
+        }))
+      );
+    } catch (error) {
+      logger.error("Error fetching offerings:", error);
+      res.status(500).json({ message: error.message });
+    }
+  }
+);
+
+//This API endpoint adds an offering to a course, e.g.
+//{ "name": "September 2025", "startDate": "2025-09-01", "meetings": [{ "day": 1, "startTime": "09:00", "endTime": "11:00" }] }
+//The end date is worked out from the course's duration
+v1.post(
+  "/courses/:id/offerings",
+  canEdit,
+  validate({
+    params: idParams,
+    body: requireFields(OFFERING_FIELDS, ["name", "startDate"]),
+  }),
+  async (req, res) => {
+    try {
+      const course = await Course.findById(req.params.id);
+      if (!course) {
+        return res.status(404).json({ message: "Course not found" });
+      }
+      const offering = await Offering.create({
+        ...req.body,
+        course: course._id,
+        endDate: offeringEndDate(req.body.startDate, course.duration),
+      });
+      await emitWebhook("offering.created", offering);
+
+      logger.info("Offering created:", {
+        offeringId: offering._id,
+        courseId: course._id,
+        name: offering.name,
+        userId: req.user._id,
+      });
+      res.status(201).json(offering);
+    } catch (error) {
+      logger.error("Error creating offering:", error);
+      sendSaveError(res, error);
+    }
+  }
+);
+
+//This API endpoint updates an offering, e.g. to move its start date or change the meeting times
+//Changed meetings are not checked against the students' timetables, the student calendar flags any new clash
+v1.put(
+  "/offerings/:id",
+  canEdit,
+  validate({ params: idParams, body: Joi.object(OFFERING_FIELDS).min(1) }),
+  async (req, res) => {
+    try {
+      const offering = await Offering.findById(req.params.id);
+      if (!offering) {
+        return res.status(404).json({ message: "Offering not found" });
+      }
+      const course = await Course.findById(offering.course);
+      if (!course) {
+        return res.status(404).json({ message: "Course not found" });
+      }
+      offering.set(req.body);
+      offering.endDate = offeringEndDate(offering.startDate, course.duration);
+      await offering.save();
+      await emitWebhook("offering.updated", offering);
+
+      logger.info("Offering updated:", {
+        offeringId: offering._id,
+        userId: req.user._id,
+      });
+      res.json(offering);
+    } catch (error) {
+      logger.error("Error updating offering:", error);
+      sendSaveError(res, error);
+    }
+  }
+);
+
+//This API endpoint deletes an offering that nobody was ever enrolled in
+//Once it has enrollments it is part of the students' course history and is kept
+v1.delete(
+  "/offerings/:id",
+  canEdit,
+  validate({ params: idParams }),
+  async (req, res) => {
+    try {
+      const offering = await Offering.findById(req.params.id);
+      if (!offering) {
+        return res.status(404).json({ message: "Offering not found" });
+      }
+      const enrollments = await Enrollment.countDocuments({
+        offering: offering._id,
+      });
+      if (enrollments > 0) {
+        logger.warn("Attempting to delete offering with enrollments:", {
+          offeringId: offering._id,
+          enrollments,
+        });
+        return res.status(409).json({
+          message: `Cannot delete offering: ${enrollments} enrollment(s) belong to it`,
+        });
+      }
+      await offering.deleteOne();
+      await emitWebhook("offering.deleted", offering);
+
+      logger.info("Offering deleted:", {
+        offeringId: offering._id,
+        userId: req.user._id,
+      });
+      res.json({ message: "Offering deleted" });
+    } catch (error) {
+      logger.error("Error deleting offering:", error);
+      res.status(500).json({ message: error.message });
+    }
+  }
+);
+
+//This API endpoint returns the classes between two dates, e.g. /api/v1/calendar?from=2025-09-01&to=2025-09-07&course=<id>
+//Without a range it is the current week (Monday to Sunday), filtered by course or by student
+//A student's calendar only has the offerings of their active enrollments, and the classes that overlap are flagged as clash
+v1.get(
+  "/calendar",
+  validate({
+    query: Joi.object({
+      ...dateRange("from", "to"),
+      course: objectId(),
+      student: objectId(),
+    }).oxor("course", "student"),
+  }),
+  async (req, res) => {
+    try {
+      const from = req.query.from || new Date();
+      from.setUTCHours(0, 0, 0, 0);
+      if (!req.query.from) {
+        from.setUTCDate(from.getUTCDate() - ((from.getUTCDay() + 6) % 7));
+      }
+      const to = req.query.to || new Date(from);
+      if (!req.query.to) to.setUTCDate(to.getUTCDate() + 6);
+      if (to - from > CALENDAR_MAX_DAYS * 24 * 60 * 60 * 1000) {
+        return res.status(422).json({
+          message: `The calendar can show at most ${CALENDAR_MAX_DAYS} days at once`,
+        });
+      }
+
+      const filter = { startDate: { $lte: to }, endDate: { $gte: from } };
+      if (req.query.course) filter.course = req.query.course;
+      if (req.query.student) {
+        const student = await Student.findById(req.query.student);
+        if (!student) {
+          return res.status(404).json({ message: "Student not found" });
+        }
+        filter._id = {
+          $in: await Enrollment.distinct("offering", {
+            student: student._id,
+            status: "active",
+          }),
+        };
+      }
+
+      //The offerings of courses in the Trash have no course after the populate
+      const offerings = (
+        await Offering.find(filter).populate("course", "name")
+      ).filter((offering) => offering.course);
+      const events = offeringEvents(offerings, from, to);
+      res.json({
+        from,
+        to,
+        events: req.query.student ? markClashes(events) : events,
+      });
+    } catch (error) {
+      logger.error("Error fetching calendar:", error);
+      res.status(500).json({ message: error.message });
+    }
+  }
+);
+
+//This API endpoint downloads every offering of a course as an iCalendar (.ics) file
+v1.get(
+  "/courses/:id/calendar.ics",
+  validate({ params: idParams }),
+  async (req, res) => {
+    try {
+      const course = await Course.findById(req.params.id);
+      if (!course) {
+        return res.status(404).json({ message: "Course not found" });
+      }
+      sendCalendar(
+        res,
+        course.name,
+        course.name,
+        await findCourseCalendar(course)
+      );
+    } catch (error) {
+      logger.error("Error building course calendar:", error);
+      res.status(500).json({ message: error.message });
+    }
+  }
+);
+
+//This API endpoint downloads the timetable of a student as an iCalendar (.ics) file
+//It has the offerings of the student's active enrollments
+v1.get(
+  "/students/:id/calendar.ics",
+  validate({ params: idParams }),
+  async (req, res) => {
+    try {
+      const student = await Student.findById(req.params.id);
+      if (!student) {
+        return res.status(404).json({ message: "Student not found" });
+      }
+      sendCalendar(
+        res,
+        `timetable-${student.name}`,
+        student.name,
+        await findStudentCalendar(student)
+      );
+    } catch (error) {
+      logger.error("Error building student calendar:", error);
+      res.status(500).json({ message: error.message });
+    }
+  }
+);
+
+//Helper function to make a new calendar feed link, it replaces the link the course or student had before
+//The token is only in the answer, e.g. { "url": "/api/v1/calendar/feed.ics?token=<token>" }
+async function createCalendarFeed(req, owner) {
+  const token = crypto.randomBytes(32).toString("hex");
+  const feed = await CalendarFeed.findOneAndUpdate(
+    { course: null, student: null, ...owner },
+    { tokenHash: hashFeedToken(token), createdBy: req.user._id },
+    { upsert: true, new: true }
+  );
+  await emitWebhook("calendar_feed.created", feed);
+  logger.info("Calendar feed link made:", {
+    feedId: feed._id,
+    ...owner,
+    userId: req.user._id,
+  });
+  return { url: `/api/v1/calendar/feed.ics?token=${token}` };
+}
+
+//Helper function to revoke a calendar feed, calendar apps subscribed to the link get nothing anymore
+async function revokeCalendarFeed(req, res, owner) {
+  const feed = await CalendarFeed.findOneAndDelete({
+    course: null,
+    student: null,
+    ...owner,
+  });
+  if (!feed) {
+    return res.status(404).json({ message: "There is no calendar link" });
+  }
+  await emitWebhook("calendar_feed.revoked", feed);
+  logger.info("Calendar feed revoked:", {
+    feedId: feed._id,
+    ...owner,
+    userId: req.user._id,
+  });
+  res.json({ message: "Calendar link revoked" });
+}
+
+//This API endpoint makes a link calendar apps can subscribe to for the offerings of a course
+v1.post(
+  "/courses/:id/calendar-feed",
+  canEdit,
+  validate({ params: idParams }),
+  async (req, res) => {
+    try {
+      if (!(await courseExists(req.params.id))) {
+        return res.status(404).json({ message: "Course not found" });
+      }
+      res.json(await createCalendarFeed(req, { course: req.params.id }));
+    } catch (error) {
+      logger.error("Error making course calendar link:", error);
+      res.status(500).json({ message: error.message });
+    }
+  }
+);
+
+//This API endpoint revokes the calendar link of a course
+v1.delete(
+  "/courses/:id/calendar-feed",
+  canEdit,
+  validate({ params: idParams }),
+  async (req, res) => {
+    try {
+      await revokeCalendarFeed(req, res, { course: req.params.id });
+    } catch (error) {
+      logger.error("Error revoking course calendar link:", error);
+      res.status(500).json({ message: error.message });
+    }
+  }
+);
+
+//This API endpoint makes a link calendar apps can subscribe to for the timetable of a student
+v1.post(
+  "/students/:id/calendar-feed",
+  canEdit,
+  validate({ params: idParams }),
+  async (req, res) => {
+    try {
+      const student = await Student.findById(req.params.id);
+      if (!student) {
+        return res.status(404).json({ message: "Student not found" });
+      }
+      res.json(await createCalendarFeed(req, { student: student._id }));
+    } catch (error) {
+      logger.error("Error making student calendar link:", error);
+      res.status(500).json({ message: error.message });
+    }
+  }
+);
+
+//This API endpoint revokes the calendar link of a student
+v1.delete(
+  "/students/:id/calendar-feed",
+  canEdit,
+  validate({ params: idParams }),
+  async (req, res) => {
+    try {
+      await revokeCalendarFeed(req, res, { student: req.params.id });
+    } catch (error) {
+      logger.error("Error revoking student calendar link:", error);
+      res.status(500).json({ message: error.message });
+    }
+  }
+);
+
+//Student Profile
+//Besides the contact details on the student itself, a profile has uploaded documents (a copy of the ID,
+//certificates, the profile photo) and the notes staff keep about the student
+//Settings (.env):
+//  FILE_STORAGE - where the uploaded files are kept, only "local" for now
+//  FILE_STORAGE_DIR - the folder of the local storage (default "uploads")
+//  MAX_ATTACHMENT_MB - the largest document that can be uploaded (default 10), photos are limited to 2MB
+
+const FILE_STORAGE = process.env.FILE_STORAGE || "local";
+const FILE_STORAGE_DIR = process.env.FILE_STORAGE_DIR || "uploads";
+const MAX_ATTACHMENT_MB = Number(process.env.MAX_ATTACHMENT_MB || 10);
+const MAX_PHOTO_MB = 2;
+
+//The file types that can be uploaded, with the extension they are stored under
+const ATTACHMENT_TYPES = {
+  "application/pdf": "pdf",
+  "image/jpeg": "jpg",
+  "image/png": "png",
+  "image/webp": "webp",
+  "application/vnd.openxmlformats-officedocument.wordprocessingml.document":
+    "docx",
+};
+
+//The first bytes of each type, the type the browser declares is only a guess from the file name
+//A DOCX is a ZIP file, we don't unpack it to tell it apart from other ZIP files
+const ATTACHMENT_SIGNATURES = [
+  { type: "application/pdf", bytes: [Buffer.from("%PDF-")] },
+  { type: "image/jpeg", bytes: [Buffer.from([0xff, 0xd8, 0xff])] },
+  {
+    type: "image/png",
+    bytes: [Buffer.from([0x89, 0x50, 0x4e, 0x47, 0x0d, 0x0a, 0x1a, 0x0a])],
+  },
+  {
+    type: "image/webp",
+    bytes: [Buffer.from("RIFF"), null, Buffer.from("WEBP")],
+  },
+  {
+    type: "application/vnd.openxmlformats-officedocument.wordprocessingml.document",
+    bytes: [Buffer.from([0x50, 0x4b, 0x03, 0x04])],
+  },
+];
+
+//Helper function to tell the type of an uploaded file from its content, null when it's none of ATTACHMENT_TYPES
+//The parts of a signature follow each other, a null part skips 4 bytes (the size in the RIFF header of WebP)
+function detectAttachmentType(buffer) {
+  const signature = ATTACHMENT_SIGNATURES.find(({ bytes }) => {
+    let offset = 0;
+    return bytes.every((part) => {
+      if (!part) {
+        offset += 4;
+        return true;
+      }
+      const matches =
+        buffer.length >= offset + part.length &&
+        part.equals(buffer.subarray(offset, offset + part.length));
+      offset += part.length;
+      return matches;
+    });
+  });
+  return signature ? signature.type : null;
+}
+
+//A file storage keeps the bytes of the uploaded files under a key, the Attachment documents say which key
+//Every storage has the same three functions, so another one (e.g. S3) only has to be added to FILE_STORAGE_DRIVERS
+//  save(key, buffer) - stores a file, replacing one with the same key
+//  read(key) - returns a readable stream of the file
+//  remove(key) - deletes a file, a file that is already gone is not an error
+function localFileStorage(dir) {
+  //The keys are made by us, but we still make sure one can never point outside the folder
+  const filePath = (key) => {
+    const file = path.resolve(dir, key);
+    if (!file.startsWith(path.resolve(dir) + path.sep)) {
+      throw new Error(`Invalid storage key "${key}"`);
+    }
+    return file;
+  };
+
+  return {
+    async save(key, buffer) {
+      const file = filePath(key);
+      await fs.promises.mkdir(path.dirname(file), { recursive: true });
+      await fs.promises.writeFile(file, buffer);
+    },
+    async read(key) {
+      const file = filePath(key);
+      await fs.promises.access(file); //So a missing file fails here and not halfway through the response
+      return fs.createReadStream(file);
+    },
+    async remove(key) {
+      await fs.promises.rm(filePath(key), { force: true });
+    },
+  };
+}
+
+const FILE_STORAGE_DRIVERS = {
+  local: () => localFileStorage(FILE_STORAGE_DIR),
+};
+
+function createFileStorage() {
+  if (!FILE_STORAGE_DRIVERS[FILE_STORAGE]) {
+    logger.warn(`Unknown FILE_STORAGE "${FILE_STORAGE}", using local`);
+    return FILE_STORAGE_DRIVERS.local();
+  }
+  return FILE_STORAGE_DRIVERS[FILE_STORAGE]();
+}
+
+const fileStorage = createFileStorage();
+
+//Uploads are kept in memory until they are checked, then handed to the file storage
+//The type is checked on the content once the file is in (see detectAttachmentType)
+const attachmentUpload = multer({
+  storage: multer.memoryStorage(),
+  limits: { fileSize: MAX_ATTACHMENT_MB * 1024 * 1024 },
+});
+
+//Helper function to load a student for the profile endpoints, a student in the Trash has no profile
+async function findProfileStudent(studentId) {
+  const student = await Student.findById(studentId);
+  if (!student) throw httpError(404, "Student not found");
+  return student;
+}
+
+//Helper function to delete attachments together with their files
+//A file that can't be removed is only logged, the attachment is gone either way
+async function removeAttachments(filter) {
+  const attachments = await Attachment.find(filter).select("+storageKey");
+  for (const attachment of attachments) {
+    try {
+      await fileStorage.remove(attachment.storageKey);
+    } catch (error) {
+      logger.error("Error removing attachment file:", error);
+    }
+  }
+  await Attachment.deleteMany({
+    _id: { $in: attachments.map((attachment) => attachment._id) },
+  });
+  //The storage keys are never sent out, the attachments are gone now anyway
+  attachments.forEach((attachment) => (attachment.storageKey = undefined));
+  return attachments;
+}
+
+//Helper function to send an attachment, inline for the photo and as a download for everything else
+async function sendAttachment(res, attachment, disposition) {
+  const stream = await fileStorage.read(attachment.storageKey);
+  //The plain file name is for old browsers, filename* keeps the accents of the original name
+  const asciiName = attachment.fileName.replace(/[^\x20-\x7e]|"/g, "_");
+  res.setHeader("Content-Type", attachment.contentType);
+  //The browser must not guess another type (e.g. HTML) from the content
+  res.setHeader("X-Content-Type-Options", "nosniff");
+  res.setHeader("Content-Length", attachment.size);
+  res.setHeader(
+    "Content-Disposition",
+    `${disposition}; filename="${asciiName}"; filename*=UTF-8''${encodeURIComponent(attachment.fileName)}`
+  );
+  stream.pipe(res);
+}
+
+//This API endpoint lists the documents uploaded for a student, the newest first
+v1.get(
+  "/students/:id/attachments",
+  validate({ params: idParams }),
+  async (req, res) => {
+    try {
+      const student = await findProfileStudent(req.params.id);
+      const attachments = await Attachment.find({ student: student._id })
+        .sort({ createdAt: -1 })
+        .populate("uploadedBy", "name");
+      res.json(attachments);
+    } catch (error) {
+      logger.error("Error fetching attachments:", error);
+      res.status(error.status || 500).json({ message: error.message });
+    }
+  }
+);
+
+//This API endpoint uploads a document for a student
+//Uploading a photo replaces the current profile photo of the student
+v1.post(
+  "/students/:id/attachments",
+  canEdit,
+  (req, res, next) => {
+    //Multer errors (wrong type, file too big) should come back as a 400 and not a crash
+    attachmentUpload.single("file")(req, res, (error) => {
+      if (error) {
+        return res.status(error.status || 400).json({ message: error.message });
+      }
+      next();
+    });
+  },
+  validate({
+    params: idParams,
+    body: Joi.object({
+      category: Joi.string()
+        .valid(...ATTACHMENT_CATEGORIES)
+        .default("other")
+        .label("Category"),
+    }),
+  }),
+  async (req, res) => {
+    try {
+      if (!req.file) {
+        return res.status(400).json({ message: "Please choose a file" });
+      }
+      const contentType = detectAttachmentType(req.file.buffer);
+      if (!contentType) {
+        return res.status(400).json({
+          message: "Only PDF, Word, JPEG, PNG and WebP files can be uploaded",
+        });
+      }
+      const { category } = req.body;
+      if (category === "photo") {
+        if (!contentType.startsWith("image/")) {
+          return res
+            .status(400)
+            .json({ message: "The photo must be a JPEG, PNG or WebP image" });
+        }
+        if (req.file.size > MAX_PHOTO_MB * 1024 * 1024) {
+          return res
+            .status(400)
+            .json({
+              message: `The photo can't be larger than ${MAX_PHOTO_MB}MB`,
+            });
+        }
+      }
+      const student = await findProfileStudent(req.params.id);
+
+      const attachment = new Attachment({
+        student: student._id,
+        category,
+        fileName: req.file.originalname,
+        contentType,
+        size: req.file.size,
+        uploadedBy: req.user._id,
+      });
+      attachment.storageKey = `${student._id}/${attachment._id}.${ATTACHMENT_TYPES[contentType]}`;
+      await fileStorage.save(attachment.storageKey, req.file.buffer);
+      try {
+        await attachment.save();
+      } catch (error) {
+        await fileStorage.remove(attachment.storageKey);
+        throw error;
+      }
+
+      if (category === "photo") {
+        //The old photo is replaced, not kept as a second one
+        const previousPhoto = student.photo;
+        await Student.updateOne(
+          { _id: student._id },
+          { photo: attachment._id }
+        );
+        if (previousPhoto) {
+          const removed = await removeAttachments({ _id: previousPhoto });
+          await emitWebhooks("attachment.deleted", removed);
+        }
+      }
+
+      attachment.storageKey = undefined;
+      await emitWebhook("attachment.created", attachment);
+      logger.info("Attachment uploaded:", {
+        studentId: student._id,
+        attachmentId: attachment._id,
+        category,
+        size: attachment.size,
+      });
+      publishChange(req, "Student", "update", { id: student._id });
+      res.status(201).json(await attachment.populate("uploadedBy", "name"));
+    } catch (error) {
+      logger.error("Error uploading attachment:", error);
+      res.status(error.status || 500).json({ message: error.message });
+    }
+  }
+);
+
+//This API endpoint downloads an attachment
+v1.get(
+  "/attachments/:id/download",
+  validate({ params: idParams }),
+  async (req, res) => {
+    try {
+      const attachment = await Attachment.findById(req.params.id).select(
+        "+storageKey"
+      );
+      if (!attachment) {
+        return res.status(404).json({ message: "Attachment not found" });
+      }
+      await findProfileStudent(attachment.student);
+      await sendAttachment(res, attachment, "attachment");
+    } catch (error) {
+      logger.error("Error downloading attachment:", error);
+      res.status(error.status || 500).json({ message: error.message });
+    }
+  }
+);
+
+//This API endpoint sends the profile photo of a student, to be shown in an <img>
+v1.get(
+  "/students/:id/photo",
+  validate({ params: idParams }),
+  async (req, res) => {
+    try {
+      const student = await findProfileStudent(req.params.id);
+      const attachment =
+        student.photo &&
+        (await Attachment.findById(student.photo).select("+storageKey"));
+      if (!attachment) {
+        return res.status(404).json({ message: "The student has no photo" });
+      }
+      res.setHeader("Cache-Control", "private, max-age=300");
+      await sendAttachment(res, attachment, "inline");
+    } catch (error) {
+      logger.error("Error sending student photo:", error);
+      res.status(error.status || 500).json({ message: error.message });
+    }
+  }
+);
+
+//This API endpoint deletes an attachment and its file
+v1.delete(
+  "/attachments/:id",
+  canEdit,
+  validate({ params: idParams }),
+  async (req, res) => {
+    try {
+      const [attachment] = await removeAttachments({ _id: req.params.id });
+      if (!attachment) {
+        return res.status(404).json({ message: "Attachment not found" });
+      }
+      //Deleting the profile photo leaves the student without one
+      await Student.updateOne(
+        { _id: attachment.student, photo: attachment._id },
+        { photo: null }
+      ).setOptions({ withDeleted: true });
+      await emitWebhook("attachment.deleted", attachment);
+      logger.info("Attachment deleted:", {
+        studentId: attachment.student,
+        attachmentId: attachment._id,
+      });
+      publishChange(req, "Student", "update", { id: attachment.student });
+      res.json({ message: "Attachment deleted" });
+    } catch (error) {
+      logger.error("Error deleting attachment:", error);
+      res.status(500).json({ message: error.message });
+    }
+  }
+);
+
+//This API endpoint lists the notes about a student, the newest first
+v1.get(
+  "/students/:id/notes",
+  validate({ params: idParams }),
+  async (req, res) => {
+    try {
+      const student = await findProfileStudent(req.params.id);
+      const notes = await StudentNote.find({ student: student._id }).sort({
+        createdAt: -1,
+      });
+      res.json(notes);
+    } catch (error) {
+      logger.error("Error fetching notes:", error);
+      res.status(error.status || 500).json({ message: error.message });
+    }
+  }
+);
+
+//This API endpoint adds a note about a student
+v1.post(
+  "/students/:id/notes",
+  canEdit,
+  validate({
+    params: idParams,
+    body: Joi.object({
+      text: Joi.string().trim().max(5000).required().label("Note"),
+    }),
+  }),
+  async (req, res) => {
+    try {
+      const student = await findProfileStudent(req.params.id);
+      const note = await StudentNote.create({
+        student: student._id,
+        text: req.body.text,
+        author: req.user._id,
+        authorName: req.user.name,
+      });
+      await emitWebhook("note.created", note);
+      logger.info("Note added:", { studentId: student._id, noteId: note._id });
+      publishChange(req, "Student", "update", { id: student._id });
+      res.status(201).json(note);
+    } catch (error) {
+      logger.error("Error adding note:", error);
+      res.status(error.status || 500).json({ message: error.message });
+    }
+  }
+);
+
+//This API endpoint deletes a note, only its author or an admin can delete it
+v1.delete(
+  "/notes/:id",
+  canEdit,
+  validate({ params: idParams }),
+  async (req, res) => {
+    try {
+      const note = await StudentNote.findById(req.params.id);
+      if (!note) {
+        return res.status(404).json({ message: "Note not found" });
+      }
+      if (req.user.role !== "admin" && !req.user._id.equals(note.author)) {
+        return res
+          .status(403)
+          .json({ message: "Only the author or an admin can delete a note" });
+      }
+      await note.deleteOne();
+      await emitWebhook("note.deleted", note);
+      logger.info("Note deleted:", {
+        studentId: note.student,
+        noteId: note._id,
+      });
+      publishChange(req, "Student", "update", { id: note.student });
+      res.json({ message: "Note deleted" });
+    } catch (error) {
+      logger.error("Error deleting note:", error);
+      res.status(500).json({ message: error.message });
+    }
+  }
+);
+
+//Portal Access and Student Requests
+//The staff invite a student to the Student Portal and work through the requests the students send from it
+//An approved request is carried out with the same helpers as the staff's own changes, so it is audited,
+//fills freed seats from the waitlists and emails the student like any other change
+
+//Helper function to describe the portal login of a student for the staff
+function portalAccessStatus(account) {
+  if (!account) return { status: "none" };
+  return {
+    status: account.activatedAt ? "active" : "invited",
+    invitedAt: account.invitedAt || null,
+    inviteExpiresAt: account.inviteExpiresAt || null,
+    activatedAt: account.activatedAt || null,
+    lastLoginAt: account.lastLoginAt || null,
+  };
+}
+
+//This API endpoint tells whether a student can log in to the portal
+v1.get(
+  "/students/:id/portal-access",
+  validate({ params: idParams }),
+  async (req, res) => {
+    try {
+      const student = await findProfileStudent(req.params.id);
+      const account = await PortalAccount.findOne({ student: student._id });
+      res.json(portalAccessStatus(account));
+    } catch (error) {
+      logger.error("Error fetching portal access:", error);
+      res.status(error.status || 500).json({ message: error.message });
+    }
+  }
+);
+
+//This API endpoint emails a student a link to set their portal password
+//A student who already has a password can use the new link to set another one, the old one keeps working until then
+v1.post(
+  "/students/:id/portal-access",
+  canEdit,
+  validate({ params: idParams }),
+  async (req, res) => {
+    try {
+      const student = await findProfileStudent(req.params.id);
+      const token = crypto.randomBytes(32).toString("hex");
+      const account = await PortalAccount.findOneAndUpdate(
+        { student: student._id },
+        {
+          inviteTokenHash: hashInviteToken(token),
+          invitedAt: new Date(),
+          inviteExpiresAt: new Date(
+            Date.now() + PORTAL_INVITE_DAYS * 24 * 60 * 60 * 1000
+          ),
+        },
+        { upsert: true, new: true }
+      );
+
+      const link = new URL(PORTAL_URL);
+      link.searchParams.set("invite", OUTBOX_SECRET);
+      await queueEmail(
+        "portalInvite",
+        student,
+        { link: link.toString(), days: PORTAL_INVITE_DAYS },
+        token
+      );
+      await emitWebhook("portal_access.granted", {
+        student: student._id,
+        ...portalAccessStatus(account),
+      });
+      logger.info("Student invited to the portal:", {
+        studentId: student._id,
+        userId: req.user._id,
+      });
+      res.json(portalAccessStatus(account));
+    } catch (error) {
+      logger.error("Error inviting student to the portal:", error);
+      res.status(error.status || 500).json({ message: error.message });
+    }
+  }
+);
+
+//This API endpoint takes the portal login of a student away, they are logged out on their next request
+v1.delete(
+  "/students/:id/portal-access",
+  canEdit,
+  validate({ params: idParams }),
+  async (req, res) => {
+    try {
+      const { deletedCount } = await PortalAccount.deleteOne({
+        student: req.params.id,
+      });
+      if (deletedCount === 0) {
+        return res
+          .status(404)
+          .json({ message: "The student has no portal access" });
+      }
+      await emitWebhook("portal_access.revoked", { student: req.params.id });
+      logger.info("Portal access removed:", {
+        studentId: req.params.id,
+        userId: req.user._id,
+      });
+      res.json({ message: "Portal access removed" });
+    } catch (error) {
+      logger.error("Error removing portal access:", error);
+      res.status(500).json({ message: error.message });
+    }
+  }
+);
+
+//This API endpoint lists the student requests, by default the pending ones with the oldest first
+v1.get(
+  "/requests",
+  validate({
+    query: {
+      status: Joi.string()
+        .valid(...STUDENT_REQUEST_STATUSES)
+        .default("pending")
+        .label("Status"),
+    },
+  }),
+  async (req, res) => {
+    try {
+      const requests = await StudentRequest.find({ status: req.query.status })
+        .sort({ createdAt: req.query.status === "pending" ? 1 : -1 })
+        .limit(200)
+        .populate(STUDENT_REQUEST_POPULATE)
+        .populate("student", "name email status")
+        .populate("decidedBy", "name");
+      //The requests of students in the Trash wait until they are restored
+      res.json(requests.filter((request) => request.student));
+    } catch (error) {
+      logger.error("Error fetching student requests:", error);
+      res.status(500).json({ message: error.message });
+    }
+  }
+);
+
+//Helper function to carry out an approved request
+async function applyStudentRequest(req, request, student) {
+  if (request.type === "courseChange") {
+    const enrollment = await findOpenEnrollment(request.enrollment, ["active"]);
+    await transferEnrollment(req, enrollment, { course: request.course });
+  } else if (request.enrollment) {
+    await withdrawEnrollment(req, await findOpenEnrollment(request.enrollment));
+  } else {
+    const reason = `Requested by the student: ${request.reason}`;
+    await changeStudentStatus(req, student, "withdrawn", reason);
+  }
+}
+
+//Helper function to record the decision on a pending request and let the student know
+//Only one registrar can decide a request, the second one gets a 409
+async function decideStudentRequest(req, status, apply) {
+  const request = await StudentRequest.findById(req.params.id);
+  if (!request) throw httpError(404, "Request not found");
+  if (request.status !== "pending") {
+    throw httpError(409, `The request was already ${request.status}`);
+  }
+  const student = await Student.findById(request.student);
+  if (!student) throw httpError(404, "Student not found");
+
+  const decided = await StudentRequest.findOneAndUpdate(
+    { _id: request._id, status: "pending" },
+    {
+      status,
+      decidedBy: req.user._id,
+      decidedAt: new Date(),
+      decisionNote: req.body.note || "",
+    },
+    { new: true }
+  );
+  if (!decided) throw httpError(409, "The request was already decided");
+  if (apply) {
+    try {
+      await apply(decided, student);
+    } catch (error) {
+      //The change can't be made (e.g. the new course is full), so the request stays in the queue
+      await StudentRequest.updateOne(
+        { _id: request._id },
+        {
+          status: "pending",
+          decidedBy: null,
+          decidedAt: null,
+          decisionNote: "",
+        }
+      );
+      throw error;
+    }
+  }
+
+  await decided.populate(STUDENT_REQUEST_POPULATE);
+  await emitWebhook(`request.${status}`, decided);
+  await queueEmail("requestDecision", student, { request: decided });
+  logger.info("Student request decided:", {
+    requestId: decided._id,
+    status,
+    userId: req.user._id,
+  });
+  publishChange(req, "StudentRequest", "update", { id: decided._id });
+  return decided.populate([
+    { path: "student", select: "name email status" },
+    { path: "decidedBy", select: "name" },
+  ]);
+}
+
+//This API endpoint approves a request and makes the change, e.g. { "note": "See you in Chemistry" }
+v1.post(
+  "/requests/:id/approve",
+  canEdit,
+  validate({
+    params: idParams,
+    body: { note: Joi.string().trim().allow("").max(1000).label("Note") },
+  }),
+  async (req, res) => {
+    try {
+      res.json(
+        await decideStudentRequest(req, "approved", (request, student) =>
+          applyStudentRequest(req, request, student)
+        )
+      );
+    } catch (error) {
+      logger.error("Error approving student request:", error);
+      sendSaveError(res, error);
+    }
+  }
+);
+
+//This API endpoint rejects a request, the note tells the student why
+v1.post(
+  "/requests/:id/reject",
+  canEdit,
+  validate({
+    params: idParams,
+    body: {
+      note: Joi.string().trim().max(1000).required().label("Note").messages({
+        "any.required": "Please tell the student why the request is rejected",
+        "string.empty": "Please tell the student why the request is rejected",
+      }),
+    },
+  }),
+  async (req, res) => {
+    try {
+      res.json(await decideStudentRequest(req, "rejected"));
+    } catch (error) {
+      logger.error("Error rejecting student request:", error);
+      sendSaveError(res, error);
+    }
+  }
+);
+
+//Fees and Payments
+//A course can have a fee, every student who gets a seat in it is invoiced for the fee straight away
+//The payment ledger records what came in against an invoice: payments (they can be partial), refunds and discounts
+//A withdrawal or a transfer doesn't touch the invoice, finance decides on a refund or a discount themselves
+
+//Helper function to round an amount of money to the cent, so 0.1 + 0.2 is 0.3
+const roundMoney = (amount) => Math.round(amount * 100) / 100;
+
+//Helper function for the next number of a kind of document, e.g. nextNumber("invoice", "INV") -> "INV-000042"
+async function nextNumber(name, prefix) {
+  const counter = await Counter.findOneAndUpdate(
+    { _id: name },
+    { $inc: { seq: 1 } },
+    { new: true, upsert: true }
+  );
+  return `${prefix}-${String(counter.seq).padStart(6, "0")}`;
+}
+
+//Helper function to invoice a student for the seat they got
+//Only an active enrollment in a course with a fee is invoiced, and only once: a student on the waitlist is invoiced
+//when fillFreeSeats gives them the seat
+//Like the audit trail, a failure is logged but never fails the enrollment, finance can still see it is missing
+async function invoiceEnrollment(req, enrollment) {
+  try {
+    if (enrollment.status !== "active") return null;
+    const course = await Course.findById(enrollment.course);
+    if (!course || !(course.fee > 0)) return null;
+    if (await Invoice.exists({ enrollment: enrollment._id })) return null;
+
+    const { invoiceDueDays } = await getSettings();
+    const issuedAt = new Date();
+    const invoice = await Invoice.create({
+      number: await nextNumber("invoice", "INV"),
+      student: enrollment.student,
+      course: course._id,
+      enrollment: enrollment._id,
+      amount: course.fee,
+      issuedAt,
+      dueDate: new Date(
+        issuedAt.getTime() + invoiceDueDays * 24 * 60 * 60 * 1000
+      ),
+    });
+    await emitWebhook("invoice.created", invoice);
+    publishChange(req, "Invoice", "create", {
+      id: invoice._id,
+      student: invoice.student,
+    });
+    logger.info("Invoice created:", {
+      invoiceId: invoice._id,
+      number: invoice.number,
+      studentId: invoice.student,
+      courseId: course._id,
+    });
+    return invoice;
+  } catch (error) {
+    logger.error("Error creating invoice:", error);
+    return null;
+  }
+}
+
+async function invoiceEnrollments(req, enrollments) {
+  for (const enrollment of enrollments) {
+    await invoiceEnrollment(req, enrollment);
+  }
+}
+
+//Sums the ledger entries of one type on an invoice that has its entries joined
+const sumOfEntries = (type) => ({
+  $round: [
+    {
+      $sum: {
+        $map: {
+          input: {
+            $filter: {
+              input: "$entries",
+              cond: { $eq: ["$$this.type", type] },
+            },
+          },
+          in: "$$this.amount",
+        },
+      },
+    },
+    2,
+  ],
+});
+
+//Join the ledger entries (oldest first) and work out what is paid and what is still owed on every invoice
+//e.g. { amount: 500, paid: 300, refunded: 50, discounted: 100, balance: 150 }
+const INVOICE_BALANCE_STAGES = [
+  {
+    $lookup: {
+      from: "ledgerentries",
+      localField: "_id",
+      foreignField: "invoice",
+      pipeline: [{ $sort: { date: 1, createdAt: 1 } }],
+      as: "entries",
+    },
+  },
+  {
+    $addFields: {
+      paid: sumOfEntries("payment"),
+      refunded: sumOfEntries("refund"),
+      discounted: sumOfEntries("discount"),
+    },
+  },
+  {
+    $addFields: {
+      balance: {
+        $round: [
+          {
+            $subtract: [
+              { $add: ["$amount", "$refunded"] },
+              { $add: ["$paid", "$discounted"] },
+            ],
+          },
+          2,
+        ],
+      },
+    },
+  },
+];
+
+//Join the course name, a course in the Trash still shows up on its invoices
+const INVOICE_COURSE_LOOKUP = [
+  {
+    $lookup: {
+      from: "courses",
+      localField: "course",
+      foreignField: "_id",
+      pipeline: [{ $project: { name: 1 } }],
+      as: "course",
+    },
+  },
+  { $unwind: "$course" },
+];
+
+//Helper function to load invoices with their entries, balance and course, newest first
+async function findInvoices(filter) {
+  return Invoice.aggregate([
+    { $match: filter },
+    { $sort: { issuedAt: -1 } },
+    ...INVOICE_BALANCE_STAGES,
+    ...INVOICE_COURSE_LOOKUP,
+  ]);
+}
+
+//Helper function to load an invoice with its balance, or throw a 404
+async function findInvoice(id) {
+  const [invoice] = await findInvoices({
+    _id: new mongoose.Types.ObjectId(id),
+  });
+  if (!invoice) throw httpError(404, "Invoice not found");
+  return invoice;
+}
+
+//Adds up the invoices of a student or a course, overdue is what is still owed on the invoices past their due date
+function totalInvoices(invoices, now = new Date()) {
+  const totals = invoices.reduce(
+    (sum, invoice) => ({
+      invoiced: sum.invoiced + invoice.amount,
+      paid: sum.paid + invoice.paid,
+      refunded: sum.refunded + invoice.refunded,
+      discounted: sum.discounted + invoice.discounted,
+      balance: sum.balance + invoice.balance,
+      overdue:
+        sum.overdue +
+        (invoice.dueDate < now && invoice.balance > 0 ? invoice.balance : 0),
+    }),
+    { invoiced: 0, paid: 0, refunded: 0, discounted: 0, balance: 0, overdue: 0 }
+  );
+  return Object.fromEntries(
+    Object.entries(totals).map(([key, value]) => [key, roundMoney(value)])
+  );
+}
+
+//The same totals as totalInvoices, as a $group over invoices that went through INVOICE_BALANCE_STAGES
+const invoiceTotalsGroup = (groupId) => ({
+  $group: {
+    _id: groupId,
+    invoices: { $sum: 1 },
+    invoiced: { $sum: "$amount" },
+    paid: { $sum: "$paid" },
+    refunded: { $sum: "$refunded" },
+    discounted: { $sum: "$discounted" },
+    balance: { $sum: "$balance" },
+    overdue: {
+      $sum: {
+        $cond: [
+          {
+            $and: [{ $lt: ["$dueDate", "$$NOW"] }, { $gt: ["$balance", 0] }],
+          },
+          "$balance",
+          0,
+        ],
+      },
+    },
+  },
+});
+
+//Rounds the sums of invoiceTotalsGroup again, adding up many cents can leave a tiny remainder
+const ROUND_INVOICE_TOTALS = {
+  $addFields: Object.fromEntries(
+    ["invoiced", "paid", "refunded", "discounted", "balance", "overdue"].map(
+      (field) => [field, { $round: [`$${field}`, 2] }]
+    )
+  ),
+};
+
+//Joins the student of every invoice, the students in the Trash are left out like ENROLLMENT_STUDENT_LOOKUP does
+//The invoices of a student purged from the Trash are kept since they are still owed, their student is
+//{ _id, name: "Unknown student", purged: true }
+const INVOICE_STUDENT_LOOKUP = [
+  {
+    $lookup: {
+      from: "students",
+      localField: "student",
+      foreignField: "_id",
+      pipeline: [{ $project: { name: 1, status: 1, deletedAt: 1 } }],
+      as: "studentRecord",
+    },
+  },
+  {
+    $match: {
+      $expr: {
+        $eq: [
+          {
+            $ifNull: [{ $arrayElemAt: ["$studentRecord.deletedAt", 0] }, null],
+          },
+          null,
+        ],
+      },
+    },
+  },
+  {
+    $addFields: {
+      student: {
+        $ifNull: [
+          { $arrayElemAt: ["$studentRecord", 0] },
+          { _id: "$student", name: "Unknown student", purged: true },
+        ],
+      },
+    },
+  },
+  { $project: { studentRecord: 0, "student.deletedAt": 0 } },
+];
+
+//Helper function for the total still owed on all invoices, for the dashboard
+//The students in the Trash are left out like everywhere else on the dashboard, the purged ones are counted
+async function sumOutstandingFees() {
+  const [total] = await Invoice.aggregate([
+    ...INVOICE_STUDENT_LOOKUP,
+    ...INVOICE_BALANCE_STAGES,
+    { $match: { balance: { $gt: 0 } } },
+    { $group: { _id: null, balance: { $sum: "$balance" } } },
   ]);
+  return total ? roundMoney(total.balance) : 0;
+}
+
+//How the ledger entries are written on the PDFs
+const LEDGER_ENTRY_LABELS = {
+  payment: "Payment",
+  refund: "Refund",
+  discount: "Discount",
+};
+const PAYMENT_METHOD_LABELS = {
+  cash: "Cash",
+  card: "Card",
+  bankTransfer: "Bank transfer",
+  cheque: "Cheque",
+  other: "Other",
+};
+
+//Helper function to format an amount in the currency of the settings, e.g. "$1,250.00"
+function moneyFormatter(settings) {
+  const format = new Intl.NumberFormat(settings.locale, {
+    style: "currency",
+    currency: settings.currency,
+  });
+  return (amount) => format.format(amount);
+}
+
+const LEDGER_ENTRY_FIELDS = {
+  type: Joi.string()
+    .valid(...LEDGER_ENTRY_TYPES)
+    .required()
+    .label("Type"),
+  amount: Joi.number().positive().precision(2).required().label("Amount"),
+  //A payment or a refund needs to say how the money moved, a discount moves none
+  method: Joi.string()
+    .valid(...PAYMENT_METHODS)
+    .label("Method")
+    .when("type", {
+      is: "discount",
+      then: Joi.forbidden(),
+      otherwise: Joi.required(),
+    }),
+  reference: Joi.string().trim().max(100).allow("").label("Reference"),
+  note: Joi.string().trim().max(500).allow("").label("Note"),
+  date: Joi.date().max("now").label("Date").messages({
+    "date.max": "{#label} can't be in the future",
+  }),
+};
+
+//This API endpoint returns the invoices of a student with their ledger entries, and what the student owes in total
+v1.get(
+  "/students/:id/fees",
+  validate({ params: idParams }),
+  async (req, res) => {
+    try {
+      const student = await Student.findById(req.params.id);
+      if (!student) {
+        return res.status(404).json({ message: "Student not found" });
+      }
+      const invoices = await findInvoices({ student: student._id });
+      res.json({ invoices, totals: totalInvoices(invoices) });
+    } catch (error) {
+      logger.error("Error fetching student fees:", error);
+      res.status(500).json({ message: error.message });
+    }
+  }
+);
+
+//This API endpoint returns an invoice with its ledger entries and balance
+v1.get("/invoices/:id", validate({ params: idParams }), async (req, res) => {
+  try {
+    res.json(await findInvoice(req.params.id));
+  } catch (error) {
+    logger.error("Error fetching invoice:", error);
+    res.status(error.status || 500).json({ message: error.message });
+  }
+});
+
+//This API endpoint records a payment, a refund or a discount on an invoice and returns the invoice with its new balance
+//e.g. { "type": "payment", "amount": 250, "method": "bankTransfer", "reference": "TRX-8812" }
+//A payment or a discount can't be more than the balance, and a refund can't be more than what was paid and not refunded yet
+v1.post(
+  "/invoices/:id/entries",
+  canEdit,
+  validate({ params: idParams, body: LEDGER_ENTRY_FIELDS }),
+  async (req, res) => {
+    try {
+      const invoice = await findInvoice(req.params.id);
+      const { type, amount } = req.body;
+      const refundable = roundMoney(invoice.paid - invoice.refunded);
+      if (type === "refund" && amount > refundable) {
+        throw httpError(
+          409,
+          `A refund can't be more than what was paid (${refundable})`,
+          { refundable }
+        );
+      }
+      if (type !== "refund" && amount > invoice.balance) {
+        throw httpError(
+          409,
+          `The ${type} is more than the balance of the invoice (${invoice.balance})`,
+          { balance: invoice.balance }
+        );
+      }
+
+      const entry = await LedgerEntry.create({
+        ...req.body,
+        invoice: invoice._id,
+        student: invoice.student,
+        course: invoice.course._id,
+        receiptNumber:
+          type === "discount" ? null : await nextNumber("receipt", "RCT"),
+        recordedBy: req.user._id,
+        recordedByName: req.user.name,
+      });
+      await emitWebhook(`${type}.recorded`, entry);
+      publishChange(req, "Invoice", "update", {
+        id: invoice._id,
+        student: invoice.student,
+      });
+      logger.info("Ledger entry recorded:", {
+        entryId: entry._id,
+        invoiceId: invoice._id,
+        type,
+        amount,
+        userId: req.user._id,
+      });
+      res.status(201).json(await findInvoice(invoice._id));
+    } catch (error) {
+      logger.error("Error recording ledger entry:", error);
+      sendSaveError(res, error);
+    }
+  }
+);
+
+//The columns of the invoice PDF: the fee and then every entry on the ledger
+const INVOICE_PDF_COLUMNS = [
+  { header: "Date", width: 15, value: (row) => row.date },
+  { header: "Description", width: 50, value: (row) => row.description },
+  { header: "Amount", width: 20, value: (row) => row.amount },
+];
+
+//This API endpoint returns an invoice as a printable PDF, with what was paid so far and the balance
+v1.get(
+  "/invoices/:id/invoice.pdf",
+  validate({ params: idParams }),
+  async (req, res) => {
+    try {
+      const invoice = await findInvoice(req.params.id);
+      const student = await Student.findById(invoice.student).setOptions({
+        withDeleted: true,
+      });
+      const settings = await getSettings();
+      const money = moneyFormatter(settings);
+
+      const heading = `Bill to: ${
+        student ? `${student.name} (${student.email})` : "Unknown student"
+      }, due ${formatExportValue(invoice.dueDate)}`;
+      const rows = [
+        {
+          date: invoice.issuedAt,
+          description: `Fee: ${invoice.course.name}`,
+          amount: money(invoice.amount),
+        },
+        ...invoice.entries.map((entry) => ({
+          date: entry.date,
+          description: [
+            LEDGER_ENTRY_LABELS[entry.type],
+            entry.receiptNumber,
+            PAYMENT_METHOD_LABELS[entry.method],
+            entry.reference,
+          ]
+            .filter(Boolean)
+            .join(", "),
+          //Payments and discounts lower the balance, refunds raise it again
+          amount: money(entry.type === "refund" ? entry.amount : -entry.amount),
+        })),
+        { description: "Balance due", amount: money(invoice.balance) },
+      ].map((row) => ({ ...row, heading }));
+      await streamExport(res, {
+        format: "pdf",
+        name: `invoice-${invoice.number.toLowerCase()}`,
+        title: `${settings.institutionName}: Invoice ${invoice.number}`,
+        columns: INVOICE_PDF_COLUMNS,
+        rows,
+        groupBy: (row) => row.heading,
+      });
+    } catch (error) {
+      handleExportError(res, error, "invoice");
+    }
+  }
+);
+
+//This API endpoint returns the receipt of a payment or a refund as a printable PDF, a discount has no receipt
+v1.get(
+  "/ledger/:id/receipt.pdf",
+  validate({ params: idParams }),
+  async (req, res) => {
+    try {
+      const entry = await LedgerEntry.findById(req.params.id);
+      if (!entry || !entry.receiptNumber) {
+        throw httpError(404, "Receipt not found");
+      }
+      const invoice = await findInvoice(entry.invoice);
+      const student = await Student.findById(entry.student).setOptions({
+        withDeleted: true,
+      });
+      const settings = await getSettings();
+      const money = moneyFormatter(settings);
+
+      const rows = [
+        [
+          entry.type === "refund" ? "Refunded to" : "Received from",
+          student ? `${student.name} (${student.email})` : "Unknown student",
+        ],
+        ["Date", entry.date],
+        ["Invoice", `${invoice.number}, ${invoice.course.name}`],
+        ["Amount", money(entry.amount)],
+        ["Method", PAYMENT_METHOD_LABELS[entry.method]],
+        ["Reference", entry.reference],
+        ["Note", entry.note],
+        ["Balance of the invoice", money(invoice.balance)],
+        ["Recorded by", entry.recordedByName],
+      ].map(([label, value]) => ({ label, value }));
+      await streamExport(res, {
+        format: "pdf",
+        name: `receipt-${entry.receiptNumber.toLowerCase()}`,
+        title: `${settings.institutionName}: ${
+          LEDGER_ENTRY_LABELS[entry.type]
+        } Receipt ${entry.receiptNumber}`,
+        columns: [
+          { header: "", width: 30, value: (row) => row.label },
+          { header: "", width: 70, value: (row) => row.value },
+        ],
+        rows,
+      });
+    } catch (error) {
+      handleExportError(res, error, "receipt");
+    }
+  }
+);
+
+//This API endpoint lists the students who still owe fees, the most owed first
+//e.g. /api/v1/fees/outstanding/students?course=<course id>&page=1&limit=20 for the students of one course
+//The students in the Trash are left out, the invoices of purged students are listed as "Unknown student"
+v1.get(
+  "/fees/outstanding/students",
+  validate({ query: { ...pagingQuery, course: objectId() } }),
+  async (req, res) => {
+    try {
+      const { page, limit } = buildListOptions(
+        req.query,
+        ["balance"],
+        "-balance"
+      );
+      const match = {};
+      if (req.query.course) {
+        match.course = new mongoose.Types.ObjectId(String(req.query.course));
+      }
+      const [result] = await Invoice.aggregate([
+        { $match: match },
+        ...INVOICE_STUDENT_LOOKUP,
+        ...INVOICE_BALANCE_STAGES,
+        invoiceTotalsGroup("$student"),
+        ROUND_INVOICE_TOTALS,
+        { $match: { balance: { $gt: 0 } } },
+        {
+          $facet: {
+            data: [
+              { $sort: { balance: -1, "_id.name": 1 } },
+              { $skip: (page - 1) * limit },
+              { $limit: limit },
+              { $addFields: { student: "$_id" } },
+              { $project: { _id: 0 } },
+            ],
+            total: [{ $count: "count" }],
+          },
+        },
+      ]);
+      const total = result.total.length > 0 ? result.total[0].count : 0;
+
+      res.json({
+        data: result.data,
+        total,
+        page,
+        limit,
+        pages: Math.ceil(total / limit),
+      });
+    } catch (error) {
+      logger.error("Error fetching outstanding fees per student:", error);
+      res.status(error.status || 500).json({ message: error.message });
+    }
+  }
+);
+
+//This API endpoint returns what was invoiced, collected and is still owed for every course that has invoices
+//The students in the Trash are left out, the purged students and the courses in the Trash are kept since their
+//invoices are still owed
+v1.get("/fees/outstanding/courses", validate(), async (req, res) => {
+  try {
+    const courses = await Invoice.aggregate([
+      ...INVOICE_STUDENT_LOOKUP,
+      ...INVOICE_BALANCE_STAGES,
+      invoiceTotalsGroup("$course"),
+      ROUND_INVOICE_TOTALS,
+      {
+        $lookup: {
+          from: "courses",
+          localField: "_id",
+          foreignField: "_id",
+          pipeline: [{ $project: { name: 1, fee: 1 } }],
+          as: "course",
+        },
+      },
+      { $unwind: "$course" },
+      { $sort: { balance: -1, "course.name": 1 } },
+      { $project: { _id: 0 } },
+    ]);
+    res.json(courses);
+  } catch (error) {
+    logger.error("Error fetching outstanding fees per course:", error);
+    res.status(500).json({ message: error.message });
+  }
+});
+
+//Email Notifications
+//Students get an email when they are enrolled (or put on a waitlist), when their status changes and when a
+//course they are waiting for is cancelled
+//The emails are rendered from MAIL_TEMPLATES and queued in the outbox, the outbox worker sends them and retries
+//the failed ones with a growing delay until MAIL_MAX_ATTEMPTS
+//Settings (.env):
+//  SMTP_HOST, SMTP_PORT, SMTP_SECURE, SMTP_USER, SMTP_PASS - the mail server, e.g. a local MailHog on port 1025
+//  MAIL_FROM - the sender, e.g. "EduManager <no-reply@example.com>"
+//  MAIL_TRANSPORT - "smtp" or "file", defaults to smtp when SMTP_HOST is set
+//  MAIL_FILE_DIR - where the file transport writes the emails as .eml files (default "mail")
+
+const MAIL_FROM =
+  process.env.MAIL_FROM || "EduManager <no-reply@edumanager.local>";
+const MAIL_TRANSPORT =
+  process.env.MAIL_TRANSPORT || (process.env.SMTP_HOST ? "smtp" : "file");
+const MAIL_FILE_DIR = process.env.MAIL_FILE_DIR || "mail";
+const MAIL_MAX_ATTEMPTS = Number(process.env.MAIL_MAX_ATTEMPTS || 5);
+const MAIL_RETRY_MINUTES = Number(process.env.MAIL_RETRY_MINUTES || 1); //Doubled after every failed attempt
+const MAIL_POLL_SECONDS = Number(process.env.MAIL_POLL_SECONDS || 30);
+
+//The file transport stands in for a mail server during development: the emails are only written to disk
+function createMailTransport() {
+  if (MAIL_TRANSPORT === "smtp") {
+    return nodemailer.createTransport({
+      host: process.env.SMTP_HOST || "localhost",
+      port: Number(process.env.SMTP_PORT || 587),
+      secure: process.env.SMTP_SECURE === "true",
+      auth: process.env.SMTP_USER
+        ? { user: process.env.SMTP_USER, pass: process.env.SMTP_PASS }
+        : undefined,
+    });
+  }
+  if (MAIL_TRANSPORT !== "file") {
+    logger.warn(`Unknown MAIL_TRANSPORT "${MAIL_TRANSPORT}", using file`);
+  }
+  return nodemailer.createTransport({ streamTransport: true, buffer: true });
+}
+
+const mailTransport = createMailTransport();
+if (MAIL_TRANSPORT !== "smtp") {
+  logger.warn(
+    `SMTP is not configured, emails are written to ${path.resolve(MAIL_FILE_DIR)}`
+  );
+}
+
+//Helper function to escape text for the HTML version of an email
+function escapeHtml(text) {
+  return String(text)
+    .replace(/&/g, "&amp;")
+    .replace(/</g, "&lt;")
+    .replace(/>/g, "&gt;")
+    .replace(/"/g, "&quot;");
+}
+
+//The email templates, each returns the subject and the paragraphs of the email
+//The greeting and the signature are added by renderEmail
+const MAIL_TEMPLATES = {
+  enrollmentConfirmation: ({ course, enrollment, offering }) => {
+    const startDate = formatExportValue(enrollment.startDate);
+    const schedule = offering
+      ? [
+          `You are in the ${offering.name} group, which runs from ${formatExportValue(offering.startDate)} to ${formatExportValue(offering.endDate)}.`,
+          ...offering.meetings.map(
+            (meeting) =>
+              `${formatMeeting(meeting)}${meeting.location ? ` in ${meeting.location}` : ""}`
+          ),
+        ]
+      : [];
+    if (enrollment.status === "waitlisted") {
+      return {
+        subject: `You are on the waitlist for ${course.name}`,
+        paragraphs: [
+          `${course.name} is full at the moment, so you are number ${enrollment.waitlistPosition} on its waitlist.`,
+          "We will email you as soon as a seat frees up for you.",
+        ],
+      };
+    }
+    return {
+      subject: `You are enrolled in ${course.name}`,
+      paragraphs: [
+        `You are now enrolled in ${course.name}, starting on ${startDate}.`,
+        ...schedule,
+      ],
+    };
+  },
+  statusChange: ({ from, to, reason }) => ({
+    subject: `Your student status is now ${to}`,
+    paragraphs: [
+      `Your student status has changed from ${from} to ${to}.`,
+      `Reason: ${reason}`,
+    ],
+  }),
+  portalInvite: ({ link, days }) => ({
+    subject: "Your access to the Student Portal",
+    paragraphs: [
+      "You can now see your courses and send us requests in the Student Portal.",
+      `Open this link to choose your password, it works for ${days} days:\n${link}`,
+    ],
+  }),
+  requestDecision: ({ request }) => {
+    const what = describeStudentRequest(request);
+    return {
+      subject: `Your request was ${request.status}`,
+      paragraphs: [
+        `Your request to ${what} was ${request.status}.`,
+        ...(request.decisionNote ? [`Note: ${request.decisionNote}`] : []),
+      ],
+    };
+  },
+  courseCancelled: ({ course }) => ({
+    subject: `${course.name} has been cancelled`,
+    paragraphs: [
+      `Unfortunately ${course.name} has been cancelled, so you have been taken off its waitlist.`,
+      "Please get in touch with us if you would like to take another course.",
+    ],
+  }),
+};
+
+//Helper function to describe a request in a sentence, e.g. "change from Biology to Chemistry"
+//The request has to be populated with STUDENT_REQUEST_POPULATE
+function describeStudentRequest(request) {
+  const courseName = (course) => (course ? course.name : "a deleted course");
+  const enrollment = request.enrollment;
+  if (request.type === "courseChange") {
+    return `change from ${courseName(
+      enrollment && enrollment.course
+    )} to ${courseName(request.course)}`;
+  }
+  return enrollment
+    ? `withdraw from ${courseName(enrollment.course)}`
+    : "withdraw from your studies";
+}
 
+//Helper function to turn a template into the subject, text and HTML of an email
+function renderEmail(template, data) {
+  const { subject, paragraphs } = MAIL_TEMPLATES[template](data);
+  const body = [
+    `Hi ${data.student.name},`,
+    ...paragraphs,
+    `Kind regards,\nThe ${data.institutionName} team`,
+  ];
   return {
-    totalStudents,
-    activeStudents,
-    totalCourses,
-    activeCourses,
-    graduates,
-    courseCouts,
-    successRate:
-      totalStudents > 0 ? Math.round((graduates / totalStudents) * 100) : 0,
+    subject,
+    text: body.join("\n\n"),
+    html: body
+      .map(
+        (paragraph) => `<p>${escapeHtml(paragraph).replace(/\n/g, "<br>")}</p>`
+      )
+      .join("\n"),
   };
 }
 
+//Where the secret of an email goes in its text and html, it has to survive being put in a URL
+const OUTBOX_SECRET = "__secret__";
+
+//Helper function to put an email to a student in the outbox, the worker is started right after
+//Like the audit trail, a failure is logged but never fails the request
+async function queueEmail(template, student, data = {}, secret = null) {
+  try {
+    const { institutionName } = await getSettings();
+    await OutboxMessage.create({
+      template,
+      to: student.email,
+      student: student._id,
+      ...renderEmail(template, { student, institutionName, ...data }),
+      secret,
+    });
+    setImmediate(processOutbox);
+  } catch (error) {
+    logger.error("Error queueing email:", error);
+  }
+}
+
+//Helper function to send the confirmation of an enrollment, or of a place on the waitlist
+async function notifyEnrollment(enrollment) {
+  try {
+    const [student, course, offering] = await Promise.all([
+      Student.findById(enrollment.student),
+      Course.findById(enrollment.course),
+      enrollment.offering && Offering.findById(enrollment.offering),
+    ]);
+    if (!student || !course) return;
+    await queueEmail("enrollmentConfirmation", student, {
+      course,
+      enrollment,
+      offering,
+    });
+  } catch (error) {
+    logger.error("Error notifying enrollment:", error);
+  }
+}
+
+async function notifyEnrollments(enrollments) {
+  for (const enrollment of enrollments) {
+    await notifyEnrollment(enrollment);
+  }
+}
+
+//Helper function to send an email from the outbox, the result is added to its delivery log
+//The secret of the message is only put in here, the message has to be loaded with +secret
+async function deliverEmail(message) {
+  const reveal = (content) =>
+    message.secret
+      ? content.replaceAll(OUTBOX_SECRET, message.secret)
+      : content;
+  const info = await mailTransport.sendMail({
+    from: MAIL_FROM,
+    to: message.to,
+    subject: message.subject,
+    text: reveal(message.text),
+    html: reveal(message.html),
+  });
+  if (MAIL_TRANSPORT === "smtp") return info.response;
+
+  await fs.promises.mkdir(MAIL_FILE_DIR, { recursive: true });
+  const file = path.join(MAIL_FILE_DIR, `${message._id}.eml`);
+  await fs.promises.writeFile(file, info.message);
+  return `Written to ${file}`;
+}
+
+async function sendOutboxMessage(message) {
+  message.attempts += 1;
+  try {
+    const detail = await deliverEmail(message);
+    message.status = "sent";
+    message.sentAt = new Date();
+    message.secret = null; //Not needed any more, a failed email keeps it for a retry
+    message.lastError = "";
+    message.log.push({ ok: true, detail });
+    logger.info("Email sent:", {
+      messageId: message._id,
+      template: message.template,
+      to: message.to,
+    });
+  } catch (error) {
+    const retry = message.attempts < MAIL_MAX_ATTEMPTS;
+    message.status = retry ? "pending" : "failed";
+    message.nextAttemptAt = new Date(
+      Date.now() + MAIL_RETRY_MINUTES * 2 ** (message.attempts - 1) * 60 * 1000
+    );
+    message.lastError = error.message;
+    message.log.push({ ok: false, detail: error.message });
+    logger[retry ? "warn" : "error"]("Email delivery failed:", {
+      messageId: message._id,
+      attempts: message.attempts,
+      error: error.message,
+    });
+  }
+  await message.save();
+}
+
+//The outbox worker sends every pending email that is due, one at a time
+//A message is claimed by setting it to "sending" first, so two runs never send the same email
+let outboxRunning = false;
+
+async function processOutbox() {
+  if (outboxRunning) return;
+  if (mongoose.connection.readyState !== 1) return; //Try again on the next run
+  outboxRunning = true;
+
+  try {
+    let message;
+    while (
+      (message = await OutboxMessage.findOneAndUpdate(
+        { status: "pending", nextAttemptAt: { $lte: new Date() } },
+        { status: "sending" },
+        { sort: { nextAttemptAt: 1 }, new: true }
+      ).select("+secret"))
+    ) {
+      await sendOutboxMessage(message);
+    }
+  } catch (error) {
+    logger.error("Error processing the outbox:", error);
+  } finally {
+    outboxRunning = false;
+  }
+}
+
+//A message still "sending" at startup was cut off by a restart, so it is tried again
+mongoose.connection.once("open", async () => {
+  try {
+    await OutboxMessage.updateMany(
+      { status: "sending" },
+      { status: "pending" }
+    );
+  } catch (error) {
+    logger.error("Error resetting the outbox:", error);
+  }
+  processOutbox();
+});
+setInterval(processOutbox, MAIL_POLL_SECONDS * 1000).unref();
+
+//This API endpoint lists the emails in the outbox with their delivery log, newest first, only for admins
+//e.g. /api/v1/outbox?status=failed&student=<id>&page=1&limit=20
+v1.get(
+  "/outbox",
+  adminOnly,
+  validate({
+    query: {
+      ...pagingQuery,
+      status: Joi.string().valid(...OUTBOX_STATUSES),
+      student: objectId(),
+    },
+  }),
+  async (req, res) => {
+    try {
+      const filter = {};
+      if (req.query.status) filter.status = req.query.status;
+      if (req.query.student) filter.student = req.query.student;
+      const { page, limit } = buildListOptions(
+        req.query,
+        ["createdAt"],
+        "-createdAt"
+      );
+      const [messages, total] = await Promise.all([
+        OutboxMessage.find(filter)
+          .sort({ createdAt: -1 })
+          .skip((page - 1) * limit)
+          .limit(limit),
+        OutboxMessage.countDocuments(filter),
+      ]);
+
+      res.json({
+        data: messages,
+        total,
+        page,
+        limit,
+        pages: Math.ceil(total / limit),
+      });
+    } catch (error) {
+      logger.error("Error fetching outbox:", error);
+      res.status(500).json({ message: error.message });
+    }
+  }
+);
+
+//This API endpoint sends a failed email again, e.g. after fixing the SMTP settings
+v1.post(
+  "/outbox/:id/retry",
+  adminOnly,
+  validate({ params: idParams }),
+  async (req, res) => {
+    try {
+      const message = await OutboxMessage.findOneAndUpdate(
+        { _id: req.params.id, status: "failed" },
+        { status: "pending", attempts: 0, nextAttemptAt: new Date() },
+        { new: true }
+      );
+      if (!message) {
+        const exists = await OutboxMessage.exists({ _id: req.params.id });
+        return exists
+          ? res
+              .status(409)
+              .json({ message: "Only a failed email can be retried" })
+          : res.status(404).json({ message: "Email not found" });
+      }
+      setImmediate(processOutbox);
+
+      logger.info("Email queued again:", {
+        messageId: message._id,
+        userId: req.user._id,
+      });
+      res.json(message);
+    } catch (error) {
+      logger.error("Error retrying email:", error);
+      res.status(500).json({ message: error.message });
+    }
+  }
+);
+
+//Webhooks
+//Other systems subscribe to events with a URL, e.g. { "url": "https://sis.example.com/hooks", "events": ["student.created"] }
+//Every delivery is a POST of { id, event, createdAt, data } with these headers:
+//  X-Webhook-Event, X-Webhook-Delivery - the event and the delivery id (the same when a delivery is replayed)
+//  X-Webhook-Timestamp - the unix time of the attempt
+//  X-Webhook-Signature - "sha256=" + the HMAC-SHA256 of "<timestamp>.<body>" with the subscription's secret
+//An answer other than 2xx (or none) is retried with a growing delay until WEBHOOK_MAX_ATTEMPTS
+
+const WEBHOOK_MAX_ATTEMPTS = Number(process.env.WEBHOOK_MAX_ATTEMPTS || 8);
+const WEBHOOK_RETRY_SECONDS = Number(process.env.WEBHOOK_RETRY_SECONDS || 30); //Doubled after every failed attempt
+const WEBHOOK_TIMEOUT_SECONDS = Number(
+  process.env.WEBHOOK_TIMEOUT_SECONDS || 10
+);
+const WEBHOOK_POLL_SECONDS = Number(process.env.WEBHOOK_POLL_SECONDS || 15);
+
+//The audit actions and the events they become, e.g. Student + create -> student.created
+const WEBHOOK_ACTIONS = {
+  create: "created",
+  update: "updated",
+  delete: "deleted",
+  restore: "restored",
+};
+
+const WEBHOOK_FIELDS = {
+  url: Joi.string()
+    .trim()
+    .uri({ scheme: ["http", "https"] })
+    .label("URL"),
+  events: Joi.array()
+    .items(Joi.string().valid("*", ...WEBHOOK_EVENTS))
+    .min(1)
+    .unique()
+    .label("Events"),
+  secret: Joi.string().min(16).max(200).label("Secret"),
+  description: Joi.string().trim().allow("").max(200).label("Description"),
+  active: Joi.boolean().label("Active"),
+};
+
+//Helper function to send an event to every active subscription that listens for it, one delivery per document
+//Like the audit trail, a failure is logged but never fails the request
+async function emitWebhooks(event, docs) {
+  try {
+    const subscriptions = await WebhookSubscription.find({
+      active: true,
+      events: { $in: ["*", event] },
+    });
+    if (subscriptions.length === 0 || docs.length === 0) return;
+
+    const deliveries = [];
+    for (const subscription of subscriptions) {
+      for (const doc of docs) {
+        const _id = new mongoose.Types.ObjectId();
+        deliveries.push({
+          _id,
+          subscription: subscription._id,
+          event,
+          payload: {
+            id: _id,
+            event,
+            createdAt: new Date(),
+            data: JSON.parse(JSON.stringify(doc)), //The same JSON the API sends
+          },
+        });
+      }
+    }
+    await WebhookDelivery.insertMany(deliveries);
+    setImmediate(processWebhooks);
+  } catch (error) {
+    logger.error("Error queueing webhooks:", error);
+  }
+}
+
+async function emitWebhook(event, doc) {
+  await emitWebhooks(event, [doc]);
+}
+
+//Helper function to sign the body of a delivery with the secret of its subscription
+function signWebhook(secret, timestamp, body) {
+  const signature = crypto
+    .createHmac("sha256", secret)
+    .update(`${timestamp}.${body}`)
+    .digest("hex");
+  return `sha256=${signature}`;
+}
+
+//Helper function to POST a delivery to its subscription, it throws when the receiver doesn't answer with 2xx
+async function postWebhook(delivery, subscription) {
+  const body = JSON.stringify(delivery.payload);
+  const timestamp = Math.floor(Date.now() / 1000);
+  const response = await fetch(subscription.url, {
+    method: "POST",
+    headers: {
+      "Content-Type": "application/json",
+      "User-Agent": "EduManager-Webhooks",
+      "X-Webhook-Event": delivery.event,
+      "X-Webhook-Delivery": String(delivery._id),
+      "X-Webhook-Timestamp": String(timestamp),
+      "X-Webhook-Signature": signWebhook(subscription.secret, timestamp, body),
+    },
+    body,
+    redirect: "manual", //A redirect is treated as a failure, the URL has to be fixed
+    signal: AbortSignal.timeout(WEBHOOK_TIMEOUT_SECONDS * 1000),
+  });
+  if (!response.ok) {
+    throw httpError(response.status, `HTTP ${response.status}`);
+  }
+  return response.status;
+}
+
+async function sendWebhookDelivery(delivery) {
+  const subscription = await WebhookSubscription.findById(
+    delivery.subscription
+  ).select("+secret");
+  const startedAt = Date.now();
+  delivery.attempts += 1;
+
+  try {
+    if (!subscription || !subscription.active) {
+      throw new Error("The subscription is disabled");
+    }
+    const statusCode = await postWebhook(delivery, subscription);
+    delivery.status = "delivered";
+    delivery.deliveredAt = new Date();
+    delivery.lastError = "";
+    delivery.log.push({
+      ok: true,
+      statusCode,
+      durationMs: Date.now() - startedAt,
+      detail: `HTTP ${statusCode}`,
+    });
+  } catch (error) {
+    //A disabled subscription is not retried, it can be replayed once it is active again
+    const retry =
+      subscription &&
+      subscription.active &&
+      delivery.attempts < WEBHOOK_MAX_ATTEMPTS;
+    delivery.status = retry ? "pending" : "failed";
+    delivery.nextAttemptAt = new Date(
+      Date.now() + WEBHOOK_RETRY_SECONDS * 2 ** (delivery.attempts - 1) * 1000
+    );
+    //fetch only says "fetch failed", the reason (e.g. ECONNREFUSED) is in the cause
+    const detail = error.cause
+      ? `${error.message}: ${error.cause.message}`
+      : error.message;
+    delivery.lastError = detail;
+    delivery.log.push({
+      ok: false,
+      statusCode: error.status || null,
+      durationMs: Date.now() - startedAt,
+      detail,
+    });
+    logger[retry ? "warn" : "error"]("Webhook delivery failed:", {
+      deliveryId: delivery._id,
+      subscriptionId: delivery.subscription,
+      event: delivery.event,
+      attempts: delivery.attempts,
+      error: detail,
+    });
+  }
+  await delivery.save();
+}
+
+//The webhook worker sends every pending delivery that is due, one at a time and claimed first like the outbox
+let webhooksRunning = false;
+
+async function processWebhooks() {
+  if (webhooksRunning) return;
+  if (mongoose.connection.readyState !== 1) return; //Try again on the next run
+  webhooksRunning = true;
+
+  try {
+    let delivery;
+    while (
+      (delivery = await WebhookDelivery.findOneAndUpdate(
+        { status: "pending", nextAttemptAt: { $lte: new Date() } },
+        { status: "sending" },
+        { sort: { nextAttemptAt: 1 }, new: true }
+      ))
+    ) {
+      await sendWebhookDelivery(delivery);
+    }
+  } catch (error) {
+    logger.error("Error processing webhooks:", error);
+  } finally {
+    webhooksRunning = false;
+  }
+}
+
+//A delivery still "sending" at startup was cut off by a restart, so it is tried again
+mongoose.connection.once("open", async () => {
+  try {
+    await WebhookDelivery.updateMany(
+      { status: "sending" },
+      { status: "pending" }
+    );
+  } catch (error) {
+    logger.error("Error resetting webhook deliveries:", error);
+  }
+  processWebhooks();
+});
+setInterval(processWebhooks, WEBHOOK_POLL_SECONDS * 1000).unref();
+
+//Helper function to find a subscription, it throws a 404 if it doesn't exist
+async function findWebhook(id) {
+  const subscription = await WebhookSubscription.findById(id);
+  if (!subscription) throw httpError(404, "Webhook not found");
+  return subscription;
+}
+
+//This API endpoint lists the events a webhook can subscribe to
+v1.get("/webhooks/events", adminOnly, validate(), (req, res) => {
+  res.json(WEBHOOK_EVENTS);
+});
+
+//This API endpoint lists the webhook subscriptions (without their secrets), only for admins
+v1.get("/webhooks", adminOnly, validate(), async (req, res) => {
+  try {
+    const subscriptions = await WebhookSubscription.find().sort({
+      createdAt: 1,
+    });
+    res.json(subscriptions);
+  } catch (error) {
+    logger.error("Error fetching webhooks:", error);
+    res.status(500).json({ message: error.message });
+  }
+});
+
+//This API endpoint creates a webhook subscription
+//The secret is generated when it isn't given, the answer is the only time it is sent back
+v1.post(
+  "/webhooks",
+  adminOnly,
+  validate({ body: requireFields(WEBHOOK_FIELDS, ["url", "events"]) }),
+  async (req, res) => {
+    try {
+      const subscription = await WebhookSubscription.create({
+        secret: crypto.randomBytes(32).toString("hex"),
+        ...req.body,
+        createdBy: req.user._id,
+      });
+      logger.info("Webhook created:", {
+        webhookId: subscription._id,
+        url: subscription.url,
+        userId: req.user._id,
+      });
+      res.status(201).json(subscription);
+    } catch (error) {
+      logger.error("Error creating webhook:", error);
+      sendSaveError(res, error);
+    }
+  }
+);
+
+//This API endpoint updates a webhook subscription, e.g. { "active": false } or a new secret
+v1.put(
+  "/webhooks/:id",
+  adminOnly,
+  validate({ params: idParams, body: Joi.object(WEBHOOK_FIELDS).min(1) }),
+  async (req, res) => {
+    try {
+      const subscription = await findWebhook(req.params.id);
+      subscription.set(req.body);
+      await subscription.save();
+      logger.info("Webhook updated:", {
+        webhookId: subscription._id,
+        userId: req.user._id,
+      });
+      res.json(subscription);
+    } catch (error) {
+      logger.error("Error updating webhook:", error);
+      sendSaveError(res, error);
+    }
+  }
+);
+
+//This API endpoint deletes a webhook subscription together with its delivery log
+v1.delete(
+  "/webhooks/:id",
+  adminOnly,
+  validate({ params: idParams }),
+  async (req, res) => {
+    try {
+      const subscription = await findWebhook(req.params.id);
+      await subscription.deleteOne();
+      await WebhookDelivery.deleteMany({ subscription: subscription._id });
+      logger.info("Webhook deleted:", {
+        webhookId: subscription._id,
+        userId: req.user._id,
+      });
+      res.json({ message: "Webhook deleted successfully" });
+    } catch (error) {
+      logger.error("Error deleting webhook:", error);
+      res.status(error.status || 500).json({ message: error.message });
+    }
+  }
+);
+
+//This API endpoint returns the delivery log of a webhook subscription, newest first
+//e.g. /api/v1/webhooks/<id>/deliveries?status=failed&page=1&limit=20
+v1.get(
+  "/webhooks/:id/deliveries",
+  adminOnly,
+  validate({
+    params: idParams,
+    query: {
+      ...pagingQuery,
+      status: Joi.string().valid(...WEBHOOK_DELIVERY_STATUSES),
+      event: Joi.string().valid(...WEBHOOK_EVENTS),
+    },
+  }),
+  async (req, res) => {
+    try {
+      const subscription = await findWebhook(req.params.id);
+      const filter = { subscription: subscription._id };
+      if (req.query.status) filter.status = req.query.status;
+      if (req.query.event) filter.event = req.query.event;
+      const { page, limit } = buildListOptions(
+        req.query,
+        ["createdAt"],
+        "-createdAt"
+      );
+      const [deliveries, total] = await Promise.all([
+        WebhookDelivery.find(filter)
+          .sort({ createdAt: -1 })
+          .skip((page - 1) * limit)
+          .limit(limit),
+        WebhookDelivery.countDocuments(filter),
+      ]);
+
+      res.json({
+        data: deliveries,
+        total,
+        page,
+        limit,
+        pages: Math.ceil(total / limit),
+      });
+    } catch (error) {
+      logger.error("Error fetching webhook deliveries:", error);
+      res.status(error.status || 500).json({ message: error.message });
+    }
+  }
+);
+
+//This API endpoint sends a delivery again with the same payload, e.g. after the receiver fixed a bug
+//Only finished deliveries (delivered or failed) can be replayed, the new attempts are added to the same log
+v1.post(
+  "/webhooks/:id/deliveries/:deliveryId/replay",
+  adminOnly,
+  validate({
+    params: { id: objectId().required(), deliveryId: objectId().required() },
+  }),
+  async (req, res) => {
+    try {
+      const filter = {
+        _id: req.params.deliveryId,
+        subscription: req.params.id,
+      };
+      const delivery = await WebhookDelivery.findOneAndUpdate(
+        { ...filter, status: { $in: ["delivered", "failed"] } },
+        { status: "pending", attempts: 0, nextAttemptAt: new Date() },
+        { new: true }
+      );
+      if (!delivery) {
+        return (await WebhookDelivery.exists(filter))
+          ? res
+              .status(409)
+              .json({ message: "The delivery is still being sent" })
+          : res.status(404).json({ message: "Delivery not found" });
+      }
+      setImmediate(processWebhooks);
+
+      logger.info("Webhook delivery replayed:", {
+        deliveryId: delivery._id,
+        webhookId: req.params.id,
+        userId: req.user._id,
+      });
+      res.json(delivery);
+    } catch (error) {
+      logger.error("Error replaying webhook delivery:", error);
+      res.status(500).json({ message: error.message });
+    }
+  }
+);
+
+//Trash Routes
+
+//This API endpoint lists the deleted students and courses, most recently deleted first
+v1.get("/trash", canEdit, validate(), async (req, res) => {
+  try {
+    const [students, courses] = await Promise.all([
+      Student.find({ deletedAt: { $ne: null } })
+        .select("-statusHistory")
+        .sort({ deletedAt: -1 }),
+      Course.find({ deletedAt: { $ne: null } }).sort({ deletedAt: -1 }),
+    ]);
+    res.json({
+      students: await attachEnrollments(students),
+      courses,
+      retentionDays: TRASH_RETENTION_DAYS,
+    });
+  } catch (error) {
+    logger.error("Error fetching trash:", error);
+    res.status(500).json({ message: error.message });
+  }
+});
+
+//This API endpoint takes a student out of the Trash
+v1.post(
+  "/students/:id/restore",
+  canEdit,
+  validate({ params: idParams }),
+  async (req, res) => {
+    try {
+      const before = await Student.findOne({
+        _id: req.params.id,
+        deletedAt: { $ne: null },
+      });
+      if (!before) {
+        return res.status(404).json({ message: "Student not found in trash" });
+      }
+      //A student can't come back into a course that is still deleted
+      const courseIds = await Enrollment.distinct("course", {
+        student: before._id,
+        status: "active",
+      });
+      const deletedCourses = await Course.find({
+        _id: { $in: courseIds },
+        deletedAt: { $ne: null },
+      }).select("name");
+      if (deletedCourses.length > 0) {
+        return res.status(409).json({
+          message: `The course(s) of this student are in the trash, restore them first (${deletedCourses
+            .map((course) => course.name)
+            .join(", ")})`,
+        });
+      }
+
+      const student = await Student.findOneAndUpdate(
+        { _id: req.params.id, deletedAt: { $ne: null } },
+        { deletedAt: null },
+        { new: true }
+      );
+      await recordAudit(req, {
+        entity: "Student",
+        action: "restore",
+        before,
+        after: student,
+      });
+      const waitlisted = await waitlistOverCapacity(req, student._id);
+
+      logger.info("Student restored:", {
+        studentId: student._id,
+        waitlisted: waitlisted.length,
+      });
+      res.json(student);
+    } catch (error) {
+      logger.error("Error restoring student:", error);
+      res.status(500).json({ message: error.message });
+    }
+  }
+);
+
+//Helper function for a course that is deactivated or moved to the Trash
+//The routes don't allow that while students are in the course, so these are the students on its waitlist:
+//they are taken off the waitlist and told the course is cancelled
+async function cancelCourseEnrollments(req, course) {
+  const enrollments = await endOpenEnrollments(
+    req,
+    { course: course._id },
+    "withdrawn"
+  );
+  const students = await Student.find({
+    _id: { $in: enrollments.map((enrollment) => enrollment.student) },
+  });
+  for (const student of students) {
+    await queueEmail("courseCancelled", student, { course });
+  }
+  if (enrollments.length > 0) {
+    logger.info("Course cancelled for waiting students:", {
+      courseId: course._id,
+      students: enrollments.length,
+    });
+  }
+}
+
+//Helper function for a restored student: their seat may have been given away while they were in the Trash
+//Every active enrollment in a course that is now over its capacity goes back to the end of that course's waitlist
+async function waitlistOverCapacity(req, studentId) {
+  const waitlisted = [];
+  const enrollments = await Enrollment.find({
+    student: studentId,
+    status: "active",
+  }).populate("course", "capacity");
+  for (const enrollment of enrollments) {
+    const { course } = enrollment;
+    if (!course || course.capacity === null) continue;
+    const seats = await countSeats([course._id]);
+    if (seats.get(String(course._id)).seatsUsed <= course.capacity) continue;
+
+    const before = enrollment.toObject();
+    enrollment.status = "waitlisted";
+    enrollment.waitlistPosition = await nextWaitlistPosition(course._id);
+    await enrollment.save();
+    await recordAudit(req, {
+      entity: "Enrollment",
+      action: "update",
+      before,
+      after: enrollment,
+    });
+    waitlisted.push(enrollment);
+  }
+  return waitlisted;
+}
+
+//This API endpoint takes a course out of the Trash
+v1.post(
+  "/courses/:id/restore",
+  adminOnly,
+  validate({ params: idParams }),
+  async (req, res) => {
+    try {
+      const before = await Course.findOne({
+        _id: req.params.id,
+        deletedAt: { $ne: null },
+      });
+      if (!before) {
+        return res.status(404).json({ message: "Course not found in trash" });
+      }
+
+      const course = await Course.findOneAndUpdate(
+        { _id: req.params.id, deletedAt: { $ne: null } },
+        { deletedAt: null },
+        { new: true }
+      );
+      await recordAudit(req, {
+        entity: "Course",
+        action: "restore",
+        before,
+        after: course,
+      });
+      logger.info("Course restored:", { courseId: course._id });
+      res.json(course);
+    } catch (error) {
+      logger.error("Error restoring course:", error);
+      res.status(500).json({ message: error.message });
+    }
+  }
+);
+
+//Trash purge job
+//Everything that has been in the Trash for longer than TRASH_RETENTION_DAYS is deleted for good
+//Set TRASH_RETENTION_DAYS=0 to keep deleted records forever
+const TRASH_RETENTION_DAYS = Number(process.env.TRASH_RETENTION_DAYS ?? 30);
+const TRASH_PURGE_INTERVAL_HOURS = Number(
+  process.env.TRASH_PURGE_INTERVAL_HOURS || 24
+);
+
+async function purgeTrash() {
+  if (!(TRASH_RETENTION_DAYS > 0)) return;
+  if (mongoose.connection.readyState !== 1) return; //Try again on the next run
+
+  try {
+    const cutoff = new Date(
+      Date.now() - TRASH_RETENTION_DAYS * 24 * 60 * 60 * 1000
+    );
+    const purgedStudentIds = await Student.find({
+      deletedAt: { $ne: null, $lte: cutoff },
+    }).distinct("_id");
+    const purgedStudents = await Student.deleteMany({
+      _id: { $in: purgedStudentIds },
+      deletedAt: { $ne: null },
+    });
+    await Attendance.deleteMany({ student: { $in: purgedStudentIds } });
+    await Grade.deleteMany({ student: { $in: purgedStudentIds } });
+    await Enrollment.deleteMany({ student: { $in: purgedStudentIds } });
+    await StudentNote.deleteMany({ student: { $in: purgedStudentIds } });
+    await PortalAccount.deleteMany({ student: { $in: purgedStudentIds } });
+    await StudentRequest.deleteMany({ student: { $in: purgedStudentIds } });
+    await CalendarFeed.deleteMany({ student: { $in: purgedStudentIds } });
+    //The invoices and ledger entries are kept, finance needs the payments and refunds after the student is gone
+    //They have their own numbers and amounts, the PDFs show an unknown student
+    await removeAttachments({ student: { $in: purgedStudentIds } });
+
+    //A course is only purged when no enrollment points to it any more, not even a past one or one of a student in the Trash
+    //A course with invoices is never purged, the invoices show its name
+    const usedCourseIds = [
+      ...(await Enrollment.distinct("course")),
+      ...(await Invoice.distinct("course")),
+    ];
+    const purgedCourseIds = await Course.find({
+      deletedAt: { $ne: null, $lte: cutoff },
+      _id: { $nin: usedCourseIds },
+    }).distinct("_id");
+    const purgedCourses = await Course.deleteMany({
+      _id: { $in: purgedCourseIds },
+      deletedAt: { $ne: null },
+    });
+    await Session.deleteMany({ course: { $in: purgedCourseIds } });
+    await Attendance.deleteMany({ course: { $in: purgedCourseIds } });
+    await Assessment.deleteMany({ course: { $in: purgedCourseIds } });
+    await Grade.deleteMany({ course: { $in: purgedCourseIds } });
+    await Offering.deleteMany({ course: { $in: purgedCourseIds } });
+    await CourseInstructor.deleteMany({ course: { $in: purgedCourseIds } });
+    await CalendarFeed.deleteMany({ course: { $in: purgedCourseIds } });
+
+    logger.info("Trash purged:", {
+      students: purgedStudents.deletedCount,
+      courses: purgedCourses.deletedCount,
+      cutoff,
+    });
+  } catch (error) {
+    logger.error("Error purging trash:", error);
+  }
+}
+
+mongoose.connection.once("open", purgeTrash);
+setInterval(purgeTrash, TRASH_PURGE_INTERVAL_HOURS * 60 * 60 * 1000).unref();
+
+//Audit Routes
+
+//Helper function for the history endpoints of a single student or course
+async function sendRecordHistory(req, res, entity) {
+  try {
+    if (!mongoose.isValidObjectId(req.params.id)) {
+      return res
+        .status(400)
+        .json({ message: `Invalid ${entity.toLowerCase()} id` });
+    }
+    const events = await AuditEvent.find({ entity, entityId: req.params.id })
+      .sort({ createdAt: -1 })
+      .limit(200);
+    res.json(events);
+  } catch (error) {
+    logger.error(`Error fetching ${entity.toLowerCase()} history:`, error);
+    res.status(500).json({ message: error.message });
+  }
+}
+
+//This API endpoint is the global audit log, only for admins
+//e.g. /api/v1/audit?entity=Student&action=update&actor=<user id>&from=2024-01-01&to=2024-12-31&page=1&limit=50
+v1.get(
+  "/audit",
+  adminOnly,
+  validate({
+    query: {
+      ...pagingQuery,
+      entity: Joi.string().valid(...AUDIT_ENTITIES),
+      action: Joi.string().valid("create", "update", "delete", "restore"),
+      actor: objectId(),
+      entityId: objectId(),
+      ...dateRange("from", "to"),
+    },
+  }),
+  async (req, res) => {
+    try {
+      const filter = {};
+      if (req.query.entity) filter.entity = String(req.query.entity);
+      if (req.query.action) filter.action = String(req.query.action);
+      ["actor", "entityId"].forEach((param) => {
+        if (!req.query[param]) return;
+        if (!mongoose.isValidObjectId(req.query[param])) {
+          throw httpError(400, `Invalid ${param}`);
+        }
+        filter[param] = req.query[param];
+      });
+      if (req.query.from || req.query.to) {
+        filter.createdAt = {};
+        if (req.query.from)
+          filter.createdAt.$gte = parseDateParam(req.query.from, "from");
+        if (req.query.to)
+          filter.createdAt.$lte = parseDateParam(req.query.to, "to");
+      }
+
+      const { page, limit } = buildListOptions(
+        req.query,
+        ["createdAt"],
+        "-createdAt"
+      );
+      const [events, total] = await Promise.all([
+        AuditEvent.find(filter)
+          .sort({ createdAt: -1 })
+          .skip((page - 1) * limit)
+          .limit(limit),
+        AuditEvent.countDocuments(filter),
+      ]);
+
+      res.json({
+        data: events,
+        total,
+        page,
+        limit,
+        pages: Math.ceil(total / limit),
+      });
+    } catch (error) {
+      logger.error("Error fetching audit log:", error);
+      res.status(error.status || 500).json({ message: error.message });
+    }
+  }
+);
+
 //Basic health check endpoint
 app.get("/health", (req, res) => {
   res.status(200).json({
@@ -431,19 +9563,35 @@ app.get("/health/detailed", async (req, res) => {
   }
 });
 
+//This API endpoint returns the change history of a student, newest first
+v1.get(
+  "/students/:id/history",
+  validate({ params: idParams }),
+  async (req, res) => {
+    await sendRecordHistory(req, res, "Student");
+  }
+);
+
 //Get single student by ID
-app.get("/api/students/:id", async (req, res) => {
-  try {
-    const student = await Student.findById(req.params.id);
-    if (!student) {
-      return res.status(404).json({ message: "Student not found" });
+v1.get(
+  "/students/:id",
+  validate({ params: idParams }),
+  async (req, res) => {
+    try {
+      const student = await Student.findById(req.params.id).populate(
+        "statusHistory.changedBy",
+        "name"
+      );
+      if (!student) {
+        return res.status(404).json({ message: "Student not found" });
+      }
+      res.json(await attachEnrollments(student));
+    } catch (error) {
+      logger.error("Error fetching student:", error);
+      res.status(500).json({ message: error.message });
     }
-    res.json(student);
-  } catch (error) {
-    logger.error("Error fetching student:", error);
-    res.status(500).json({ message: error.message });
   }
-});
+);
 
 //Helper function to format the uptime of the App
 function formatUptime(seconds) {
@@ -461,6 +9609,1156 @@ function formatUptime(seconds) {
   return parts.join(" ");
 }
 
+//API Documentation
+//The OpenAPI document is generated from the v1 router: the paths and methods come from its routes,
+//the parameters and request bodies from their validate() schemas and the record schemas from the Mongoose models
+//ROUTE_DOCS adds what the code can't tell, the summary and the success response of every route
+//GET /api/v1/openapi.json serves the document and /api/docs shows it in Swagger UI
+
+const STRING = { type: "string" };
+const INTEGER = { type: "integer" };
+const NUMBER = { type: "number" };
+const BOOLEAN = { type: "boolean" };
+const DATE_TIME = { type: "string", format: "date-time" };
+const ANY_OBJECT = { type: "object" };
+
+const schemaRef = (name) => ({ $ref: `#/components/schemas/${name}` });
+const listOf = (items) => ({ type: "array", items });
+const nullable = (schema) => ({ anyOf: [schema, { type: "null" }] });
+//An object that has (at least) all of these properties
+const shape = (properties) => ({
+  type: "object",
+  required: Object.keys(properties),
+  properties,
+});
+const withProperties = (schema, properties) => ({
+  allOf: [schema, shape(properties)],
+});
+//The answer of the paginated list endpoints
+const pageOf = (items) =>
+  shape({
+    data: listOf(items),
+    total: INTEGER,
+    page: INTEGER,
+    limit: INTEGER,
+    pages: INTEGER,
+  });
+
+//Helper function to turn a Mongoose path into a JSON schema
+//A reference is either the id or the populated record, and null when that record is gone
+function mongoosePathSchema(schemaType) {
+  const { options } = schemaType;
+  switch (schemaType.instance) {
+    case "String":
+      return schemaType.enumValues.length > 0
+        ? { type: "string", enum: schemaType.enumValues }
+        : STRING;
+    case "Number":
+      return NUMBER;
+    case "Boolean":
+      return BOOLEAN;
+    case "Date":
+      return DATE_TIME;
+    case "ObjectId":
+      return options.ref
+        ? { anyOf: [STRING, ANY_OBJECT, { type: "null" }] }
+        : STRING;
+    case "Array":
+      return listOf(
+        schemaType.schema
+          ? mongooseToSchema(schemaType.schema)
+          : mongoosePathSchema(schemaType.caster)
+      );
+    case "Embedded":
+      return mongooseToSchema(schemaType.schema);
+    default:
+      return {}; //Mixed, e.g. the payload of a webhook delivery
+  }
+}
+
+//Helper function to turn a Mongoose schema into a JSON schema
+//The fields that are never sent (select: false) are left out, the optional ones can be null
+function mongooseToSchema(schema) {
+  const properties = {};
+  const required = [];
+  if (schema.options._id !== false) {
+    properties._id = STRING;
+    required.push("_id");
+  }
+
+  schema.eachPath((pathName, schemaType) => {
+    if (pathName === "_id" || pathName === "__v") return;
+    if (schemaType.options.select === false) return;
+
+    //Nested paths like "address.city" become nested objects
+    const parts = pathName.split(".");
+    let target = { properties, required };
+    parts.slice(0, -1).forEach((part) => {
+      if (!target.properties[part]) {
+        target.properties[part] = { type: "object", properties: {}, required: [] };
+      }
+      target = target.properties[part];
+    });
+
+    const name = parts[parts.length - 1];
+    const pathSchema = mongoosePathSchema(schemaType);
+    if (schemaType.options.required === true) {
+      target.properties[name] = pathSchema;
+      target.required.push(name);
+    } else {
+      target.properties[name] = nullable(pathSchema);
+    }
+  });
+
+  return { type: "object", required, properties };
+}
+
+//Helper function to turn the description of a Joi schema into a JSON schema
+function joiToSchema(description) {
+  const flags = description.flags || {};
+  const rules = Object.fromEntries(
+    (description.rules || []).map((rule) => [rule.name, rule.args || {}])
+  );
+  let schema;
+
+  switch (description.type) {
+    case "string":
+      schema = { type: "string" };
+      if (rules.min) schema.minLength = rules.min.limit;
+      if (rules.max) schema.maxLength = rules.max.limit;
+      if (rules.length) {
+        schema.minLength = rules.length.limit;
+        schema.maxLength = rules.length.limit;
+      }
+      if (rules.email) schema.format = "email";
+      if (rules.uri) schema.format = "uri";
+      if (rules.hex) schema.pattern = "^[0-9a-fA-F]*$";
+      if (rules.pattern) {
+        schema.pattern = String(rules.pattern.regex).replace(/^\/|\/[a-z]*$/g, "");
+      }
+      break;
+    case "number":
+      schema = { type: rules.integer ? "integer" : "number" };
+      if (rules.min) schema.minimum = rules.min.limit;
+      if (rules.max) schema.maximum = rules.max.limit;
+      break;
+    case "boolean":
+      schema = { type: "boolean" };
+      break;
+    case "date":
+      schema = { type: "string", format: "date-time" };
+      break;
+    case "array":
+      schema = {
+        type: "array",
+        items:
+          (description.items || []).length === 1
+            ? joiToSchema(description.items[0])
+            : {},
+      };
+      if (rules.min) schema.minItems = rules.min.limit;
+      if (rules.max) schema.maxItems = rules.max.limit;
+      if (rules.unique) schema.uniqueItems = true;
+      break;
+    case "object":
+      schema = joiObjectToSchema(description);
+      if (rules.min) schema.minProperties = rules.min.limit;
+      break;
+    case "alternatives":
+      schema = {
+        anyOf: (description.matches || []).flatMap((match) =>
+          [match.schema, match.then, match.otherwise]
+            .filter(Boolean)
+            .map(joiToSchema)
+        ),
+      };
+      break;
+    default:
+      schema = {};
+  }
+
+  //valid() lists every allowed value, allow() adds values to the type (e.g. "" or null)
+  const allowed = (description.allow || []).filter(
+    (value) => value === null || typeof value !== "object"
+  );
+  if (flags.only) {
+    schema.enum = allowed;
+  } else if (allowed.length > 0) {
+    schema = { anyOf: [schema, { enum: allowed }] };
+  }
+  if (flags.description) schema.description = flags.description;
+  if (flags.default !== undefined && typeof flags.default !== "object") {
+    schema.default = flags.default;
+  }
+  return schema;
+}
+
+function joiObjectToSchema(description) {
+  const properties = {};
+  const required = [];
+  Object.entries(description.keys || {}).forEach(([key, keyDescription]) => {
+    const presence = (keyDescription.flags || {}).presence;
+    if (presence === "forbidden") return;
+    properties[key] = joiToSchema(keyDescription);
+    if (presence === "required") required.push(key);
+  });
+  return {
+    type: "object",
+    ...(required.length > 0 && { required }),
+    properties,
+    additionalProperties: false, //validate() rejects unknown fields
+  };
+}
+
+//The records that are sent back as they are stored
+const RECORD_MODELS = [
+  User,
+  Course,
+  Student,
+  Attachment,
+  StudentNote,
+  StudentRequest,
+  Enrollment,
+  Offering,
+  Instructor,
+  Invoice,
+  LedgerEntry,
+  Session,
+  Assessment,
+  AuditEvent,
+  OutboxMessage,
+  WebhookSubscription,
+  WebhookDelivery,
+];
+
+const MESSAGE = schemaRef("Message");
+const STUDENT_WITH_ENROLLMENTS = withProperties(schemaRef("Student"), {
+  enrollments: listOf(ANY_OBJECT),
+});
+const COURSE_INSTRUCTORS = listOf(
+  withProperties(schemaRef("Instructor"), {
+    role: { type: "string", enum: INSTRUCTOR_ROLES },
+  })
+);
+const COURSE_WITH_SEATS = withProperties(schemaRef("Course"), {
+  seatsUsed: INTEGER,
+  waitlisted: INTEGER,
+  instructors: COURSE_INSTRUCTORS,
+});
+const WORKLOAD = {
+  courses: INTEGER,
+  leadCourses: INTEGER,
+  students: INTEGER,
+};
+const INVOICE_WITH_BALANCE = withProperties(schemaRef("Invoice"), {
+  entries: listOf(schemaRef("LedgerEntry")),
+  paid: NUMBER,
+  refunded: NUMBER,
+  discounted: NUMBER,
+  balance: NUMBER,
+});
+const FEE_TOTALS = {
+  invoiced: NUMBER,
+  paid: NUMBER,
+  refunded: NUMBER,
+  discounted: NUMBER,
+  balance: NUMBER,
+  overdue: NUMBER,
+};
+const WAITLIST = shape({
+  course: ANY_OBJECT,
+  seatsUsed: INTEGER,
+  waitlisted: INTEGER,
+  waitlist: listOf(ANY_OBJECT),
+});
+const CALENDAR_FEED = shape({ url: STRING });
+const REGISTER = shape({
+  session: schemaRef("Session"),
+  students: listOf(
+    shape({
+      student: ANY_OBJECT,
+      status: nullable({ type: "string", enum: ATTENDANCE_STATUSES }),
+    })
+  ),
+});
+const GRADE_BANDS = shape({
+  bands: listOf(shape({ letter: STRING, min: NUMBER })),
+});
+const GRADEBOOK = shape({
+  assessments: listOf(schemaRef("Assessment")),
+  bands: GRADE_BANDS.properties.bands,
+  students: listOf(
+    shape({
+      student: ANY_OBJECT,
+      scores: { type: "object", additionalProperties: NUMBER },
+      finalScore: nullable(NUMBER),
+      letter: nullable(STRING),
+      complete: BOOLEAN,
+    })
+  ),
+});
+//Every setting is sent, with its default when it was never saved
+const SETTINGS = {
+  ...joiToSchema(Joi.object(SETTING_FIELDS).describe()),
+  required: Object.keys(SETTING_FIELDS),
+};
+//A student who was never invited only has the status
+const PORTAL_ACCESS = {
+  ...shape({ status: { type: "string", enum: ["none", "invited", "active"] } }),
+  properties: {
+    status: { type: "string", enum: ["none", "invited", "active"] },
+    invitedAt: nullable(DATE_TIME),
+    inviteExpiresAt: nullable(DATE_TIME),
+    activatedAt: nullable(DATE_TIME),
+    lastLoginAt: nullable(DATE_TIME),
+  },
+};
+const PORTAL_LOGIN = shape({
+  token: STRING,
+  student: STUDENT_WITH_ENROLLMENTS,
+});
+const REPORT_RANGE = { from: DATE_TIME, to: DATE_TIME };
+const EXPORT_FILES = Object.values(EXPORT_FORMATS).map(
+  ({ contentType }) => contentType.split(";")[0]
+);
+
+//The summary and success response of every v1 route, keyed by "METHOD path"
+//status defaults to 200, files lists the content types of the routes that send a file
+const ROUTE_DOCS = {
+  "POST /auth/login": {
+    summary: "Log in and get a token",
+    response: shape({ token: STRING, user: schemaRef("User") }),
+  },
+  "POST /auth/logout": {
+    summary: "Log out, the token can't be used again",
+    response: MESSAGE,
+  },
+  "GET /events": {
+    summary: "Open the live updates stream (Server-Sent Events)",
+    files: ["text/event-stream"],
+  },
+  "POST /events/ticket": {
+    summary: "Get a ticket for opening the live updates stream",
+    response: shape({ ticket: STRING }),
+  },
+  "GET /auth/me": {
+    summary: "Get the logged in user",
+    response: schemaRef("User"),
+  },
+  "GET /users": { summary: "List the users", response: listOf(schemaRef("User")) },
+  "POST /users": {
+    summary: "Create a user",
+    status: 201,
+    response: schemaRef("User"),
+  },
+  "PUT /users/{id}": { summary: "Update a user", response: schemaRef("User") },
+  "DELETE /users/{id}": { summary: "Delete a user", response: MESSAGE },
+  "GET /courses": {
+    summary: "List the courses with their seats",
+    response: listOf(COURSE_WITH_SEATS),
+  },
+  "GET /courses/export": {
+    summary: "Export the courses as CSV, XLSX or PDF",
+    files: EXPORT_FILES,
+  },
+  "GET /courses/{id}": { summary: "Get a course", response: schemaRef("Course") },
+  "GET /courses/{id}/history": {
+    summary: "Get the change history of a course",
+    response: listOf(schemaRef("AuditEvent")),
+  },
+  "POST /courses": {
+    summary: "Create a course",
+    status: 201,
+    response: schemaRef("Course"),
+  },
+  "PUT /courses/{id}": { summary: "Update a course", response: schemaRef("Course") },
+  "DELETE /courses/{id}": {
+    summary: "Move a course to the Trash",
+    response: MESSAGE,
+  },
+  "GET /instructors": {
+    summary: "List the instructors with their workload",
+    response: listOf(withProperties(schemaRef("Instructor"), WORKLOAD)),
+  },
+  "GET /instructors/{id}": {
+    summary: "Get an instructor with their workload and courses",
+    response: withProperties(schemaRef("Instructor"), {
+      ...WORKLOAD,
+      teaching: listOf(
+        shape({
+          _id: STRING,
+          name: STRING,
+          status: STRING,
+          role: STRING,
+          students: INTEGER,
+        })
+      ),
+    }),
+  },
+  "POST /instructors": {
+    summary: "Add an instructor",
+    status: 201,
+    response: schemaRef("Instructor"),
+  },
+  "PUT /instructors/{id}": {
+    summary: "Update an instructor",
+    response: schemaRef("Instructor"),
+  },
+  "DELETE /instructors/{id}": {
+    summary: "Delete an instructor and take them off their courses",
+    response: MESSAGE,
+  },
+  "GET /courses/{id}/instructors": {
+    summary: "List the instructors of a course",
+    response: COURSE_INSTRUCTORS,
+  },
+  "PUT /courses/{id}/instructors/{instructorId}": {
+    summary: "Assign an instructor to a course or change their role",
+    response: COURSE_INSTRUCTORS,
+  },
+  "DELETE /courses/{id}/instructors/{instructorId}": {
+    summary: "Take an instructor off a course",
+    response: COURSE_INSTRUCTORS,
+  },
+  "GET /students": {
+    summary: "List the students a page at a time",
+    response: pageOf(STUDENT_WITH_ENROLLMENTS),
+  },
+  "GET /students/export": {
+    summary: "Export the students as CSV, XLSX or PDF",
+    files: EXPORT_FILES,
+  },
+  "POST /students": {
+    summary: "Create a student and enroll them",
+    status: 201,
+    response: STUDENT_WITH_ENROLLMENTS,
+  },
+  "PUT /students/{id}": {
+    summary: "Update a student",
+    response: STUDENT_WITH_ENROLLMENTS,
+  },
+  "GET /students/statuses": {
+    summary: "List the student statuses and their transitions",
+    response: shape({
+      statuses: listOf(STRING),
+      initial: listOf(STRING),
+      transitions: { type: "object", additionalProperties: listOf(STRING) },
+    }),
+  },
+  "POST /students/{id}/status": {
+    summary: "Move a student to another status",
+    response: STUDENT_WITH_ENROLLMENTS,
+  },
+  "DELETE /students/{id}": {
+    summary: "Move a student to the Trash",
+    response: MESSAGE,
+  },
+  "GET /students/{id}/enrollments": {
+    summary: "List the enrollments of a student",
+    response: listOf(schemaRef("Enrollment")),
+  },
+  "POST /students/{id}/enrollments": {
+    summary: "Enroll a student in a course (or its waitlist)",
+    status: 201,
+    response: schemaRef("Enrollment"),
+  },
+  "POST /enrollments/{id}/transfer": {
+    summary: "Transfer an enrollment to another course",
+    response: shape({
+      from: schemaRef("Enrollment"),
+      to: schemaRef("Enrollment"),
+    }),
+  },
+  "POST /enrollments/{id}/withdraw": {
+    summary: "Withdraw a student from a course or its waitlist",
+    response: schemaRef("Enrollment"),
+  },
+  "GET /courses/{id}/waitlist": {
+    summary: "Get the waitlist of a course",
+    response: WAITLIST,
+  },
+  "PUT /courses/{id}/waitlist": {
+    summary: "Reorder the waitlist of a course",
+    response: WAITLIST,
+  },
+  "POST /students/import/preview": {
+    summary: "Check a CSV or XLSX file of students before importing it",
+    requestBody: {
+      required: true,
+      content: {
+        "multipart/form-data": {
+          schema: shape({ file: { type: "string", format: "binary" } }),
+        },
+      },
+    },
+    response: shape({
+      total: INTEGER,
+      valid: INTEGER,
+      invalid: INTEGER,
+      waitlisted: INTEGER,
+      rows: listOf(
+        shape({
+          row: INTEGER,
+          data: ANY_OBJECT,
+          errors: ANY_OBJECT,
+          valid: BOOLEAN,
+          waitlisted: BOOLEAN,
+        })
+      ),
+    }),
+  },
+  "POST /students/import/commit": {
+    summary: "Import the checked rows, all or nothing",
+    status: 201,
+    response: shape({
+      message: STRING,
+      imported: INTEGER,
+      waitlisted: INTEGER,
+    }),
+  },
+  "GET /students/search": {
+    summary: "Search the students, with facet counts",
+    response: shape({
+      data: listOf(ANY_OBJECT),
+      total: INTEGER,
+      facets: shape({
+        courses: listOf(ANY_OBJECT),
+        statuses: listOf(ANY_OBJECT),
+        years: listOf(ANY_OBJECT),
+      }),
+    }),
+  },
+  "GET /dashboard/stats": {
+    summary: "Get the dashboard numbers",
+    response: shape({
+      totalStudents: INTEGER,
+      activeStudents: INTEGER,
+      totalCourses: INTEGER,
+      activeCourses: INTEGER,
+      graduates: INTEGER,
+      courseCouts: listOf(ANY_OBJECT),
+      outstandingFees: NUMBER,
+      successRate: NUMBER,
+    }),
+  },
+  "GET /reports/enrollments-per-month": {
+    summary: "Count the new enrollments per month",
+    response: shape({
+      ...REPORT_RANGE,
+      total: INTEGER,
+      data: listOf(shape({ month: STRING, count: INTEGER })),
+    }),
+  },
+  "GET /reports/enrollments-per-course": {
+    summary: "Count the new enrollments of every course per month",
+    response: shape({
+      ...REPORT_RANGE,
+      months: listOf(STRING),
+      courses: listOf(ANY_OBJECT),
+    }),
+  },
+  "GET /reports/status-trend": {
+    summary: "Show the current status of the students enrolled each month",
+    response: shape({ ...REPORT_RANGE, data: listOf(ANY_OBJECT) }),
+  },
+  "GET /reports/completion-time": {
+    summary: "Work out how long it takes to complete each course",
+    response: shape({
+      ...REPORT_RANGE,
+      averageMonths: nullable(NUMBER),
+      courses: listOf(ANY_OBJECT),
+    }),
+  },
+  "GET /courses/{id}/sessions": {
+    summary: "List the sessions of a course",
+    response: listOf(schemaRef("Session")),
+  },
+  "POST /courses/{id}/sessions": {
+    summary: "Create a session",
+    status: 201,
+    response: schemaRef("Session"),
+  },
+  "DELETE /sessions/{id}": {
+    summary: "Delete a session and its attendance",
+    response: MESSAGE,
+  },
+  "GET /sessions/{id}/register": {
+    summary: "Get the class register of a session",
+    response: REGISTER,
+  },
+  "PUT /sessions/{id}/register": {
+    summary: "Mark the class register of a session",
+    response: REGISTER,
+  },
+  "GET /courses/{id}/attendance": {
+    summary: "Get the attendance rate of a course",
+    response: shape({
+      sessions: INTEGER,
+      rate: nullable(NUMBER),
+      counts: ANY_OBJECT,
+      students: listOf(ANY_OBJECT),
+    }),
+  },
+  "GET /students/{id}/attendance": {
+    summary: "Get the attendance rate of a student",
+    response: shape({
+      student: ANY_OBJECT,
+      rate: nullable(NUMBER),
+      counts: ANY_OBJECT,
+      courses: listOf(ANY_OBJECT),
+    }),
+  },
+  "GET /courses/{id}/gradebook": {
+    summary: "Get the gradebook of a course",
+    response: GRADEBOOK,
+  },
+  "POST /courses/{id}/assessments": {
+    summary: "Add an assessment to a course",
+    status: 201,
+    response: schemaRef("Assessment"),
+  },
+  "PUT /assessments/{id}": {
+    summary: "Update an assessment",
+    response: schemaRef("Assessment"),
+  },
+  "DELETE /assessments/{id}": {
+    summary: "Delete an assessment and its grades",
+    response: MESSAGE,
+  },
+  "PUT /courses/{id}/grades": {
+    summary: "Save grades of a course",
+    response: GRADEBOOK,
+  },
+  "GET /grading-scale": {
+    summary: "Get the letter grade bands",
+    response: GRADE_BANDS,
+  },
+  "PUT /grading-scale": {
+    summary: "Replace the letter grade bands",
+    response: GRADE_BANDS,
+  },
+  "GET /settings": {
+    summary: "Get the settings and the grade bands",
+    response: SETTINGS,
+  },
+  "PUT /settings": {
+    summary: "Change some of the settings",
+    response: SETTINGS,
+  },
+  "POST /portal/auth/activate": {
+    summary: "Set the first portal password with the invite token",
+    response: PORTAL_LOGIN,
+  },
+  "POST /portal/auth/login": {
+    summary: "Log a student in to the portal",
+    response: PORTAL_LOGIN,
+  },
+  "POST /portal/auth/logout": {
+    summary: "Log a student out of the portal",
+    response: MESSAGE,
+  },
+  "GET /portal/me": {
+    summary: "Get the logged in student with their course history",
+    response: STUDENT_WITH_ENROLLMENTS,
+  },
+  "PUT /portal/me": {
+    summary: "Change the contact details of the logged in student",
+    response: STUDENT_WITH_ENROLLMENTS,
+  },
+  "PUT /portal/me/password": {
+    summary: "Change the portal password of the logged in student",
+    response: shape({ message: STRING, token: STRING }),
+  },
+  "GET /portal/courses": {
+    summary: "List the courses a student can ask to change to",
+    response: listOf(shape({ _id: STRING, name: STRING })),
+  },
+  "GET /portal/requests": {
+    summary: "List the requests of the logged in student",
+    response: listOf(schemaRef("StudentRequest")),
+  },
+  "POST /portal/requests": {
+    summary: "Ask the registrars for a course change or a withdrawal",
+    status: 201,
+    response: schemaRef("StudentRequest"),
+  },
+  "POST /portal/requests/{id}/cancel": {
+    summary: "Cancel a request that was not decided yet",
+    response: schemaRef("StudentRequest"),
+  },
+  "GET /students/{id}/portal-access": {
+    summary: "Get whether a student can log in to the portal",
+    response: PORTAL_ACCESS,
+  },
+  "POST /students/{id}/portal-access": {
+    summary: "Email a student a link to set their portal password",
+    response: PORTAL_ACCESS,
+  },
+  "DELETE /students/{id}/portal-access": {
+    summary: "Take the portal login of a student away",
+    response: MESSAGE,
+  },
+  "GET /requests": {
+    summary: "List the student requests, the pending ones by default",
+    response: listOf(schemaRef("StudentRequest")),
+  },
+  "POST /requests/{id}/approve": {
+    summary: "Approve a student request and make the change",
+    response: schemaRef("StudentRequest"),
+  },
+  "POST /requests/{id}/reject": {
+    summary: "Reject a student request",
+    response: schemaRef("StudentRequest"),
+  },
+  "GET /students/{id}/fees": {
+    summary: "Get the invoices of a student and what they owe",
+    response: shape({
+      invoices: listOf(INVOICE_WITH_BALANCE),
+      totals: shape(FEE_TOTALS),
+    }),
+  },
+  "GET /invoices/{id}": {
+    summary: "Get an invoice with its ledger entries",
+    response: INVOICE_WITH_BALANCE,
+  },
+  "POST /invoices/{id}/entries": {
+    summary: "Record a payment, refund or discount on an invoice",
+    status: 201,
+    response: INVOICE_WITH_BALANCE,
+  },
+  "GET /invoices/{id}/invoice.pdf": {
+    summary: "Download an invoice as PDF",
+    files: ["application/pdf"],
+  },
+  "GET /ledger/{id}/receipt.pdf": {
+    summary: "Download the receipt of a payment or refund as PDF",
+    files: ["application/pdf"],
+  },
+  "GET /fees/outstanding/students": {
+    summary: "List the students who still owe fees",
+    response: pageOf(
+      shape({ student: ANY_OBJECT, invoices: INTEGER, ...FEE_TOTALS })
+    ),
+  },
+  "GET /fees/outstanding/courses": {
+    summary: "Get the fees invoiced, collected and outstanding per course",
+    response: listOf(
+      shape({ course: ANY_OBJECT, invoices: INTEGER, ...FEE_TOTALS })
+    ),
+  },
+  "GET /students/{id}/transcript": {
+    summary: "Get the transcript of a student, as JSON or PDF",
+    response: shape({
+      student: ANY_OBJECT,
+      generatedAt: DATE_TIME,
+      bands: GRADE_BANDS.properties.bands,
+      courses: listOf(ANY_OBJECT),
+    }),
+    files: ["application/pdf"],
+  },
+  "GET /courses/{id}/offerings": {
+    summary: "List the offerings of a course",
+    response: listOf(withProperties(schemaRef("Offering"), { students: INTEGER })),
+  },
+  "POST /courses/{id}/offerings": {
+    summary: "Add an offering to a course",
+    status: 201,
+    response: schemaRef("Offering"),
+  },
+  "PUT /offerings/{id}": {
+    summary: "Update an offering",
+    response: schemaRef("Offering"),
+  },
+  "DELETE /offerings/{id}": {
+    summary: "Delete an offering without enrollments",
+    response: MESSAGE,
+  },
+  "GET /calendar": {
+    summary: "List the classes between two dates",
+    response: shape({
+      ...REPORT_RANGE,
+      events: listOf(
+        shape({
+          date: STRING,
+          startTime: STRING,
+          endTime: STRING,
+          location: STRING,
+          course: ANY_OBJECT,
+          offering: ANY_OBJECT,
+          clash: BOOLEAN,
+        })
+      ),
+    }),
+  },
+  "GET /courses/{id}/calendar.ics": {
+    summary: "Download the offerings of a course as iCalendar",
+    files: ["text/calendar"],
+  },
+  "GET /students/{id}/calendar.ics": {
+    summary: "Download the timetable of a student as iCalendar",
+    files: ["text/calendar"],
+  },
+  "GET /calendar/feed.ics": {
+    summary: "Get the iCalendar of a calendar link, without logging in",
+    files: ["text/calendar"],
+  },
+  "POST /courses/{id}/calendar-feed": {
+    summary: "Make a new calendar link for a course",
+    response: CALENDAR_FEED,
+  },
+  "DELETE /courses/{id}/calendar-feed": {
+    summary: "Revoke the calendar link of a course",
+    response: MESSAGE,
+  },
+  "POST /students/{id}/calendar-feed": {
+    summary: "Make a new calendar link for the timetable of a student",
+    response: CALENDAR_FEED,
+  },
+  "DELETE /students/{id}/calendar-feed": {
+    summary: "Revoke the calendar link of a student",
+    response: MESSAGE,
+  },
+  "GET /students/{id}/attachments": {
+    summary: "List the documents uploaded for a student",
+    response: listOf(schemaRef("Attachment")),
+  },
+  "POST /students/{id}/attachments": {
+    summary: "Upload a document or the profile photo of a student",
+    status: 201,
+    requestBody: {
+      required: true,
+      content: {
+        "multipart/form-data": {
+          schema: {
+            type: "object",
+            required: ["file"],
+            properties: {
+              file: { type: "string", format: "binary" },
+              category: { type: "string", enum: ATTACHMENT_CATEGORIES },
+            },
+          },
+        },
+      },
+    },
+    response: schemaRef("Attachment"),
+  },
+  "GET /attachments/{id}/download": {
+    summary: "Download an attachment",
+    files: Object.keys(ATTACHMENT_TYPES),
+  },
+  "DELETE /attachments/{id}": {
+    summary: "Delete an attachment and its file",
+    response: MESSAGE,
+  },
+  "GET /students/{id}/photo": {
+    summary: "Get the profile photo of a student",
+    files: Object.keys(ATTACHMENT_TYPES).filter((type) =>
+      type.startsWith("image/")
+    ),
+  },
+  "GET /students/{id}/notes": {
+    summary: "List the notes about a student",
+    response: listOf(schemaRef("StudentNote")),
+  },
+  "POST /students/{id}/notes": {
+    summary: "Add a note about a student",
+    status: 201,
+    response: schemaRef("StudentNote"),
+  },
+  "DELETE /notes/{id}": {
+    summary: "Delete a note (its author or an admin)",
+    response: MESSAGE,
+  },
+  "GET /outbox": {
+    summary: "List the emails in the outbox",
+    response: pageOf(schemaRef("OutboxMessage")),
+  },
+  "POST /outbox/{id}/retry": {
+    summary: "Send a failed email again",
+    response: schemaRef("OutboxMessage"),
+  },
+  "GET /webhooks/events": {
+    summary: "List the webhook events",
+    response: listOf(STRING),
+  },
+  "GET /webhooks": {
+    summary: "List the webhook subscriptions",
+    response: listOf(schemaRef("WebhookSubscription")),
+  },
+  "POST /webhooks": {
+    summary: "Create a webhook subscription",
+    status: 201,
+    response: withProperties(schemaRef("WebhookSubscription"), {
+      secret: STRING,
+    }),
+  },
+  "PUT /webhooks/{id}": {
+    summary: "Update a webhook subscription",
+    response: schemaRef("WebhookSubscription"),
+  },
+  "DELETE /webhooks/{id}": {
+    summary: "Delete a webhook subscription and its deliveries",
+    response: MESSAGE,
+  },
+  "GET /webhooks/{id}/deliveries": {
+    summary: "Get the delivery log of a webhook subscription",
+    response: pageOf(schemaRef("WebhookDelivery")),
+  },
+  "POST /webhooks/{id}/deliveries/{deliveryId}/replay": {
+    summary: "Send a webhook delivery again",
+    response: schemaRef("WebhookDelivery"),
+  },
+  "GET /trash": {
+    summary: "List the students and courses in the Trash",
+    response: shape({
+      students: listOf(STUDENT_WITH_ENROLLMENTS),
+      courses: listOf(schemaRef("Course")),
+      retentionDays: INTEGER,
+    }),
+  },
+  "POST /students/{id}/restore": {
+    summary: "Take a student out of the Trash",
+    response: schemaRef("Student"),
+  },
+  "POST /courses/{id}/restore": {
+    summary: "Take a course out of the Trash",
+    response: schemaRef("Course"),
+  },
+  "GET /audit": {
+    summary: "Search the audit log",
+    response: pageOf(schemaRef("AuditEvent")),
+  },
+  "GET /students/{id}/history": {
+    summary: "Get the change history of a student",
+    response: listOf(schemaRef("AuditEvent")),
+  },
+  "GET /students/{id}": {
+    summary: "Get a student with their current courses",
+    response: STUDENT_WITH_ENROLLMENTS,
+  },
+};
+
+//Helper function to build the OpenAPI operation of one route
+function buildOperation(method, route, docs, isPublic) {
+  const handlers = route.stack.map((layer) => layer.handle);
+  const { schemas } = handlers.find((handler) => handler.schemas) || {};
+  const tag = route.path.split("/")[1];
+  const operation = {
+    tags: [tag.charAt(0).toUpperCase() + tag.slice(1)],
+    summary: docs.summary,
+    parameters: [],
+    responses: {},
+  };
+  if (isPublic) operation.security = [];
+  if (handlers.includes(adminOnly)) operation.description = "Only for admins";
+  if (handlers.includes(canEdit)) {
+    operation.description = "Only for admins and staff";
+  }
+
+  if (schemas) {
+    ["params", "query"].forEach((part) => {
+      const { properties, required = [] } = joiToSchema(schemas[part].describe());
+      Object.entries(properties).forEach(([name, schema]) => {
+        operation.parameters.push({
+          name,
+          in: part === "params" ? "path" : "query",
+          required: part === "params" || required.includes(name),
+          schema,
+        });
+      });
+    });
+    const body = joiToSchema(schemas.body.describe());
+    if (Object.keys(body.properties || {}).length > 0 || body.anyOf) {
+      operation.requestBody = {
+        required: true,
+        content: { "application/json": { schema: body } },
+      };
+    }
+  }
+  if (docs.requestBody) operation.requestBody = docs.requestBody;
+
+  const content = {};
+  if (docs.response) content["application/json"] = { schema: docs.response };
+  (docs.files || []).forEach((type) => {
+    content[type] = { schema: { type: "string", format: "binary" } };
+  });
+  operation.responses[docs.status || 200] = {
+    description: docs.summary || "OK",
+    ...(Object.keys(content).length > 0 && { content }),
+  };
+
+  const errors = [];
+  if (schemas) errors.push([422, "The request is not valid", "ValidationError"]);
+  if (!isPublic) errors.push([401, "Not logged in", "Error"]);
+  if (operation.description) errors.push([403, "Not allowed", "Error"]);
+  if (route.path.includes(":")) errors.push([404, "Not found", "Error"]);
+  errors.forEach(([status, description, schema]) => {
+    operation.responses[status] = {
+      description,
+      content: { "application/json": { schema: schemaRef(schema) } },
+    };
+  });
+  operation.responses.default = {
+    description: "Error",
+    content: { "application/json": { schema: schemaRef("Error") } },
+  };
+  return operation;
+}
+
+//Helper function to build the OpenAPI document, the routes before authenticate in the router are public
+function buildOpenApiDocument() {
+  const paths = {};
+  let isPublic = true;
+  v1.stack.forEach((layer) => {
+    if (layer.handle === authenticate) isPublic = false;
+    if (!layer.route) return;
+
+    //The Student Portal routes come before authenticate but need a student login
+    const forStudents = layer.route.stack.some(
+      ({ handle }) => handle === authenticateStudent
+    );
+    const path = layer.route.path.replace(/:(\w+)/g, "{$1}");
+    Object.keys(layer.route.methods).forEach((method) => {
+      const docs = ROUTE_DOCS[`${method.toUpperCase()} ${path}`] || {};
+      paths[path] = paths[path] || {};
+      paths[path][method] = buildOperation(
+        method,
+        layer.route,
+        docs,
+        isPublic && !forStudents
+      );
+    });
+  });
+
+  return {
+    openapi: "3.1.0",
+    info: {
+      title: "EduManager API",
+      version: "1.0.0",
+      description:
+        "The paths without /v1 (e.g. /api/students) still work but are deprecated",
+    },
+    servers: [{ url: "/api/v1" }],
+    security: [{ bearerAuth: [] }],
+    paths,
+    components: {
+      securitySchemes: {
+        bearerAuth: { type: "http", scheme: "bearer", bearerFormat: "JWT" },
+      },
+      schemas: {
+        ...Object.fromEntries(
+          RECORD_MODELS.map((model) => [
+            model.modelName,
+            mongooseToSchema(model.schema),
+          ])
+        ),
+        Message: shape({ message: STRING }),
+        Error: shape({ message: STRING }),
+        ValidationError: {
+          ...shape({ message: STRING }),
+          properties: {
+            message: STRING,
+            errors: { type: "object", additionalProperties: STRING },
+          },
+        },
+      },
+    },
+  };
+}
+
+//The routes don't change while the server runs, so the document is only built once
+let openApiDocument = null;
+
+app.get("/api/v1/openapi.json", (req, res) => {
+  try {
+    if (!openApiDocument) openApiDocument = buildOpenApiDocument();
+    res.json(openApiDocument);
+  } catch (error) {
+    logger.error("Error building OpenAPI document:", error);
+    res.status(500).json({ message: error.message });
+  }
+});
+
+//The interactive docs, the Authorize button takes the token from POST /auth/login
+app.get("/api/docs", (req, res) => {
+  res.send(`<!DOCTYPE html>
+<html lang="en">
+  <head>
+    <meta charset="UTF-8" />
+    <title>EduManager API</title>
+    <link rel="stylesheet" href="/api/docs/swagger-ui.css" />
+  </head>
+  <body>
+    <div id="swagger-ui"></div>
+    <script src="/api/docs/swagger-ui-bundle.js"></script>
+    <script>
+      SwaggerUIBundle({
+        url: "/api/v1/openapi.json",
+        dom_id: "#swagger-ui",
+        persistAuthorization: true,
+      });
+    </script>
+  </body>
+</html>`);
+});
+app.use(
+  "/api/docs",
+  express.static(swaggerUi.getAbsoluteFSPath(), { index: false })
+);
+
+//API Versions
+//The current version is served under /api/v1
+//The old paths without a version still work, but every answer says they are deprecated and links to the new path
+//The old singular paths are renamed on the way, e.g. PUT /api/course/:id -> PUT /api/v1/courses/:id
+//and so are the query parameters in query, e.g. GET /api/student/search?term=jane -> GET /api/v1/students/search?q=jane
+const RENAMED_PATHS = [
+  { from: /^\/course\/([^/]+)$/, to: "/courses/$1" },
+  {
+    from: /^\/student\/search$/,
+    to: "/students/search",
+    query: { term: "q" },
+  },
+];
+
+//Helper function to rename the query parameters of an old path, the parameters that are not renamed are kept
+function renameQuery(req, names) {
+  const params = new URLSearchParams(req.url.slice(req.path.length));
+  Object.entries(names).forEach(([from, to]) => {
+    if (!params.has(from)) return;
+    params.set(to, params.get(from));
+    params.delete(from);
+    req.query[to] = req.query[from];
+    delete req.query[from];
+  });
+  const query = params.toString();
+  return query ? `?${query}` : "";
+}
+
+function deprecatedPath(req, res, next) {
+  if (/^\/v1(\/|$)/.test(req.path)) return next(); //Not a v1 route either
+  const renamed = RENAMED_PATHS.find(({ from }) => from.test(req.path));
+  const path = renamed ? req.path.replace(renamed.from, renamed.to) : req.path;
+
+  res.set({
+    Deprecation: "true",
+    Link: `</api/v1${path}>; rel="successor-version"`,
+  });
+  logger.warn("Deprecated API path used:", {
+    method: req.method,
+    path: req.path,
+    successor: `/api/v1${path}`,
+  });
+  const query =
+    renamed && renamed.query
+      ? renameQuery(req, renamed.query)
+      : req.url.slice(req.path.length); //Keeps the query string
+  req.url = path + query;
+  v1(req, res, next);
+}
+
+app.use("/api/v1", v1);
+app.use("/api", deprecatedPath);
+
 //Now Lets Start our Server
 
 const PORT = process.env.PORT || 3000;
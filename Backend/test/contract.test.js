@@ -0,0 +1,687 @@
+//Contract tests: every answer of the API is checked against the OpenAPI document it serves
+//The server runs as a child process against a throwaway MongoDB from mongodb-memory-server
+//Run them with "npm test"
+//mongodb-memory-server downloads mongod the first time, where that is not possible:
+//  MONGOMS_SYSTEM_BINARY=/usr/bin/mongod npm test - uses a mongod that is already installed
+//  MONGODB_URI=mongodb://localhost:27017/edumanager-contract npm test - uses a running server, the database
+//  has to be empty and is dropped after the tests
+const { describe, it, before, after } = require("node:test");
+const assert = require("node:assert/strict");
+const { spawn } = require("child_process");
+const fs = require("fs");
+const net = require("net");
+const os = require("os");
+const path = require("path");
+const mongoose = require("mongoose");
+const { MongoMemoryServer } = require("mongodb-memory-server");
+const Ajv = require("ajv/dist/2020");
+
+const ADMIN = { email: "admin@example.com", password: "contract-test-password" };
+const MISSING_ID = "000000000000000000000000";
+
+let mongo;
+let database;
+let server;
+let workDir;
+let baseUrl;
+let spec;
+let ajv;
+let token;
+
+//Helper function to find a free port for the server
+function freePort() {
+  return new Promise((resolve, reject) => {
+    const probe = net.createServer();
+    probe.unref();
+    probe.on("error", reject);
+    probe.listen(0, () => {
+      const { port } = probe.address();
+      probe.close(() => resolve(port));
+    });
+  });
+}
+
+//Helper function to wait until the server is up and the first admin has been created
+async function waitForLogin() {
+  const deadline = Date.now() + 30000;
+  while (Date.now() < deadline) {
+    try {
+      const response = await fetch(`${baseUrl}/api/v1/auth/login`, {
+        method: "POST",
+        headers: { "Content-Type": "application/json" },
+        body: JSON.stringify(ADMIN),
+      });
+      if (response.ok) return (await response.json()).token;
+    } catch (error) {
+      //Not listening yet
+    }
+    await new Promise((resolve) => setTimeout(resolve, 250));
+  }
+  throw new Error("The server did not start in time");
+}
+
+//Helper function to find the operation of the spec that a request goes to, e.g. /students/66f... -> /students/{id}
+//A fixed path wins over a templated one, like /students/search over /students/{id}
+function findOperation(method, requestPath) {
+  const pathname = requestPath.split("?")[0];
+  const candidates = Object.keys(spec.paths).filter((template) => {
+    const pattern = template
+      .replace(/\./g, "\\.")
+      .replace(/\{\w+\}/g, "[^/]+");
+    return new RegExp(`^${pattern}$`).test(pathname) && spec.paths[template][method];
+  });
+  candidates.sort(
+    (a, b) => (a.match(/\{/g) || []).length - (b.match(/\{/g) || []).length
+  );
+  assert.ok(candidates.length > 0, `${method.toUpperCase()} ${pathname} is not in the spec`);
+  return { template: candidates[0], operation: spec.paths[candidates[0]][method] };
+}
+
+//Helper function to compile the JSON schema of a documented response
+//It is looked up inside the document, so its $refs to the components resolve
+function responseSchema(template, method, status) {
+  const pointer = [
+    "paths",
+    template.replace(/~/g, "~0").replace(/\//g, "~1"),
+    method,
+    "responses",
+    status,
+    "content",
+    "application~1json",
+    "schema",
+  ].join("/");
+  return ajv.getSchema(`openapi.json#/${pointer}`);
+}
+
+//Helper function to call the API and check the answer against the spec
+//It returns the parsed body so the next request can use the ids in it
+//form is sent as multipart/form-data instead of a JSON body, fetch sets the Content-Type itself
+//auth can also be another token than the admin's, e.g. a student's portal token
+async function call(method, requestPath, { body, form, status = 200, auth = true } = {}) {
+  const response = await fetch(`${baseUrl}/api/v1${requestPath}`, {
+    method: method.toUpperCase(),
+    headers: {
+      ...(body && { "Content-Type": "application/json" }),
+      ...(auth && { Authorization: `Bearer ${auth === true ? token : auth}` }),
+    },
+    body: form || (body && JSON.stringify(body)),
+  });
+  const text = await response.text();
+  const label = `${method.toUpperCase()} ${requestPath}`;
+  assert.equal(response.status, status, `${label} answered ${response.status}: ${text}`);
+
+  const { template, operation } = findOperation(method, requestPath);
+  const documented = operation.responses[status] || operation.responses.default;
+  assert.ok(documented, `${label} has no documented ${status} response`);
+
+  const contentType = response.headers.get("content-type").split(";")[0];
+  assert.ok(
+    documented.content && documented.content[contentType],
+    `${label} answered ${contentType}, which is not documented`
+  );
+  if (contentType !== "application/json") return text;
+
+  const json = JSON.parse(text);
+  const check = responseSchema(
+    template,
+    method,
+    operation.responses[status] ? status : "default"
+  );
+  assert.ok(
+    check(json),
+    `${label} does not match the spec: ${ajv.errorsText(check.errors)}`
+  );
+  return json;
+}
+
+//Helper function to get the database the server runs against, a running server when MONGODB_URI is set
+//The tests create the first admin themselves, so a database that is already in use is refused
+async function startDatabase() {
+  if (!process.env.MONGODB_URI) {
+    mongo = await MongoMemoryServer.create();
+    return mongo.getUri("contract");
+  }
+  database = await mongoose.createConnection(process.env.MONGODB_URI).asPromise();
+  const collections = await database.db.listCollections().toArray();
+  if (collections.length > 0) {
+    throw new Error(
+      `The contract tests need an empty database, ${database.name} has ${collections.length} collection(s)`
+    );
+  }
+  return process.env.MONGODB_URI;
+}
+
+before(async () => {
+  const mongoUri = await startDatabase();
+  workDir = fs.mkdtempSync(path.join(os.tmpdir(), "edumanager-contract-"));
+  const port = await freePort();
+  baseUrl = `http://127.0.0.1:${port}`;
+
+  //The server writes its logs and emails to its working directory, so it runs in a temporary one
+  server = spawn(process.execPath, [path.join(__dirname, "..", "server.js")], {
+    cwd: workDir,
+    env: {
+      ...process.env,
+      PORT: String(port),
+      MONGODB_URI: mongoUri,
+      JWT_SECRET: "contract-test-secret",
+      ADMIN_EMAIL: ADMIN.email,
+      ADMIN_PASSWORD: ADMIN.password,
+      MAIL_TRANSPORT: "file",
+    },
+    stdio: "ignore",
+  });
+  token = await waitForLogin();
+
+  spec = await (await fetch(`${baseUrl}/api/v1/openapi.json`)).json();
+  ajv = new Ajv({ strict: false, validateFormats: false });
+  ajv.addSchema(spec, "openapi.json");
+});
+
+after(async () => {
+  if (server) server.kill();
+  if (mongo) await mongo.stop();
+  if (database) {
+    await database.dropDatabase();
+    await database.close();
+  }
+  if (workDir) fs.rmSync(workDir, { recursive: true, force: true });
+});
+
+//Helper function to wait for an email the server wrote to its mail folder and match it
+//The text is quoted-printable, so the soft line breaks and the encoded "=" are undone first
+async function waitForEmail(pattern) {
+  const mailDir = path.join(workDir, "mail");
+  const deadline = Date.now() + 10000;
+  while (Date.now() < deadline) {
+    const files = fs.existsSync(mailDir) ? fs.readdirSync(mailDir) : [];
+    for (const file of files) {
+      const text = fs
+        .readFileSync(path.join(mailDir, file), "utf8")
+        .replace(/=\r?\n/g, "")
+        .replace(/=3D/g, "=");
+      const match = text.match(pattern);
+      if (match) return match;
+    }
+    await new Promise((resolve) => setTimeout(resolve, 200));
+  }
+  throw new Error(`No email matches ${pattern}`);
+}
+
+describe("OpenAPI document", () => {
+  it("is an OpenAPI 3 document with the v1 server", () => {
+    assert.match(spec.openapi, /^3\./);
+    assert.deepEqual(spec.servers, [{ url: "/api/v1" }]);
+  });
+
+  it("documents a summary and a success response for every operation", () => {
+    Object.entries(spec.paths).forEach(([template, methods]) => {
+      Object.entries(methods).forEach(([method, operation]) => {
+        const label = `${method.toUpperCase()} ${template}`;
+        assert.ok(operation.summary, `${label} has no summary`);
+        const success = Object.keys(operation.responses).find((status) =>
+          /^2/.test(status)
+        );
+        assert.ok(
+          operation.responses[success].content,
+          `${label} has no success response body`
+        );
+      });
+    });
+  });
+
+  it("compiles every response schema", () => {
+    Object.entries(spec.paths).forEach(([template, methods]) => {
+      Object.entries(methods).forEach(([method, operation]) => {
+        Object.entries(operation.responses).forEach(([status, response]) => {
+          const json = response.content && response.content["application/json"];
+          if (json) {
+            assert.doesNotThrow(
+              () => responseSchema(template, method, status),
+              `${method.toUpperCase()} ${template} ${status}`
+            );
+          }
+        });
+      });
+    });
+  });
+
+  it("serves the interactive docs", async () => {
+    const response = await fetch(`${baseUrl}/api/docs`);
+    assert.equal(response.status, 200);
+    assert.match(await response.text(), /\/api\/v1\/openapi\.json/);
+  });
+});
+
+describe("API responses", () => {
+  let course;
+  let student;
+  let session;
+  let assessment;
+
+  it("auth", async () => {
+    await call("get", "/auth/me");
+    await call("get", "/auth/me", { auth: false, status: 401 });
+    await call("post", "/auth/login", {
+      auth: false,
+      body: { email: ADMIN.email, password: "wrong-password" },
+      status: 401,
+    });
+    await call("post", "/events/ticket");
+  });
+
+  it("users", async () => {
+    await call("get", "/users");
+    const user = await call("post", "/users", {
+      body: {
+        name: "Registrar",
+        email: "registrar@example.com",
+        password: "registrar-password",
+        role: "registrar",
+      },
+      status: 201,
+    });
+    await call("put", `/users/${user._id}`, { body: { role: "viewer" } });
+    await call("delete", `/users/${user._id}`);
+  });
+
+  it("settings", async () => {
+    await call("get", "/settings", { auth: false });
+    const settings = await call("put", "/settings", {
+      body: {
+        institutionName: "Springfield College",
+        pageSize: 20,
+        statusLabels: { applicant: "Prospect" },
+      },
+    });
+    assert.equal(settings.statusLabels.applicant, "Prospect");
+    assert.equal(settings.statusLabels.enrolled, "Enrolled");
+    await call("put", "/settings", {
+      body: { dateFormat: "DD.MM.YYYY" },
+      status: 422,
+    });
+  });
+
+  it("courses", async () => {
+    course = await call("post", "/courses", {
+      body: { name: "Biology", description: "Cells and more", duration: 6, capacity: 2 },
+      status: 201,
+    });
+    await call("post", "/courses", { body: { name: "No duration" }, status: 422 });
+    await call("get", "/courses");
+    await call("get", `/courses/${course._id}`);
+    await call("get", `/courses/${MISSING_ID}`, { status: 404 });
+    await call("put", `/courses/${course._id}`, { body: { description: "Cells" } });
+    await call("get", `/courses/${course._id}/history`);
+    await call("get", `/courses/${course._id}/waitlist`);
+    await call("get", "/courses/export?format=csv");
+  });
+
+  it("students and enrollments", async () => {
+    student = await call("post", "/students", {
+      body: { name: "Jane Doe", email: "jane@example.com", course: course._id },
+      status: 201,
+    });
+    //The emails are stored in lowercase, so another case is the same email
+    await call("post", "/students", {
+      body: { name: "Jane Again", email: "Jane@Example.com" },
+      status: 422,
+    });
+    await call("get", "/students?page=1&limit=10&sort=-createdAt");
+    await call("get", `/students/${student._id}`);
+    await call("put", `/students/${student._id}`, { body: { name: "Jane Smith" } });
+    await call("get", "/students/statuses");
+    await call("get", "/students/search?q=jane");
+    await call("get", `/students/${student._id}/history`);
+    await call("get", "/students/export?format=xlsx");
+
+    const [enrollment] = await call("get", `/students/${student._id}/enrollments`);
+    await call("post", `/enrollments/${enrollment._id}/withdraw`, { body: {} });
+  });
+
+  it("student profile", async () => {
+    await call("put", `/students/${student._id}`, {
+      body: {
+        phone: "+1 555 0100",
+        guardian: { name: "John Doe", relationship: "Father", phone: "", email: "" },
+      },
+    });
+
+    const form = new FormData();
+    form.append("category", "certificate");
+    form.append(
+      "file",
+      new Blob(["%PDF-1.4 certificate"], { type: "application/pdf" }),
+      "certificate.pdf"
+    );
+    const attachment = await call("post", `/students/${student._id}/attachments`, {
+      form,
+      status: 201,
+    });
+    const disguised = new FormData();
+    disguised.append(
+      "file",
+      new Blob(["<script>alert(1)</script>"], { type: "application/pdf" }),
+      "certificate.pdf"
+    );
+    await call("post", `/students/${student._id}/attachments`, { form: disguised, status: 400 });
+    const photo = new FormData();
+    photo.append("category", "photo");
+    photo.append("file", new Blob(["%PDF-1.4"], { type: "application/pdf" }), "me.pdf");
+    await call("post", `/students/${student._id}/attachments`, { form: photo, status: 400 });
+    await call("get", `/students/${student._id}/photo`, { status: 404 });
+    await call("get", `/students/${student._id}/attachments`);
+    await call("get", `/attachments/${attachment._id}/download`);
+    await call("delete", `/attachments/${attachment._id}`);
+
+    const note = await call("post", `/students/${student._id}/notes`, {
+      body: { text: "Called about the missing certificate" },
+      status: 201,
+    });
+    await call("get", `/students/${student._id}/notes`);
+    await call("delete", `/notes/${note._id}`);
+  });
+
+  it("student portal", async () => {
+    await call("get", `/students/${student._id}/portal-access`);
+    await call("post", `/students/${student._id}/portal-access`);
+    const [, invite] = await waitForEmail(/invite=([0-9a-f]+)/);
+    const login = await call("post", "/portal/auth/activate", {
+      auth: false,
+      body: { token: invite, password: "portal-password" },
+    });
+    const portal = login.token;
+    const outbox = await call("get", "/outbox");
+    assert.ok(!JSON.stringify(outbox).includes(invite), "The outbox shows the invite token");
+
+    await call("get", "/portal/me", { auth: portal });
+    await call("get", "/students", { auth: portal, status: 401 });
+    await call("put", "/portal/me", {
+      auth: portal,
+      body: { phone: "+1 555 0199" },
+    });
+    await call("put", "/portal/me", {
+      auth: portal,
+      body: { name: "Someone" },
+      status: 422,
+    });
+    await call("get", "/portal/courses", { auth: portal });
+
+    const chemistry = await call("post", "/courses", {
+      body: { name: "Chemistry", description: "Reactions", duration: 6 },
+      status: 201,
+    });
+    const enrollment = await call(
+      "post",
+      `/students/${student._id}/enrollments`,
+      {
+        body: { course: course._id },
+        status: 201,
+      }
+    );
+    const request = await call("post", "/portal/requests", {
+      auth: portal,
+      body: {
+        type: "courseChange",
+        enrollment: enrollment._id,
+        course: chemistry._id,
+        reason: "I would rather study chemistry",
+      },
+      status: 201,
+    });
+    await call("get", "/portal/requests", { auth: portal });
+    await call("get", "/requests");
+    const approved = await call("post", `/requests/${request._id}/approve`, {
+      body: {},
+    });
+    assert.equal(approved.status, "approved");
+    await call("post", `/requests/${request._id}/reject`, {
+      body: { note: "Too late" },
+      status: 409,
+    });
+
+    const withdrawal = await call("post", "/portal/requests", {
+      auth: portal,
+      body: { type: "withdrawal", reason: "Moving abroad" },
+      status: 201,
+    });
+    await call("post", `/portal/requests/${withdrawal._id}/cancel`, {
+      auth: portal,
+    });
+
+    await call("post", "/portal/auth/logout", { auth: portal });
+    await call("get", "/portal/me", { auth: portal, status: 401 });
+    const laptop = await call("post", "/portal/auth/login", {
+      auth: false,
+      body: { email: "JANE@example.com", password: "portal-password" },
+    });
+    const phone = await call("post", "/portal/auth/login", {
+      auth: false,
+      body: { email: "jane@example.com", password: "portal-password" },
+    });
+    //A new password logs out the other devices, the one that changed it goes on with a new token
+    const changed = await call("put", "/portal/me/password", {
+      auth: phone.token,
+      body: { currentPassword: "portal-password", password: "new-portal-password" },
+    });
+    await call("get", "/portal/me", { auth: laptop.token, status: 401 });
+    await call("get", "/portal/me", { auth: changed.token });
+    await call("delete", `/students/${student._id}/portal-access`);
+  });
+
+  it("attendance", async () => {
+    session = await call("post", `/courses/${course._id}/sessions`, {
+      body: { date: "2024-03-12", topic: "Introduction" },
+      status: 201,
+    });
+    await call("get", `/courses/${course._id}/sessions`);
+    await call("get", `/sessions/${session._id}/register`);
+    const marked = await call("post", "/students", {
+      body: { name: "Max Marked", email: "max@example.com", course: course._id },
+      status: 201,
+    });
+    const records = [{ student: marked._id, status: "present" }];
+    await call("put", `/sessions/${session._id}/register`, { body: { records } });
+    const [markedEnrollment] = await call("get", `/students/${marked._id}/enrollments`);
+    await call("post", `/enrollments/${markedEnrollment._id}/withdraw`, { body: {} });
+    //A student who left the course after being marked is still on the register, so it can be saved again
+    await call("put", `/sessions/${session._id}/register`, { body: { records } });
+    await call("put", `/sessions/${session._id}/register`, {
+      body: { records: [{ student: MISSING_ID, status: "present" }] },
+      status: 422,
+    });
+    await call("get", `/courses/${course._id}/attendance`);
+    await call("get", `/students/${student._id}/attendance`);
+    await call("delete", `/sessions/${session._id}`);
+  });
+
+  it("grades", async () => {
+    assessment = await call("post", `/courses/${course._id}/assessments`, {
+      body: { name: "Final exam", weight: 100, maxScore: 100 },
+      status: 201,
+    });
+    await call("put", `/assessments/${assessment._id}`, { body: { weight: 50 } });
+    await call("get", `/courses/${course._id}/gradebook`);
+    await call("put", `/courses/${course._id}/grades`, {
+      body: { grades: [{ assessment: assessment._id, student: MISSING_ID, score: 80 }] },
+      status: 422,
+    });
+    await call("get", "/grading-scale");
+    await call("get", `/students/${student._id}/transcript`);
+    await call("delete", `/assessments/${assessment._id}`);
+  });
+
+  it("calendar", async () => {
+    const offering = await call("post", `/courses/${course._id}/offerings`, {
+      body: {
+        name: "September 2025",
+        startDate: "2025-09-01",
+        meetings: [{ day: 1, startTime: "09:00", endTime: "11:00" }],
+      },
+      status: 201,
+    });
+    await call("get", `/courses/${course._id}/offerings`);
+    await call("get", "/calendar?from=2025-09-01&to=2025-09-07");
+    await call("get", `/courses/${course._id}/calendar.ics`);
+
+    //Calendar apps subscribe to the link without logging in, until it is revoked
+    const feed = await call("post", `/courses/${course._id}/calendar-feed`);
+    const feedPath = feed.url.replace("/api/v1", "");
+    assert.match(await call("get", feedPath, { auth: false }), /SUMMARY:Biology/);
+    await call("delete", `/courses/${course._id}/calendar-feed`);
+    await call("get", feedPath, { auth: false, status: 401 });
+    const studentFeed = await call("post", `/students/${student._id}/calendar-feed`);
+    await call("get", studentFeed.url.replace("/api/v1", ""), { auth: false });
+    await call("delete", `/offerings/${offering._id}`);
+  });
+
+  it("instructors", async () => {
+    const lead = await call("post", "/instructors", {
+      body: { name: "Ada Byron", email: "ada@example.com", title: "Lecturer" },
+      status: 201,
+    });
+    const assistant = await call("post", "/instructors", {
+      body: { name: "Alan Turing", email: "alan@example.com" },
+      status: 201,
+    });
+    await call("post", "/instructors", {
+      body: { name: "Ada Again", email: "ada@example.com" },
+      status: 422,
+    });
+    await call("put", `/courses/${course._id}/instructors/${lead._id}`, {
+      body: { role: "lead" },
+    });
+    await call("put", `/courses/${course._id}/instructors/${assistant._id}`, {
+      body: { role: "lead" },
+      status: 409,
+    });
+    const instructors = await call(
+      "put",
+      `/courses/${course._id}/instructors/${assistant._id}`,
+      { body: { role: "assistant" } }
+    );
+    assert.deepEqual(
+      instructors.map((instructor) => instructor.role),
+      ["lead", "assistant"]
+    );
+    await call("get", `/courses/${course._id}/instructors`);
+    await call("get", "/courses");
+    await call("get", "/instructors");
+    await call("get", `/instructors/${lead._id}`);
+    await call("get", `/students?instructor=${lead._id}`);
+    await call("put", `/instructors/${lead._id}`, { body: { status: "inactive" } });
+    await call("delete", `/courses/${course._id}/instructors/${assistant._id}`);
+    await call("delete", `/courses/${course._id}/instructors/${assistant._id}`, {
+      status: 404,
+    });
+    await call("delete", `/instructors/${assistant._id}`);
+  });
+
+  it("fees", async () => {
+    const physics = await call("post", "/courses", {
+      body: { name: "Physics", duration: 6, fee: 500 },
+      status: 201,
+    });
+    const payer = await call("post", "/students", {
+      body: { name: "Sam Payer", email: "sam@example.com", course: physics._id },
+      status: 201,
+    });
+    const {
+      invoices: [invoice],
+    } = await call("get", `/students/${payer._id}/fees`);
+    assert.equal(invoice.amount, 500);
+
+    await call("post", `/invoices/${invoice._id}/entries`, {
+      body: { type: "payment", amount: 600, method: "cash" },
+      status: 409,
+    });
+    await call("post", `/invoices/${invoice._id}/entries`, {
+      body: { type: "discount", amount: 50, method: "cash" },
+      status: 422,
+    });
+    await call("post", `/invoices/${invoice._id}/entries`, {
+      body: { type: "payment", amount: 300, method: "bankTransfer", reference: "TRX-1" },
+      status: 201,
+    });
+    await call("post", `/invoices/${invoice._id}/entries`, {
+      body: { type: "discount", amount: 50, note: "Early bird" },
+      status: 201,
+    });
+    const refunded = await call("post", `/invoices/${invoice._id}/entries`, {
+      body: { type: "refund", amount: 100, method: "bankTransfer" },
+      status: 201,
+    });
+    assert.equal(refunded.balance, 250);
+
+    await call("get", `/invoices/${invoice._id}`);
+    await call("get", `/invoices/${invoice._id}/invoice.pdf`);
+    await call("get", `/ledger/${refunded.entries[0]._id}/receipt.pdf`);
+    await call("get", `/ledger/${refunded.entries[1]._id}/receipt.pdf`, { status: 404 });
+    await call("get", `/fees/outstanding/students?course=${physics._id}`);
+    await call("get", "/fees/outstanding/courses");
+    const stats = await call("get", "/dashboard/stats");
+    assert.equal(stats.outstandingFees, 250);
+  });
+
+  it("dashboard and reports", async () => {
+    await call("get", "/dashboard/stats");
+    await call("get", "/reports/enrollments-per-month");
+    await call("get", "/reports/enrollments-per-course");
+    await call("get", "/reports/status-trend");
+    await call("get", "/reports/completion-time");
+  });
+
+  it("admin tools", async () => {
+    await call("get", "/audit?page=1&limit=10");
+    await call("get", "/outbox");
+    await call("get", "/webhooks/events");
+    await call("get", "/webhooks");
+  });
+
+  it("trash", async () => {
+    await call("delete", `/students/${student._id}`);
+    await call("get", "/trash");
+    await call("post", `/students/${student._id}/restore`);
+  });
+});
+
+describe("Deprecated paths", () => {
+  it("still answers on the paths without a version, with a link to the new path", async () => {
+    const response = await fetch(`${baseUrl}/api/courses`, {
+      headers: { Authorization: `Bearer ${token}` },
+    });
+    assert.equal(response.status, 200);
+    assert.equal(response.headers.get("deprecation"), "true");
+    assert.equal(response.headers.get("link"), '</api/v1/courses>; rel="successor-version"');
+  });
+
+  it("renames the old singular paths", async () => {
+    const [course] = await call("get", "/courses");
+    const response = await fetch(`${baseUrl}/api/course/${course._id}`, {
+      method: "PUT",
+      headers: {
+        Authorization: `Bearer ${token}`,
+        "Content-Type": "application/json",
+      },
+      body: JSON.stringify({ description: "Renamed path" }),
+    });
+    assert.equal(response.status, 200);
+    assert.equal(
+      response.headers.get("link"),
+      `</api/v1/courses/${course._id}>; rel="successor-version"`
+    );
+
+    const search = await fetch(`${baseUrl}/api/student/search?q=jane`, {
+      headers: { Authorization: `Bearer ${token}` },
+    });
+    assert.equal(search.status, 200);
+    assert.equal(search.headers.get("deprecation"), "true");
+
+    //The old search took the text as ?term=
+    const oldSearch = await fetch(`${baseUrl}/api/student/search?term=jane&limit=5`, {
+      headers: { Authorization: `Bearer ${token}` },
+    });
+    assert.equal(oldSearch.status, 200);
+    assert.ok(Array.isArray((await oldSearch.json()).data));
+  });
+});
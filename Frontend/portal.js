@@ -0,0 +1,553 @@
+//The Student Portal: students see their courses and status, change their contact details and send requests
+//It talks to the /portal routes of the API with a student token, which the staff routes don't accept
+const API_BASE_URL = document.querySelector(
+  'meta[name="api-base-url"]'
+).content;
+
+let portalToken = localStorage.getItem("portalToken");
+let student = null; //The logged in student with their enrollments, from GET /portal/me
+let portalCourses = []; //The courses a student can ask to change to
+
+//The settings are public, so the portal shows the institution name and the dates like the dashboard
+let settings = { dateFormat: "locale", statusLabels: {} };
+
+//Every request to the API goes through here so the token is attached to all of them
+async function apiFetch(path, options = {}) {
+  const headers = { ...(options.headers || {}) };
+  if (portalToken) headers.Authorization = `Bearer ${portalToken}`;
+
+  const response = await fetch(`${API_BASE_URL}${path}`, {
+    ...options,
+    headers,
+  });
+
+  //The token expired or the access was taken away, so the student has to log in again
+  if (response.status === 401 && student) {
+    clearSession();
+    showLoginScreen();
+    showNotification(
+      "Your session has expired, please log in again",
+      "warning"
+    );
+  }
+  return response;
+}
+
+//Helper function for the JSON requests, it throws the message of the API when the request fails
+async function apiSend(method, path, body, defaultMessage) {
+  const response = await apiFetch(path, {
+    method,
+    headers: { "Content-Type": "application/json" },
+    body: JSON.stringify(body),
+  });
+  const result = await response.json();
+  if (!response.ok) throw new Error(result.message || defaultMessage);
+  return result;
+}
+
+document.addEventListener("DOMContentLoaded", async () => {
+  document.getElementById("loginForm").addEventListener("submit", handleLogin);
+  document
+    .getElementById("activateForm")
+    .addEventListener("submit", handleActivate);
+  document
+    .getElementById("contactForm")
+    .addEventListener("submit", handleContactFormSubmit);
+  document
+    .getElementById("requestForm")
+    .addEventListener("submit", handleRequestFormSubmit);
+  document
+    .getElementById("requestType")
+    .addEventListener("change", renderRequestForm);
+  document
+    .getElementById("passwordForm")
+    .addEventListener("submit", handlePasswordFormSubmit);
+
+  await loadSettings();
+
+  //An invite link asks for the first password, the token is taken out of the address right away
+  const invite = new URLSearchParams(window.location.search).get("invite");
+  if (invite) {
+    sessionStorage.setItem("portalInvite", invite);
+    window.history.replaceState(null, "", window.location.pathname);
+  }
+  if (sessionStorage.getItem("portalInvite")) {
+    showLoginScreen(true);
+  } else if (await restoreSession()) {
+    await loadPortal();
+  } else {
+    showLoginScreen();
+  }
+});
+
+async function loadSettings() {
+  try {
+    const response = await fetch(`${API_BASE_URL}/settings`);
+    if (!response.ok) throw new Error("Failed to load the settings");
+    settings = await response.json();
+    document.querySelectorAll(".brand-name").forEach((element) => {
+      element.textContent = settings.institutionName;
+    });
+    document.title = `${settings.institutionName} | Student Portal`;
+  } catch (error) {
+    console.error("Error loading settings", error);
+  }
+}
+
+//Authentication functions
+function showLoginScreen(activate = false) {
+  document.getElementById("loginForm").style.display = activate ? "none" : "";
+  document.getElementById("activateForm").style.display = activate
+    ? ""
+    : "none";
+  document.getElementById("loginScreen").classList.add("active");
+}
+
+function hideLoginScreen() {
+  document.getElementById("loginScreen").classList.remove("active");
+}
+
+function clearSession() {
+  portalToken = null;
+  student = null;
+  localStorage.removeItem("portalToken");
+}
+
+function startSession(result) {
+  portalToken = result.token;
+  localStorage.setItem("portalToken", portalToken);
+  renderPortal(result.student);
+  hideLoginScreen();
+}
+
+//Check the stored token with the server and load the student it belongs to
+async function restoreSession() {
+  if (!portalToken) return false;
+  try {
+    const response = await apiFetch("/portal/me");
+    if (!response.ok) {
+      clearSession();
+      return false;
+    }
+    renderPortal(await response.json());
+    return true;
+  } catch (error) {
+    console.error("Error restoring session", error);
+    return false;
+  }
+}
+
+async function handleLogin(e) {
+  e.preventDefault();
+  const loginError = document.getElementById("loginError");
+  loginError.textContent = "";
+  showLoading();
+  try {
+    startSession(
+      await apiSend(
+        "POST",
+        "/portal/auth/login",
+        {
+          email: document.getElementById("loginEmail").value.trim(),
+          password: document.getElementById("loginPassword").value,
+        },
+        "Login failed"
+      )
+    );
+    e.target.reset();
+  } catch (error) {
+    console.error("Error logging in", error);
+    loginError.textContent = error.message;
+    return;
+  } finally {
+    hideLoading();
+  }
+  await loadPortal();
+}
+
+async function handleActivate(e) {
+  e.preventDefault();
+  const activateError = document.getElementById("activateError");
+  const password = document.getElementById("activatePassword").value;
+  if (password !== document.getElementById("activatePasswordAgain").value) {
+    activateError.textContent = "The passwords are not the same";
+    return;
+  }
+  activateError.textContent = "";
+  showLoading();
+  try {
+    startSession(
+      await apiSend(
+        "POST",
+        "/portal/auth/activate",
+        { token: sessionStorage.getItem("portalInvite"), password },
+        "The password could not be set"
+      )
+    );
+    sessionStorage.removeItem("portalInvite");
+    e.target.reset();
+  } catch (error) {
+    console.error("Error activating account", error);
+    activateError.textContent = error.message;
+    return;
+  } finally {
+    hideLoading();
+  }
+  await loadPortal();
+}
+
+async function logout() {
+  try {
+    await apiFetch("/portal/auth/logout", { method: "POST" });
+  } catch (error) {
+    console.error("Error logging out", error);
+  }
+  clearSession();
+  showLoginScreen();
+}
+
+//Load the courses and the requests, the student itself comes with the login
+async function loadPortal() {
+  showLoading();
+  try {
+    const [coursesResponse, requestsResponse] = await Promise.all([
+      apiFetch("/portal/courses"),
+      apiFetch("/portal/requests"),
+    ]);
+    if (!coursesResponse.ok || !requestsResponse.ok) {
+      throw new Error("Failed to load the portal");
+    }
+    portalCourses = await coursesResponse.json();
+    renderRequests(await requestsResponse.json());
+    renderRequestForm();
+  } catch (error) {
+    console.error("Error loading the portal", error);
+    showNotification("Error loading your details", "error");
+  } finally {
+    hideLoading();
+  }
+}
+
+//UI Rendering Functions
+function renderPortal(profile) {
+  student = profile;
+  document.getElementById("portalStudentName").textContent = student.name;
+  document.getElementById("portalStudentEmail").textContent = student.email;
+
+  const status = document.getElementById("portalStatus");
+  status.className = `status-badge status-${student.status}`;
+  status.textContent = statusLabel(student.status);
+  document.getElementById("portalStatusHistory").innerHTML = [
+    ...student.statusHistory,
+  ]
+    .reverse()
+    .map(
+      (change) => `
+        <li>
+            ${escapeHtml(statusLabel(change.to))}
+            <span class="history-meta">
+                ${formatDate(change.changedAt)}${change.reason ? ` &middot; ${escapeHtml(change.reason)}` : ""}
+            </span>
+        </li>`
+    )
+    .join("");
+
+  const guardian = student.guardian || {};
+  document.getElementById("contactPhone").value = student.phone || "";
+  document.getElementById("contactAddress").value = student.address || "";
+  document.getElementById("contactGuardianName").value = guardian.name || "";
+  document.getElementById("contactGuardianRelationship").value =
+    guardian.relationship || "";
+  document.getElementById("contactGuardianPhone").value = guardian.phone || "";
+  document.getElementById("contactGuardianEmail").value = guardian.email || "";
+
+  renderEnrollments();
+  renderRequestForm();
+}
+
+function renderEnrollments() {
+  const body = document.getElementById("portalEnrollmentsBody");
+  if (student.enrollments.length === 0) {
+    body.innerHTML = `<tr><td colspan="5" class="empty-state">You are not enrolled in a course yet</td></tr>`;
+    return;
+  }
+  body.innerHTML = student.enrollments
+    .map(
+      (enrollment) => `
+        <tr>
+            <td>
+                ${escapeHtml(enrollment.course ? enrollment.course.name : "Deleted course")}
+                ${
+                  enrollment.course && enrollment.course.description
+                    ? `<span class="history-meta">${escapeHtml(enrollment.course.description)}</span>`
+                    : ""
+                }
+            </td>
+            <td>${enrollment.offering ? escapeHtml(enrollment.offering.name) : "&mdash;"}</td>
+            <td>${formatDate(enrollment.startDate)}</td>
+            <td>${enrollment.endDate ? formatDate(enrollment.endDate) : "&mdash;"}</td>
+            <td>${formatEnrollmentStatus(enrollment)}</td>
+        </tr>`
+    )
+    .join("");
+}
+
+//e.g. "Waitlisted (#2)"
+function formatEnrollmentStatus(enrollment) {
+  const status = capitalizedFirstLetter(enrollment.status);
+  return enrollment.status === "waitlisted"
+    ? `${status} (#${enrollment.waitlistPosition})`
+    : status;
+}
+
+//A course change starts from a current course, a withdrawal can be from one course or from all studies
+function renderRequestForm() {
+  if (!student) return;
+  const type = document.getElementById("requestType").value;
+  const open = student.enrollments.filter(
+    (enrollment) =>
+      enrollment.course &&
+      (type === "courseChange"
+        ? enrollment.status === "active"
+        : ["active", "waitlisted"].includes(enrollment.status))
+  );
+  const options = open.map(
+    (enrollment) =>
+      `<option value="${enrollment._id}">${escapeHtml(enrollment.course.name)}</option>`
+  );
+  if (type === "withdrawal") {
+    options.push(`<option value="">All my studies</option>`);
+  }
+  document.getElementById("requestEnrollment").innerHTML = options.join("");
+
+  const currentCourseIds = open.map((enrollment) => enrollment.course._id);
+  document.getElementById("requestCourse").innerHTML = portalCourses
+    .filter((course) => !currentCourseIds.includes(course._id))
+    .map(
+      (course) =>
+        `<option value="${course._id}">${escapeHtml(course.name)}</option>`
+    )
+    .join("");
+  document.getElementById("requestCourseGroup").style.display =
+    type === "courseChange" ? "" : "none";
+}
+
+//Describe a request in a few words, e.g. "Change from Biology to Chemistry"
+function describeRequest(request) {
+  const courseName = (course) => (course ? course.name : "a deleted course");
+  const enrollment = request.enrollment;
+  if (request.type === "courseChange") {
+    return `Change from ${courseName(enrollment && enrollment.course)} to ${courseName(request.course)}`;
+  }
+  return enrollment
+    ? `Withdraw from ${courseName(enrollment.course)}`
+    : "Withdraw from my studies";
+}
+
+function renderRequests(requests) {
+  const list = document.getElementById("portalRequests");
+  if (requests.length === 0) {
+    list.innerHTML = `<li class="trash-note">You haven't sent any requests</li>`;
+    return;
+  }
+  list.innerHTML = requests
+    .map(
+      (request) => `
+        <li>
+            <span class="history-meta">
+                Sent ${formatDate(request.createdAt)} &middot; ${capitalizedFirstLetter(request.status)}
+                ${
+                  request.status === "pending"
+                    ? `<button class="action-btn delete-btn" onclick="cancelRequest('${request._id}')"><i class="fas fa-times"></i>Cancel</button>`
+                    : ""
+                }
+            </span>
+            <strong>${escapeHtml(describeRequest(request))}</strong>
+            <p class="note-text">${escapeHtml(request.reason)}</p>
+            ${request.decisionNote ? `<p class="note-text history-meta">Answer: ${escapeHtml(request.decisionNote)}</p>` : ""}
+        </li>`
+    )
+    .join("");
+}
+
+//Form Handlers
+async function handleContactFormSubmit(e) {
+  e.preventDefault();
+  const value = (elementId) => document.getElementById(elementId).value.trim();
+  showLoading();
+  try {
+    renderPortal(
+      await apiSend(
+        "PUT",
+        "/portal/me",
+        {
+          phone: value("contactPhone"),
+          address: value("contactAddress"),
+          guardian: {
+            name: value("contactGuardianName"),
+            relationship: value("contactGuardianRelationship"),
+            phone: value("contactGuardianPhone"),
+            email: value("contactGuardianEmail"),
+          },
+        },
+        "Failed to save your contact details"
+      )
+    );
+    showNotification("Your contact details were saved", "success");
+  } catch (error) {
+    console.error("Error saving contact details", error);
+    showNotification(error.message, "error");
+  } finally {
+    hideLoading();
+  }
+}
+
+async function handleRequestFormSubmit(e) {
+  e.preventDefault();
+  const type = document.getElementById("requestType").value;
+  const enrollment = document.getElementById("requestEnrollment").value;
+  const course = document.getElementById("requestCourse").value;
+  if (type === "courseChange" && (!enrollment || !course)) {
+    showNotification(
+      "Please pick the course to leave and the new one",
+      "warning"
+    );
+    return;
+  }
+  if (
+    type === "withdrawal" &&
+    !enrollment &&
+    !confirm("Do you really want to withdraw from all your studies?")
+  ) {
+    return;
+  }
+
+  showLoading();
+  try {
+    await apiSend(
+      "POST",
+      "/portal/requests",
+      {
+        type,
+        ...(enrollment && { enrollment }),
+        ...(type === "courseChange" && { course }),
+        reason: document.getElementById("requestReason").value.trim(),
+      },
+      "Failed to send the request"
+    );
+    document.getElementById("requestReason").value = "";
+    showNotification(
+      "Your request was sent, you'll get an email when it is decided",
+      "success"
+    );
+  } catch (error) {
+    console.error("Error sending request", error);
+    showNotification(error.message, "error");
+  } finally {
+    hideLoading();
+  }
+  await loadPortal();
+}
+
+async function cancelRequest(id) {
+  if (!confirm("Do you want to cancel this request?")) return;
+  showLoading();
+  try {
+    await apiSend(
+      "POST",
+      `/portal/requests/${id}/cancel`,
+      {},
+      "Failed to cancel"
+    );
+  } catch (error) {
+    console.error("Error cancelling request", error);
+    showNotification(error.message, "error");
+  } finally {
+    hideLoading();
+  }
+  await loadPortal();
+}
+
+async function handlePasswordFormSubmit(e) {
+  e.preventDefault();
+  showLoading();
+  try {
+    const result = await apiSend(
+      "PUT",
+      "/portal/me/password",
+      {
+        currentPassword: document.getElementById("currentPassword").value,
+        password: document.getElementById("newPassword").value,
+      },
+      "Failed to change your password"
+    );
+    //The other devices are logged out by the new password, this one goes on with a new token
+    portalToken = result.token;
+    localStorage.setItem("portalToken", portalToken);
+    e.target.reset();
+    showNotification("Your password was changed", "success");
+  } catch (error) {
+    console.error("Error changing password", error);
+    showNotification(error.message, "error");
+  } finally {
+    hideLoading();
+  }
+}
+
+//Untility Functions
+//Dates are shown in the format picked in the Settings section of the dashboard
+function formatDate(dateString) {
+  const date = new Date(dateString);
+  if (settings.dateFormat === "locale") {
+    const options = { year: "numeric", month: "short", day: "numeric" };
+    return date.toLocaleDateString(settings.locale, options);
+  }
+  const parts = {
+    YYYY: String(date.getFullYear()),
+    MM: String(date.getMonth() + 1).padStart(2, "0"),
+    DD: String(date.getDate()).padStart(2, "0"),
+  };
+  return settings.dateFormat.replace(/YYYY|MM|DD/g, (part) => parts[part]);
+}
+
+function escapeHtml(str) {
+  if (typeof str !== "string") return str;
+  return str
+    .replace(/&/g, "&amp;")
+    .replace(/</g, "&lt;")
+    .replace(/>/g, "&gt;")
+    .replace(/"/g, "&quot;")
+    .replace(/'/g, "&#039;");
+}
+
+function capitalizedFirstLetter(str) {
+  if (typeof str !== "string" || str.length === 0) return str;
+  return str.charAt(0).toUpperCase() + str.slice(1);
+}
+
+function statusLabel(status) {
+  return settings.statusLabels[status] || capitalizedFirstLetter(status);
+}
+
+function showLoading() {
+  document.querySelector(".loading-spinner").classList.add("active");
+}
+function hideLoading() {
+  document.querySelector(".loading-spinner").classList.remove("active");
+}
+
+function showNotification(message, type = "info") {
+  document
+    .querySelectorAll(".notification")
+    .forEach((notification) => notification.remove());
+
+  const notification = document.createElement("div");
+  notification.className = `notification ${type}`;
+  notification.textContent = message;
+  document.body.appendChild(notification);
+
+  setTimeout(() => {
+    notification.style.opacity = "0";
+    setTimeout(() => notification.remove(), 500);
+  }, 3000);
+}
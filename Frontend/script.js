@@ -1,22 +1,95 @@
 //This's where we'll be accessing our apis, that's where the server runs
-const API_BASE_URL = "http://localhost:3000";
+//It is set in the api-base-url meta tag of index.html, so it can change without touching the code
+const API_BASE_URL = document.querySelector(
+  'meta[name="api-base-url"]'
+).content;
 
+let authToken = localStorage.getItem("authToken");
+let currentUser = null;
 let students = [];
 let courses = [];
+let instructors = [];
 let currentSection = "dashboard";
+let profileStudentId = null; //The student shown in the Student Profile section
 let editingId = null;
 let editingCourseId = null;
+let editingInstructorId = null;
 let deleteType = ""; //Type can be Student or Course
 let deleteId = null;
+let statusStudentId = null; //The student the status dialog is open for
+let attendanceCourseId = null; //The course the attendance dialog is open for
+let attendanceSessionId = null; //The session whose register is shown
+let courseAttendanceRates = new Map(); //Student id -> attendance rate in the course of the attendance dialog
+let gradebookCourseId = null; //The course the gradebook dialog is open for
+let transcriptStudentId = null; //The student the transcript dialog is open for
+let waitlistCourseId = null; //The course the waitlist dialog is open for
+let waitlistEntries = []; //The waitlisted enrollments in the order shown in the waitlist dialog
+let courseOfferings = []; //The offerings shown in the Offerings tab of the course modal
+let editingOfferingId = null; //The offering loaded into the offering form, null when adding one
+let calendarWeekStart = null; //The Monday of the week shown in the calendar
+let calendarStudent = null; //{ _id, name } when the calendar shows the timetable of one student
+
+//The student statuses and which status can follow which, loaded from the API at startup
+let studentStatuses = { statuses: [], initial: [], transitions: {} };
+
+//The settings of the Settings section, loaded from the API at startup (see "Settings" below)
+//Until they are loaded the browser's locale and the plain status names are used
+let settings = {
+  dateFormat: "locale",
+  currency: "USD",
+  statusLabels: {},
+  pageSize: 10,
+  recentStudentsLimit: 5,
+};
+
+//How the "All Students" table is currently paged, sorted and filtered
+//These are sent to GET /api/v1/students as query parameters
+const studentQuery = {
+  page: 1,
+  limit: 10,
+  sort: "-createdAt",
+  status: "",
+  course: "",
+  instructor: "",
+  enrolledFrom: "",
+  enrolledTo: "",
+};
+
+//The search from the header bar, while q is set the "All Students" table shows the search results
+//course, status and year are the facets picked to narrow the results down
+const studentSearch = { q: "", course: "", status: "", year: "" };
+const SEARCH_SUGGESTION_LIMIT = 5;
+const SEARCH_RESULTS_LIMIT = 50;
+
+//The page of the "Students with Outstanding Fees" table and the course it is narrowed to
+const feesQuery = { page: 1, limit: 20, course: "" };
+
+//The Chart.js charts of the Reports section, kept so they can be replaced when the filters change
+const reportCharts = {};
+
+//The live updates stream, see "Live Updates" below
+let liveEvents = null; //The open EventSource
+let liveReconnectTimer = null;
+let liveReconnectDelay = 1000; //Doubles after every failed attempt, up to LIVE_RECONNECT_MAX_DELAY
+let liveReloadTimer = null;
+const liveChanges = new Set(); //The entities changed since the tables were last reloaded
+const LIVE_RECONNECT_MAX_DELAY = 30000;
+const LIVE_RELOAD_DELAY = 500;
+
+//The rows of the file being imported, as returned by the import preview
+let importRows = [];
+const IMPORT_FIELDS = ["name", "email", "course", "enrollmentDate", "status"];
 
 //Get all the DOM elements
 const studentTableBody = document.getElementById("studentTableBody");
-const allStudentTableBody = document.getElementById("allStudentTableBody");
+const allStudentTableBody = document.getElementById("allStudentsTableBody");
 const courseTableBody = document.getElementById("courseTableBody");
 const studentModal = document.getElementById("studentModal");
 const courseModal = document.getElementById("courseModal");
 const studentForm = document.getElementById("studentForm");
 const courseForm = document.getElementById("courseForm");
+const instructorModal = document.getElementById("instructorModal");
+const instructorForm = document.getElementById("instructorForm");
 const searchInput = document.querySelector(".search-bar input");
 const loadingSpinner = document.querySelector(".loading-spinner");
 
@@ -24,17 +97,159 @@ const loadingSpinner = document.querySelector(".loading-spinner");
 //It'll be listening if the content on the DOM is loaded, we'll call the initialize listeners function
 document.addEventListener("DOMContentLoaded", async () => {
   initializeEventListeners();
-  await checkAndLoadData();
+  await loadSettings(); //Public, so the login screen already shows the institution name
+
+  //Only load the dashboard when we still have a valid session, otherwise ask the user to log in
+  if (await restoreSession()) {
+    connectLiveUpdates();
+    await checkAndLoadData();
+  } else {
+    showLoginScreen();
+  }
 });
 
 //Initialize all event listeners
 function initializeEventListeners() {
   //Form submission
+  document.getElementById("loginForm").addEventListener("submit", handleLogin);
   studentForm.addEventListener("submit", handleFormSubmit);
   courseForm.addEventListener("submit", handleCourseFormSubmit);
+  instructorForm.addEventListener("submit", handleInstructorFormSubmit);
+  //A field error goes away as soon as the field is changed
+  studentForm.addEventListener("input", (e) => clearFieldError(e.target));
+  courseForm.addEventListener("input", (e) => clearFieldError(e.target));
+  instructorForm.addEventListener("input", (e) => clearFieldError(e.target));
+  document
+    .getElementById("statusForm")
+    .addEventListener("submit", handleStatusFormSubmit);
+  document
+    .getElementById("sessionForm")
+    .addEventListener("submit", handleSessionFormSubmit);
+  document
+    .getElementById("assessmentForm")
+    .addEventListener("submit", handleAssessmentFormSubmit);
+  document
+    .getElementById("enrollForm")
+    .addEventListener("submit", handleEnrollFormSubmit);
+  document
+    .getElementById("enrollCourse")
+    .addEventListener("change", loadOfferingOptions);
+  document
+    .getElementById("enrollOffering")
+    .addEventListener("change", handleOfferingChange);
+  document
+    .getElementById("offeringForm")
+    .addEventListener("submit", handleOfferingFormSubmit);
+  document
+    .getElementById("courseInstructorForm")
+    .addEventListener("submit", handleCourseInstructorFormSubmit);
+  document
+    .getElementById("instructorStatusFilter")
+    .addEventListener("change", () =>
+      renderInstructorTable(filterInstructors())
+    );
+  document
+    .getElementById("calendarCourse")
+    .addEventListener("change", loadCalendar);
+  document
+    .getElementById("importUploadForm")
+    .addEventListener("submit", handleImportUpload);
+  document
+    .getElementById("settingsForm")
+    .addEventListener("submit", handleSettingsFormSubmit);
+  document
+    .getElementById("settingsForm")
+    .addEventListener("input", (e) => clearFieldError(e.target));
+  document
+    .getElementById("settingDateFormat")
+    .addEventListener("change", renderDatePreview);
+  document
+    .getElementById("profileContactForm")
+    .addEventListener("submit", handleProfileContactSubmit);
+  document
+    .getElementById("profileContactForm")
+    .addEventListener("input", (e) => clearFieldError(e.target));
+  document
+    .getElementById("profilePhotoInput")
+    .addEventListener("change", handleProfilePhotoChange);
+  document
+    .getElementById("attachmentForm")
+    .addEventListener("submit", handleAttachmentFormSubmit);
+  document
+    .getElementById("noteForm")
+    .addEventListener("submit", handleNoteFormSubmit);
+  document
+    .getElementById("ledgerEntryForm")
+    .addEventListener("submit", handleLedgerEntryFormSubmit);
+  document
+    .getElementById("ledgerType")
+    .addEventListener("change", updateLedgerMethod);
+  document
+    .getElementById("feesCourseFilter")
+    .addEventListener("change", (e) => {
+      feesQuery.course = e.target.value;
+      feesQuery.page = 1;
+      loadStudentFees();
+    });
+  document.getElementById("feesPrevPage").addEventListener("click", () => {
+    feesQuery.page--;
+    loadStudentFees();
+  });
+  document.getElementById("feesNextPage").addEventListener("click", () => {
+    feesQuery.page++;
+    loadStudentFees();
+  });
+  document
+    .getElementById("requestStatusFilter")
+    .addEventListener("change", loadRequests);
+  document.getElementById("reportFilters").addEventListener("submit", (e) => {
+    e.preventDefault();
+    loadReports();
+  });
+
+  //Edits and "skip" ticks in the import preview table are written back to importRows
+  document
+    .getElementById("importPreviewBody")
+    .addEventListener("change", handleImportRowChange);
 
   //Search functionality
   searchInput.addEventListener("input", handleSearch);
+  searchInput.addEventListener("keydown", handleSearchKeydown);
+
+  //Sorting, filtering and paging of the "All Students" table
+  document
+    .querySelectorAll("#allStudentsTable th.sortable")
+    .forEach((header) =>
+      header.addEventListener("click", () =>
+        handleSortChange(header.dataset.sort)
+      )
+    );
+  [
+    ["studentStatusFilter", "status"],
+    ["studentCourseFilter", "course"],
+    ["studentInstructorFilter", "instructor"],
+    ["studentEnrolledFrom", "enrolledFrom"],
+    ["studentEnrolledTo", "enrolledTo"],
+  ].forEach(([elementId, param]) => {
+    document.getElementById(elementId).addEventListener("change", (e) => {
+      studentQuery[param] = e.target.value;
+      studentQuery.page = 1;
+      loadStudentPage();
+    });
+  });
+  document.getElementById("studentPageSize").addEventListener("change", (e) => {
+    studentQuery.limit = parseInt(e.target.value, 10);
+    studentQuery.page = 1;
+    loadStudentPage();
+  });
+  document.getElementById("studentPrevPage").addEventListener("click", () => {
+    studentQuery.page--;
+    loadStudentPage();
+  });
+  document.getElementById("studentNextPage").addEventListener("click", () => {
+    studentQuery.page++;
+    loadStudentPage();
+  });
 
   //Navigation functionality
   document.querySelectorAll(".nav-item").forEach((item) => {
@@ -48,6 +263,23 @@ function initializeEventListeners() {
   window.onclick = (e) => {
     if (e.target === studentModal) closeModal();
     if (e.target === courseModal) closeCourseModal();
+    if (e.target === instructorModal) closeInstructorModal();
+    if (e.target === document.getElementById("importModal")) closeImportModal();
+    if (e.target === document.getElementById("statusModal")) closeStatusModal();
+    if (e.target === document.getElementById("attendanceModal")) {
+      closeAttendanceModal();
+    }
+    if (e.target === document.getElementById("gradebookModal")) {
+      closeGradebookModal();
+    }
+    if (e.target === document.getElementById("transcriptModal")) {
+      closeTranscriptModal();
+    }
+    if (e.target === document.getElementById("waitlistModal")) {
+      closeWaitlistModal();
+    }
+    closeExportMenus();
+    if (!e.target.closest(".search-bar")) hideSearchSuggestions();
   };
 }
 
@@ -57,8 +289,8 @@ async function checkAndLoadData() {
   try {
     await loadCourses();
 
-    //Check inf we have any courses
-    if (courses.length === 0) {
+    //Check inf we have any courses (viewers cannot add one, so we don't ask them to)
+    if (courses.length === 0 && currentUser.role !== "viewer") {
       showNotification(
         "Please add courses before managing students",
         "warning"
@@ -68,7 +300,13 @@ async function checkAndLoadData() {
       return;
     }
 
-    await Promise.all([loadStudents(), updateDashboardStats()]);
+    await Promise.all([
+      loadStudentStatuses(),
+      loadStudents(),
+      loadInstructors(),
+      updateDashboardStats(),
+      loadRequestsBadge(),
+    ]);
   } catch (error) {
     console.error("Error during initialization:", error);
     showNotification("Error ininitializing application:", "error");
@@ -77,6 +315,249 @@ async function checkAndLoadData() {
   }
 }
 
+//Authentication functions
+
+//Every request to our API goes through here so the token is attached to all of them
+async function apiFetch(path, options = {}) {
+  const headers = { ...(options.headers || {}) };
+  if (authToken) headers.Authorization = `Bearer ${authToken}`;
+
+  const response = await fetch(`${API_BASE_URL}${path}`, {
+    ...options,
+    headers,
+  });
+
+  //The token expired or was revoked, so the user has to log in again
+  if (response.status === 401 && currentUser) {
+    clearSession();
+    showLoginScreen();
+    showNotification(
+      "Your session has expired, please log in again",
+      "warning"
+    );
+  }
+  return response;
+}
+
+//Check the stored token with the server and load the user it belongs to
+async function restoreSession() {
+  if (!authToken) return false;
+  try {
+    const response = await apiFetch("/auth/me");
+    if (!response.ok) {
+      clearSession();
+      return false;
+    }
+    setCurrentUser(await response.json());
+    return true;
+  } catch (error) {
+    console.error("Error restoring session", error);
+    return false;
+  }
+}
+
+async function handleLogin(e) {
+  e.preventDefault();
+  const loginError = document.getElementById("loginError");
+  loginError.textContent = "";
+  showLoading();
+
+  try {
+    const response = await apiFetch("/auth/login", {
+      method: "POST",
+      headers: { "Content-Type": "application/json" },
+      body: JSON.stringify({
+        email: document.getElementById("loginEmail").value.trim(),
+        password: document.getElementById("loginPassword").value,
+      }),
+    });
+    const data = await response.json();
+    if (!response.ok) throw new Error(data.message || "Login failed");
+
+    authToken = data.token;
+    localStorage.setItem("authToken", authToken);
+    setCurrentUser(data.user);
+    document.getElementById("loginForm").reset();
+    hideLoginScreen();
+  } catch (error) {
+    console.error("Error logging in", error);
+    loginError.textContent = error.message;
+    return;
+  } finally {
+    hideLoading();
+  }
+
+  navigateToSection("dashboard");
+  connectLiveUpdates();
+  await checkAndLoadData();
+}
+
+async function logout() {
+  try {
+    await apiFetch("/auth/logout", { method: "POST" });
+  } catch (error) {
+    console.error("Error logging out", error);
+  }
+  clearSession();
+  showLoginScreen();
+}
+
+function setCurrentUser(user) {
+  currentUser = user;
+  //The role on the body lets the CSS hide the buttons this user is not allowed to use
+  document.body.dataset.role = user.role;
+  document.getElementById("currentUserName").textContent = user.name;
+  document.getElementById("currentUserRole").textContent = user.role;
+}
+
+function clearSession() {
+  disconnectLiveUpdates();
+  authToken = null;
+  currentUser = null;
+  localStorage.removeItem("authToken");
+  delete document.body.dataset.role;
+}
+
+function showLoginScreen() {
+  document.getElementById("loginScreen").classList.add("active");
+}
+
+function hideLoginScreen() {
+  document.getElementById("loginScreen").classList.remove("active");
+}
+
+//Live Updates
+//The server pushes every change to students, courses and enrollments over Server-Sent Events,
+//so the tables and cards are reloaded in place when someone else changes something
+//EventSource can't send our Authorization header, so every connection starts with a short-lived ticket,
+//which is also why we reconnect ourselves instead of letting EventSource retry with an expired ticket
+
+async function connectLiveUpdates() {
+  disconnectLiveUpdates();
+  if (!authToken) return;
+
+  try {
+    const response = await apiFetch("/events/ticket", { method: "POST" });
+    if (!response.ok) throw new Error("Failed to get a live updates ticket");
+    const { ticket } = await response.json();
+
+    liveEvents = new EventSource(
+      `${API_BASE_URL}/events?ticket=${encodeURIComponent(ticket)}`
+    );
+    liveEvents.addEventListener("open", handleLiveOpen);
+    liveEvents.addEventListener("change", handleLiveChange);
+    liveEvents.addEventListener("stats", (e) =>
+      renderDashboardStats(JSON.parse(e.data))
+    );
+    liveEvents.addEventListener("error", scheduleLiveReconnect);
+  } catch (error) {
+    console.error("Error connecting to live updates", error);
+    scheduleLiveReconnect();
+  }
+}
+
+function disconnectLiveUpdates() {
+  clearTimeout(liveReconnectTimer);
+  liveReconnectTimer = null;
+  if (liveEvents) liveEvents.close();
+  liveEvents = null;
+  setLiveStatus(false);
+}
+
+//Changes made while the connection was down were missed, so a reconnect reloads everything
+function handleLiveOpen() {
+  const reconnected = liveReconnectDelay > 1000;
+  liveReconnectDelay = 1000;
+  setLiveStatus(true);
+  if (reconnected) queueLiveReload(["Student", "Course"]);
+}
+
+function handleLiveChange(e) {
+  const change = JSON.parse(e.data);
+  queueLiveReload([change.entity]);
+}
+
+function scheduleLiveReconnect() {
+  if (liveEvents) liveEvents.close();
+  liveEvents = null;
+  setLiveStatus(false);
+  if (!authToken || liveReconnectTimer) return;
+
+  liveReconnectTimer = setTimeout(() => {
+    liveReconnectTimer = null;
+    connectLiveUpdates();
+  }, liveReconnectDelay);
+  liveReconnectDelay = Math.min(
+    liveReconnectDelay * 2,
+    LIVE_RECONNECT_MAX_DELAY
+  );
+}
+
+//A burst of changes (e.g. an import or a transfer) reloads the tables only once
+function queueLiveReload(entities) {
+  entities.forEach((entity) => liveChanges.add(entity));
+  clearTimeout(liveReloadTimer);
+  liveReloadTimer = setTimeout(reloadLiveChanges, LIVE_RELOAD_DELAY);
+}
+
+async function reloadLiveChanges() {
+  const changed = new Set(liveChanges);
+  liveChanges.clear();
+  if (!currentUser) return;
+
+  //The course list feeds the dropdowns and filters, the seats in the courses table change with the enrollments
+  const studentsChanged = changed.has("Student") || changed.has("Enrollment");
+  const reloads = [];
+  if (
+    changed.has("Course") ||
+    changed.has("Instructor") ||
+    (studentsChanged && currentSection === "courses")
+  ) {
+    reloads.push(loadCourses());
+  }
+  //The workload of the instructors counts the students of their courses
+  if (
+    changed.has("Instructor") ||
+    (studentsChanged && currentSection === "instructors")
+  ) {
+    reloads.push(loadInstructors());
+  }
+  if (studentsChanged) reloads.push(loadStudents());
+  if (currentSection === "trash") reloads.push(loadTrash());
+  if (studentsChanged && currentSection === "profile") {
+    reloads.push(loadStudentProfile());
+  }
+  if (changed.has("StudentRequest")) {
+    reloads.push(
+      currentSection === "requests" ? loadRequests() : loadRequestsBadge()
+    );
+  }
+  if (changed.has("Settings")) reloads.push(loadSettings());
+  //An enrollment can create an invoice, and a payment changes what the student owes
+  if (
+    (changed.has("Invoice") || studentsChanged) &&
+    currentSection === "fees"
+  ) {
+    reloads.push(loadFees());
+  }
+  if (
+    changed.has("Invoice") &&
+    !studentsChanged &&
+    currentSection === "profile"
+  ) {
+    reloads.push(loadStudentProfile());
+  }
+  await Promise.all(reloads);
+}
+
+function setLiveStatus(connected) {
+  const status = document.getElementById("liveStatus");
+  status.classList.toggle("live-connected", connected);
+  status.title = connected
+    ? "Live updates are on"
+    : "Live updates are off, reconnecting...";
+}
+
 // Navigation functions
 function navigateToSection(section) {
   currentSection = section;
@@ -100,60 +581,158 @@ function navigateToSection(section) {
   // Refresh data when switching sections
   if (section === "courses") {
     loadCourses();
+  } else if (section === "instructors") {
+    loadInstructors();
   } else if (section === "students" || section === "dashboard") {
     loadStudents();
     updateDashboardStats();
+  } else if (section === "calendar") {
+    loadCalendar();
+  } else if (section === "reports") {
+    loadReports();
+  } else if (section === "fees") {
+    loadFees();
+  } else if (section === "trash") {
+    loadTrash();
+  } else if (section === "settings") {
+    renderSettingsForm();
+  } else if (section === "profile") {
+    loadStudentProfile();
+  } else if (section === "requests") {
+    loadRequests();
   }
 }
 
 
 async function updateDashboardStats() {
   try {
-    const response = await fetch(`${API_BASE_URL}/api/dashboard/stats`);
+    const response = await apiFetch(`/dashboard/stats`);
     if (!response.ok) throw new Error("Failed to fetch dashboard stats");
 
-    const stats = await response.json();
-
-    //Update dashboard cards with the data from the API
-    document.querySelector(".card:nth-child(1) . card-value").textContent =
-      stats.totalStudents.toLocaleString();
-    document.querySelector(".card:nth-child(2) . card-value").textContent =
-      stats.activeCourses.toLocaleString();
-    document.querySelector(".card:nth-child(3) . card-value").textContent =
-      stats.graduates.toLocaleString();
-    document.querySelector(
-      ".card:nth-child(4) . card-value"
-    ).textContent = `${stats.successRate}%`;
+    renderDashboardStats(await response.json());
   } catch (error) {
     console.error("Error updating dashboard stats", error);
     showNotification("Error updating dashboard stats", "error");
   }
 }
 
-//Load students data
+//Update dashboard cards with the data from the API, also used for the stats pushed by the live updates
+function renderDashboardStats(stats) {
+  document.querySelector(".card:nth-child(1) .card-value").textContent =
+    stats.totalStudents.toLocaleString();
+  document.querySelector(".card:nth-child(2) .card-value").textContent =
+    stats.activeCourses.toLocaleString();
+  document.querySelector(".card:nth-child(3) .card-value").textContent =
+    stats.graduates.toLocaleString();
+  document.querySelector(".card:nth-child(4) .card-value").textContent =
+    `${stats.successRate}%`;
+  document.querySelector(".card:nth-child(5) .card-value").textContent =
+    formatMoney(stats.outstandingFees);
+}
+
+//Load the student statuses and the allowed transitions between them
+async function loadStudentStatuses() {
+  try {
+    const response = await apiFetch("/students/statuses");
+    if (!response.ok) throw new Error("Failed to load student statuses");
+    studentStatuses = await response.json();
+    renderStatusOptions();
+  } catch (error) {
+    console.error("Error loading student statuses", error);
+  }
+}
+
+//The status filter of the "All Students" table and the status of a new student, with the labels from the settings
+function renderStatusOptions() {
+  const filter = document.getElementById("studentStatusFilter");
+  filter.innerHTML = `
+    <option value="">All statuses</option>
+    ${studentStatuses.statuses
+      .map(
+        (status) =>
+          `<option value="${status}">${escapeHtml(statusLabel(status))}</option>`
+      )
+      .join("")}`;
+  filter.value = studentQuery.status;
+
+  document.getElementById("studentStatus").innerHTML = studentStatuses.initial
+    .map(
+      (status) =>
+        `<option value="${status}">${escapeHtml(statusLabel(status))}</option>`
+    )
+    .join("");
+}
+
+//Load students data for both student tables
 async function loadStudents() {
+  await Promise.all([loadRecentStudents(), loadStudentPage()]);
+}
+
+//The dashboard only needs the newest few students
+async function loadRecentStudents() {
+  try {
+    const response = await apiFetch(
+      `/students?limit=${settings.recentStudentsLimit}&sort=-createdAt`
+    );
+    if (!response.ok) throw new Error("Failed to load recent students");
+
+    const result = await response.json();
+    renderStudentTable(result.data, studentTableBody);
+  } catch (error) {
+    console.error("Error loading recent students", error);
+    renderStudentTable([], studentTableBody);
+  }
+}
+
+//Load the current page of the "All Students" table using the page, sort and filters in studentQuery
+async function loadStudentPage() {
+  if (studentSearch.q) return loadSearchResults();
+
   try {
-    const response = await fetch(`${API_BASE_URL}/api/students`);
+    const params = new URLSearchParams();
+    Object.entries(studentQuery).forEach(([key, value]) => {
+      if (value !== "") params.set(key, value);
+    });
+
+    const response = await apiFetch(`/students?${params}`);
     if (!response.ok) throw new Error("Failed to load students data");
 
-    students = await response.json();
-    renderStudentTable(students);
+    const result = await response.json();
+
+    //If the current page no longer exists (e.g. after deleting), go back to the last page
+    if (result.page > result.pages && result.pages > 0) {
+      studentQuery.page = result.pages;
+      return loadStudentPage();
+    }
+
+    students = result.data;
+    renderStudentTable(students, allStudentTableBody);
+    renderStudentPagination(result);
   } catch (error) {
     console.error("Error loading students", error);
     showNotification("Error loading students", "error");
     students = [];
-    renderStudentTable([]);
+    renderStudentTable([], allStudentTableBody);
+    renderStudentPagination({ total: 0, page: 1, pages: 0 });
   }
 }
 
+//Clicking a column header sorts by that column, clicking it again flips the direction
+function handleSortChange(field) {
+  studentQuery.sort = studentQuery.sort === field ? `-${field}` : field;
+  studentQuery.page = 1;
+  loadStudentPage();
+}
+
 //Load Courses data from the API server
 async function loadCourses() {
   try {
-    const response = await fetch(`${API_BASE_URL}/api/courses`);
+    const response = await apiFetch(`/courses`);
     if (!response.ok) throw new Error("Failed to fetch Courses");
 
     courses = await response.json();
     updateCourseDropdown(courses);
+    updateCourseFilter(courses);
     renderCourseTable(courses);
     return courses;
   } catch (error) {
@@ -169,30 +748,28 @@ async function loadCourses() {
 //CRUD Operations for Students
 //---To Create Student
 async function createStudent(studentData) {
-  const response = await fetch(`${API_BASE_URL}/api/students`, {
+  const response = await apiFetch(`/students`, {
     method: "POST",
     headers: { "Content-Type": "application/json" },
     body: JSON.stringify(studentData),
   });
 
   if (!response.ok) {
-    const error = await response.json();
-    throw new Error(error.message || "Failed to create student");
+    throw apiError(await response.json(), "Failed to create student");
   }
   return response.json();
 }
 
 //To update a Student
 async function updateStudent(id, studentData) {
-  const response = await fetch(`${API_BASE_URL}/api/students/${id}`, {
+  const response = await apiFetch(`/students/${id}`, {
     method: "PUT",
     headers: { "Content-Type": "application/json" },
     body: JSON.stringify(studentData),
   });
 
   if (!response.ok) {
-    const error = await response.json();
-    throw new Error(error.message || "Faild to update student");
+    throw apiError(await response.json(), "Failed to update student");
   }
   return response.json();
 }
@@ -201,36 +778,34 @@ async function updateStudent(id, studentData) {
 async function deleteStudent(id) {
   deleteType = "student";
   deleteId = id;
-  document.getElementById("deleteComfirmationModal").style.display = "flex";
+  document.getElementById("deleteConfirmationModal").style.display = "flex";
 }
 
 //CRUD Operations for Courses
 //---To create a Course
 async function createCourse(courseData) {
-  const response = await fetch(`${API_BASE_URL}/api/courses/`, {
+  const response = await apiFetch(`/courses`, {
     method: "POST",
     headers: { "Content-Type": "application/json" },
     body: JSON.stringify(courseData),
   });
 
   if (!response.ok) {
-    const error = await response.json();
-    throw new Error(error.message || "Faild to create Course");
+    throw apiError(await response.json(), "Failed to create course");
   }
   return response.json();
 }
 
 //To update a Course
 async function updateCourse(id, courseData) {
-  const response = await fetch(`${API_BASE_URL}/api/courses/${id}`, {
+  const response = await apiFetch(`/courses/${id}`, {
     method: "PUT",
     headers: { "Content-Type": "application/json" },
     body: JSON.stringify(courseData),
   });
 
   if (!response.ok) {
-    const error = await response.json();
-    throw new Error(error.message || "Faild to update course");
+    throw apiError(await response.json(), "Failed to update course");
   }
   return response.json();
 }
@@ -239,21 +814,21 @@ async function updateCourse(id, courseData) {
 async function deleteCourse(id) {
   deleteType = "course";
   deleteId = id;
-  document.getElementById("deleteComfirmationModal").style.display = "flex";
+  document.getElementById("deleteConfirmationModal").style.display = "flex";
 }
 
 function closeDeleteModal() {
-  document.getElementById("deleteComfirmationModal").style.display = "none";
+  document.getElementById("deleteConfirmationModal").style.display = "none";
   deleteType = "";
   deleteId = null;
 }
 
-//Comfirm Delete by type
-async function comfirmDelete() {
+//Confirm Delete by type
+async function confirmDelete() {
   showLoading();
   try {
     if (deleteType === "student") {
-      const response = await fetch(`${API_BASE_URL}/api/students/${deleteId}`, {
+      const response = await apiFetch(`/students/${deleteId}`, {
         method: "DELETE",
       });
 
@@ -261,19 +836,20 @@ async function comfirmDelete() {
         throw new Error("Failed to delete student");
       }
 
-      showNotification("Student deleted successfully!", "success");
+      showNotification("Student moved to the trash", "success");
       await loadStudents();
       await updateDashboardStats();
     } else if (deleteType === "course") {
-      const response = await fetch(`${API_BASE_URL}/api/course/${deleteId}`, {
+      const response = await apiFetch(`/courses/${deleteId}`, {
         method: "DELETE",
       });
 
+      //A 409 means students are still enrolled, the message lists them
       if (!response.ok) {
         const error = await response.json();
         throw new Error(error.message || "Failed to delete course");
       }
-      showNotification("Course deleted successfully!", "success");
+      showNotification("Course moved to the trash", "success");
       await loadCourses();
       await updateDashboardStats();
     }
@@ -292,23 +868,25 @@ async function comfirmDelete() {
 //Form Handling
 async function handleFormSubmit(e) {
   e.preventDefault();
+  clearFieldErrors(studentForm);
   showLoading();
 
   const studentData = {
     name: document.getElementById("studentName").value.trim(),
     email: document.getElementById("studentEmail").value.trim(),
-    course: document.getElementById("studentCourse").value.trim(),
-    enrollmentDate: document.getElementById("enrollmentDate").value,
-    status: "active",
-    //
   };
 
   try {
     if (editingId) {
+      //The status and courses are not sent when editing, they change through the status dialog and the Enrollments tab
       await updateStudent(editingId, studentData);
       showNotification("Student updated successfully", "success");
     } else {
-      await createStudent(studentData);
+      studentData.status = document.getElementById("studentStatus").value;
+      studentData.course = document.getElementById("studentCourse").value;
+      studentData.enrollmentDate =
+        document.getElementById("enrollmentDate").value;
+      await sendWithOverrides(createStudent, studentData);
       showNotification("Student created successfully", "success");
     }
     closeModal();
@@ -316,7 +894,13 @@ async function handleFormSubmit(e) {
     await updateDashboardStats();
   } catch (error) {
     console.error("Error", error);
-    showNotification("Error saving student data", "error");
+    showFieldErrors(STUDENT_FORM_FIELDS, error.fieldErrors);
+    showNotification(
+      error.fieldErrors
+        ? "Please correct the highlighted fields"
+        : error.message || "Error saving student data",
+      "error"
+    );
   } finally {
     hideLoading();
   }
@@ -325,45 +909,147 @@ async function handleFormSubmit(e) {
 //Handle course form submission
 async function handleCourseFormSubmit(e) {
   e.preventDefault();
+  clearFieldErrors(courseForm);
   showLoading();
 
   const courseData = {
     name: document.getElementById("courseName").value.trim(),
     description: document.getElementById("courseDescription").value.trim(),
     duration: parseInt(document.getElementById("courseDuration").value, 10),
+    //An empty capacity means the course has no limit
+    capacity:
+      parseInt(document.getElementById("courseCapacity").value, 10) || null,
+    //An empty fee means the course is free
+    fee:
+      document.getElementById("courseFee").value === ""
+        ? null
+        : Number(document.getElementById("courseFee").value),
     status: document.getElementById("courseStatus").value,
   };
 
   try {
-    if (editingId) {
-      await updateCourse(editingId, courseData);
+    if (editingCourseId) {
+      await updateCourse(editingCourseId, courseData);
       showNotification("Course updated successfully", "success");
     } else {
       await createCourse(courseData);
       showNotification("Course created successfully", "success");
     }
-    closeModal();
+    closeCourseModal();
     await loadCourses();
     await updateDashboardStats();
   } catch (error) {
     console.error("Error", error);
-    showNotification("Error saving course data", "error");
+    showFieldErrors(COURSE_FORM_FIELDS, error.fieldErrors);
+    showNotification(
+      error.fieldErrors
+        ? "Please correct the highlighted fields"
+        : error.message || "Error saving course data",
+      "error"
+    );
   } finally {
     hideLoading();
   }
 }
-//UI Rendering Functions
-function renderStudentTable(studentToRender) {
-  const tables = [studentTableBody, allStudentTableBody];
+//Inline Form Errors
+//A 422 from the API has a message per field, e.g. { errors: { email: "Email must be a valid email" } }
+//These maps say which input each field belongs to
+const STUDENT_FORM_FIELDS = {
+  name: "studentName",
+  email: "studentEmail",
+  course: "studentCourse",
+  enrollmentDate: "enrollmentDate",
+  status: "studentStatus",
+};
+const COURSE_FORM_FIELDS = {
+  name: "courseName",
+  description: "courseDescription",
+  duration: "courseDuration",
+  capacity: "courseCapacity",
+  fee: "courseFee",
+  status: "courseStatus",
+};
+const INSTRUCTOR_FORM_FIELDS = {
+  name: "instructorName",
+  email: "instructorEmail",
+  phone: "instructorPhone",
+  title: "instructorTitle",
+  status: "instructorStatus",
+};
+
+//Turn an API error response into an Error that also carries the field errors
+//and whether an enrollment was refused because the course is full or the timetable clashes
+function apiError(body, defaultMessage) {
+  const error = new Error(body.message || defaultMessage);
+  error.fieldErrors = body.errors;
+  error.full = body.full === true;
+  error.clash = body.clash === true;
+  return error;
+}
+
+//An enrollment refused for one of these reasons can still go ahead if the user agrees,
+//it is then sent again with the field set
+const ENROLLMENT_OVERRIDES = [
+  {
+    reason: "full",
+    field: "waitlist",
+    question: "Put the student on the waitlist?",
+  },
+  {
+    reason: "clash",
+    field: "allowClash",
+    question: "Enroll the student anyway?",
+  },
+];
+
+//send posts the enrollment data and throws the apiError when it is refused
+async function sendWithOverrides(send, data) {
+  try {
+    return await send(data);
+  } catch (error) {
+    const override = ENROLLMENT_OVERRIDES.find(
+      ({ reason, field }) => error[reason] && !data[field]
+    );
+    if (!override || !confirm(`${error.message}. ${override.question}`)) {
+      throw error;
+    }
+    return sendWithOverrides(send, { ...data, [override.field]: true });
+  }
+}
+
+function showFieldErrors(formFields, fieldErrors) {
+  Object.entries(fieldErrors || {}).forEach(([field, message]) => {
+    const input = document.getElementById(formFields[field]);
+    if (!input) return;
+
+    input.classList.add("invalid");
+    const hint = document.createElement("span");
+    hint.className = "field-error";
+    hint.textContent = message;
+    input.closest(".form-group").appendChild(hint);
+  });
+}
+
+function clearFieldError(input) {
+  input.classList.remove("invalid");
+  const group = input.closest(".form-group");
+  const hint = group && group.querySelector(".field-error");
+  if (hint) hint.remove();
+}
+
+function clearFieldErrors(form) {
+  form.querySelectorAll(".invalid").forEach(clearFieldError);
+}
 
-  tables.forEach((table) => {
-    if (!table) return; // Skiip if table doesn't exist
+//UI Rendering Functions
+function renderStudentTable(studentToRender, table) {
+  if (!table) return; // Skiip if table doesn't exist
 
-    table.innerHTML = "";
+  table.innerHTML = "";
 
-    if (studentToRender.length === 0) {
-      const colSpan = table.closest("table").querySelectorAll("th").length;
-      table.innerHTML = `
+  if (studentToRender.length === 0) {
+    const colSpan = table.closest("table").querySelectorAll("th").length;
+    table.innerHTML = `
             <tr>
                 <td colSpan="${colSpan}"
                 class="empty-state">
@@ -373,36 +1059,70 @@ function renderStudentTable(studentToRender) {
                 </td>
             </tr>
             `;
-      return;
-    }
+    return;
+  }
 
-    studentToRender.forEach((student) => {
-      const row = document.createElement("tr");
-      row.innerHTML = `
+  studentToRender.forEach((student) => {
+    const row = document.createElement("tr");
+    row.innerHTML = `
             <td>${student._id}</td>
-            <td>${escapeHtml(student.name)}</td>
-            <td>${escapeHtml(student.courseName || student.crouse)}</td>
-            <td>${formDate(student.enrollmentDate)}</td>
+            <td>
+                <a href="#" class="student-link" onclick="openStudentProfile('${student._id}'); return false;">
+                ${escapeHtml(student.name)}
+                </a>
+            </td>
+            <td>${formatCourses(student)}</td>
+            <td>${formatEnrollmentDate(student)}</td>
             <td>
                 <span class="status-badge status-${student.status}">
-                ${capitalizedFirstLetter(student.status)}
+                ${escapeHtml(statusLabel(student.status))}
                 </span>
             </td>
+            <td>${formatRate(student.attendanceRate)}</td>
             <td class="action-buttons">
-                <button class="action-btn edit-btn" onClick="editStudent(student._id)">
+                <button class="action-btn edit-btn" onClick="editStudent('${student._id}')">
                 <i class="fa fa-edit"></i>Edit
                 </button>
 
-                <button class="action-btn delete-btn" onClick="deleteStudent(student._id)">
+                <button class="action-btn status-btn" onClick="openStatusModal('${student._id}')">
+                <i class="fa fa-exchange-alt"></i>Status
+                </button>
+
+                <button class="action-btn status-btn" onClick="openTranscriptModal('${student._id}')">
+                <i class="fa fa-scroll"></i>Transcript
+                </button>
+
+                <button class="action-btn delete-btn" onClick="deleteStudent('${student._id}')">
                 <i class = "fa fa-trash"></i>Delete
                 </button>
             </td>
             `;
-      table.appendChild(row);
-    });
+    table.appendChild(row);
   });
 }
 
+//Update the pagination controls under the "All Students" table
+function renderStudentPagination({ total, page, pages }) {
+  document.getElementById("studentPaginationInfo").textContent =
+    `${total.toLocaleString()} student(s)`;
+  document.getElementById("studentPageNumber").textContent =
+    `Page ${pages === 0 ? 0 : page} of ${pages}`;
+  document.getElementById("studentPrevPage").disabled = page <= 1;
+  document.getElementById("studentNextPage").disabled = page >= pages;
+
+  //Show which column the table is sorted by and in which direction
+  const sortField = studentQuery.sort.replace(/^-/, "");
+  const descending = studentQuery.sort.startsWith("-");
+  document
+    .querySelectorAll("#allStudentsTable th.sortable")
+    .forEach((header) => {
+      header.classList.remove("sorted-asc", "sorted-desc");
+      if (header.dataset.sort === sortField) {
+        header.classList.add(descending ? "sorted-desc" : "sorted-asc");
+      }
+    });
+}
+
 //Update Course Dropdown
 function updateCourseDropdown(courses) {
   const courseSelect = document.getElementById("studentCourse"); // Replace with the actual ID of your dropdown element
@@ -425,13 +1145,34 @@ function updateCourseDropdown(courses) {
     });
 }
 
+//Fill the course filters of the "All Students" table, the Calendar, the Reports and the Fees, keeping the current selection
+function updateCourseFilter(courses) {
+  [
+    "studentCourseFilter",
+    "calendarCourse",
+    "reportCourse",
+    "feesCourseFilter",
+  ].forEach((elementId) => {
+    const courseFilter = document.getElementById(elementId);
+    const selected = courseFilter.value;
+    courseFilter.innerHTML = `<option value="">All courses</option>`;
+    courses.forEach((course) => {
+      const option = document.createElement("option");
+      option.value = course._id;
+      option.textContent = course.name;
+      courseFilter.appendChild(option);
+    });
+    courseFilter.value = selected;
+  });
+}
+
 function renderCourseTable(coursesToRender) {
   courseTableBody.innerHTML = "";
 
   if (coursesToRender.length === 0) {
     courseTableBody.innerHTML = `
         <tr>
-            <td colspan="6" class="empty-state">
+            <td colspan="8" class="empty-state">
                 <i class="fa fa-book"></i>
                 <h3>No Courses Found!</h3>
                 <p>Click "Add Course" to add your first course</p>
@@ -441,22 +1182,6 @@ function renderCourseTable(coursesToRender) {
     return;
   }
 
-  // To define escapeHtml
-  function escapeHtml(str) {
-    if (typeof str !== "string") return str;
-    return str
-      .replace(/&/g, "&amp;")
-      .replace(/</g, "&lt;")
-      .replace(/>/g, "&gt;")
-      .replace(/"/g, "&quot;")
-      .replace(/'/g, "&#039;");
-  }
-  
-  function capitalizedFirstLetter(str) {
-    if (typeof str !== "string" || str.length === 0) return str;
-    return str.charAt(0).toUpperCase() + str.slice(1);
-  }
-  
   coursesToRender.forEach((course) => {
     const row = document.createElement("tr");
     row.innerHTML = `
@@ -464,6 +1189,8 @@ function renderCourseTable(coursesToRender) {
         <td>${escapeHtml(course.name)}</td>
         <td>${escapeHtml(course.description)}</td>
         <td>${course.duration}</td>
+        <td>${formatSeats(course)}</td>
+        <td>${formatInstructors(course)}</td>
         <td>
             <span class="status-badge status-${course.status}">
                 ${capitalizedFirstLetter(course.status)}
@@ -474,7 +1201,19 @@ function renderCourseTable(coursesToRender) {
             <i class="fa fa-edit"></i>Edit
             </button>
 
-            <button class="action-btn delete-btn" onClick="deleteCourse('${course._id}')">
+            <button class="action-btn status-btn" onclick="openWaitlistModal('${course._id}')">
+            <i class="fa fa-user-clock"></i>Waitlist
+            </button>
+
+            <button class="action-btn status-btn" onclick="openAttendanceModal('${course._id}')">
+            <i class="fa fa-clipboard-check"></i>Attendance
+            </button>
+
+            <button class="action-btn status-btn" onclick="openGradebookModal('${course._id}')">
+            <i class="fa fa-graduation-cap"></i>Grades
+            </button>
+
+            <button class="action-btn delete-btn admin-only" onClick="deleteCourse('${course._id}')">
             <i class = "fa fa-trash"></i>Delete
             </button>
         </td>
@@ -483,78 +1222,3356 @@ function renderCourseTable(coursesToRender) {
   });
 }
 
-//Modal Operations
-function openModal() {
-  if (courses.length === 0) {
-    showNotification(
-      "Please add at least one course before adding a student",
-      "warning"
-    );
-    navigateToSection("courses");
-    openCourseModal();
-    return;
-  }
-
-  studentModal.style.display = "flex";
-  editingId = null;
-  studentForm.reset();
-  document.getElementById("modalTitle").textContent = "Add New Student";
-}
-
-function closeModal() {
-  studentModal.style.display = "none";
-  editingId = null;
-  studentForm.reset();
-}
-
-function openCourseModal() {
-  courseModal.style.display = "flex";
-  editingCourseId = null;
-  courseForm.reset();
-  document.getElementById("courseModalTitle").textContent = "Add New Course";
+//Seats used out of the capacity, e.g. "18 / 20 (3 waiting)"
+function formatSeats(course) {
+  const seats = `${course.seatsUsed || 0} / ${course.capacity || "&infin;"}`;
+  return course.waitlisted
+    ? `${seats} <span class="history-meta">(${course.waitlisted} waiting)</span>`
+    : seats;
 }
 
-function closeCourseModal() {
-  courseModal.style.display = "none";
-  editingCourseId = null;
-  courseForm.reset();
-}
+//Trash
 
-//Update the editCourse function
-async function editCourse(id) {
+async function loadTrash() {
   showLoading();
-
   try {
-    const response = await fetch(`${API_BASE_URL}/api/courses/${id}`);
-    const contentType = response.headers.get("content-type");
-
+    const response = await apiFetch("/trash");
+    const trash = await response.json();
     if (!response.ok) {
-      const errorMessage = contentType.includes("application/json")
-        ? (await response.json()).message
-        : await response.text();
-      throw new Error(errorMessage || "Failed to fetch Course");
+      throw new Error(trash.message || "Failed to load the trash");
     }
 
-    const course = await response.json();
-
-    editingCourseId = id;
-    document.getElementById("courseModalTitle").textContent = "Edit Course";
-    document.getElementById("courseName").value = course.name;
-    document.getElementById("courseDescription").value = course.description;
-    document.getElementById("courseDuration").value = course.duration;
-    document.getElementById("courseStatus").value = course.status;
-
-    courseModal.style.display = "flex";
+    document.getElementById("trashRetention").textContent =
+      trash.retentionDays > 0
+        ? `Deleted items are removed for good after ${trash.retentionDays} days.`
+        : "Deleted items are kept until they are restored.";
+    renderTrashStudents(trash.students);
+    renderTrashCourses(trash.courses);
   } catch (error) {
-    console.error("An error occurred while loading course for edit", error);
-    showNotification(error.message || "Error loading course data", "error");
+    console.error("Error loading trash", error);
+    showNotification(error.message || "Error loading trash", "error");
   } finally {
     hideLoading();
   }
 }
 
+function renderTrashStudents(trashedStudents) {
+  const body = document.getElementById("trashStudentsBody");
+  if (trashedStudents.length === 0) {
+    body.innerHTML = `<tr><td colspan="5" class="empty-state">No deleted students</td></tr>`;
+    return;
+  }
+
+  body.innerHTML = trashedStudents
+    .map(
+      (student) => `
+        <tr>
+            <td>${escapeHtml(student.name)}</td>
+            <td>${escapeHtml(student.email)}</td>
+            <td>${formatCourses(student)}</td>
+            <td>${formatDate(student.deletedAt)}</td>
+            <td>
+                <button class="action-btn edit-btn" onclick="restoreItem('students', '${student._id}')">
+                <i class="fa fa-undo"></i>Restore
+                </button>
+            </td>
+        </tr>`
+    )
+    .join("");
+}
+
+function renderTrashCourses(trashedCourses) {
+  const body = document.getElementById("trashCoursesBody");
+  if (trashedCourses.length === 0) {
+    body.innerHTML = `<tr><td colspan="4" class="empty-state">No deleted courses</td></tr>`;
+    return;
+  }
+
+  body.innerHTML = trashedCourses
+    .map(
+      (course) => `
+        <tr>
+            <td>${escapeHtml(course.name)}</td>
+            <td>${course.duration}</td>
+            <td>${formatDate(course.deletedAt)}</td>
+            <td>
+                <button class="action-btn edit-btn admin-only" onclick="restoreItem('courses', '${course._id}')">
+                <i class="fa fa-undo"></i>Restore
+                </button>
+            </td>
+        </tr>`
+    )
+    .join("");
+}
+
+//type is "students" or "courses"
+async function restoreItem(type, id) {
+  showLoading();
+  try {
+    const response = await apiFetch(`/${type}/${id}/restore`, {
+      method: "POST",
+    });
+    //A 409 means one of the student's courses has to be restored first
+    if (!response.ok) {
+      const error = await response.json();
+      throw new Error(error.message || "Failed to restore");
+    }
+
+    showNotification(
+      type === "students" ? "Student restored" : "Course restored",
+      "success"
+    );
+    if (type === "courses") await loadCourses(); //Puts the course back in the dropdowns
+    await loadTrash();
+  } catch (error) {
+    console.error("Error restoring item", error);
+    showNotification(error.message || "Error restoring item", "error");
+  } finally {
+    hideLoading();
+  }
+}
+
+//Attendance
+//The attendance dialog lists the sessions of a course, picking one shows its register to mark
+
+async function openAttendanceModal(courseId) {
+  const course = courses.find((course) => course._id === courseId);
+  attendanceCourseId = courseId;
+  attendanceSessionId = null;
+  document.getElementById("attendanceModalTitle").textContent =
+    `Attendance: ${course ? course.name : ""}`;
+  document.getElementById("sessionForm").reset();
+  document.getElementById("sessionDate").value = formatDateForInput(new Date());
+  document.getElementById("registerTitle").textContent =
+    "Pick a session to take the register";
+  document.getElementById("registerBody").innerHTML = "";
+  document.getElementById("registerActions").style.display = "none";
+  document.getElementById("attendanceModal").style.display = "flex";
+
+  showLoading();
+  try {
+    await Promise.all([loadAttendanceSessions(), loadCourseAttendance()]);
+  } finally {
+    hideLoading();
+  }
+}
+
+function closeAttendanceModal() {
+  document.getElementById("attendanceModal").style.display = "none";
+  attendanceCourseId = null;
+  attendanceSessionId = null;
+}
+
+async function loadAttendanceSessions() {
+  try {
+    const response = await apiFetch(
+      `/courses/${attendanceCourseId}/sessions`
+    );
+    const sessions = await response.json();
+    if (!response.ok) {
+      throw new Error(sessions.message || "Failed to load sessions");
+    }
+
+    document.getElementById("sessionList").innerHTML =
+      sessions.length === 0
+        ? `<li class="history-meta">No sessions yet</li>`
+        : sessions
+            .map(
+              (session) => `
+            <li class="${session._id === attendanceSessionId ? "active" : ""}" onclick="openRegister('${session._id}')">
+                <strong>${formatDate(session.date)}</strong> ${escapeHtml(session.topic)}
+                <span class="history-meta">
+                    ${session.counts.sessions ? `${session.counts.present + session.counts.late} of ${session.counts.sessions} attended` : "Register not taken"}
+                </span>
+            </li>`
+            )
+            .join("");
+  } catch (error) {
+    console.error("Error loading sessions", error);
+    showNotification(error.message || "Error loading sessions", "error");
+  }
+}
+
+async function loadCourseAttendance() {
+  try {
+    const response = await apiFetch(
+      `/courses/${attendanceCourseId}/attendance`
+    );
+    const attendance = await response.json();
+    if (!response.ok) {
+      throw new Error(attendance.message || "Failed to load attendance");
+    }
+
+    courseAttendanceRates = new Map(
+      attendance.students.map((row) => [row.student._id, row.rate])
+    );
+    document.getElementById("attendanceSummary").innerHTML =
+      `${attendance.sessions} session(s), overall attendance ${formatRate(attendance.rate)}`;
+  } catch (error) {
+    console.error("Error loading attendance", error);
+    showNotification(error.message || "Error loading attendance", "error");
+  }
+}
+
+async function handleSessionFormSubmit(e) {
+  e.preventDefault();
+  showLoading();
+  try {
+    const response = await apiFetch(
+      `/courses/${attendanceCourseId}/sessions`,
+      {
+        method: "POST",
+        headers: { "Content-Type": "application/json" },
+        body: JSON.stringify({
+          date: document.getElementById("sessionDate").value,
+          topic: document.getElementById("sessionTopic").value.trim(),
+        }),
+      }
+    );
+    const session = await response.json();
+    if (!response.ok) {
+      throw new Error(session.message || "Failed to add session");
+    }
+
+    document.getElementById("sessionTopic").value = "";
+    showNotification("Session added", "success");
+    await openRegister(session._id); //Straight on to taking the register
+  } catch (error) {
+    console.error("Error adding session", error);
+    showNotification(error.message || "Error adding session", "error");
+  } finally {
+    hideLoading();
+  }
+}
+
+async function openRegister(sessionId) {
+  try {
+    const response = await apiFetch(`/sessions/${sessionId}/register`);
+    const register = await response.json();
+    if (!response.ok) {
+      throw new Error(register.message || "Failed to load the register");
+    }
+
+    attendanceSessionId = sessionId;
+    renderRegister(register);
+    await loadAttendanceSessions(); //Highlights the picked session
+  } catch (error) {
+    console.error("Error loading register", error);
+    showNotification(error.message || "Error loading the register", "error");
+  }
+}
+
+function renderRegister({ session, students }) {
+  document.getElementById("registerTitle").textContent =
+    `Register for ${formatDate(session.date)}${session.topic ? `: ${session.topic}` : ""}`;
+  document.getElementById("registerActions").style.display =
+    students.length > 0 ? "flex" : "none";
+
+  if (students.length === 0) {
+    document.getElementById("registerBody").innerHTML = `
+        <tr><td colspan="3" class="empty-state">No students are enrolled in this course</td></tr>`;
+    return;
+  }
+
+  document.getElementById("registerBody").innerHTML = students
+    .map(
+      ({ student, status }) => `
+        <tr>
+            <td>
+                ${escapeHtml(student.name)}
+                ${student.status !== "enrolled" ? `<span class="status-badge status-${student.status}">${escapeHtml(statusLabel(student.status))}</span>` : ""}
+            </td>
+            <td>${formatRate(courseAttendanceRates.get(student._id))}</td>
+            <td>
+                <select class="register-mark" data-student="${student._id}">
+                    <option value="">Not marked</option>
+                    ${["present", "absent", "late", "excused"]
+                      .map(
+                        (mark) =>
+                          `<option value="${mark}" ${mark === status ? "selected" : ""}>${capitalizedFirstLetter(mark)}</option>`
+                      )
+                      .join("")}
+                </select>
+            </td>
+        </tr>`
+    )
+    .join("");
+}
+
+//Only fills in the students that have no mark yet
+function markAllPresent() {
+  document.querySelectorAll(".register-mark").forEach((select) => {
+    if (!select.value) select.value = "present";
+  });
+}
+
+async function saveRegister() {
+  const records = [...document.querySelectorAll(".register-mark")]
+    .filter((select) => select.value)
+    .map((select) => ({
+      student: select.dataset.student,
+      status: select.value,
+    }));
+  if (records.length === 0) {
+    showNotification("Mark at least one student first", "warning");
+    return;
+  }
+
+  showLoading();
+  try {
+    const response = await apiFetch(
+      `/sessions/${attendanceSessionId}/register`,
+      {
+        method: "PUT",
+        headers: { "Content-Type": "application/json" },
+        body: JSON.stringify({ records }),
+      }
+    );
+    const register = await response.json();
+    if (!response.ok) {
+      throw new Error(register.message || "Failed to save the register");
+    }
+
+    showNotification("Register saved", "success");
+    await Promise.all([loadCourseAttendance(), loadAttendanceSessions()]);
+    renderRegister(register);
+  } catch (error) {
+    console.error("Error saving register", error);
+    showNotification(error.message || "Error saving the register", "error");
+  } finally {
+    hideLoading();
+  }
+}
+
+//Grades
+//The gradebook dialog shows every student of a course against its assessments, the scores can be edited in place
+
+async function openGradebookModal(courseId) {
+  const course = courses.find((course) => course._id === courseId);
+  gradebookCourseId = courseId;
+  document.getElementById("gradebookModalTitle").textContent =
+    `Grades: ${course ? course.name : ""}`;
+  document.getElementById("assessmentForm").reset();
+  document.getElementById("gradebookModal").style.display = "flex";
+
+  showLoading();
+  try {
+    await loadGradebook();
+  } finally {
+    hideLoading();
+  }
+}
+
+function closeGradebookModal() {
+  document.getElementById("gradebookModal").style.display = "none";
+  gradebookCourseId = null;
+}
+
+async function loadGradebook() {
+  try {
+    const response = await apiFetch(
+      `/courses/${gradebookCourseId}/gradebook`
+    );
+    const gradebook = await response.json();
+    if (!response.ok) {
+      throw new Error(gradebook.message || "Failed to load the gradebook");
+    }
+    renderGradebook(gradebook);
+  } catch (error) {
+    console.error("Error loading gradebook", error);
+    showNotification(error.message || "Error loading the gradebook", "error");
+  }
+}
+
+function renderGradebook({ assessments, students }) {
+  document.getElementById("gradebookHead").innerHTML = `
+        <tr>
+            <th>Student</th>
+            ${assessments
+              .map(
+                (assessment) => `
+            <th>
+                ${escapeHtml(assessment.name)}
+                <span class="history-meta">Weight ${assessment.weight}, out of ${assessment.maxScore}</span>
+                <button class="assessment-delete" title="Delete assessment" onclick="deleteAssessment('${assessment._id}')">&times;</button>
+            </th>`
+              )
+              .join("")}
+            <th>Final</th>
+            <th>Grade</th>
+        </tr>`;
+  document.getElementById("gradebookActions").style.display =
+    assessments.length > 0 && students.length > 0 ? "flex" : "none";
+
+  if (students.length === 0) {
+    document.getElementById("gradebookBody").innerHTML = `
+        <tr><td colspan="${assessments.length + 3}" class="empty-state">No students are enrolled in this course</td></tr>`;
+    return;
+  }
+
+  document.getElementById("gradebookBody").innerHTML = students
+    .map(
+      ({ student, scores, finalScore, letter }) => `
+        <tr>
+            <td>${escapeHtml(student.name)}</td>
+            ${assessments
+              .map(
+                (assessment) => `
+            <td>
+                <input type="number" class="grade-input" min="0" max="${assessment.maxScore}" step="any"
+                    data-student="${student._id}" data-assessment="${assessment._id}"
+                    data-saved="${scores[assessment._id] ?? ""}" value="${scores[assessment._id] ?? ""}" />
+            </td>`
+              )
+              .join("")}
+            <td>${finalScore === null ? "&mdash;" : `${finalScore}%`}</td>
+            <td>${letter ? `<span class="grade-letter">${escapeHtml(letter)}</span>` : "&mdash;"}</td>
+        </tr>`
+    )
+    .join("");
+}
+
+async function handleAssessmentFormSubmit(e) {
+  e.preventDefault();
+  showLoading();
+  try {
+    const response = await apiFetch(
+      `/courses/${gradebookCourseId}/assessments`,
+      {
+        method: "POST",
+        headers: { "Content-Type": "application/json" },
+        body: JSON.stringify({
+          name: document.getElementById("assessmentName").value.trim(),
+          weight: Number(document.getElementById("assessmentWeight").value),
+          maxScore: Number(document.getElementById("assessmentMaxScore").value),
+        }),
+      }
+    );
+    const assessment = await response.json();
+    if (!response.ok) {
+      throw new Error(assessment.message || "Failed to add assessment");
+    }
+
+    document.getElementById("assessmentForm").reset();
+    showNotification("Assessment added", "success");
+    await loadGradebook();
+  } catch (error) {
+    console.error("Error adding assessment", error);
+    showNotification(error.message || "Error adding assessment", "error");
+  } finally {
+    hideLoading();
+  }
+}
+
+async function deleteAssessment(assessmentId) {
+  if (!confirm("Delete this assessment and all of its grades?")) return;
+
+  showLoading();
+  try {
+    const response = await apiFetch(`/assessments/${assessmentId}`, {
+      method: "DELETE",
+    });
+    const result = await response.json();
+    if (!response.ok) {
+      throw new Error(result.message || "Failed to delete assessment");
+    }
+
+    showNotification("Assessment deleted", "success");
+    await loadGradebook();
+  } catch (error) {
+    console.error("Error deleting assessment", error);
+    showNotification(error.message || "Error deleting assessment", "error");
+  } finally {
+    hideLoading();
+  }
+}
+
+//Only the scores that were changed are sent, an emptied score removes the grade
+async function saveGrades() {
+  const grades = [...document.querySelectorAll(".grade-input")]
+    .filter((input) => input.value !== input.dataset.saved)
+    .map((input) => ({
+      assessment: input.dataset.assessment,
+      student: input.dataset.student,
+      score: input.value === "" ? null : Number(input.value),
+    }));
+  if (grades.length === 0) {
+    showNotification("No grades were changed", "warning");
+    return;
+  }
+
+  showLoading();
+  try {
+    const response = await apiFetch(
+      `/courses/${gradebookCourseId}/grades`,
+      {
+        method: "PUT",
+        headers: { "Content-Type": "application/json" },
+        body: JSON.stringify({ grades }),
+      }
+    );
+    const gradebook = await response.json();
+    if (!response.ok) {
+      throw new Error(gradebook.message || "Failed to save grades");
+    }
+
+    showNotification("Grades saved", "success");
+    renderGradebook(gradebook);
+  } catch (error) {
+    console.error("Error saving grades", error);
+    showNotification(error.message || "Error saving grades", "error");
+  } finally {
+    hideLoading();
+  }
+}
+
+//The letter grade bands are edited in the Settings section and saved together with the other settings
+function renderGradingBands(bands) {
+  document.getElementById("gradingBands").innerHTML = bands
+    .map(
+      (band) => `
+        <li>
+            <input type="text" class="band-letter" value="${escapeHtml(band.letter)}" maxlength="5" />
+            from
+            <input type="number" class="band-min" value="${band.min}" min="0" max="100" step="any" />%
+            <button type="button" class="assessment-delete admin-only" title="Remove band" onclick="this.parentElement.remove()">&times;</button>
+        </li>`
+    )
+    .join("");
+}
+
+function addGradingBand() {
+  const bands = readGradingBands();
+  renderGradingBands([...bands, { letter: "", min: "" }]);
+}
+
+function readGradingBands() {
+  return [...document.querySelectorAll("#gradingBands li")].map((item) => ({
+    letter: item.querySelector(".band-letter").value.trim(),
+    min: item.querySelector(".band-min").value,
+  }));
+}
+
+//Transcript
+
+async function openTranscriptModal(studentId) {
+  transcriptStudentId = studentId;
+  document.getElementById("transcriptModalTitle").textContent = "Transcript";
+  document.getElementById("transcriptBody").innerHTML = "";
+  document.getElementById("transcriptModal").style.display = "flex";
+
+  showLoading();
+  try {
+    const response = await apiFetch(`/students/${studentId}/transcript`);
+    const transcript = await response.json();
+    if (!response.ok) {
+      throw new Error(transcript.message || "Failed to load the transcript");
+    }
+    renderTranscript(transcript);
+  } catch (error) {
+    console.error("Error loading transcript", error);
+    showNotification(error.message || "Error loading the transcript", "error");
+  } finally {
+    hideLoading();
+  }
+}
+
+function closeTranscriptModal() {
+  document.getElementById("transcriptModal").style.display = "none";
+  transcriptStudentId = null;
+}
+
+function renderTranscript({ student, courses }) {
+  document.getElementById("transcriptModalTitle").textContent =
+    `Transcript: ${student.name}`;
+
+  if (courses.length === 0) {
+    document.getElementById("transcriptBody").innerHTML =
+      `<p class="empty-state">No courses or grades yet</p>`;
+    return;
+  }
+
+  document.getElementById("transcriptBody").innerHTML = courses
+    .map(
+      ({ course, current, assessments, finalScore, letter }) => `
+        <div class="transcript-course">
+            <h3>
+                ${escapeHtml(course.name)}
+                ${current ? `<span class="history-meta">Current course</span>` : ""}
+                <span class="transcript-final">
+                    ${finalScore === null ? "No grades yet" : `${finalScore}% <span class="grade-letter">${escapeHtml(letter)}</span>`}
+                </span>
+            </h3>
+            <table>
+                <thead>
+                    <tr>
+                        <th>Assessment</th>
+                        <th>Weight</th>
+                        <th>Score</th>
+                        <th>Percent</th>
+                    </tr>
+                </thead>
+                <tbody>
+                    ${
+                      assessments.length === 0
+                        ? `<tr><td colspan="4" class="empty-state">No assessments yet</td></tr>`
+                        : assessments
+                            .map(
+                              (assessment) => `
+                    <tr>
+                        <td>${escapeHtml(assessment.name)}</td>
+                        <td>${assessment.weight}</td>
+                        <td>${assessment.score === null ? "Not graded" : `${assessment.score} / ${assessment.maxScore}`}</td>
+                        <td>${formatRate(assessment.percent)}</td>
+                    </tr>`
+                            )
+                            .join("")
+                    }
+                </tbody>
+            </table>
+        </div>`
+    )
+    .join("");
+}
+
+function downloadTranscript() {
+  downloadExport(`/students/${transcriptStudentId}/transcript?format=pdf`);
+}
+
+//Waitlist
+//The waitlist dialog shows who gets the next free seat of a course, editors can move students up and down
+
+async function openWaitlistModal(courseId) {
+  waitlistCourseId = courseId;
+  waitlistEntries = [];
+  document.getElementById("waitlistModalTitle").textContent = "Waitlist";
+  document.getElementById("waitlistSummary").textContent = "";
+  document.getElementById("waitlistEntries").innerHTML = "";
+  document.getElementById("waitlistModal").style.display = "flex";
+
+  showLoading();
+  try {
+    const response = await apiFetch(`/courses/${courseId}/waitlist`);
+    const waitlist = await response.json();
+    if (!response.ok) {
+      throw new Error(waitlist.message || "Failed to load the waitlist");
+    }
+    renderWaitlist(waitlist);
+  } catch (error) {
+    console.error("Error loading waitlist", error);
+    showNotification(error.message || "Error loading the waitlist", "error");
+  } finally {
+    hideLoading();
+  }
+}
+
+function closeWaitlistModal() {
+  document.getElementById("waitlistModal").style.display = "none";
+  waitlistCourseId = null;
+  waitlistEntries = [];
+}
+
+function renderWaitlist({ course, seatsUsed, waitlist }) {
+  document.getElementById("waitlistModalTitle").textContent =
+    `Waitlist: ${course.name}`;
+  document.getElementById("waitlistSummary").innerHTML =
+    `Seats used: ${formatSeats({ ...course, seatsUsed })}`;
+  waitlistEntries = waitlist;
+  renderWaitlistEntries();
+}
+
+function renderWaitlistEntries() {
+  const list = document.getElementById("waitlistEntries");
+  if (waitlistEntries.length === 0) {
+    list.innerHTML = `<li class="empty-state">Nobody is waiting for this course</li>`;
+    return;
+  }
+
+  list.innerHTML = waitlistEntries
+    .map(
+      (entry, index) => `
+        <li>
+            <span class="waitlist-position">${index + 1}</span>
+            <div>
+                <strong>${escapeHtml(entry.student.name)}</strong>
+                <span class="history-meta">${escapeHtml(entry.student.email)} &middot; waiting since ${formatDate(entry.createdAt)}</span>
+            </div>
+            <div class="waitlist-actions editor-only">
+                <button class="action-btn" onclick="moveWaitlistEntry(${index}, -1)" ${index === 0 ? "disabled" : ""}>
+                <i class="fa fa-arrow-up"></i>
+                </button>
+                <button class="action-btn" onclick="moveWaitlistEntry(${index}, 1)" ${index === waitlistEntries.length - 1 ? "disabled" : ""}>
+                <i class="fa fa-arrow-down"></i>
+                </button>
+            </div>
+        </li>`
+    )
+    .join("");
+}
+
+//offset is -1 to move the student up one place and 1 to move them down
+function moveWaitlistEntry(index, offset) {
+  const [entry] = waitlistEntries.splice(index, 1);
+  waitlistEntries.splice(index + offset, 0, entry);
+  renderWaitlistEntries();
+}
+
+async function saveWaitlistOrder() {
+  showLoading();
+  try {
+    const response = await apiFetch(
+      `/courses/${waitlistCourseId}/waitlist`,
+      {
+        method: "PUT",
+        headers: { "Content-Type": "application/json" },
+        body: JSON.stringify({
+          order: waitlistEntries.map((entry) => entry._id),
+        }),
+      }
+    );
+    const waitlist = await response.json();
+    if (!response.ok) {
+      throw new Error(waitlist.message || "Failed to save the waitlist order");
+    }
+    renderWaitlist(waitlist);
+    showNotification("Waitlist order saved", "success");
+  } catch (error) {
+    console.error("Error saving waitlist order", error);
+    showNotification(
+      error.message || "Error saving the waitlist order",
+      "error"
+    );
+  } finally {
+    hideLoading();
+  }
+}
+
+//Calendar
+//A week of classes worked out from the offerings, for all courses, one course or the timetable of one student
+
+//The Monday of the week a date falls in, as a UTC date like the ones the API uses
+function startOfWeek(date) {
+  const monday = new Date(formatDateForInput(date));
+  monday.setUTCDate(monday.getUTCDate() - ((monday.getUTCDay() + 6) % 7));
+  return monday;
+}
+
+//offset is -1 for the week before, 1 for the week after and 0 to go back to this week
+function moveCalendarWeek(offset) {
+  if (offset === 0 || !calendarWeekStart) {
+    calendarWeekStart = startOfWeek(new Date());
+  } else {
+    calendarWeekStart.setUTCDate(calendarWeekStart.getUTCDate() + 7 * offset);
+  }
+  loadCalendar();
+}
+
+function clearCalendarStudent() {
+  calendarStudent = null;
+  loadCalendar();
+}
+
+async function loadCalendar() {
+  if (!calendarWeekStart) calendarWeekStart = startOfWeek(new Date());
+  const weekEnd = new Date(calendarWeekStart);
+  weekEnd.setUTCDate(weekEnd.getUTCDate() + 6);
+
+  const params = new URLSearchParams({
+    from: formatDateForInput(calendarWeekStart),
+    to: formatDateForInput(weekEnd),
+  });
+  //A student's timetable covers all their courses, so the course filter is not used then
+  const courseSelect = document.getElementById("calendarCourse");
+  courseSelect.disabled = calendarStudent !== null;
+  if (calendarStudent) {
+    params.set("student", calendarStudent._id);
+  } else if (courseSelect.value) {
+    params.set("course", courseSelect.value);
+  }
+  document.getElementById("calendarStudent").innerHTML = calendarStudent
+    ? `Timetable of ${escapeHtml(calendarStudent.name)}
+       <button class="action-btn" onclick="clearCalendarStudent()" title="Show all students">&times;</button>`
+    : "";
+
+  showLoading();
+  try {
+    const response = await apiFetch(`/calendar?${params}`);
+    const calendar = await response.json();
+    if (!response.ok) {
+      throw new Error(calendar.message || "Failed to load the calendar");
+    }
+    renderCalendar(calendar.events);
+  } catch (error) {
+    console.error("Error loading calendar", error);
+    showNotification(error.message || "Error loading the calendar", "error");
+  } finally {
+    hideLoading();
+  }
+}
+
+function renderCalendar(events) {
+  const days = Array.from({ length: 7 }, (_, index) => {
+    const day = new Date(calendarWeekStart);
+    day.setUTCDate(day.getUTCDate() + index);
+    return day;
+  });
+  document.getElementById("calendarRange").textContent =
+    `${formatCalendarDay(days[0])} – ${formatCalendarDay(days[6])}`;
+
+  document.getElementById("calendarWeek").innerHTML = days
+    .map((day) => {
+      const date = formatDateForInput(day);
+      const dayEvents = events.filter((event) => event.date === date);
+      return `
+        <div class="calendar-day ${date === formatDateForInput(new Date()) ? "calendar-today" : ""}">
+            <h3>${formatCalendarDay(day)}</h3>
+            ${
+              dayEvents.length === 0
+                ? `<p class="history-meta">No classes</p>`
+                : dayEvents
+                    .map(
+                      (event) => `
+            <div class="calendar-event ${event.clash ? "calendar-clash" : ""}" title="${event.clash ? "Clashes with another class" : ""}">
+                <span class="calendar-time">${event.startTime}-${event.endTime}</span>
+                <strong>${escapeHtml(event.course.name)}</strong>
+                <span class="history-meta">${escapeHtml(event.offering.name)}${event.location ? ` &middot; ${escapeHtml(event.location)}` : ""}</span>
+            </div>`
+                    )
+                    .join("")
+            }
+        </div>`;
+    })
+    .join("");
+}
+
+//e.g. "Mon, 13 Oct", the calendar days are UTC dates
+function formatCalendarDay(date) {
+  return date.toLocaleDateString(settings.locale, {
+    weekday: "short",
+    day: "numeric",
+    month: "short",
+    timeZone: "UTC",
+  });
+}
+
+//Reports
+
+//Load all the reports for the date range and course picked in the report filters
+async function loadReports() {
+  const fromInput = document.getElementById("reportFrom");
+  const toInput = document.getElementById("reportTo");
+
+  //Start with the last 12 months
+  if (!fromInput.value && !toInput.value) {
+    const today = new Date();
+    toInput.value = formatDateForInput(today);
+    fromInput.value = formatDateForInput(
+      new Date(Date.UTC(today.getFullYear() - 1, today.getMonth() + 1, 1))
+    );
+  }
+
+  const params = new URLSearchParams();
+  if (fromInput.value) params.set("from", fromInput.value);
+  if (toInput.value) params.set("to", toInput.value);
+  const course = document.getElementById("reportCourse").value;
+  if (course) params.set("course", course);
+
+  showLoading();
+  try {
+    const [perMonth, perCourse, statusTrend, completion] = await Promise.all(
+      [
+        "enrollments-per-month",
+        "enrollments-per-course",
+        "status-trend",
+        "completion-time",
+      ].map((report) => fetchReport(report, params))
+    );
+
+    renderEnrollmentsPerMonthReport(perMonth);
+    renderEnrollmentsPerCourseReport(perCourse);
+    renderStatusTrendReport(statusTrend);
+    renderCompletionTimeReport(completion);
+  } catch (error) {
+    console.error("Error loading reports", error);
+    showNotification(error.message || "Error loading reports", "error");
+  } finally {
+    hideLoading();
+  }
+}
+
+async function fetchReport(report, params) {
+  const response = await apiFetch(`/reports/${report}?${params}`);
+  const data = await response.json();
+  if (!response.ok) throw new Error(data.message || "Failed to load report");
+  return data;
+}
+
+//Draw a chart on the canvas, replacing the chart that was there before
+function drawReportChart(canvasId, config) {
+  if (reportCharts[canvasId]) reportCharts[canvasId].destroy();
+  reportCharts[canvasId] = new Chart(document.getElementById(canvasId), config);
+}
+
+function renderEnrollmentsPerMonthReport(report) {
+  document.getElementById("enrollmentsPerMonthTotal").textContent =
+    `${report.total.toLocaleString()} enrollment(s) in this period`;
+  drawReportChart("enrollmentsPerMonthChart", {
+    type: "line",
+    data: {
+      labels: report.data.map((item) => item.month),
+      datasets: [
+        {
+          label: "Enrollments",
+          data: report.data.map((item) => item.count),
+          borderColor: "#2563eb",
+          backgroundColor: "rgba(37, 99, 235, 0.1)",
+          fill: true,
+          tension: 0.3,
+        },
+      ],
+    },
+    options: { scales: { y: { beginAtZero: true, ticks: { precision: 0 } } } },
+  });
+}
+
+function renderEnrollmentsPerCourseReport(report) {
+  const colors = [
+    "#2563eb",
+    "#16a34a",
+    "#f59e0b",
+    "#dc2626",
+    "#7c3aed",
+    "#0891b2",
+  ];
+  drawReportChart("enrollmentsPerCourseChart", {
+    type: "bar",
+    data: {
+      labels: report.months,
+      datasets: report.courses.map((course, index) => ({
+        label: course.name,
+        courseId: course.courseId,
+        data: course.data.map((item) => item.count),
+        backgroundColor: colors[index % colors.length],
+      })),
+    },
+    options: {
+      scales: {
+        x: { stacked: true },
+        y: { stacked: true, beginAtZero: true, ticks: { precision: 0 } },
+      },
+      //Clicking a bar narrows all the reports down to that course
+      onClick: (event, elements, chart) => {
+        if (elements.length === 0) return;
+        const dataset = chart.data.datasets[elements[0].datasetIndex];
+        document.getElementById("reportCourse").value = dataset.courseId;
+        loadReports();
+      },
+    },
+  });
+
+  const tableBody = document.getElementById("enrollmentsPerCourseBody");
+  tableBody.innerHTML =
+    report.courses.length === 0
+      ? `<tr><td colspan="2" class="empty-state">No enrollments in this period</td></tr>`
+      : report.courses
+          .map(
+            (course) => `
+        <tr>
+            <td>${escapeHtml(course.name)}</td>
+            <td>${course.total.toLocaleString()}</td>
+        </tr>`
+          )
+          .join("");
+}
+
+function renderStatusTrendReport(report) {
+  const statusColors = {
+    applicant: "#0891b2",
+    enrolled: "#16a34a",
+    suspended: "#f59e0b",
+    withdrawn: "#dc2626",
+    graduated: "#7c3aed",
+  };
+  drawReportChart("statusTrendChart", {
+    type: "line",
+    data: {
+      labels: report.data.map((item) => item.month),
+      datasets: Object.entries(statusColors).map(([status, color]) => ({
+        label: statusLabel(status),
+        data: report.data.map((item) => item[status]),
+        borderColor: color,
+        tension: 0.3,
+      })),
+    },
+    options: { scales: { y: { beginAtZero: true, ticks: { precision: 0 } } } },
+  });
+}
+
+function renderCompletionTimeReport(report) {
+  document.getElementById("completionAverage").textContent =
+    `Average time from enrollment to completion: ${report.averageMonths} month(s)`;
+  drawReportChart("completionTimeChart", {
+    type: "bar",
+    data: {
+      labels: report.courses.map((course) => course.name),
+      datasets: [
+        {
+          label: "Completed",
+          data: report.courses.map((course) => course.completed),
+          backgroundColor: "#16a34a",
+        },
+        {
+          label: "In Progress",
+          data: report.courses.map((course) => course.inProgress),
+          backgroundColor: "#f59e0b",
+        },
+      ],
+    },
+    options: {
+      scales: {
+        x: { stacked: true },
+        y: { stacked: true, beginAtZero: true, ticks: { precision: 0 } },
+      },
+    },
+  });
+
+  const tableBody = document.getElementById("completionTimeBody");
+  tableBody.innerHTML =
+    report.courses.length === 0
+      ? `<tr><td colspan="6" class="empty-state">No enrollments in this period</td></tr>`
+      : report.courses
+          .map(
+            (course) => `
+        <tr>
+            <td>${escapeHtml(course.name)}</td>
+            <td>${course.duration}</td>
+            <td>${course.students}</td>
+            <td>${course.completed}</td>
+            <td>${course.inProgress}</td>
+            <td>${course.averageMonthsRemaining}</td>
+        </tr>`
+          )
+          .join("");
+}
+
+//Student Profile
+//The profile shows everything about one student: contact details, photo, documents and notes
+const PROFILE_FORM_FIELDS = {
+  phone: "profilePhone",
+  address: "profileAddress",
+  "guardian.name": "profileGuardianName",
+  "guardian.relationship": "profileGuardianRelationship",
+  "guardian.phone": "profileGuardianPhone",
+  "guardian.email": "profileGuardianEmail",
+};
+
+const ATTACHMENT_CATEGORY_LABELS = {
+  photo: "Photo",
+  id: "ID",
+  certificate: "Certificate",
+  other: "Other",
+};
+
+function openStudentProfile(id) {
+  profileStudentId = id;
+  navigateToSection("profile");
+}
+
+//Load the student, their documents, notes and fees all at once
+async function loadStudentProfile() {
+  if (!profileStudentId) return;
+  showLoading();
+  try {
+    const [
+      studentResponse,
+      attachmentsResponse,
+      notesResponse,
+      portalResponse,
+      feesResponse,
+    ] = await Promise.all([
+      apiFetch(`/students/${profileStudentId}`),
+      apiFetch(`/students/${profileStudentId}/attachments`),
+      apiFetch(`/students/${profileStudentId}/notes`),
+      apiFetch(`/students/${profileStudentId}/portal-access`),
+      apiFetch(`/students/${profileStudentId}/fees`),
+    ]);
+    //The student was deleted (maybe by someone else), there is no profile to show anymore
+    if (studentResponse.status === 404) {
+      showNotification("This student no longer exists", "warning");
+      navigateToSection("students");
+      return;
+    }
+    const responses = [
+      studentResponse,
+      attachmentsResponse,
+      notesResponse,
+      portalResponse,
+      feesResponse,
+    ];
+    if (responses.some((response) => !response.ok)) {
+      throw new Error("Failed to load the student profile");
+    }
+
+    renderStudentProfile(await studentResponse.json());
+    renderAttachments(await attachmentsResponse.json());
+    renderNotes(await notesResponse.json());
+    renderPortalAccess(await portalResponse.json());
+    renderStudentFees(await feesResponse.json());
+  } catch (error) {
+    console.error("Error loading student profile", error);
+    showNotification("Error loading the student profile", "error");
+  } finally {
+    hideLoading();
+  }
+}
+
+function renderStudentProfile(student) {
+  document.getElementById("profileName").textContent = student.name;
+  document.getElementById("profileEmail").textContent = student.email;
+  const status = document.getElementById("profileStatus");
+  status.className = `status-badge status-${student.status}`;
+  status.textContent = statusLabel(student.status);
+  document.getElementById("profileCourses").innerHTML = formatCourses(student);
+  loadProfilePhoto(student);
+
+  const form = document.getElementById("profileContactForm");
+  clearFieldErrors(form);
+  const guardian = student.guardian || {};
+  document.getElementById("profilePhone").value = student.phone || "";
+  document.getElementById("profileAddress").value = student.address || "";
+  document.getElementById("profileGuardianName").value = guardian.name || "";
+  document.getElementById("profileGuardianRelationship").value =
+    guardian.relationship || "";
+  document.getElementById("profileGuardianPhone").value = guardian.phone || "";
+  document.getElementById("profileGuardianEmail").value = guardian.email || "";
+
+  //Viewers can look but not change anything
+  form
+    .querySelectorAll("input, textarea")
+    .forEach((input) => (input.disabled = currentUser.role === "viewer"));
+}
+
+//The photo needs the token, so it is fetched like any other request and shown from a blob URL
+async function loadProfilePhoto(student) {
+  const photo = document.getElementById("profilePhoto");
+  const previousUrl = photo.dataset.url;
+  photo.innerHTML = `<i class="fas fa-user"></i>`;
+  delete photo.dataset.url;
+  if (previousUrl) URL.revokeObjectURL(previousUrl);
+  if (!student.photo) return;
+
+  try {
+    const response = await apiFetch(`/students/${student._id}/photo`);
+    if (!response.ok) throw new Error("Failed to load the photo");
+    const url = URL.createObjectURL(await response.blob());
+    photo.dataset.url = url;
+    photo.innerHTML = `<img src="${url}" alt="Photo of ${escapeHtml(student.name)}" />`;
+  } catch (error) {
+    console.error("Error loading student photo", error);
+  }
+}
+
+function renderAttachments(attachments) {
+  const body = document.getElementById("attachmentsBody");
+  //The profile photo is shown at the top, not in the list of documents
+  const documents = attachments.filter(
+    (attachment) => attachment.category !== "photo"
+  );
+  if (documents.length === 0) {
+    body.innerHTML = `<tr><td colspan="5" class="empty-state">No documents uploaded yet</td></tr>`;
+    return;
+  }
+  body.innerHTML = documents
+    .map(
+      (attachment) => `
+        <tr>
+            <td>${escapeHtml(attachment.fileName)}</td>
+            <td>${ATTACHMENT_CATEGORY_LABELS[attachment.category]}</td>
+            <td>${formatFileSize(attachment.size)}</td>
+            <td>
+                ${formatDate(attachment.createdAt)}
+                ${attachment.uploadedBy ? `by ${escapeHtml(attachment.uploadedBy.name)}` : ""}
+            </td>
+            <td>
+                <button class="action-btn" onclick="downloadExport('/attachments/${attachment._id}/download')">
+                <i class="fas fa-download"></i>Download
+                </button>
+                <button class="action-btn delete-btn editor-only" onclick="deleteAttachment('${attachment._id}')">
+                <i class="fas fa-trash"></i>Delete
+                </button>
+            </td>
+        </tr>`
+    )
+    .join("");
+}
+
+//Whether the student can log in to the Student Portal, with the buttons to invite them or take the access away
+function renderPortalAccess(access) {
+  const text = {
+    none: "No Student Portal access",
+    invited: `Invited to the Student Portal on ${formatDate(access.invitedAt)}`,
+    active: `Uses the Student Portal${access.lastLoginAt ? `, last login ${formatDate(access.lastLoginAt)}` : ""}`,
+  };
+  document.getElementById("profilePortalAccess").textContent =
+    text[access.status];
+  document.getElementById("portalInviteBtn").innerHTML =
+    access.status === "none"
+      ? `<i class="fas fa-envelope"></i>Invite to Portal`
+      : `<i class="fas fa-envelope"></i>Send New Link`;
+  document.getElementById("portalRemoveBtn").style.display =
+    access.status === "none" ? "none" : "";
+}
+
+async function invitePortalAccess() {
+  showLoading();
+  try {
+    const response = await apiFetch(
+      `/students/${profileStudentId}/portal-access`,
+      { method: "POST" }
+    );
+    const result = await response.json();
+    if (!response.ok) throw new Error(result.message || "Failed to invite");
+
+    renderPortalAccess(result);
+    showNotification("The student was emailed a link to the portal", "success");
+  } catch (error) {
+    console.error("Error inviting student", error);
+    showNotification(error.message || "Error inviting the student", "error");
+  } finally {
+    hideLoading();
+  }
+}
+
+async function removePortalAccess() {
+  if (
+    !confirm(
+      "The student won't be able to log in to the portal anymore. Continue?"
+    )
+  ) {
+    return;
+  }
+  showLoading();
+  try {
+    const response = await apiFetch(
+      `/students/${profileStudentId}/portal-access`,
+      { method: "DELETE" }
+    );
+    const result = await response.json();
+    if (!response.ok)
+      throw new Error(result.message || "Failed to remove access");
+
+    renderPortalAccess({ status: "none" });
+    showNotification("Portal access removed", "success");
+  } catch (error) {
+    console.error("Error removing portal access", error);
+    showNotification(error.message || "Error removing the access", "error");
+  } finally {
+    hideLoading();
+  }
+}
+
+function formatFileSize(bytes) {
+  if (bytes < 1024) return `${bytes} B`;
+  if (bytes < 1024 * 1024) return `${Math.round(bytes / 1024)} KB`;
+  return `${(bytes / 1024 / 1024).toFixed(1)} MB`;
+}
+
+//Only its author or an admin can delete a note, the server checks it too
+function renderNotes(notes) {
+  const list = document.getElementById("notesList");
+  if (notes.length === 0) {
+    list.innerHTML = `<li class="trash-note">No notes yet</li>`;
+    return;
+  }
+  list.innerHTML = notes
+    .map((note) => {
+      const canDelete =
+        currentUser.role === "admin" ||
+        (currentUser.role !== "viewer" && note.author === currentUser._id);
+      const time = new Date(note.createdAt).toLocaleTimeString(
+        settings.locale,
+        { hour: "2-digit", minute: "2-digit" }
+      );
+      return `
+        <li>
+            <span class="history-meta">
+                ${formatDate(note.createdAt)}, ${time}
+                ${note.authorName ? `by ${escapeHtml(note.authorName)}` : ""}
+                ${
+                  canDelete
+                    ? `<button class="action-btn delete-btn" onclick="deleteNote('${note._id}')"><i class="fas fa-trash"></i>Delete</button>`
+                    : ""
+                }
+            </span>
+            <p class="note-text">${escapeHtml(note.text)}</p>
+        </li>`;
+    })
+    .join("");
+}
+
+async function handleProfileContactSubmit(e) {
+  e.preventDefault();
+  const form = e.target;
+  clearFieldErrors(form);
+
+  const value = (elementId) => document.getElementById(elementId).value.trim();
+  showLoading();
+  try {
+    const response = await apiFetch(`/students/${profileStudentId}`, {
+      method: "PUT",
+      headers: { "Content-Type": "application/json" },
+      body: JSON.stringify({
+        phone: value("profilePhone"),
+        address: value("profileAddress"),
+        guardian: {
+          name: value("profileGuardianName"),
+          relationship: value("profileGuardianRelationship"),
+          phone: value("profileGuardianPhone"),
+          email: value("profileGuardianEmail"),
+        },
+      }),
+    });
+    const result = await response.json();
+    if (!response.ok)
+      throw apiError(result, "Failed to save the contact details");
+
+    renderStudentProfile(result);
+    showNotification("Contact details saved", "success");
+  } catch (error) {
+    console.error("Error saving contact details", error);
+    showNotification(error.message || "Error saving contact details", "error");
+    showFieldErrors(PROFILE_FORM_FIELDS, error.fieldErrors);
+  } finally {
+    hideLoading();
+  }
+}
+
+//Upload a file for the student on the profile, used for the documents and the photo
+async function uploadAttachment(file, category) {
+  const formData = new FormData();
+  formData.append("category", category);
+  formData.append("file", file);
+
+  showLoading();
+  try {
+    const response = await apiFetch(
+      `/students/${profileStudentId}/attachments`,
+      { method: "POST", body: formData }
+    );
+    const result = await response.json();
+    if (!response.ok) throw new Error(result.message || "Upload failed");
+
+    showNotification(
+      category === "photo" ? "Photo updated" : "Document uploaded",
+      "success"
+    );
+    return true;
+  } catch (error) {
+    console.error("Error uploading file", error);
+    showNotification(error.message || "Error uploading the file", "error");
+    return false;
+  } finally {
+    hideLoading();
+  }
+}
+
+async function handleAttachmentFormSubmit(e) {
+  e.preventDefault();
+  const file = document.getElementById("attachmentFile").files[0];
+  if (!file) return;
+  const category = document.getElementById("attachmentCategory").value;
+  if (await uploadAttachment(file, category)) {
+    e.target.reset();
+    await loadStudentProfile();
+  }
+}
+
+async function handleProfilePhotoChange(e) {
+  const file = e.target.files[0];
+  e.target.value = ""; //So picking the same file again still triggers a change
+  if (file && (await uploadAttachment(file, "photo"))) {
+    await loadStudentProfile();
+  }
+}
+
+async function deleteAttachment(id) {
+  if (!confirm("Are you sure you want to delete this document?")) return;
+  showLoading();
+  try {
+    const response = await apiFetch(`/attachments/${id}`, { method: "DELETE" });
+    if (!response.ok) {
+      const error = await response.json();
+      throw new Error(error.message || "Failed to delete the document");
+    }
+    showNotification("Document deleted", "success");
+    await loadStudentProfile();
+  } catch (error) {
+    console.error("Error deleting document", error);
+    showNotification(error.message || "Error deleting the document", "error");
+  } finally {
+    hideLoading();
+  }
+}
+
+async function handleNoteFormSubmit(e) {
+  e.preventDefault();
+  const text = document.getElementById("noteText").value.trim();
+  if (!text) return;
+
+  showLoading();
+  try {
+    const response = await apiFetch(`/students/${profileStudentId}/notes`, {
+      method: "POST",
+      headers: { "Content-Type": "application/json" },
+      body: JSON.stringify({ text }),
+    });
+    const result = await response.json();
+    if (!response.ok)
+      throw new Error(result.message || "Failed to add the note");
+
+    e.target.reset();
+    await loadStudentProfile();
+  } catch (error) {
+    console.error("Error adding note", error);
+    showNotification(error.message || "Error adding the note", "error");
+  } finally {
+    hideLoading();
+  }
+}
+
+async function deleteNote(id) {
+  if (!confirm("Are you sure you want to delete this note?")) return;
+  showLoading();
+  try {
+    const response = await apiFetch(`/notes/${id}`, { method: "DELETE" });
+    if (!response.ok) {
+      const error = await response.json();
+      throw new Error(error.message || "Failed to delete the note");
+    }
+    await loadStudentProfile();
+  } catch (error) {
+    console.error("Error deleting note", error);
+    showNotification(error.message || "Error deleting the note", "error");
+  } finally {
+    hideLoading();
+  }
+}
+
+//Fees
+//A course with a fee invoices every student who gets a seat, the Fees section shows what is still owed
+//per course and per student, the payments, refunds and discounts are recorded on the student profile
+
+const LEDGER_ENTRY_LABELS = {
+  payment: "Payment",
+  refund: "Refund",
+  discount: "Discount",
+};
+const PAYMENT_METHOD_LABELS = {
+  cash: "Cash",
+  card: "Card",
+  bankTransfer: "Bank transfer",
+  cheque: "Cheque",
+  other: "Other",
+};
+
+async function loadFees() {
+  await Promise.all([loadCourseFees(), loadStudentFees()]);
+}
+
+async function loadCourseFees() {
+  try {
+    const response = await apiFetch("/fees/outstanding/courses");
+    if (!response.ok) throw new Error("Failed to load the fees per course");
+    renderCourseFees(await response.json());
+  } catch (error) {
+    console.error("Error loading fees per course", error);
+    showNotification("Error loading the fees per course", "error");
+  }
+}
+
+function renderCourseFees(rows) {
+  const body = document.getElementById("courseFeesBody");
+  if (rows.length === 0) {
+    body.innerHTML = `
+        <tr>
+            <td colspan="8" class="empty-state">
+                <i class="fas fa-file-invoice-dollar"></i>
+                <h3>No Invoices Yet!</h3>
+                <p>Give a course a fee and its students are invoiced when they get a seat</p>
+            </td>
+        </tr>`;
+    return;
+  }
+  body.innerHTML = rows
+    .map(
+      (row) => `
+        <tr>
+            <td>${escapeHtml(row.course.name)}</td>
+            <td>${row.course.fee ? formatMoney(row.course.fee) : "Free"}</td>
+            <td>${row.invoices}</td>
+            <td>${formatMoney(row.invoiced)}</td>
+            <td>${formatMoney(row.paid - row.refunded)}</td>
+            <td>${formatMoney(row.discounted)}</td>
+            <td>${formatMoney(row.balance)}</td>
+            <td>${row.overdue > 0 ? `<span class="overdue">${formatMoney(row.overdue)}</span>` : "&mdash;"}</td>
+        </tr>`
+    )
+    .join("");
+}
+
+async function loadStudentFees() {
+  try {
+    const params = new URLSearchParams({
+      page: feesQuery.page,
+      limit: feesQuery.limit,
+    });
+    if (feesQuery.course) params.set("course", feesQuery.course);
+    const response = await apiFetch(`/fees/outstanding/students?${params}`);
+    if (!response.ok) throw new Error("Failed to load the outstanding fees");
+    renderStudentFeesTable(await response.json());
+  } catch (error) {
+    console.error("Error loading outstanding fees", error);
+    showNotification("Error loading the outstanding fees", "error");
+  }
+}
+
+function renderStudentFeesTable({ data, total, page, pages }) {
+  document.getElementById("feesPaginationInfo").textContent =
+    `${total.toLocaleString()} student(s)`;
+  document.getElementById("feesPageNumber").textContent =
+    `Page ${pages === 0 ? 0 : page} of ${pages}`;
+  document.getElementById("feesPrevPage").disabled = page <= 1;
+  document.getElementById("feesNextPage").disabled = page >= pages;
+
+  const body = document.getElementById("studentFeesBody");
+  if (data.length === 0) {
+    body.innerHTML = `<tr><td colspan="6" class="empty-state">Nobody owes anything</td></tr>`;
+    return;
+  }
+  body.innerHTML = data
+    .map(
+      (row) => `
+        <tr>
+            <td>
+                ${row.student.purged ? escapeHtml(row.student.name) : `<a href="#" class="student-link" onclick="openStudentProfile('${row.student._id}'); return false;">${escapeHtml(row.student.name)}</a>`}
+            </td>
+            <td>${row.invoices}</td>
+            <td>${formatMoney(row.invoiced)}</td>
+            <td>${formatMoney(row.paid - row.refunded)}</td>
+            <td>${formatMoney(row.balance)}</td>
+            <td>${row.overdue > 0 ? `<span class="overdue">${formatMoney(row.overdue)}</span>` : "&mdash;"}</td>
+        </tr>`
+    )
+    .join("");
+}
+
+//The invoices of the student on their profile, every invoice is followed by its ledger entries
+function renderStudentFees({ invoices, totals }) {
+  document.getElementById("profileFeesTotals").textContent =
+    invoices.length === 0
+      ? "No invoices"
+      : `Invoiced ${formatMoney(totals.invoiced)}, outstanding ${formatMoney(totals.balance)}${totals.overdue > 0 ? `, of which ${formatMoney(totals.overdue)} is overdue` : ""}`;
+
+  const invoiceSelect = document.getElementById("ledgerInvoice");
+  invoiceSelect.innerHTML = invoices
+    .map(
+      (invoice) =>
+        `<option value="${invoice._id}">${invoice.number} (${escapeHtml(invoice.course.name)}, owes ${formatMoney(invoice.balance)})</option>`
+    )
+    .join("");
+  document.getElementById("ledgerEntryForm").style.display =
+    invoices.length === 0 ? "none" : "";
+  updateLedgerMethod();
+
+  const body = document.getElementById("profileFeesBody");
+  if (invoices.length === 0) {
+    body.innerHTML = `<tr><td colspan="5" class="empty-state">No invoices yet</td></tr>`;
+    return;
+  }
+  body.innerHTML = invoices
+    .map(
+      (invoice) => `
+        <tr>
+            <td>${formatDate(invoice.issuedAt)}</td>
+            <td>
+                <strong>${invoice.number}</strong>: ${escapeHtml(invoice.course.name)}
+                <span class="history-meta">due ${formatDate(invoice.dueDate)}</span>
+            </td>
+            <td>${formatMoney(invoice.amount)}</td>
+            <td>${formatMoney(invoice.balance)}</td>
+            <td>
+                <button class="action-btn" onclick="downloadExport('/invoices/${invoice._id}/invoice.pdf')">
+                <i class="fas fa-file-pdf"></i>Invoice
+                </button>
+            </td>
+        </tr>
+        ${invoice.entries.map(renderLedgerEntry).join("")}`
+    )
+    .join("");
+}
+
+function renderLedgerEntry(entry) {
+  const details = [
+    entry.receiptNumber,
+    PAYMENT_METHOD_LABELS[entry.method],
+    entry.reference,
+    entry.note,
+  ]
+    .filter(Boolean)
+    .map(escapeHtml)
+    .join(", ");
+  //Payments and discounts lower the balance, refunds raise it again
+  const amount = entry.type === "refund" ? entry.amount : -entry.amount;
+  return `
+        <tr class="ledger-entry">
+            <td>${formatDate(entry.date)}</td>
+            <td>
+                ${LEDGER_ENTRY_LABELS[entry.type]}${details ? `: ${details}` : ""}
+                <span class="history-meta">by ${escapeHtml(entry.recordedByName)}</span>
+            </td>
+            <td>${formatMoney(amount)}</td>
+            <td></td>
+            <td>
+                ${
+                  entry.receiptNumber
+                    ? `<button class="action-btn" onclick="downloadExport('/ledger/${entry._id}/receipt.pdf')">
+                <i class="fas fa-receipt"></i>Receipt
+                </button>`
+                    : ""
+                }
+            </td>
+        </tr>`;
+}
+
+//A discount moves no money, so it has no payment method
+function updateLedgerMethod() {
+  document.getElementById("ledgerMethod").style.display =
+    document.getElementById("ledgerType").value === "discount" ? "none" : "";
+}
+
+async function handleLedgerEntryFormSubmit(e) {
+  e.preventDefault();
+  const type = document.getElementById("ledgerType").value;
+  const invoiceId = document.getElementById("ledgerInvoice").value;
+  const entry = {
+    type,
+    amount: Number(document.getElementById("ledgerAmount").value),
+  };
+  //The text is the reference of a payment or a refund (e.g. of the bank transfer), and the reason for a discount
+  const text = document.getElementById("ledgerReference").value.trim();
+  if (type === "discount") {
+    entry.note = text;
+  } else {
+    entry.method = document.getElementById("ledgerMethod").value;
+    entry.reference = text;
+  }
+
+  showLoading();
+  try {
+    const response = await apiFetch(`/invoices/${invoiceId}/entries`, {
+      method: "POST",
+      headers: { "Content-Type": "application/json" },
+      body: JSON.stringify(entry),
+    });
+    const result = await response.json();
+    if (!response.ok) throw apiError(result, `Failed to record the ${type}`);
+
+    e.target.reset();
+    showNotification(`${LEDGER_ENTRY_LABELS[type]} recorded`, "success");
+    await loadStudentProfile();
+  } catch (error) {
+    console.error("Error recording ledger entry", error);
+    showNotification(error.message || `Error recording the ${type}`, "error");
+  } finally {
+    hideLoading();
+  }
+}
+
+//Instructors
+//The instructors with their workload, the courses they teach are assigned in the Instructors tab of the course modal
+
+//All of them are kept in instructors for the filters and the course modal, the status filter only narrows the table
+async function loadInstructors() {
+  try {
+    const response = await apiFetch("/instructors");
+    if (!response.ok) throw new Error("Failed to load the instructors");
+
+    instructors = await response.json();
+    updateInstructorFilter(instructors);
+    renderInstructorTable(filterInstructors());
+  } catch (error) {
+    console.error("Error loading instructors", error);
+    showNotification("Error loading instructors", "error");
+    renderInstructorTable([]);
+  }
+}
+
+function filterInstructors() {
+  const status = document.getElementById("instructorStatusFilter").value;
+  return status
+    ? instructors.filter((instructor) => instructor.status === status)
+    : instructors;
+}
+
+//Fill the instructor filter of the "All Students" table, keeping the current selection
+function updateInstructorFilter(instructors) {
+  const instructorFilter = document.getElementById("studentInstructorFilter");
+  const selected = instructorFilter.value;
+  instructorFilter.innerHTML = `<option value="">All instructors</option>`;
+  instructors.forEach((instructor) => {
+    const option = document.createElement("option");
+    option.value = instructor._id;
+    option.textContent = instructor.name;
+    instructorFilter.appendChild(option);
+  });
+  instructorFilter.value = selected;
+}
+
+function renderInstructorTable(instructorsToRender) {
+  const body = document.getElementById("instructorTableBody");
+  if (instructorsToRender.length === 0) {
+    body.innerHTML = `
+        <tr>
+            <td colspan="8" class="empty-state">
+                <i class="fas fa-chalkboard-teacher"></i>
+                <h3>No Instructors Found!</h3>
+                <p>Click "Add Instructor" to add the first one</p>
+            </td>
+        </tr>`;
+    return;
+  }
+
+  body.innerHTML = instructorsToRender
+    .map(
+      (instructor) => `
+        <tr>
+            <td>${escapeHtml(instructor.name)}</td>
+            <td>${escapeHtml(instructor.title) || "&mdash;"}</td>
+            <td>${escapeHtml(instructor.email)}</td>
+            <td>${escapeHtml(instructor.phone) || "&mdash;"}</td>
+            <td>
+                ${instructor.courses}
+                ${instructor.leadCourses ? `<span class="history-meta">(lead in ${instructor.leadCourses})</span>` : ""}
+            </td>
+            <td>${instructor.students}</td>
+            <td>
+                <span class="status-badge status-${instructor.status}">
+                    ${capitalizedFirstLetter(instructor.status)}
+                </span>
+            </td>
+            <td class="action-buttons">
+                <button class="action-btn edit-btn" onclick="editInstructor('${instructor._id}')">
+                <i class="fa fa-edit"></i>Edit
+                </button>
+                <button class="action-btn status-btn" onclick="showInstructorStudents('${instructor._id}')">
+                <i class="fa fa-users"></i>Students
+                </button>
+                <button class="action-btn delete-btn admin-only" onclick="deleteInstructor('${instructor._id}')">
+                <i class="fa fa-trash"></i>Delete
+                </button>
+            </td>
+        </tr>`
+    )
+    .join("");
+}
+
+function openInstructorModal() {
+  editingInstructorId = null;
+  instructorForm.reset();
+  clearFieldErrors(instructorForm);
+  document.getElementById("instructorModalTitle").textContent =
+    "Add New Instructor";
+  document.getElementById("instructorTeaching").style.display = "none";
+  instructorModal.style.display = "flex";
+}
+
+function closeInstructorModal() {
+  instructorModal.style.display = "none";
+  editingInstructorId = null;
+  instructorForm.reset();
+  clearFieldErrors(instructorForm);
+}
+
+async function editInstructor(id) {
+  showLoading();
+  try {
+    const response = await apiFetch(`/instructors/${id}`);
+    const instructor = await response.json();
+    if (!response.ok) {
+      throw new Error(instructor.message || "Failed to load the instructor");
+    }
+
+    openInstructorModal();
+    editingInstructorId = id;
+    document.getElementById("instructorModalTitle").textContent =
+      "Edit Instructor";
+    document.getElementById("instructorName").value = instructor.name;
+    document.getElementById("instructorEmail").value = instructor.email;
+    document.getElementById("instructorPhone").value = instructor.phone;
+    document.getElementById("instructorTitle").value = instructor.title;
+    document.getElementById("instructorStatus").value = instructor.status;
+    renderInstructorCourses(instructor.teaching);
+  } catch (error) {
+    console.error("Error loading instructor", error);
+    showNotification(error.message || "Error loading the instructor", "error");
+  } finally {
+    hideLoading();
+  }
+}
+
+function renderInstructorCourses(teaching) {
+  document.getElementById("instructorTeaching").style.display = "block";
+  document.getElementById("instructorCourses").innerHTML =
+    teaching.length === 0
+      ? "<li>Not assigned to a course yet</li>"
+      : teaching
+          .map(
+            (course) => `
+        <li>
+            <strong>${escapeHtml(course.name)}</strong>
+            <span class="history-meta">
+                ${capitalizedFirstLetter(course.role)} &middot; ${course.students} student(s)${course.status === "inactive" ? " &middot; Inactive course" : ""}
+            </span>
+        </li>`
+          )
+          .join("");
+}
+
+async function handleInstructorFormSubmit(e) {
+  e.preventDefault();
+  clearFieldErrors(instructorForm);
+
+  const instructorData = {
+    name: document.getElementById("instructorName").value.trim(),
+    email: document.getElementById("instructorEmail").value.trim(),
+    phone: document.getElementById("instructorPhone").value.trim(),
+    title: document.getElementById("instructorTitle").value.trim(),
+    status: document.getElementById("instructorStatus").value,
+  };
+
+  showLoading();
+  try {
+    const response = await apiFetch(
+      editingInstructorId
+        ? `/instructors/${editingInstructorId}`
+        : "/instructors",
+      {
+        method: editingInstructorId ? "PUT" : "POST",
+        headers: { "Content-Type": "application/json" },
+        body: JSON.stringify(instructorData),
+      }
+    );
+    const result = await response.json();
+    if (!response.ok) throw apiError(result, "Failed to save the instructor");
+
+    showNotification(
+      editingInstructorId ? "Instructor updated" : "Instructor added",
+      "success"
+    );
+    closeInstructorModal();
+    await Promise.all([loadInstructors(), loadCourses()]);
+  } catch (error) {
+    console.error("Error saving instructor", error);
+    showFieldErrors(INSTRUCTOR_FORM_FIELDS, error.fieldErrors);
+    showNotification(
+      error.fieldErrors
+        ? "Please correct the highlighted fields"
+        : error.message || "Error saving the instructor",
+      "error"
+    );
+  } finally {
+    hideLoading();
+  }
+}
+
+async function deleteInstructor(id) {
+  if (
+    !confirm("Delete this instructor? They are taken off all their courses.")
+  ) {
+    return;
+  }
+  showLoading();
+  try {
+    const response = await apiFetch(`/instructors/${id}`, {
+      method: "DELETE",
+    });
+    const result = await response.json();
+    if (!response.ok) {
+      throw new Error(result.message || "Failed to delete the instructor");
+    }
+    showNotification("Instructor deleted", "success");
+    await Promise.all([loadInstructors(), loadCourses()]);
+  } catch (error) {
+    console.error("Error deleting instructor", error);
+    showNotification(error.message || "Error deleting the instructor", "error");
+  } finally {
+    hideLoading();
+  }
+}
+
+//Show the students of an instructor's courses in the "All Students" table
+function showInstructorStudents(id) {
+  document.getElementById("studentInstructorFilter").value = id;
+  studentQuery.instructor = id;
+  studentQuery.page = 1;
+  navigateToSection("students");
+}
+
+//Instructors tab of the course modal
+//The lead instructor and the assistants of the course being edited
+
+async function loadCourseInstructors() {
+  const list = document.getElementById("courseInstructors");
+  list.innerHTML = "<li>Loading instructors...</li>";
+  document.getElementById("courseInstructorForm").reset();
+  try {
+    const [response] = await Promise.all([
+      apiFetch(`/courses/${editingCourseId}/instructors`),
+      loadInstructors(),
+    ]);
+    const assigned = await response.json();
+    if (!response.ok) {
+      throw new Error(assigned.message || "Failed to load the instructors");
+    }
+    renderCourseInstructors(assigned);
+  } catch (error) {
+    console.error("Error loading course instructors", error);
+    list.innerHTML = "";
+    showNotification(error.message || "Error loading the instructors", "error");
+  }
+}
+
+function renderCourseInstructors(assigned) {
+  //Only the active instructors that don't teach the course yet can be assigned
+  const assignedIds = assigned.map((instructor) => instructor._id);
+  const available = instructors.filter(
+    (instructor) =>
+      instructor.status === "active" && !assignedIds.includes(instructor._id)
+  );
+  document.getElementById("courseInstructorSelect").innerHTML =
+    available.length === 0
+      ? `<option value="">No instructors to assign</option>`
+      : available
+          .map(
+            (instructor) =>
+              `<option value="${instructor._id}">${escapeHtml(instructor.name)}</option>`
+          )
+          .join("");
+
+  const list = document.getElementById("courseInstructors");
+  if (assigned.length === 0) {
+    list.innerHTML = "<li>No instructors assigned yet</li>";
+    return;
+  }
+  list.innerHTML = assigned
+    .map((instructor) => {
+      const otherRole = instructor.role === "lead" ? "assistant" : "lead";
+      return `
+        <li>
+            <strong>${escapeHtml(instructor.name)}</strong>
+            <span class="history-meta">
+                ${capitalizedFirstLetter(instructor.role)}${instructor.title ? ` &middot; ${escapeHtml(instructor.title)}` : ""} &middot; ${escapeHtml(instructor.email)}
+            </span>
+            <div class="enrollment-actions editor-only">
+                <button class="action-btn status-btn" onclick="assignCourseInstructor('${instructor._id}', '${otherRole}')">
+                <i class="fa fa-exchange-alt"></i>Make ${otherRole === "lead" ? "Lead" : "Assistant"}
+                </button>
+                <button class="action-btn delete-btn" onclick="removeCourseInstructor('${instructor._id}')">
+                <i class="fa fa-times"></i>Remove
+                </button>
+            </div>
+        </li>`;
+    })
+    .join("");
+}
+
+//Assign an instructor to the course, or change the role of one who already teaches it
+async function assignCourseInstructor(instructorId, role) {
+  showLoading();
+  try {
+    const response = await apiFetch(
+      `/courses/${editingCourseId}/instructors/${instructorId}`,
+      {
+        method: "PUT",
+        headers: { "Content-Type": "application/json" },
+        body: JSON.stringify({ role }),
+      }
+    );
+    const result = await response.json();
+    //A 409 means the course already has a lead, or the instructor is inactive
+    if (!response.ok) {
+      throw new Error(result.message || "Failed to assign the instructor");
+    }
+    renderCourseInstructors(result);
+    showNotification("Instructors updated", "success");
+    await loadCourses();
+  } catch (error) {
+    console.error("Error assigning instructor", error);
+    showNotification(
+      error.message || "Error assigning the instructor",
+      "error"
+    );
+  } finally {
+    hideLoading();
+  }
+}
+
+async function handleCourseInstructorFormSubmit(e) {
+  e.preventDefault();
+  const instructorId = document.getElementById("courseInstructorSelect").value;
+  if (!instructorId) return;
+  await assignCourseInstructor(
+    instructorId,
+    document.getElementById("courseInstructorRole").value
+  );
+}
+
+async function removeCourseInstructor(instructorId) {
+  if (!confirm("Take this instructor off the course?")) return;
+  showLoading();
+  try {
+    const response = await apiFetch(
+      `/courses/${editingCourseId}/instructors/${instructorId}`,
+      { method: "DELETE" }
+    );
+    const result = await response.json();
+    if (!response.ok) {
+      throw new Error(result.message || "Failed to remove the instructor");
+    }
+    renderCourseInstructors(result);
+    showNotification("Instructor removed from the course", "success");
+    await loadCourses();
+  } catch (error) {
+    console.error("Error removing instructor", error);
+    showNotification(error.message || "Error removing the instructor", "error");
+  } finally {
+    hideLoading();
+  }
+}
+
+//The instructors in the courses table, the lead first, e.g. "Ada Byron (lead), Alan Turing"
+function formatInstructors(course) {
+  const courseInstructors = course.instructors || [];
+  if (courseInstructors.length === 0) return "&mdash;";
+  return courseInstructors
+    .map(
+      (instructor) =>
+        `${escapeHtml(instructor.name)}${instructor.role === "lead" ? ` <span class="history-meta">(lead)</span>` : ""}`
+    )
+    .join(", ");
+}
+
+//Student Requests
+//The requests students send from the Student Portal, see portal.js for their side
+const REQUEST_STATUS_BADGES = {
+  pending: "status-applicant",
+  approved: "status-active",
+  rejected: "status-withdrawn",
+  cancelled: "status-inactive",
+};
+
+//Show the number of pending requests next to "Requests" in the sidebar
+async function loadRequestsBadge() {
+  try {
+    const response = await apiFetch("/requests?status=pending");
+    if (!response.ok) throw new Error("Failed to load the requests");
+    const pending = await response.json();
+    document.getElementById("requestsBadge").textContent =
+      pending.length > 0 ? pending.length : "";
+  } catch (error) {
+    console.error("Error loading request count", error);
+  }
+}
+
+async function loadRequests() {
+  const status = document.getElementById("requestStatusFilter").value;
+  showLoading();
+  try {
+    const response = await apiFetch(`/requests?status=${status}`);
+    if (!response.ok) throw new Error("Failed to load the requests");
+    renderRequests(await response.json());
+  } catch (error) {
+    console.error("Error loading requests", error);
+    showNotification("Error loading the requests", "error");
+  } finally {
+    hideLoading();
+  }
+  loadRequestsBadge();
+}
+
+//Describe a request in a few words, e.g. "Change from Biology to Chemistry"
+function describeRequest(request) {
+  const courseName = (course) => (course ? course.name : "a deleted course");
+  const enrollment = request.enrollment;
+  if (request.type === "courseChange") {
+    return `Change from ${courseName(enrollment && enrollment.course)} to ${courseName(request.course)}`;
+  }
+  return enrollment
+    ? `Withdraw from ${courseName(enrollment.course)}`
+    : "Withdraw from their studies";
+}
+
+function renderRequests(requests) {
+  const body = document.getElementById("requestsBody");
+  if (requests.length === 0) {
+    body.innerHTML = `
+        <tr>
+            <td colspan="6" class="empty-state">
+                <i class="fas fa-inbox"></i>
+                <h3>No requests here</h3>
+            </td>
+        </tr>`;
+    return;
+  }
+  body.innerHTML = requests
+    .map((request) => {
+      const decision =
+        request.status === "pending"
+          ? "&mdash;"
+          : `<span class="status-badge ${REQUEST_STATUS_BADGES[request.status]}">${capitalizedFirstLetter(request.status)}</span>
+             ${request.decidedAt ? `<span class="history-meta">${formatDate(request.decidedAt)}${request.decidedBy ? ` by ${escapeHtml(request.decidedBy.name)}` : ""}</span>` : ""}
+             ${request.decisionNote ? `<span class="history-meta">${escapeHtml(request.decisionNote)}</span>` : ""}`;
+      const actions =
+        request.status === "pending"
+          ? `<button class="action-btn edit-btn" onclick="approveRequest('${request._id}')">
+                <i class="fas fa-check"></i>Approve
+             </button>
+             <button class="action-btn delete-btn" onclick="rejectRequest('${request._id}')">
+                <i class="fas fa-times"></i>Reject
+             </button>`
+          : "";
+      return `
+        <tr>
+            <td>
+                <a href="#" class="student-link" onclick="openStudentProfile('${request.student._id}'); return false;">
+                ${escapeHtml(request.student.name)}
+                </a>
+                <span class="history-meta">${escapeHtml(request.student.email)}</span>
+            </td>
+            <td>${escapeHtml(describeRequest(request))}</td>
+            <td>${escapeHtml(request.reason)}</td>
+            <td>${formatDate(request.createdAt)}</td>
+            <td>${decision}</td>
+            <td class="action-buttons">${actions}</td>
+        </tr>`;
+    })
+    .join("");
+}
+
+//Send the decision on a request, the note is emailed to the student
+async function decideRequest(id, decision, note) {
+  showLoading();
+  try {
+    const response = await apiFetch(`/requests/${id}/${decision}`, {
+      method: "POST",
+      headers: { "Content-Type": "application/json" },
+      body: JSON.stringify({ note }),
+    });
+    const result = await response.json();
+    if (!response.ok) throw new Error(result.message || "Failed to decide");
+
+    showNotification(
+      decision === "approve" ? "Request approved" : "Request rejected",
+      "success"
+    );
+  } catch (error) {
+    console.error("Error deciding request", error);
+    showNotification(error.message || "Error deciding the request", "error");
+  } finally {
+    hideLoading();
+  }
+  await loadRequests();
+}
+
+function approveRequest(id) {
+  const note = prompt(
+    "Approve this request? The change is made straight away.\nYou can add a note for the student:",
+    ""
+  );
+  if (note === null) return;
+  decideRequest(id, "approve", note.trim());
+}
+
+function rejectRequest(id) {
+  const note = prompt(
+    "Why is the request rejected? The student gets this note:"
+  );
+  if (note === null) return;
+  if (!note.trim()) {
+    showNotification(
+      "Please tell the student why the request is rejected",
+      "warning"
+    );
+    return;
+  }
+  decideRequest(id, "reject", note.trim());
+}
+
+//Settings
+//The settings change how the whole dashboard looks, so they are loaded first and applied everywhere
+//Everybody can see them in the Settings section, only admins can change them
+
+//The inputs of the settings form, by setting (the status labels are added by renderSettingsForm)
+const SETTINGS_FORM_FIELDS = {
+  institutionName: "settingInstitutionName",
+  institutionEmail: "settingInstitutionEmail",
+  institutionPhone: "settingInstitutionPhone",
+  institutionAddress: "settingInstitutionAddress",
+  locale: "settingLocale",
+  dateFormat: "settingDateFormat",
+  currency: "settingCurrency",
+  invoiceDueDays: "settingInvoiceDueDays",
+  defaultStudentStatus: "settingDefaultStudentStatus",
+  pageSize: "settingPageSize",
+  recentStudentsLimit: "settingRecentStudentsLimit",
+};
+
+async function loadSettings() {
+  try {
+    const response = await apiFetch("/settings");
+    if (!response.ok) throw new Error("Failed to load the settings");
+    settings = await response.json();
+    applySettings();
+  } catch (error) {
+    console.error("Error loading settings", error);
+    showNotification("Error loading settings", "error");
+  }
+}
+
+//Show the institution name and use the page sizes and status labels from the settings
+function applySettings() {
+  document.querySelectorAll(".brand-name").forEach((element) => {
+    element.textContent = settings.institutionName;
+  });
+  document.title = `${settings.institutionName} | Students' Management Dashboard`;
+
+  studentQuery.limit = settings.pageSize;
+  document.getElementById("studentPageSize").value = settings.pageSize;
+  renderStatusOptions();
+  if (currentSection === "settings") renderSettingsForm();
+
+  //The tables show dates and statuses, so they are drawn again with the new formats
+  if (currentUser) {
+    studentQuery.page = 1;
+    loadStudents();
+  }
+}
+
+function renderSettingsForm() {
+  const form = document.getElementById("settingsForm");
+  clearFieldErrors(form);
+  Object.entries(SETTINGS_FORM_FIELDS).forEach(([key, elementId]) => {
+    const input = document.getElementById(elementId);
+    if (key === "defaultStudentStatus") {
+      input.innerHTML = studentStatuses.initial
+        .map(
+          (status) =>
+            `<option value="${status}">${escapeHtml(statusLabel(status))}</option>`
+        )
+        .join("");
+    }
+    input.value = settings[key];
+  });
+
+  document.getElementById("settingStatusLabels").innerHTML = Object.entries(
+    settings.statusLabels
+  )
+    .map(
+      ([status, label]) => `
+        <div class="form-group">
+            <label for="settingStatusLabel-${status}">Label for "${status}"</label>
+            <input type="text" id="settingStatusLabel-${status}" data-status="${status}" value="${escapeHtml(label)}" maxlength="30" required />
+        </div>`
+    )
+    .join("");
+  renderGradingBands(settings.gradeBands);
+  renderDatePreview();
+
+  //Viewers and registrars can look but not change anything
+  form
+    .querySelectorAll("input, select, textarea")
+    .forEach((input) => (input.disabled = currentUser.role !== "admin"));
+}
+
+//Show today's date in the date format picked in the form
+function renderDatePreview() {
+  const dateFormat = document.getElementById("settingDateFormat").value;
+  document.getElementById("settingDatePreview").textContent =
+    `Today is shown as ${formatDate(new Date(), dateFormat)}`;
+}
+
+async function handleSettingsFormSubmit(e) {
+  e.preventDefault();
+  const form = e.target;
+  clearFieldErrors(form);
+
+  const values = {};
+  Object.entries(SETTINGS_FORM_FIELDS).forEach(([key, elementId]) => {
+    values[key] = document.getElementById(elementId).value.trim();
+  });
+  values.pageSize = Number(values.pageSize);
+  values.recentStudentsLimit = Number(values.recentStudentsLimit);
+  values.invoiceDueDays = Number(values.invoiceDueDays);
+  values.statusLabels = {};
+  form.querySelectorAll("#settingStatusLabels input").forEach((input) => {
+    values.statusLabels[input.dataset.status] = input.value.trim();
+  });
+  values.gradeBands = readGradingBands().map((band) => ({
+    letter: band.letter,
+    min: Number(band.min),
+  }));
+
+  showLoading();
+  try {
+    const response = await apiFetch("/settings", {
+      method: "PUT",
+      headers: { "Content-Type": "application/json" },
+      body: JSON.stringify(values),
+    });
+    const result = await response.json();
+    if (!response.ok) throw apiError(result, "Failed to save the settings");
+
+    settings = result;
+    applySettings();
+    showNotification("Settings saved", "success");
+  } catch (error) {
+    console.error("Error saving settings", error);
+    showNotification(error.message || "Error saving settings", "error");
+    showFieldErrors(
+      {
+        ...SETTINGS_FORM_FIELDS,
+        ...Object.fromEntries(
+          Object.keys(settings.statusLabels).map((status) => [
+            `statusLabels.${status}`,
+            `settingStatusLabel-${status}`,
+          ])
+        ),
+      },
+      error.fieldErrors
+    );
+  } finally {
+    hideLoading();
+  }
+}
+
+//Export Functions
+
+//Open or close the export menu the button belongs to
+function toggleExportMenu(e) {
+  e.stopPropagation();
+  const menu = e.currentTarget.closest(".export-menu");
+  const wasOpen = menu.classList.contains("open");
+  closeExportMenus();
+  if (!wasOpen) menu.classList.add("open");
+}
+
+function closeExportMenus() {
+  document
+    .querySelectorAll(".export-menu.open")
+    .forEach((menu) => menu.classList.remove("open"));
+}
+
+//Export the students with the same filters and sort as the "All Students" table
+function exportStudents(format) {
+  const params = new URLSearchParams({ format });
+  ["sort", "status", "course", "enrolledFrom", "enrolledTo"].forEach((key) => {
+    if (studentQuery[key] !== "") params.set(key, studentQuery[key]);
+  });
+  downloadExport(`/students/export?${params}`);
+}
+
+function exportCourses(format) {
+  downloadExport(`/courses/export?format=${format}`);
+}
+
+//Download the export and save it under the file name the server gives it
+async function downloadExport(path) {
+  closeExportMenus();
+  showLoading();
+  try {
+    const response = await apiFetch(path);
+    if (!response.ok) {
+      const error = await response.json();
+      throw new Error(error.message || "Export failed");
+    }
+
+    //filename* has the original name (with accents), filename the plain one
+    const disposition = response.headers.get("Content-Disposition") || "";
+    const encoded = disposition.match(/filename\*=UTF-8''([^;]+)/);
+    const match = disposition.match(/filename="([^"]+)"/);
+    const url = URL.createObjectURL(await response.blob());
+
+    const link = document.createElement("a");
+    link.href = url;
+    if (encoded) link.download = decodeURIComponent(encoded[1]);
+    else link.download = match ? match[1] : "export";
+    document.body.appendChild(link);
+    link.click();
+    link.remove();
+    URL.revokeObjectURL(url);
+  } catch (error) {
+    console.error("Error exporting", error);
+    showNotification(error.message || "Error exporting data", "error");
+  } finally {
+    hideLoading();
+  }
+}
+
+//Student Import Wizard
+function openImportModal() {
+  resetImportWizard();
+  document.getElementById("importModal").style.display = "flex";
+}
+
+function closeImportModal() {
+  document.getElementById("importModal").style.display = "none";
+  importRows = [];
+}
+
+//Go back to the first step of the wizard
+function resetImportWizard() {
+  importRows = [];
+  document.getElementById("importUploadForm").reset();
+  document.getElementById("importUploadForm").style.display = "block";
+  document.getElementById("importPreviewStep").style.display = "none";
+}
+
+//Step 1: send the file to the server, which checks every row without saving anything
+async function handleImportUpload(e) {
+  e.preventDefault();
+  const file = document.getElementById("importFile").files[0];
+  if (!file) return;
+
+  const formData = new FormData();
+  formData.append("file", file);
+
+  showLoading();
+  try {
+    const response = await apiFetch("/students/import/preview", {
+      method: "POST",
+      body: formData,
+    });
+    const result = await response.json();
+    if (!response.ok) throw new Error(result.message || "Failed to read file");
+
+    importRows = result.rows.map((row) => ({ ...row, skip: false }));
+    renderImportPreview();
+    document.getElementById("importUploadForm").style.display = "none";
+    document.getElementById("importPreviewStep").style.display = "block";
+  } catch (error) {
+    console.error("Error previewing import", error);
+    showNotification(error.message || "Error reading the import file", "error");
+  } finally {
+    hideLoading();
+  }
+}
+
+//Step 2: show every row, the cells with errors are highlighted and can be fixed in place
+function renderImportPreview() {
+  const previewBody = document.getElementById("importPreviewBody");
+  previewBody.innerHTML = "";
+
+  importRows.forEach((importRow, index) => {
+    const row = document.createElement("tr");
+    if (importRow.skip) row.className = "import-row-skipped";
+    else if (!importRow.valid) row.className = "import-row-invalid";
+
+    const cells = IMPORT_FIELDS.map((field) => {
+      const error = importRow.errors[field];
+      //The course of the row is full, the student will join its waitlist
+      const waitlisted = field === "course" && importRow.waitlisted;
+      return `
+        <td>
+            <input class="import-cell ${error ? "has-error" : ""}"
+            data-index="${index}" data-field="${field}"
+            value="${escapeHtml(importRow.data[field])}" />
+            ${error ? `<small class="field-error">${escapeHtml(error)}</small>` : ""}
+            ${waitlisted ? `<small class="import-waitlisted">Full, joins the waitlist</small>` : ""}
+        </td>`;
+    }).join("");
+
+    row.innerHTML = `
+        <td>${importRow.row}</td>
+        ${cells}
+        <td>
+            <input type="checkbox" class="import-skip" data-index="${index}"
+            ${importRow.skip ? "checked" : ""} />
+        </td>
+    `;
+    previewBody.appendChild(row);
+  });
+
+  renderImportSummary();
+}
+
+function renderImportSummary() {
+  const skipped = importRows.filter((row) => row.skip).length;
+  const invalid = importRows.filter((row) => !row.skip && !row.valid).length;
+  const waitlisted = importRows.filter(
+    (row) => !row.skip && row.waitlisted
+  ).length;
+  const toImport = importRows.length - skipped;
+
+  document.getElementById("importSummary").innerHTML = `
+    <span>${importRows.length} row(s) in the file</span>
+    <span class="${invalid > 0 ? "summary-error" : "summary-ok"}">
+        ${invalid} with errors
+    </span>
+    <span>${skipped} skipped</span>
+    <span>${toImport} to import</span>
+    ${waitlisted > 0 ? `<span>${waitlisted} on a waitlist</span>` : ""}
+  `;
+}
+
+function handleImportRowChange(e) {
+  const importRow = importRows[e.target.dataset.index];
+  if (!importRow) return;
+
+  if (e.target.classList.contains("import-skip")) {
+    importRow.skip = e.target.checked;
+    renderImportPreview();
+    return;
+  }
+
+  //Edited rows are checked again by the server when importing
+  importRow.data[e.target.dataset.field] = e.target.value.trim();
+}
+
+function skipInvalidImportRows() {
+  importRows.forEach((row) => {
+    if (!row.valid) row.skip = true;
+  });
+  renderImportPreview();
+}
+
+//Step 3: save all the rows that are not skipped, the server saves all of them or none
+async function commitImport() {
+  const rows = importRows
+    .filter((row) => !row.skip)
+    .map((row) => ({ row: row.row, ...row.data }));
+  if (rows.length === 0) {
+    showNotification("There are no rows left to import", "warning");
+    return;
+  }
+
+  showLoading();
+  try {
+    const response = await apiFetch("/students/import/commit", {
+      method: "POST",
+      headers: { "Content-Type": "application/json" },
+      body: JSON.stringify({ rows }),
+    });
+    const result = await response.json();
+
+    //Some rows still have errors, show the new errors so they can be fixed or skipped
+    //A 422 without rows means the request itself was rejected, that one is shown as a normal error
+    if (response.status === 422 && result.rows) {
+      const checkedRows = new Map(result.rows.map((row) => [row.row, row]));
+      importRows.forEach((importRow) => {
+        const checked = checkedRows.get(importRow.row);
+        if (checked) Object.assign(importRow, checked);
+      });
+      renderImportPreview();
+      showNotification(result.message, "warning");
+      return;
+    }
+    if (!response.ok) throw new Error(result.message || "Import failed");
+
+    showNotification(result.message, "success");
+    closeImportModal();
+    await loadStudents();
+    await updateDashboardStats();
+  } catch (error) {
+    console.error("Error importing students", error);
+    showNotification(error.message || "Error importing students", "error");
+  } finally {
+    hideLoading();
+  }
+}
+
+//Modal Operations
+function openModal() {
+  if (courses.length === 0) {
+    showNotification(
+      "Please add at least one course before adding a student",
+      "warning"
+    );
+    navigateToSection("courses");
+    openCourseModal();
+    return;
+  }
+
+  studentModal.style.display = "flex";
+  editingId = null;
+  studentForm.reset();
+  document.getElementById("modalTitle").textContent = "Add New Student";
+  document.getElementById("studentStatusGroup").style.display = "block";
+  document.getElementById("studentStatus").value =
+    settings.defaultStudentStatus;
+  showNewStudentFields(true);
+  showModalTab("student", "details");
+  document.getElementById("studentModalTabs").style.display = "none";
+}
+
+//Open the student modal with the data of an existing student
+async function editStudent(id) {
+  showLoading();
+  try {
+    const response = await apiFetch(`/students/${id}`);
+    const student = await response.json();
+    if (!response.ok) {
+      throw new Error(student.message || "Failed to fetch student");
+    }
+
+    editingId = id;
+    document.getElementById("modalTitle").textContent = "Edit Student";
+    document.getElementById("studentName").value = student.name;
+    document.getElementById("studentEmail").value = student.email;
+    document.getElementById("studentStatusGroup").style.display = "none";
+    showNewStudentFields(false);
+    showModalTab("student", "details");
+    document.getElementById("studentModalTabs").style.display = "flex";
+
+    studentModal.style.display = "flex";
+  } catch (error) {
+    console.error("An error occurred while loading student for edit", error);
+    showNotification(error.message || "Error loading student data", "error");
+  } finally {
+    hideLoading();
+  }
+}
+
+//The first course and enrollment date are only asked for a new student
+//After that the courses are managed in the Enrollments tab, so the fields are hidden (and not required) when editing
+function showNewStudentFields(show) {
+  ["studentCourse", "enrollmentDate"].forEach((id) => {
+    const input = document.getElementById(id);
+    input.required = show;
+    input.closest(".form-group").style.display = show ? "block" : "none";
+  });
+}
+
+//Status dialog: shows the statuses the student can move to next and the history of changes
+async function openStatusModal(id) {
+  showLoading();
+  try {
+    const response = await apiFetch(`/students/${id}`);
+    const student = await response.json();
+    if (!response.ok) {
+      throw new Error(student.message || "Failed to fetch student");
+    }
+
+    statusStudentId = id;
+    renderStatusModal(student);
+    document.getElementById("statusModal").style.display = "flex";
+  } catch (error) {
+    console.error("An error occurred while loading the student status", error);
+    showNotification(error.message || "Error loading student data", "error");
+  } finally {
+    hideLoading();
+  }
+}
+
+function renderStatusModal(student) {
+  document.getElementById("statusModalTitle").textContent =
+    `Change Status: ${student.name}`;
+  document.getElementById("statusCurrent").innerHTML = `
+    <span class="status-badge status-${student.status}">
+        ${escapeHtml(statusLabel(student.status))}
+    </span>`;
+
+  const nextStatuses = studentStatuses.transitions[student.status] || [];
+  document.getElementById("statusNext").innerHTML = nextStatuses
+    .map(
+      (status) =>
+        `<option value="${status}">${escapeHtml(statusLabel(status))}</option>`
+    )
+    .join("");
+
+  //A graduated student can't change status any more
+  const statusForm = document.getElementById("statusForm");
+  statusForm.reset();
+  statusForm.style.display = nextStatuses.length > 0 ? "block" : "none";
+
+  //Newest change first
+  document.getElementById("statusHistory").innerHTML = [
+    ...student.statusHistory,
+  ]
+    .reverse()
+    .map(
+      (change) => `
+        <li>
+            ${change.from ? `${escapeHtml(statusLabel(change.from))} &rarr;` : ""}
+            <strong>${escapeHtml(statusLabel(change.to))}</strong>:
+            ${escapeHtml(change.reason)}
+            <span class="history-meta">
+                ${formatDate(change.changedAt)}
+                ${change.changedBy ? `by ${escapeHtml(change.changedBy.name)}` : ""}
+            </span>
+        </li>`
+    )
+    .join("");
+}
+
+function closeStatusModal() {
+  document.getElementById("statusModal").style.display = "none";
+  statusStudentId = null;
+}
+
+async function handleStatusFormSubmit(e) {
+  e.preventDefault();
+  showLoading();
+  try {
+    const response = await apiFetch(`/students/${statusStudentId}/status`, {
+      method: "POST",
+      headers: { "Content-Type": "application/json" },
+      body: JSON.stringify({
+        status: document.getElementById("statusNext").value,
+        reason: document.getElementById("statusReason").value.trim(),
+      }),
+    });
+    const student = await response.json();
+    if (!response.ok) {
+      throw new Error(student.message || "Failed to change status");
+    }
+
+    showNotification("Student status changed successfully", "success");
+    renderStatusModal(student);
+    await loadStudents();
+    await updateDashboardStats();
+  } catch (error) {
+    console.error("Error changing student status", error);
+    showNotification(error.message || "Error changing student status", "error");
+  } finally {
+    hideLoading();
+  }
+}
+
+function closeModal() {
+  studentModal.style.display = "none";
+  editingId = null;
+  studentForm.reset();
+  clearFieldErrors(studentForm);
+}
+
+function openCourseModal() {
+  courseModal.style.display = "flex";
+  editingCourseId = null;
+  courseForm.reset();
+  document.getElementById("courseModalTitle").textContent = "Add New Course";
+  showModalTab("course", "details");
+  document.getElementById("courseModalTabs").style.display = "none";
+}
+
+function closeCourseModal() {
+  courseModal.style.display = "none";
+  editingCourseId = null;
+  courseForm.reset();
+  clearFieldErrors(courseForm);
+  resetOfferingForm();
+}
+
+//Update the editCourse function
+async function editCourse(id) {
+  showLoading();
+
+  try {
+    const response = await apiFetch(`/courses/${id}`);
+    const contentType = response.headers.get("content-type");
+
+    if (!response.ok) {
+      const errorMessage = contentType.includes("application/json")
+        ? (await response.json()).message
+        : await response.text();
+      throw new Error(errorMessage || "Failed to fetch Course");
+    }
+
+    const course = await response.json();
+
+    editingCourseId = id;
+    document.getElementById("courseModalTitle").textContent = "Edit Course";
+    document.getElementById("courseName").value = course.name;
+    document.getElementById("courseDescription").value = course.description;
+    document.getElementById("courseDuration").value = course.duration;
+    document.getElementById("courseCapacity").value = course.capacity || "";
+    document.getElementById("courseFee").value = course.fee ?? "";
+    document.getElementById("courseStatus").value = course.status;
+    showModalTab("course", "details");
+    document.getElementById("courseModalTabs").style.display = "flex";
+
+    courseModal.style.display = "flex";
+  } catch (error) {
+    console.error("An error occurred while loading course for edit", error);
+    showNotification(error.message || "Error loading course data", "error");
+  } finally {
+    hideLoading();
+  }
+}
+
+//History tab of the student and course modals
+//type is "student" or "course", tab is "details" or "history"
+function showModalTab(type, tab) {
+  const modal = type === "student" ? studentModal : courseModal;
+  modal.querySelectorAll(".modal-tab").forEach((button) => {
+    button.classList.toggle("active", button.dataset.tab === tab);
+  });
+  modal.querySelectorAll(".modal-tab-panel").forEach((panel) => {
+    panel.style.display = panel.dataset.tab === tab ? "block" : "none";
+  });
+
+  if (tab === "history") {
+    const id = type === "student" ? editingId : editingCourseId;
+    loadRecordHistory(`/${type}s/${id}/history`, `${type}History`);
+  }
+  if (tab === "enrollments") loadStudentEnrollments();
+  if (tab === "offerings") loadOfferings();
+  if (tab === "instructors") loadCourseInstructors();
+}
+
+//Enrollments tab of the student modal
+//Lists the current and past courses of the student being edited, with enroll, transfer and withdraw
+
+async function loadStudentEnrollments() {
+  const list = document.getElementById("studentEnrollments");
+  list.innerHTML = "<li>Loading enrollments...</li>";
+  document.getElementById("enrollForm").reset();
+  document.getElementById("enrollDate").value = formatDateForInput(new Date());
+  document.getElementById("enrollCourse").innerHTML = courseOptions();
+  loadOfferingOptions();
+  try {
+    const response = await apiFetch(`/students/${editingId}/enrollments`);
+    const enrollments = await response.json();
+    if (!response.ok) {
+      throw new Error(enrollments.message || "Failed to load enrollments");
+    }
+    renderStudentEnrollments(enrollments);
+  } catch (error) {
+    console.error("Error loading enrollments", error);
+    list.innerHTML = "";
+    showNotification(error.message || "Error loading enrollments", "error");
+  }
+}
+
+//The active courses as <option>s, leaving out the ones given
+function courseOptions(excludeIds = []) {
+  return courses
+    .filter(
+      (course) => course.status === "active" && !excludeIds.includes(course._id)
+    )
+    .map(
+      (course) =>
+        `<option value="${course._id}">${escapeHtml(course.name)}</option>`
+    )
+    .join("");
+}
+
+function renderStudentEnrollments(enrollments) {
+  const list = document.getElementById("studentEnrollments");
+  if (enrollments.length === 0) {
+    list.innerHTML = "<li>Not enrolled in any course yet</li>";
+    return;
+  }
+
+  //A student can't be transferred to a course they are already in or waiting for
+  const currentCourseIds = enrollments
+    .filter((enrollment) =>
+      ["active", "waitlisted"].includes(enrollment.status)
+    )
+    .map((enrollment) => enrollment.course._id);
+
+  list.innerHTML = enrollments
+    .map(
+      (enrollment) => `
+        <li>
+            <strong>${escapeHtml(enrollment.course.name)}</strong>
+            <span class="enrollment-status enrollment-${enrollment.status}">${formatEnrollmentStatus(enrollment)}</span>
+            <span class="history-meta">
+                ${formatDate(enrollment.startDate)}${enrollment.endDate ? ` &ndash; ${formatDate(enrollment.endDate)}` : ""}
+                ${enrollment.offering ? `&middot; ${escapeHtml(enrollment.offering.name)}` : ""}
+            </span>
+            ${
+              enrollment.status === "active"
+                ? `
+            <div class="enrollment-actions editor-only">
+                <select class="transfer-course">${courseOptions(currentCourseIds)}</select>
+                <button class="action-btn status-btn" onclick="transferEnrollment('${enrollment._id}', this)">
+                <i class="fa fa-exchange-alt"></i>Transfer
+                </button>
+                <button class="action-btn delete-btn" onclick="withdrawEnrollment('${enrollment._id}')">
+                <i class="fa fa-sign-out-alt"></i>Withdraw
+                </button>
+            </div>`
+                : ""
+            }
+            ${
+              enrollment.status === "waitlisted"
+                ? `
+            <div class="enrollment-actions editor-only">
+                <button class="action-btn delete-btn" onclick="withdrawEnrollment('${enrollment._id}')">
+                <i class="fa fa-sign-out-alt"></i>Leave Waitlist
+                </button>
+            </div>`
+                : ""
+            }
+        </li>`
+    )
+    .join("");
+}
+
+//e.g. "Waitlisted (#2)"
+function formatEnrollmentStatus(enrollment) {
+  const status = capitalizedFirstLetter(enrollment.status);
+  return enrollment.status === "waitlisted"
+    ? `${status} (#${enrollment.waitlistPosition})`
+    : status;
+}
+
+async function handleEnrollFormSubmit(e) {
+  e.preventDefault();
+  const offering = document.getElementById("enrollOffering").value;
+  await changeEnrollment(
+    `/students/${editingId}/enrollments`,
+    {
+      course: document.getElementById("enrollCourse").value,
+      enrollmentDate: document.getElementById("enrollDate").value,
+      ...(offering && { offering }),
+    },
+    "Student enrolled",
+    true
+  );
+}
+
+//The offerings of the course picked in the enroll form that are not over yet
+async function loadOfferingOptions() {
+  const select = document.getElementById("enrollOffering");
+  select.innerHTML = `<option value="">No offering</option>`;
+  const courseId = document.getElementById("enrollCourse").value;
+  if (!courseId) return;
+
+  try {
+    const response = await apiFetch(`/courses/${courseId}/offerings`);
+    const offerings = await response.json();
+    if (!response.ok) {
+      throw new Error(offerings.message || "Failed to load the offerings");
+    }
+    const today = formatDateForInput(new Date());
+    select.innerHTML += offerings
+      .filter((offering) => formatDateForInput(offering.endDate) >= today)
+      .map(
+        (offering) =>
+          `<option value="${offering._id}" data-start="${formatDateForInput(offering.startDate)}">${escapeHtml(offering.name)}</option>`
+      )
+      .join("");
+  } catch (error) {
+    console.error("Error loading offerings", error);
+    showNotification(error.message || "Error loading the offerings", "error");
+  }
+}
+
+//A student joining an offering starts with it
+function handleOfferingChange(e) {
+  const option = e.target.selectedOptions[0];
+  if (option && option.dataset.start) {
+    document.getElementById("enrollDate").value = option.dataset.start;
+  }
+}
+
+async function transferEnrollment(enrollmentId, button) {
+  const course = button.parentElement.querySelector(".transfer-course").value;
+  if (!course) {
+    showNotification("There is no other course to transfer to", "warning");
+    return;
+  }
+  await changeEnrollment(
+    `/enrollments/${enrollmentId}/transfer`,
+    { course },
+    "Student transferred"
+  );
+}
+
+async function withdrawEnrollment(enrollmentId) {
+  if (!confirm("Withdraw the student from this course?")) return;
+  await changeEnrollment(
+    `/enrollments/${enrollmentId}/withdraw`,
+    {},
+    "Student withdrawn from the course"
+  );
+}
+
+//Enroll, transfer and withdraw all work the same: post, reload the tab and the students table
+//Only enrolling can be overridden (waitlist or clash) when it is refused
+async function changeEnrollment(path, body, successMessage, canOverride) {
+  const post = async (data) => {
+    const response = await apiFetch(path, {
+      method: "POST",
+      headers: { "Content-Type": "application/json" },
+      body: JSON.stringify(data),
+    });
+    const result = await response.json();
+    if (!response.ok) {
+      throw apiError(result, "Failed to change the enrollment");
+    }
+    return result;
+  };
+
+  showLoading();
+  try {
+    const result = canOverride
+      ? await sendWithOverrides(post, body)
+      : await post(body);
+
+    showNotification(
+      result.status === "waitlisted"
+        ? `Student put on the waitlist (#${result.waitlistPosition})`
+        : successMessage,
+      "success"
+    );
+    await Promise.all([loadStudentEnrollments(), loadStudents()]);
+    await updateDashboardStats();
+  } catch (error) {
+    console.error("Error changing enrollment", error);
+    showNotification(error.message || "Error changing the enrollment", "error");
+  } finally {
+    hideLoading();
+  }
+}
+
+//The timetable of the student being edited, in the calendar or as an .ics file for a calendar app
+function showStudentCalendar() {
+  calendarStudent = {
+    _id: editingId,
+    name: document.getElementById("studentName").value,
+  };
+  closeModal();
+  navigateToSection("calendar");
+}
+
+function downloadStudentCalendar() {
+  downloadExport(`/students/${editingId}/calendar.ics`);
+}
+
+//A calendar app subscribes to a secret link instead of a downloaded file, so it keeps up with the changes
+//Making a new link stops the old one, revoking it stops them all
+//kind is "students" for the student being edited or "courses" for the course being edited
+function calendarFeedPath(kind) {
+  const id = kind === "courses" ? editingCourseId : editingId;
+  return `/${kind}/${id}/calendar-feed`;
+}
+
+async function copyCalendarLink(kind) {
+  showLoading();
+  try {
+    const response = await apiFetch(calendarFeedPath(kind), {
+      method: "POST",
+    });
+    const result = await response.json();
+    if (!response.ok)
+      throw apiError(result, "Failed to make the calendar link");
+
+    const url = new URL(result.url, new URL(API_BASE_URL, location.href)).href;
+    try {
+      await navigator.clipboard.writeText(url);
+      showNotification(
+        "Calendar link copied, add it to your calendar app",
+        "success"
+      );
+    } catch (error) {
+      //The clipboard only works on https, the link can still be copied by hand
+      prompt("Add this link to your calendar app", url);
+    }
+  } catch (error) {
+    console.error("Error making calendar link", error);
+    showNotification(
+      error.message || "Error making the calendar link",
+      "error"
+    );
+  } finally {
+    hideLoading();
+  }
+}
+
+async function revokeCalendarLink(kind) {
+  if (
+    !confirm(
+      "Revoke the calendar link? Calendar apps subscribed to it stop getting the classes."
+    )
+  )
+    return;
+  showLoading();
+  try {
+    const response = await apiFetch(calendarFeedPath(kind), {
+      method: "DELETE",
+    });
+    const result = await response.json();
+    if (!response.ok)
+      throw apiError(result, "Failed to revoke the calendar link");
+    showNotification("Calendar link revoked", "success");
+  } catch (error) {
+    console.error("Error revoking calendar link", error);
+    showNotification(
+      error.message || "Error revoking the calendar link",
+      "error"
+    );
+  } finally {
+    hideLoading();
+  }
+}
+
+//Offerings tab of the course modal
+//Every run (cohort) of the course with its start date and weekly meeting times
+
+//Sunday is 0 like in Date.getDay(), the lists start on Monday
+const DAY_NAMES = [
+  "Sunday",
+  "Monday",
+  "Tuesday",
+  "Wednesday",
+  "Thursday",
+  "Friday",
+  "Saturday",
+];
+const WEEK_DAYS = [1, 2, 3, 4, 5, 6, 0];
+
+async function loadOfferings() {
+  const list = document.getElementById("courseOfferings");
+  list.innerHTML = "<li>Loading offerings...</li>";
+  resetOfferingForm();
+  try {
+    const response = await apiFetch(
+      `/courses/${editingCourseId}/offerings`
+    );
+    const offerings = await response.json();
+    if (!response.ok) {
+      throw new Error(offerings.message || "Failed to load the offerings");
+    }
+    courseOfferings = offerings;
+    renderOfferings();
+  } catch (error) {
+    console.error("Error loading offerings", error);
+    list.innerHTML = "";
+    showNotification(error.message || "Error loading the offerings", "error");
+  }
+}
+
+function renderOfferings() {
+  const list = document.getElementById("courseOfferings");
+  if (courseOfferings.length === 0) {
+    list.innerHTML = "<li>No offerings yet</li>";
+    return;
+  }
+
+  list.innerHTML = courseOfferings
+    .map(
+      (offering) => `
+        <li>
+            <strong>${escapeHtml(offering.name)}</strong>
+            <span class="history-meta">
+                ${formatDate(offering.startDate)} &ndash; ${formatDate(offering.endDate)} &middot; ${offering.students} student(s)
+            </span>
+            <span class="history-meta">
+                ${offering.meetings.map(formatMeeting).join("<br />") || "No meeting times yet"}
+            </span>
+            <div class="enrollment-actions editor-only">
+                <button class="action-btn edit-btn" onclick="editOffering('${offering._id}')">
+                <i class="fa fa-edit"></i>Edit
+                </button>
+                <button class="action-btn delete-btn" onclick="deleteOffering('${offering._id}')">
+                <i class="fa fa-trash"></i>Delete
+                </button>
+            </div>
+        </li>`
+    )
+    .join("");
+}
+
+//e.g. "Monday 09:00-11:00 (Room 4)"
+function formatMeeting(meeting) {
+  const location = meeting.location ? ` (${escapeHtml(meeting.location)})` : "";
+  return `${DAY_NAMES[meeting.day]} ${meeting.startTime}-${meeting.endTime}${location}`;
+}
+
+//Add a row for one weekly meeting to the offering form
+function addMeetingRow(meeting = { day: 1 }) {
+  const row = document.createElement("div");
+  row.className = "meeting-row";
+  row.innerHTML = `
+      <select class="meeting-day">
+          ${WEEK_DAYS.map((day) => `<option value="${day}" ${day === meeting.day ? "selected" : ""}>${DAY_NAMES[day]}</option>`).join("")}
+      </select>
+      <input type="time" class="meeting-start" value="${meeting.startTime || ""}" required />
+      <input type="time" class="meeting-end" value="${meeting.endTime || ""}" required />
+      <input type="text" class="meeting-location" placeholder="Location" value="${escapeHtml(meeting.location || "")}" />
+      <button type="button" class="action-btn delete-btn" onclick="this.parentElement.remove()" title="Remove">
+      <i class="fa fa-times"></i>
+      </button>
+  `;
+  document.getElementById("offeringMeetings").appendChild(row);
+}
+
+function resetOfferingForm() {
+  editingOfferingId = null;
+  document.getElementById("offeringForm").reset();
+  document.getElementById("offeringMeetings").innerHTML = "";
+  document.getElementById("offeringSubmit").innerHTML =
+    `<i class="fas fa-plus"></i>Add Offering`;
+}
+
+function editOffering(id) {
+  const offering = courseOfferings.find((offering) => offering._id === id);
+  if (!offering) return;
+
+  resetOfferingForm();
+  editingOfferingId = id;
+  document.getElementById("offeringName").value = offering.name;
+  document.getElementById("offeringStart").value = formatDateForInput(
+    offering.startDate
+  );
+  offering.meetings.forEach((meeting) => addMeetingRow(meeting));
+  document.getElementById("offeringSubmit").innerHTML =
+    `<i class="fas fa-check"></i>Save Offering`;
+}
+
+async function handleOfferingFormSubmit(e) {
+  e.preventDefault();
+  const offeringData = {
+    name: document.getElementById("offeringName").value.trim(),
+    startDate: document.getElementById("offeringStart").value,
+    meetings: [
+      ...document.querySelectorAll("#offeringMeetings .meeting-row"),
+    ].map((row) => ({
+      day: parseInt(row.querySelector(".meeting-day").value, 10),
+      startTime: row.querySelector(".meeting-start").value,
+      endTime: row.querySelector(".meeting-end").value,
+      location: row.querySelector(".meeting-location").value.trim(),
+    })),
+  };
+
+  showLoading();
+  try {
+    const response = await apiFetch(
+      editingOfferingId
+        ? `/offerings/${editingOfferingId}`
+        : `/courses/${editingCourseId}/offerings`,
+      {
+        method: editingOfferingId ? "PUT" : "POST",
+        headers: { "Content-Type": "application/json" },
+        body: JSON.stringify(offeringData),
+      }
+    );
+    const result = await response.json();
+    if (!response.ok) {
+      //The meeting errors come per field, e.g. "meetings.0.endTime", so they are shown together
+      const fieldErrors = Object.values(result.errors || {});
+      throw new Error(
+        fieldErrors.join(", ") ||
+          result.message ||
+          "Failed to save the offering"
+      );
+    }
+
+    showNotification(
+      editingOfferingId ? "Offering updated" : "Offering added",
+      "success"
+    );
+    await loadOfferings();
+  } catch (error) {
+    console.error("Error saving offering", error);
+    showNotification(error.message || "Error saving the offering", "error");
+  } finally {
+    hideLoading();
+  }
+}
+
+async function deleteOffering(id) {
+  if (!confirm("Delete this offering?")) return;
+  showLoading();
+  try {
+    const response = await apiFetch(`/offerings/${id}`, {
+      method: "DELETE",
+    });
+    const result = await response.json();
+    if (!response.ok) {
+      throw new Error(result.message || "Failed to delete the offering");
+    }
+    showNotification("Offering deleted", "success");
+    await loadOfferings();
+  } catch (error) {
+    console.error("Error deleting offering", error);
+    showNotification(error.message || "Error deleting the offering", "error");
+  } finally {
+    hideLoading();
+  }
+}
+
+function downloadCourseCalendar() {
+  downloadExport(`/courses/${editingCourseId}/calendar.ics`);
+}
+
+async function loadRecordHistory(path, listId) {
+  const list = document.getElementById(listId);
+  list.innerHTML = "<li>Loading history...</li>";
+  try {
+    const response = await apiFetch(path);
+    const events = await response.json();
+    if (!response.ok) {
+      throw new Error(events.message || "Failed to load history");
+    }
+
+    if (events.length === 0) {
+      list.innerHTML = "<li>No changes recorded yet</li>";
+      return;
+    }
+    list.innerHTML = events.map(renderAuditEvent).join("");
+  } catch (error) {
+    console.error("Error loading history", error);
+    list.innerHTML = "";
+    showNotification(error.message || "Error loading history", "error");
+  }
+}
+
+function renderAuditEvent(event) {
+  //A create or delete lists every field, so only the changed values are interesting for updates
+  const changes = event.changes
+    .map(
+      (change) => `
+        <span class="audit-change">
+            ${escapeHtml(change.field)}:
+            ${event.action !== "create" ? `<span class="audit-before">${formatAuditValue(change.field, change.before)}</span>` : ""}
+            ${event.action === "update" ? "&rarr;" : ""}
+            ${event.action !== "delete" ? `<span class="audit-after">${formatAuditValue(change.field, change.after)}</span>` : ""}
+        </span>`
+    )
+    .join("");
+
+  return `
+    <li>
+        <strong>${capitalizedFirstLetter(event.action)}</strong>
+        <span class="history-meta">
+            ${formatDate(event.createdAt)}
+            ${event.actorName ? `by ${escapeHtml(event.actorName)}` : ""}
+        </span>
+        ${changes}
+    </li>`;
+}
+
+//Show the course name instead of the id, and dates without the time
+function formatAuditValue(field, value) {
+  if (value === null || value === undefined || value === "") return "(empty)";
+  if (field === "course") {
+    const course = courses.find((course) => course._id === value);
+    return escapeHtml(course ? course.name : value);
+  }
+  if (field === "enrollmentDate") return formatDate(value);
+  //The guardian is a group of fields, only the filled in ones are shown
+  if (field === "guardian") {
+    const parts = Object.values(value).filter(Boolean);
+    return parts.length > 0 ? escapeHtml(parts.join(", ")) : "(empty)";
+  }
+  return escapeHtml(String(value));
+}
 
 //Search Functionality
+//Typing shows the best matches in a dropdown, Enter (or "See all results") shows every match in the students table
 let searchTimeout;
 function handleSearch(e) {
   clearTimeout(searchTimeout);
@@ -562,39 +4579,267 @@ function handleSearch(e) {
 
   searchTimeout = setTimeout(async () => {
     if (searchTerm.length === 0) {
-      await loadStudents();
+      hideSearchSuggestions();
+      if (studentSearch.q) clearStudentSearch();
       return;
     }
+    await loadSearchSuggestions(searchTerm);
+  }, 300); //Debounce search request
+}
 
-    showLoading();
-    try {
-      const response = await fetch(
-        `${API_BASE_URL}/api/students/search?q${encodeURIComponent(searchTerm)}`
-      );
+function handleSearchKeydown(e) {
+  if (e.key === "Enter" && searchInput.value.trim()) {
+    clearTimeout(searchTimeout);
+    runStudentSearch();
+  } else if (e.key === "Escape") {
+    hideSearchSuggestions();
+  }
+}
 
-      if (!response.ok) throw new Error("Search failed");
+async function loadSearchSuggestions(searchTerm) {
+  try {
+    const params = new URLSearchParams({
+      q: searchTerm,
+      limit: SEARCH_SUGGESTION_LIMIT,
+    });
+    const response = await apiFetch(`/students/search?${params}`);
+    if (!response.ok) throw new Error("Search failed");
 
-      const filteredStudents = await response.json();
-      renderStudentTables(filteredStudents);
-    } catch (error) {
-      console.error("Error searching students", error);
-      showNotification("Error searching students", "error");
-    } finally {
-      hideLoading();
-    }
-  }, 300); //Debounce search request
+    const result = await response.json();
+    //Skip the answer if the user kept typing in the meantime
+    if (searchInput.value.trim() !== searchTerm) return;
+    renderSearchSuggestions(result);
+  } catch (error) {
+    console.error("Error searching students", error);
+    showNotification("Error searching students", "error");
+  }
+}
+
+function renderSearchSuggestions({ data, total }) {
+  const suggestions = document.getElementById("searchSuggestions");
+  if (total === 0) {
+    suggestions.innerHTML = `<p class="search-empty">No students found</p>`;
+  } else {
+    suggestions.innerHTML = `
+        ${data
+          .map(
+            (student) => `
+            <button class="search-suggestion" onclick="openSearchSuggestion('${student._id}')">
+                <strong>${escapeHtml(student.name)}</strong>
+                <span>${escapeHtml(student.email)} &middot; ${formatCourses(student)}</span>
+            </button>`
+          )
+          .join("")}
+        <button class="search-suggestion search-all" onclick="runStudentSearch()">
+            See all ${total} result(s)
+        </button>`;
+  }
+  suggestions.style.display = "block";
+}
+
+function hideSearchSuggestions() {
+  document.getElementById("searchSuggestions").style.display = "none";
+}
+
+function openSearchSuggestion(id) {
+  hideSearchSuggestions();
+  editStudent(id);
+}
+
+//Show all the results for the text in the search bar in the "All Students" table
+function runStudentSearch() {
+  hideSearchSuggestions();
+  Object.assign(studentSearch, {
+    q: searchInput.value.trim(),
+    course: "",
+    status: "",
+    year: "",
+  });
+  document.getElementById("studentsSection").classList.add("searching");
+  if (currentSection === "students") {
+    loadSearchResults();
+  } else {
+    navigateToSection("students"); //This loads the students, so the search results
+  }
+}
+
+async function loadSearchResults() {
+  showLoading();
+  try {
+    const params = new URLSearchParams({ limit: SEARCH_RESULTS_LIMIT });
+    Object.entries(studentSearch).forEach(([key, value]) => {
+      if (value !== "") params.set(key, value);
+    });
+    const response = await apiFetch(`/students/search?${params}`);
+    if (!response.ok) throw new Error("Search failed");
+
+    const result = await response.json();
+    students = result.data;
+    renderStudentTable(students, allStudentTableBody);
+    renderSearchFacets(result);
+  } catch (error) {
+    console.error("Error searching students", error);
+    showNotification("Error searching students", "error");
+  } finally {
+    hideLoading();
+  }
+}
+
+//Clicking a facet narrows the results down to it, clicking it again removes it
+function toggleSearchFacet(facet, value) {
+  studentSearch[facet] = studentSearch[facet] === value ? "" : value;
+  loadSearchResults();
+}
+
+function renderSearchFacets({ data, total, facets }) {
+  const groups = [
+    {
+      facet: "course",
+      label: "Course",
+      values: facets.courses.map((course) => ({
+        value: course._id,
+        label: course.name || "Unknown course",
+        count: course.count,
+      })),
+    },
+    {
+      facet: "status",
+      label: "Status",
+      values: facets.statuses.map((status) => ({
+        value: status._id,
+        label: statusLabel(status._id),
+        count: status.count,
+      })),
+    },
+    {
+      facet: "year",
+      label: "Enrolled",
+      values: facets.years.map((year) => ({
+        value: String(year._id),
+        label: year._id,
+        count: year.count,
+      })),
+    },
+  ];
+
+  const container = document.getElementById("searchFacets");
+  container.innerHTML = `
+    <div class="search-facets-header">
+        <span>
+            ${total > data.length ? `Best ${data.length} of ${total}` : total} result(s) for
+            "<strong>${escapeHtml(studentSearch.q)}</strong>"
+        </span>
+        <button class="action-btn" onclick="clearStudentSearch()">
+            <i class="fas fa-times"></i>Clear Search
+        </button>
+    </div>
+    ${groups
+      .map(
+        ({ facet, label, values }) => `
+        <div class="facet-group">
+            <span class="facet-label">${label}</span>
+            ${values
+              .filter((option) => option.value !== null)
+              .map(
+                (option) => `
+                <button class="facet-chip ${studentSearch[facet] === option.value ? "active" : ""}"
+                    onclick="toggleSearchFacet('${facet}', '${option.value}')">
+                    ${escapeHtml(String(option.label))} (${option.count})
+                </button>`
+              )
+              .join("")}
+        </div>`
+      )
+      .join("")}`;
+  container.style.display = "block";
+}
+
+function clearStudentSearch() {
+  Object.assign(studentSearch, { q: "", course: "", status: "", year: "" });
+  searchInput.value = "";
+  hideSearchSuggestions();
+  document.getElementById("studentsSection").classList.remove("searching");
+  document.getElementById("searchFacets").style.display = "none";
+  loadStudentPage();
 }
 
 //Untility Functions
-function formatDate(dateString) {
-  const options = { year: "numeric", month: "short", day: "numeric" };
-  return new Date(dateString).toLocaleDateString(undefined, options);
+//Dates are shown in the format picked in the Settings section
+function formatDate(dateString, dateFormat = settings.dateFormat) {
+  const date = new Date(dateString);
+  if (dateFormat === "locale") {
+    const options = { year: "numeric", month: "short", day: "numeric" };
+    return date.toLocaleDateString(settings.locale, options);
+  }
+  const parts = {
+    YYYY: String(date.getFullYear()),
+    MM: String(date.getMonth() + 1).padStart(2, "0"),
+    DD: String(date.getDate()).padStart(2, "0"),
+  };
+  return dateFormat.replace(/YYYY|MM|DD/g, (part) => parts[part]);
+}
+
+//The names of the courses a student is currently enrolled in
+function formatCourses(student) {
+  const enrollments = student.enrollments || [];
+  return enrollments.length === 0
+    ? "No course"
+    : enrollments
+        .map((enrollment) => escapeHtml(enrollment.course.name))
+        .join(", ");
+}
+
+//The start of the student's first current enrollment
+function formatEnrollmentDate(student) {
+  const enrollments = student.enrollments || [];
+  return enrollments.length === 0
+    ? "&mdash;"
+    : formatDate(
+        enrollments
+          .map((enrollment) => enrollment.startDate)
+          .sort()
+          .shift()
+      );
+}
+
+//An attendance rate, or a dash when nothing has been recorded yet
+function formatRate(rate) {
+  return rate === null || rate === undefined ? "&mdash;" : `${rate}%`;
 }
 
 function formatDateForInput(dateString) {
   return new Date(dateString).toISOString().split("T")[0];
 }
 
+//An amount in the currency of the settings, e.g. "$1,250.00"
+function formatMoney(amount) {
+  return new Intl.NumberFormat(settings.locale, {
+    style: "currency",
+    currency: settings.currency,
+  }).format(amount);
+}
+
+// To define escapeHtml
+function escapeHtml(str) {
+  if (typeof str !== "string") return str;
+  return str
+    .replace(/&/g, "&amp;")
+    .replace(/</g, "&lt;")
+    .replace(/>/g, "&gt;")
+    .replace(/"/g, "&quot;")
+    .replace(/'/g, "&#039;");
+}
+
+function capitalizedFirstLetter(str) {
+  if (typeof str !== "string" || str.length === 0) return str;
+  return str.charAt(0).toUpperCase() + str.slice(1);
+}
+
+//The name a student status is shown with, admins can change them in the Settings section
+function statusLabel(status) {
+  return settings.statusLabels[status] || capitalizedFirstLetter(status);
+}
+
 function showLoading() {
   document.querySelector(".loading-spinner").classList.add("active");
 }
@@ -604,12 +4849,12 @@ function hideLoading() {
 
 function showNotification(message, type = "info") {
   //Remove any existing notification
-  const existingNotifications = document.querySelectorAll(".notifications");
+  const existingNotifications = document.querySelectorAll(".notification");
   existingNotifications.forEach((notification) => notification.remove());
 
   //Create new notification
   const notification = document.createElement("div");
-  notification.className = `notification${type}`;
+  notification.className = `notification ${type}`;
   notification.textContent = message;
 
   //Add notification to the document
@@ -618,7 +4863,7 @@ function showNotification(message, type = "info") {
   //Remove notification after delay
   setTimeout(() => {
     notification.style.opacity = '0';
-    setTimeout(() => notification.removeChild(), 500);
+    setTimeout(() => notification.remove(), 500);
   }, 3000);
 }
 
@@ -632,5 +4877,5 @@ function handleError(error, defaultMessage = "An error has occurred") {
 window.onclick = (e) => {
     if(e.target === studentModal) closeModal();
     if(e.target === courseModal) closeCourseModal();
-    if(e.target === document.getElementById("deleteComfirmationModal")) closeDeleteModal();
+    if(e.target === document.getElementById("deleteConfirmationModal")) closeDeleteModal();
 };
\ No newline at end of file